@@ -0,0 +1,402 @@
+/**
+ An **Animation** is a sequence of keyframes that animates a property of a target component over time.
+
+ ## Overview
+
+ <ul>
+ <li>An Animation animates a single numeric or vector property of its target component, such as
+ {{#crossLink "Rotate/angle:property"}}Rotate#angle{{/crossLink}}, {{#crossLink "Translate/xyz:property"}}Translate#xyz{{/crossLink}},
+ {{#crossLink "PhongMaterial/diffuse:property"}}PhongMaterial#diffuse{{/crossLink}} or {{#crossLink "Lookat/eye:property"}}Lookat#eye{{/crossLink}}.</li>
+ <li>Each keyframe has a time in seconds and a value for the property. Between keyframes, the property is
+ interpolated using an easing curve from {{#crossLink "easing"}}{{/crossLink}}.</li>
+ <li>The Animation's {{#crossLink "Animation/easing:property"}}{{/crossLink}} applies between all keyframes, while a
+ keyframe's own ````easing```` overrides that between it and the next keyframe.</li>
+ <li>Before the first keyframe, the property holds the first keyframe's value, and after the last keyframe, the property holds
+ the last keyframe's value.</li>
+ <li>An Animation does not play by itself. Instead, you add it to a {{#crossLink "Timeline"}}{{/crossLink}}, which plays
+ it along with any other Animations on the same clock, or you drive it yourself through
+ {{#crossLink "Animation/evaluate:method"}}{{/crossLink}}.</li>
+ </ul>
+
+ ## Example
+
+ ````javascript
+ var scene = new XEO.Scene();
+
+ var rotate = new XEO.Rotate(scene, {
+    xyz: [0, 1, 0],
+    angle: 0
+ });
+
+ var object = new XEO.GameObject(scene, {
+    transform: rotate
+ });
+
+ // Spin the GameObject a full turn over four seconds, slowing down at the end
+
+ var animation = new XEO.Animation(scene, {
+    target: rotate,
+    property: "angle",
+    easing: "quadraticOut",
+    keys: [
+        { time: 0, value: 0 },
+        { time: 4, value: 360 }
+    ]
+ });
+
+ var timeline = new XEO.Timeline(scene, {
+    animations: [animation],
+    loop: "repeat"
+ });
+
+ timeline.play();
+ ````
+
+ @class Animation
+ @module XEO
+ @submodule animation
+ @constructor
+ @param [scene] {Scene} Parent {{#crossLink "Scene"}}Scene{{/crossLink}}.
+ @param [cfg] {*} Configs
+ @param [cfg.id] {String} Optional ID, unique among all components in the parent {{#crossLink "Scene"}}Scene{{/crossLink}}, generated automatically when omitted.
+ @param [cfg.meta] {String:Object} Optional map of user-defined metadata to attach to this Animation.
+ @param [cfg.target] {String|Component} ID or instance of the component to animate. Must be within the same {{#crossLink "Scene"}}Scene{{/crossLink}} as this Animation.
+ @param [cfg.property] {String} Name of the target component's property to animate.
+ @param [cfg.keys=[]] {Array of Object} Keyframes, each of the form ````{ time: Number, value: Number|Array, easing: String }````, where ````easing```` is optional.
+ @param [cfg.easing="linear"] {String} Name of the default easing curve in {{#crossLink "easing"}}{{/crossLink}}.
+ @extends Component
+ */
+(function () {
+
+    "use strict";
+
+    XEO.Animation = XEO.Component.extend({
+
+        /**
+         JavaScript class name for this Component.
+
+         @property type
+         @type String
+         @final
+         */
+        type: "XEO.Animation",
+
+        _init: function (cfg) {
+
+            this._target = null;
+
+            this._onTargetDestroyed = null;
+
+            this.target = cfg.target;
+            this.property = cfg.property;
+            this.keys = cfg.keys;
+            this.easing = cfg.easing;
+        },
+
+        _props: {
+
+            /**
+             * The component whose property this Animation animates.
+             *
+             * Must be within the same {{#crossLink "Scene"}}Scene{{/crossLink}} as this Animation. When the
+             * component is destroyed, this property becomes null.
+             *
+             * Fires a {{#crossLink "Animation/target:event"}}{{/crossLink}} event on change.
+             *
+             * @property target
+             * @type Component
+             */
+            target: {
+
+                set: function (value) {
+
+                    if (XEO._isNumeric(value) || XEO._isString(value)) {
+
+                        // Target ID given
+
+                        var id = value;
+
+                        value = this.scene.components[id];
+
+                        if (!value) {
+                            this.error("Component not found: " + XEO._inQuotes(id));
+                            return;
+                        }
+                    }
+
+                    value = value || null;
+
+                    if (value && value.scene.id !== this.scene.id) {
+                        this.error("Target is not in the same scene: " + XEO._inQuotes(value.id));
+                        return;
+                    }
+
+                    if (this._target) {
+                        this._target.off(this._onTargetDestroyed);
+                        this._onTargetDestroyed = null;
+                    }
+
+                    this._target = value;
+
+                    if (value) {
+
+                        var self = this;
+
+                        this._onTargetDestroyed = value.on("destroyed",
+                            function () {
+                                self.target = null;
+                            });
+                    }
+
+                    /**
+                     * Fired whenever this Animation's {{#crossLink "Animation/target:property"}}{{/crossLink}} property changes.
+                     * @event target
+                     * @param value The property's new value
+                     */
+                    this.fire("target", value);
+                },
+
+                get: function () {
+                    return this._target;
+                }
+            },
+
+            /**
+             * Name of the property this Animation animates on its {{#crossLink "Animation/target:property"}}{{/crossLink}}.
+             *
+             * Fires a {{#crossLink "Animation/property:event"}}{{/crossLink}} event on change.
+             *
+             * @property property
+             * @type String
+             */
+            property: {
+
+                set: function (value) {
+
+                    value = value || null;
+
+                    /**
+                     * Fired whenever this Animation's {{#crossLink "Animation/property:property"}}{{/crossLink}} property changes.
+                     * @event property
+                     * @param value The property's new value
+                     */
+                    this.fire("property", this._property = value);
+                },
+
+                get: function () {
+                    return this._property;
+                }
+            },
+
+            /**
+             * This Animation's keyframes, each of the form ````{ time: Number, value: Number|Array, easing: String }````,
+             * where ````time```` is in seconds and ````easing```` is optional.
+             *
+             * Keyframes are sorted by time when set, and all vector values should have the same length.
+             *
+             * Fires a {{#crossLink "Animation/keys:event"}}{{/crossLink}} event on change.
+             *
+             * @property keys
+             * @default []
+             * @type Array of Object
+             */
+            keys: {
+
+                set: function (value) {
+
+                    value = value || [];
+
+                    var keys = [];
+                    var key;
+
+                    for (var i = 0, len = value.length; i < len; i++) {
+
+                        key = value[i];
+
+                        if (!XEO._isNumeric(key.time)) {
+                            this.error("Keyframe " + i + " has no numeric 'time' - ignoring");
+                            continue;
+                        }
+
+                        if (key.value === undefined || key.value === null) {
+                            this.error("Keyframe " + i + " has no 'value' - ignoring");
+                            continue;
+                        }
+
+                        if (key.easing && !XEO.easing[key.easing]) {
+                            this.error("Keyframe " + i + " has unsupported 'easing': " + XEO._inQuotes(key.easing) + " - ignoring");
+                            continue;
+                        }
+
+                        keys.push({
+                            time: key.time,
+                            value: XEO._isArray(key.value) ? key.value.slice() : key.value,
+                            easing: key.easing
+                        });
+                    }
+
+                    keys.sort(function (a, b) {
+                        return a.time - b.time;
+                    });
+
+                    this._keys = keys;
+
+                    /**
+                     * Fired whenever this Animation's {{#crossLink "Animation/keys:property"}}{{/crossLink}} property changes.
+                     * @event keys
+                     * @param value The property's new value
+                     */
+                    this.fire("keys", this._keys);
+                },
+
+                get: function () {
+                    return this._keys;
+                }
+            },
+
+            /**
+             * Name of the default easing curve in {{#crossLink "easing"}}{{/crossLink}}, used between keyframes
+             * that don't specify their own.
+             *
+             * Fires an {{#crossLink "Animation/easing:event"}}{{/crossLink}} event on change.
+             *
+             * @property easing
+             * @default "linear"
+             * @type String
+             */
+            easing: {
+
+                set: function (value) {
+
+                    value = value || "linear";
+
+                    if (!XEO.easing[value]) {
+                        this.error("Unsupported value for 'easing': " + XEO._inQuotes(value) +
+                            " - defaulting to 'linear'");
+                        value = "linear";
+                    }
+
+                    /**
+                     * Fired whenever this Animation's {{#crossLink "Animation/easing:property"}}{{/crossLink}} property changes.
+                     * @event easing
+                     * @param value The property's new value
+                     */
+                    this.fire("easing", this._easing = value);
+                },
+
+                get: function () {
+                    return this._easing;
+                }
+            },
+
+            /**
+             * Time of this Animation's last keyframe, in seconds.
+             *
+             * @property duration
+             * @type Number
+             * @final
+             */
+            duration: {
+
+                get: function () {
+                    var keys = this._keys;
+                    return keys.length > 0 ? keys[keys.length - 1].time : 0;
+                }
+            }
+        },
+
+        /**
+         * Sets this Animation's target property to its value at the given time.
+         *
+         * Does nothing when this Animation has no {{#crossLink "Animation/target:property"}}{{/crossLink}},
+         * {{#crossLink "Animation/property:property"}}{{/crossLink}} or {{#crossLink "Animation/keys:property"}}{{/crossLink}}.
+         *
+         * @method evaluate
+         * @param {Number} time Time in seconds.
+         */
+        evaluate: function (time) {
+
+            var target = this._target;
+            var property = this._property;
+            var keys = this._keys;
+
+            if (!target || !property || keys.length === 0) {
+                return;
+            }
+
+            if (!(property in target)) {
+                this.error("Target " + XEO._inQuotes(target.id) + " has no property " + XEO._inQuotes(property));
+                return;
+            }
+
+            var last = keys.length - 1;
+
+            if (time <= keys[0].time) {
+                target[property] = this._copy(keys[0].value);
+                return;
+            }
+
+            if (time >= keys[last].time) {
+                target[property] = this._copy(keys[last].value);
+                return;
+            }
+
+            var i = 0;
+
+            while (keys[i + 1].time <= time) {
+                i++;
+            }
+
+            var key1 = keys[i];
+            var key2 = keys[i + 1];
+
+            var t = (time - key1.time) / (key2.time - key1.time);
+
+            t = XEO.easing[key1.easing || this._easing](t);
+
+            target[property] = this._lerp(t, key1.value, key2.value);
+        },
+
+        // Returns a copy of a keyframe value, since components
+        // may keep the arrays that are assigned to their properties
+
+        _copy: function (value) {
+            return XEO._isArray(value) ? value.slice() : value;
+        },
+
+        _lerp: function (t, value1, value2) {
+
+            if (!XEO._isArray(value1)) {
+                return value1 + (value2 - value1) * t;
+            }
+
+            var result = [];
+
+            for (var i = 0, len = value1.length; i < len; i++) {
+                result[i] = value1[i] + (value2[i] - value1[i]) * t;
+            }
+
+            return result;
+        },
+
+        _getJSON: function () {
+
+            var json = {
+                property: this._property,
+                keys: this._keys,
+                easing: this._easing
+            };
+
+            if (this._target) {
+                json.target = this._target.id;
+            }
+
+            return json;
+        },
+
+        _destroy: function () {
+            this.target = null;
+        }
+    });
+
+})();
@@ -4,7 +4,19 @@
  ## Overview
 
  <ul>
- <li>A CameraFlight animates the {{#crossLink "Lookat"}}{{/crossLink}} attached to the {{#crossLink "Camera"}}{{/crossLink}}.
+ <li>A CameraFlight animates the {{#crossLink "Lookat"}}{{/crossLink}} attached to the {{#crossLink "Camera"}}{{/crossLink}}.</li>
+ <li>A flight target can be one or more components that have World-space boundaries, such as
+ {{#crossLink "GameObject"}}GameObjects{{/crossLink}} or {{#crossLink "GroupBoundary"}}GroupBoundaries{{/crossLink}}, a World-space
+ AABB, or an explicit eye/look/up position.</li>
+ <li>When flying to components or an AABB, the {{#crossLink "Camera"}}{{/crossLink}} keeps its current up vector and
+ viewing direction, and stops when the target fills most of the canvas. When the {{#crossLink "Camera"}}{{/crossLink}} has
+ an {{#crossLink "Ortho"}}{{/crossLink}} projection, the CameraFlight fits the target by adjusting the
+ {{#crossLink "Ortho"}}{{/crossLink}}'s extents instead of the distance to the target.</li>
+ <li>By default, the {{#crossLink "Camera"}}{{/crossLink}} flies in a straight line. Give an ````arc```` to
+ swing the eye away from the target as it flies, or ````waypoints```` to fly along a smooth Catmull-Rom path
+ through them.</li>
+ <li>The {{#crossLink "CameraFlight/easing:property"}}{{/crossLink}} property selects an easing curve
+ from {{#crossLink "easing"}}{{/crossLink}}, which you can override for each flight.</li>
  </ul>
 
  ## Example
@@ -17,7 +29,8 @@
  var object = new XEO.GameObject(scene);
 
  var animation = new XEO.CameraFlight(scene, {
-    camera: camera
+    camera: camera,
+    easing: "cubicInOut"
  });
 
  animation.flyTo({
@@ -27,6 +40,23 @@
  }, function() {
     // Arrived
  });
+
+ // Fly along a path through a couple of waypoints
+
+ animation.flyTo({
+    waypoints: [
+        { eye: [-10, 5, 0], look: [0, 0, 0] },
+        { eye: [0, 5, 10] }
+    ],
+    eye: [10, 0, 0],
+    look: [0, 0, 0]
+ });
+
+ // Fit several GameObjects into view
+
+ animation.flyTo({
+    component: [object, "myOtherObject"]
+ });
  ````
 
  @class CameraFlight
@@ -40,6 +70,8 @@
  @param [cfg.camera] {String|Camera} ID or instance of a {{#crossLink "Camera"}}Camera{{/crossLink}} to control.
  Must be within the same {{#crossLink "Scene"}}Scene{{/crossLink}} as this CameraFlight. Defaults to the
  parent {{#crossLink "Scene"}}Scene{{/crossLink}}'s default instance, {{#crossLink "Scene/camera:property"}}camera{{/crossLink}}.
+ @param [cfg.duration=0.5] {Number} Flight duration, in seconds.
+ @param [cfg.easing="quadraticOut"] {String} Name of the easing curve in {{#crossLink "easing"}}{{/crossLink}}.
  @extends Component
  */
 (function () {
@@ -67,29 +99,39 @@
             this._eye2 = XEO.math.vec3();
             this._up2 = XEO.math.vec3();
 
+            // Paths through waypoints, null for straight flights
+
+            this._eyePath = null;
+            this._lookPath = null;
+
+            // Ortho extents as [left, right, bottom, top],
+            // null when not fitting an Ortho
+
+            this._ortho1 = null;
+            this._ortho2 = null;
+
             this._vec = XEO.math.vec3();
 
             this._dist = 0;
 
-            this._flying = false;
+            this._arc = 0;
 
-            this._ok = null;
+            this._flightEasing = null;
 
-            this._onTick = null;
+            this._flying = false;
 
-            this._camera = cfg.camera;
+            this._ok = null;
 
-            this._tempVec = XEO.math.vec3();
+            this._tick = null;
 
-            this._eyeVec = XEO.math.vec3();
-            this._lookVec = XEO.math.vec3();
+            this._camera = null;
 
             this._stopFOV = 55;
 
             this._time1 = null;
             this._time2 = null;
 
-            this.easing = cfg.easing !== false;
+            this.easing = cfg.easing;
 
             this.duration = cfg.duration || 0.5;
 
@@ -104,16 +146,24 @@
          *     and stop when the target fills most of the canvas.</li>
          *     <li>When the target is an explicit {{#crossLink "Camera"}}{{/crossLink}} position, given as ````eye````, ````look```` and ````up````
          *      vectors, then this CameraFlight will interpolate the {{#crossLink "Camera"}}{{/crossLink}} to that target and stop there.</li>
+         * </ul>
          * @method flyTo
          * @param params  {*} Flight parameters
          * @param[params.arc=0]  {Number} Factor in range [0..1] indicating how much the
          * {{#crossLink "Camera/eye:property"}}Camera's eye{{/crossLink}} position will
          * swing away from its {{#crossLink "Camera/eye:property"}}look{{/crossLink}} position as it flies to the target.
-         * @param [params.component] {String|Component} ID or instance of a component to fly to.
+         * @param [params.component] {String|Component|Array} ID or instance of a component to fly to, or an array of them
+         * to fit all of them into view. Each component must have a ````worldBoundary````, like a {{#crossLink "GameObject"}}{{/crossLink}}
+         * or a {{#crossLink "GroupBoundary"}}{{/crossLink}}.
          * @param [params.aabb] {*}  World-space axis-aligned bounding box (AABB) target to fly to.
          * @param [params.eye] {Array of Number} Position to fly the eye position to.
          * @param [params.look] {Array of Number} Position to fly the look position to.
          * @param [params.up] {Array of Number} Position to fly the up vector to.
+         * @param [params.waypoints] {Array of Object} Positions to fly through on the way to the target, each
+         * of the form ````{ eye: Array, look: Array }````. The look position follows a path through the waypoints only when
+         * every waypoint has one, and otherwise moves in a straight line.
+         * @param [params.easing] {String} Name of the easing curve in {{#crossLink "easing"}}{{/crossLink}} to use for
+         * this flight, overriding {{#crossLink "CameraFlight/easing:property"}}{{/crossLink}}.
          * @param [ok] {Function} Callback fired on arrival
          */
         flyTo: function (params, ok) {
@@ -122,21 +172,39 @@
                 this.stop();
             }
 
+            var math = XEO.math;
+
             this._ok = ok;
 
-            this._arc = params.arc === undefined ? 0.0 : params.arc;
+            this._arc = params.arc === undefined ? 0.0 : Math.max(0, Math.min(1, params.arc));
+
+            this._flightEasing = this._easing;
+
+            if (params.easing) {
+
+                if (XEO.easing[params.easing]) {
+                    this._flightEasing = params.easing;
 
-            var lookat = this.camera.view;
+                } else {
+                    this.error("Unsupported value for 'easing': " + XEO._inQuotes(params.easing) + " - ignoring");
+                }
+            }
+
+            var lookat = this._camera.view;
+            var project = this._camera.project;
 
             // Set up initial camera state
 
-            this._look1 = lookat.look;
-            this._eye1 = lookat.eye;
-            this._up1 = lookat.up;
+            this._look1 = lookat.look.slice(0, 3);
+            this._eye1 = lookat.eye.slice(0, 3);
+            this._up1 = lookat.up.slice(0, 3);
+
+            this._ortho1 = null;
+            this._ortho2 = null;
 
             // Get normalized eye->look vector
 
-            this._vec = XEO.math.normalizeVec3(XEO.math.subVec3(this._eye1, this._look1, []));
+            this._vec = math.normalizeVec3(math.subVec3(this._eye1, this._look1, []));
 
             // Back-off factor in range of [0..1], when 0 is close, 1 is far
 
@@ -158,40 +226,20 @@
 
                 if (component) {
 
-                    if (XEO._isNumeric(component) || XEO._isString(component)) {
+                    aabb = this._getAABB(component);
 
-                        var componentId = component;
-
-                        component = this.scene.components[componentId];
-
-                        if (!component) {
-                            this.error("Component not found: " + XEO._inQuotes(componentId));
-                            return;
-                        }
-                    }
-
-                    var worldBoundary = component.worldBoundary;
-
-                    if (!worldBoundary) {
-                        this.error("Can't fly to component " + XEO._inQuotes(componentId) + " - does not have a worldBoundary");
+                    if (!aabb) {
                         return;
                     }
-
-                    aabb = worldBoundary.aabb;
                 }
 
-                if (aabb.xmax <= aabb.xmin || aabb.ymax <= aabb.ymin || aabb.zmax <= aabb.zmin) {
+                var diag = math.getAABBDiag(aabb);
+
+                if (diag <= 0) {
                     return;
                 }
 
-                var dist = params.dist || 2.5;
-                var lenVec = Math.abs(XEO.math.lenVec3(this._vec));
-                var diag = XEO.math.getAABBDiag(aabb);
-                var len = Math.abs((diag / (1.0 + (backOff * 0.8))) / Math.tan(this._stopFOV / 2));  /// Tweak this to set final camera distance on arrival
-                var sca = (len / lenVec) * dist;
-
-                this._look2 = XEO.math.getAABBCenter(aabb);
-                this._look2 = [this._look2[0], this._look2[1], this._look2[2]];
+                this._look2 = math.getAABBCenter(aabb, []);
 
                 if (params.offset) {
 
@@ -200,34 +248,102 @@
                     this._look2[2] += params.offset[2];
                 }
 
-                this._eye2 = XEO.math.addVec3(this._look2, XEO.math.mulVec3Scalar(this._vec, sca, []));
-                this._up2 = XEO.math.vec3();
-                this._up2[1] = 1;
+                if (project.type === "XEO.Ortho") {
+
+                    // Fit the target by sizing the Ortho's extents, keeping its aspect
+                    // ratio, and back the eye off just far enough to be outside the target
+
+                    var width = project.right - project.left;
+                    var height = project.top - project.bottom;
+                    var aspect = (width > 0 && height > 0) ? width / height : 1;
+                    var halfHeight = (diag * 0.5) * (2 - backOff);
+
+                    if (aspect < 1) {
+                        halfHeight /= aspect;
+                    }
+
+                    this._ortho1 = [project.left, project.right, project.bottom, project.top];
+                    this._ortho2 = [-halfHeight * aspect, halfHeight * aspect, -halfHeight, halfHeight];
+
+                    var eyeDist = Math.max(math.lenVec3(math.subVec3(this._eye1, this._look1, [])), diag);
+
+                    this._eye2 = math.addVec3(this._look2, math.mulVec3Scalar(this._vec, eyeDist, []), []);
+
+                } else {
+
+                    var dist = params.dist || 2.5;
+                    var lenVec = Math.abs(math.lenVec3(this._vec));
+                    var len = Math.abs((diag / (1.0 + (backOff * 0.8))) / Math.tan(this._stopFOV / 2));  /// Tweak this to set final camera distance on arrival
+                    var sca = (len / lenVec) * dist;
+
+                    this._eye2 = math.addVec3(this._look2, math.mulVec3Scalar(this._vec, sca, []), []);
+                }
+
+                // Keep the current up vector, so that the
+                // Camera doesn't roll on its way to the target
+
+                this._up2 = this._up1.slice(0, 3);
 
             } else {
 
                 // Zooming to specific look and eye points
 
-                var lookat = params;
+                var look = params.look || this._look1;
+                var eye = params.eye || this._eye1;
+                var up = params.up || this._up1;
 
-                var look = params.look || this._camera.view.look;
-                var eye = params.eye || this._camera.view.eye;
-                var up = params.up || this._camera.view.up;
+                this._look2 = [look[0], look[1], look[2]];
+                this._eye2 = [eye[0], eye[1], eye[2]];
+                this._up2 = [up[0], up[1], up[2]];
+            }
 
-                this._look2[0] = look[0];
-                this._look2[1] = look[1];
-                this._look2[2] = look[2];
+            this._eyePath = null;
+            this._lookPath = null;
 
+            var waypoints = params.waypoints;
 
-                this._eye2[0] = eye[0];
-                this._eye2[1] = eye[1];
-                this._eye2[2] = eye[2];
+            if (waypoints && waypoints.length > 0) {
 
-                this._up2[0] = up[0];
-                this._up2[1] = up[1];
-                this._up2[2] = up[2];
+                var eyePath = [this._eye1];
+                var lookPath = [this._look1];
+                var waypoint;
+
+                for (var i = 0, len2 = waypoints.length; i < len2; i++) {
+
+                    waypoint = waypoints[i];
+
+                    if (!waypoint.eye) {
+                        this.error("Waypoint " + i + " has no 'eye' - ignoring");
+                        continue;
+                    }
+
+                    eyePath.push(waypoint.eye);
+
+                    if (lookPath && waypoint.look) {
+                        lookPath.push(waypoint.look);
+
+                    } else {
+                        lookPath = null;
+                    }
+                }
+
+                eyePath.push(this._eye2);
+
+                if (lookPath) {
+                    lookPath.push(this._look2);
+                }
+
+                if (eyePath.length > 2) {
+                    this._eyePath = eyePath;
+                    this._lookPath = (lookPath && lookPath.length > 2) ? lookPath : null;
+                }
             }
 
+            /**
+             * Fired whenever this CameraFlight begins a flight.
+             * @event started
+             * @param value The flight parameters given to {{#crossLink "CameraFlight/flyTo:method"}}{{/crossLink}}.
+             */
             this.fire("started", params, true);
 
             var self = this;
@@ -243,38 +359,141 @@
             this._flying = true;
         },
 
+        // Gets the collective World-space AABB of the given component(s)
+
+        _getAABB: function (components) {
+
+            components = XEO._isArray(components) ? components : [components];
+
+            var aabb = null;
+            var component;
+            var componentId;
+            var worldBoundary;
+
+            for (var i = 0, len = components.length; i < len; i++) {
+
+                component = components[i];
+
+                if (XEO._isNumeric(component) || XEO._isString(component)) {
+
+                    componentId = component;
+
+                    component = this.scene.components[componentId];
+
+                    if (!component) {
+                        this.error("Component not found: " + XEO._inQuotes(componentId));
+                        continue;
+                    }
+                }
+
+                worldBoundary = component.worldBoundary;
+
+                if (!worldBoundary) {
+                    this.error("Can't fly to component " + XEO._inQuotes(component.id) + " - does not have a worldBoundary");
+                    continue;
+                }
+
+                if (!aabb) {
+                    aabb = XEO._copy(worldBoundary.aabb);
+
+                } else {
+                    XEO.math.expandAABB3(aabb, worldBoundary.aabb);
+                }
+            }
+
+            return aabb;
+        },
+
         _update: function () {
 
             if (!this._flying) {
                 return;
             }
 
+            var math = XEO.math;
+
             var time = (new Date()).getTime();
 
-            var t = (time - this._time1) / (this._time2 - this._time1);
+            var t = (this._time2 > this._time1) ? (time - this._time1) / (this._time2 - this._time1) : 1;
 
-            if (t > 1) {
-                this.stop();
-                return;
+            var arrived = t >= 1;
+
+            if (arrived) {
+                t = 1;
             }
 
-            t = this.easing ? this._ease(t, 0, 1, 1) : t;
+            t = XEO.easing[this._flightEasing](t);
 
             var view = this._camera.view;
 
-            view.eye = XEO.math.lerpVec3(t, 0, 1, this._eye1, this._eye2, []);
-            view.look = XEO.math.lerpVec3(t, 0, 1, this._look1, this._look2, []);
-            view.up = XEO.math.lerpVec3(t, 0, 1, this._up1, this._up2, []);
+            var eye = this._eyePath ? this._pathVec3(t, this._eyePath) : math.lerpVec3(t, 0, 1, this._eye1, this._eye2, []);
+            var look = this._lookPath ? this._pathVec3(t, this._lookPath) : math.lerpVec3(t, 0, 1, this._look1, this._look2, []);
+
+            if (this._arc > 0) {
+
+                // Swing the eye away from the look position, most of
+                // all halfway through the flight, not at all at the ends
+
+                var swing = 1 + this._arc * Math.sin(Math.PI * t);
+
+                eye = math.addVec3(look, math.mulVec3Scalar(math.subVec3(eye, look, []), swing, []), []);
+            }
+
+            view.eye = eye;
+            view.look = look;
+
+            // Interpolate and renormalize the up vector, keeping the
+            // previous one where it passes through zero length
+
+            var up = math.lerpVec3(t, 0, 1, this._up1, this._up2, []);
+
+            if (math.lenVec3(up) > 0.0001) {
+                view.up = math.normalizeVec3(up, []);
+            }
+
+            if (this._ortho2) {
+
+                var project = this._camera.project;
+
+                if (project.type === "XEO.Ortho") {
+
+                    var ortho1 = this._ortho1;
+                    var ortho2 = this._ortho2;
+
+                    project.left = ortho1[0] + (ortho2[0] - ortho1[0]) * t;
+                    project.right = ortho1[1] + (ortho2[1] - ortho1[1]) * t;
+                    project.bottom = ortho1[2] + (ortho2[2] - ortho1[2]) * t;
+                    project.top = ortho1[3] + (ortho2[3] - ortho1[3]) * t;
+                }
+            }
+
+            if (arrived) {
+                this.stop();
+            }
         },
 
-        // Quadratic easing out - decelerating to zero velocity
-        // http://gizma.com/easing
+        // Gets the position at the given factor along a Catmull-Rom path,
+        // where each segment between points takes an equal share of the factor
 
-        _ease: function (t, b, c, d) {
-            t /= d;
-            return -c * t * (t - 2) + b;
+        _pathVec3: function (t, points) {
+
+            var numSegments = points.length - 1;
+            var s = t * numSegments;
+            var i = Math.max(0, Math.min(Math.floor(s), numSegments - 1));
+
+            return XEO.math.catmullRomVec3(s - i,
+                points[Math.max(i - 1, 0)],
+                points[i],
+                points[i + 1],
+                points[Math.min(i + 2, numSegments)],
+                []);
         },
 
+        /**
+         * Stops an earlier flyTo, firing its callback.
+         *
+         * @method stop
+         */
         stop: function () {
 
             if (!this._flying) {
@@ -288,6 +507,11 @@
             this._time1 = null;
             this._time2 = null;
 
+            /**
+             * Fired whenever this CameraFlight stops a flight, either on arrival or
+             * when {{#crossLink "CameraFlight/stop:method"}}{{/crossLink}} is called.
+             * @event stopped
+             */
             this.fire("stopped", true, true);
 
             var ok = this._ok;
@@ -300,6 +524,15 @@
 
         _props: {
 
+            /**
+             * The {{#crossLink "Camera"}}{{/crossLink}} flown by this CameraFlight.
+             *
+             * Defaults to the parent {{#crossLink "Scene"}}Scene{{/crossLink}}'s default
+             * instance, {{#crossLink "Scene/camera:property"}}camera{{/crossLink}}.
+             *
+             * @property camera
+             * @type Camera
+             */
             camera: {
 
                 set: function (value) {
@@ -316,7 +549,7 @@
                             this.error("Component " + XEO._inQuotes(camera.id) + " is not a XEO.Camera");
                             return;
                         }
-                        this._camera = value || this.scene.camera;
+                        this._camera = camera;
                     }
                     this.stop();
                 },
@@ -326,6 +559,13 @@
                 }
             },
 
+            /**
+             * Flight duration, in seconds.
+             *
+             * @property duration
+             * @default 0.5
+             * @type Number
+             */
             duration: {
 
                 set: function (value) {
@@ -336,15 +576,59 @@
                 get: function () {
                     return this._duration * 0.001;
                 }
+            },
+
+            /**
+             * Name of the easing curve in {{#crossLink "easing"}}{{/crossLink}} for flights.
+             *
+             * For backwards compatibility, *true* selects "quadraticOut" and *false* selects "linear".
+             *
+             * Fires an {{#crossLink "CameraFlight/easing:event"}}{{/crossLink}} event on change.
+             *
+             * @property easing
+             * @default "quadraticOut"
+             * @type String
+             */
+            easing: {
+
+                set: function (value) {
+
+                    if (value === undefined || value === null || value === true) {
+                        value = "quadraticOut";
+
+                    } else if (value === false) {
+                        value = "linear";
+                    }
+
+                    if (!XEO.easing[value]) {
+                        this.error("Unsupported value for 'easing': " + XEO._inQuotes(value) +
+                            " - defaulting to 'quadraticOut'");
+                        value = "quadraticOut";
+                    }
+
+                    /**
+                     * Fired whenever this CameraFlight's {{#crossLink "CameraFlight/easing:property"}}{{/crossLink}} property changes.
+                     * @event easing
+                     * @param value The property's new value
+                     */
+                    this.fire("easing", this._easing = value);
+                },
+
+                get: function () {
+                    return this._easing;
+                }
             }
         },
 
         _getJSON: function () {
 
-            var json = {};
+            var json = {
+                duration: this._duration * 0.001,
+                easing: this._easing
+            };
 
-            if (this._children.camera) {
-                json.camera = this._children.camera.id;
+            if (this._camera) {
+                json.camera = this._camera.id;
             }
 
             return json;
@@ -0,0 +1,353 @@
+(function () {
+
+    "use strict";
+
+    /**
+     * This utility object provides easing curves for {{#crossLink "Animation"}}Animations{{/crossLink}}.
+     *
+     * Each curve is a function that takes a fraction of elapsed time in the range ````[0..1]```` and returns
+     * the corresponding fraction of change, which is ````0```` at the start and ````1```` at the end, but which
+     * may overshoot that range in between, as with the ````back````, ````elastic```` curves.
+     *
+     * Curves are referred to by name, such as ````"quadraticInOut"````, wherever they're configured on
+     * components, and you may add your own curves to this object, under names of your choosing.
+     *
+     * Each curve type has three variants:
+     *
+     * <ul>
+     * <li>*In* - accelerating from zero velocity,</li>
+     * <li>*Out* - decelerating to zero velocity, and</li>
+     * <li>*InOut* - accelerating until halfway, then decelerating.</li>
+     * </ul>
+     *
+     * The curves are based on those by Robert Penner.
+     *
+     * ## Example
+     *
+     * ````javascript
+     * var t = XEO.easing.cubicInOut(0.25); // 0.0625
+     * ````
+     *
+     * @module XEO
+     * @submodule animation
+     * @class easing
+     * @static
+     */
+    XEO.easing = {
+
+        /**
+         * No easing, no acceleration.
+         * @method linear
+         * @param {Number} t Fraction of elapsed time, in range [0..1].
+         * @returns {Number} Fraction of change.
+         */
+        linear: function (t) {
+            return t;
+        },
+
+        /**
+         * @method quadraticIn
+         * @param {Number} t Fraction of elapsed time, in range [0..1].
+         * @returns {Number} Fraction of change.
+         */
+        quadraticIn: function (t) {
+            return t * t;
+        },
+
+        /**
+         * @method quadraticOut
+         * @param {Number} t Fraction of elapsed time, in range [0..1].
+         * @returns {Number} Fraction of change.
+         */
+        quadraticOut: function (t) {
+            return t * (2 - t);
+        },
+
+        /**
+         * @method quadraticInOut
+         * @param {Number} t Fraction of elapsed time, in range [0..1].
+         * @returns {Number} Fraction of change.
+         */
+        quadraticInOut: function (t) {
+            return t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t;
+        },
+
+        /**
+         * @method cubicIn
+         * @param {Number} t Fraction of elapsed time, in range [0..1].
+         * @returns {Number} Fraction of change.
+         */
+        cubicIn: function (t) {
+            return t * t * t;
+        },
+
+        /**
+         * @method cubicOut
+         * @param {Number} t Fraction of elapsed time, in range [0..1].
+         * @returns {Number} Fraction of change.
+         */
+        cubicOut: function (t) {
+            t = t - 1;
+            return t * t * t + 1;
+        },
+
+        /**
+         * @method cubicInOut
+         * @param {Number} t Fraction of elapsed time, in range [0..1].
+         * @returns {Number} Fraction of change.
+         */
+        cubicInOut: function (t) {
+            return t < 0.5 ? 4 * t * t * t : (t - 1) * (2 * t - 2) * (2 * t - 2) + 1;
+        },
+
+        /**
+         * @method quarticIn
+         * @param {Number} t Fraction of elapsed time, in range [0..1].
+         * @returns {Number} Fraction of change.
+         */
+        quarticIn: function (t) {
+            return t * t * t * t;
+        },
+
+        /**
+         * @method quarticOut
+         * @param {Number} t Fraction of elapsed time, in range [0..1].
+         * @returns {Number} Fraction of change.
+         */
+        quarticOut: function (t) {
+            t = t - 1;
+            return 1 - t * t * t * t;
+        },
+
+        /**
+         * @method quarticInOut
+         * @param {Number} t Fraction of elapsed time, in range [0..1].
+         * @returns {Number} Fraction of change.
+         */
+        quarticInOut: function (t) {
+            if (t < 0.5) {
+                return 8 * t * t * t * t;
+            }
+            t = t - 1;
+            return 1 - 8 * t * t * t * t;
+        },
+
+        /**
+         * @method sineIn
+         * @param {Number} t Fraction of elapsed time, in range [0..1].
+         * @returns {Number} Fraction of change.
+         */
+        sineIn: function (t) {
+            return 1 - Math.cos(t * Math.PI / 2);
+        },
+
+        /**
+         * @method sineOut
+         * @param {Number} t Fraction of elapsed time, in range [0..1].
+         * @returns {Number} Fraction of change.
+         */
+        sineOut: function (t) {
+            return Math.sin(t * Math.PI / 2);
+        },
+
+        /**
+         * @method sineInOut
+         * @param {Number} t Fraction of elapsed time, in range [0..1].
+         * @returns {Number} Fraction of change.
+         */
+        sineInOut: function (t) {
+            return 0.5 * (1 - Math.cos(Math.PI * t));
+        },
+
+        /**
+         * @method exponentialIn
+         * @param {Number} t Fraction of elapsed time, in range [0..1].
+         * @returns {Number} Fraction of change.
+         */
+        exponentialIn: function (t) {
+            return t === 0 ? 0 : Math.pow(1024, t - 1);
+        },
+
+        /**
+         * @method exponentialOut
+         * @param {Number} t Fraction of elapsed time, in range [0..1].
+         * @returns {Number} Fraction of change.
+         */
+        exponentialOut: function (t) {
+            return t === 1 ? 1 : 1 - Math.pow(2, -10 * t);
+        },
+
+        /**
+         * @method exponentialInOut
+         * @param {Number} t Fraction of elapsed time, in range [0..1].
+         * @returns {Number} Fraction of change.
+         */
+        exponentialInOut: function (t) {
+            if (t === 0 || t === 1) {
+                return t;
+            }
+            t = t * 2;
+            if (t < 1) {
+                return 0.5 * Math.pow(1024, t - 1);
+            }
+            return 0.5 * (2 - Math.pow(2, -10 * (t - 1)));
+        },
+
+        /**
+         * @method circularIn
+         * @param {Number} t Fraction of elapsed time, in range [0..1].
+         * @returns {Number} Fraction of change.
+         */
+        circularIn: function (t) {
+            return 1 - Math.sqrt(1 - t * t);
+        },
+
+        /**
+         * @method circularOut
+         * @param {Number} t Fraction of elapsed time, in range [0..1].
+         * @returns {Number} Fraction of change.
+         */
+        circularOut: function (t) {
+            t = t - 1;
+            return Math.sqrt(1 - t * t);
+        },
+
+        /**
+         * @method circularInOut
+         * @param {Number} t Fraction of elapsed time, in range [0..1].
+         * @returns {Number} Fraction of change.
+         */
+        circularInOut: function (t) {
+            t = t * 2;
+            if (t < 1) {
+                return -0.5 * (Math.sqrt(1 - t * t) - 1);
+            }
+            t = t - 2;
+            return 0.5 * (Math.sqrt(1 - t * t) + 1);
+        },
+
+        /**
+         * Backs up a little before moving, overshooting below zero.
+         * @method backIn
+         * @param {Number} t Fraction of elapsed time, in range [0..1].
+         * @returns {Number} Fraction of change.
+         */
+        backIn: function (t) {
+            var s = 1.70158;
+            return t * t * ((s + 1) * t - s);
+        },
+
+        /**
+         * Overshoots above one a little before settling.
+         * @method backOut
+         * @param {Number} t Fraction of elapsed time, in range [0..1].
+         * @returns {Number} Fraction of change.
+         */
+        backOut: function (t) {
+            var s = 1.70158;
+            t = t - 1;
+            return t * t * ((s + 1) * t + s) + 1;
+        },
+
+        /**
+         * @method backInOut
+         * @param {Number} t Fraction of elapsed time, in range [0..1].
+         * @returns {Number} Fraction of change.
+         */
+        backInOut: function (t) {
+            var s = 1.70158 * 1.525;
+            t = t * 2;
+            if (t < 1) {
+                return 0.5 * (t * t * ((s + 1) * t - s));
+            }
+            t = t - 2;
+            return 0.5 * (t * t * ((s + 1) * t + s) + 2);
+        },
+
+        /**
+         * Oscillates with growing amplitude, overshooting below zero.
+         * @method elasticIn
+         * @param {Number} t Fraction of elapsed time, in range [0..1].
+         * @returns {Number} Fraction of change.
+         */
+        elasticIn: function (t) {
+            if (t === 0 || t === 1) {
+                return t;
+            }
+            return -Math.pow(2, 10 * (t - 1)) * Math.sin((t - 1.1) * 5 * Math.PI);
+        },
+
+        /**
+         * Oscillates with shrinking amplitude, overshooting above one.
+         * @method elasticOut
+         * @param {Number} t Fraction of elapsed time, in range [0..1].
+         * @returns {Number} Fraction of change.
+         */
+        elasticOut: function (t) {
+            if (t === 0 || t === 1) {
+                return t;
+            }
+            return Math.pow(2, -10 * t) * Math.sin((t - 0.1) * 5 * Math.PI) + 1;
+        },
+
+        /**
+         * @method elasticInOut
+         * @param {Number} t Fraction of elapsed time, in range [0..1].
+         * @returns {Number} Fraction of change.
+         */
+        elasticInOut: function (t) {
+            if (t === 0 || t === 1) {
+                return t;
+            }
+            t = t * 2;
+            if (t < 1) {
+                return -0.5 * Math.pow(2, 10 * (t - 1)) * Math.sin((t - 1.1) * 5 * Math.PI);
+            }
+            return 0.5 * Math.pow(2, -10 * (t - 1)) * Math.sin((t - 1.1) * 5 * Math.PI) + 1;
+        },
+
+        /**
+         * @method bounceIn
+         * @param {Number} t Fraction of elapsed time, in range [0..1].
+         * @returns {Number} Fraction of change.
+         */
+        bounceIn: function (t) {
+            return 1 - XEO.easing.bounceOut(1 - t);
+        },
+
+        /**
+         * Bounces to a stop, like a dropped ball.
+         * @method bounceOut
+         * @param {Number} t Fraction of elapsed time, in range [0..1].
+         * @returns {Number} Fraction of change.
+         */
+        bounceOut: function (t) {
+            if (t < (1 / 2.75)) {
+                return 7.5625 * t * t;
+            }
+            if (t < (2 / 2.75)) {
+                t = t - (1.5 / 2.75);
+                return 7.5625 * t * t + 0.75;
+            }
+            if (t < (2.5 / 2.75)) {
+                t = t - (2.25 / 2.75);
+                return 7.5625 * t * t + 0.9375;
+            }
+            t = t - (2.625 / 2.75);
+            return 7.5625 * t * t + 0.984375;
+        },
+
+        /**
+         * @method bounceInOut
+         * @param {Number} t Fraction of elapsed time, in range [0..1].
+         * @returns {Number} Fraction of change.
+         */
+        bounceInOut: function (t) {
+            if (t < 0.5) {
+                return XEO.easing.bounceIn(t * 2) * 0.5;
+            }
+            return XEO.easing.bounceOut(t * 2 - 1) * 0.5 + 0.5;
+        }
+    };
+
+})();
@@ -9,9 +9,65 @@
 
      <img src="../../../assets/images/MorphTargets.png"></img>
 
+     ## Overview
+
+     <ul>
+     <li>A MorphTargets is a sequence of keyframes, each of which is a complete set of vertex positions, and optionally
+     normals, for the {{#crossLink "Geometry"}}Geometry{{/crossLink}} of each attached {{#crossLink "GameObject"}}{{/crossLink}}.</li>
+     <li>Each target must have the same number of vertices as the {{#crossLink "Geometry"}}Geometry{{/crossLink}}, which
+     still provides the {{#crossLink "Geometry/indices:property"}}{{/crossLink}}, {{#crossLink "Geometry/uv:property"}}{{/crossLink}}
+     and {{#crossLink "Geometry/colors:property"}}{{/crossLink}}.</li>
+     <li>The {{#crossLink "MorphTargets/factor:property"}}{{/crossLink}} selects a position within the sequence, where
+     the whole part selects a pair of adjacent targets and the fractional part linearly interpolates between them. For
+     example, a factor of 1.25 morphs a quarter of the way from the second target to the third.</li>
+     <li>Morphing is done on the GPU, and is also applied when {{#crossLink "Scene/pick:method"}}picking{{/crossLink}},
+     so that picking hits the morphed shape.</li>
+     <li>See <a href="Shader.html#inputs">Shader Inputs</a> for the variables that MorphTargets create within xeoEngine's shaders.</li>
+     </ul>
+
      ## Example
 
-     TODO
+     ```` javascript
+     var scene = new XEO.Scene();
+
+     // A single triangle
+
+     var geometry = new XEO.Geometry(scene, {
+        primitive: "triangles",
+        positions: [0, 0, 0, 1, 0, 0, 0, 1, 0],
+        normals: [0, 0, 1, 0, 0, 1, 0, 0, 1],
+        indices: [0, 1, 2]
+     });
+
+     // Two keyframes for the triangle
+
+     var morphTargets = new XEO.MorphTargets(scene, {
+        targets: [
+            {
+                positions: [0, 0, 0, 1, 0, 0, 0, 1, 0],
+                normals: [0, 0, 1, 0, 0, 1, 0, 0, 1]
+            },
+            {
+                positions: [0, 0, 0, 2, 0, 0, 0, 2, 1],
+                normals: [0, -0.4, 0.9, 0, -0.4, 0.9, 0, -0.4, 0.9]
+            }
+        ],
+        factor: 0
+     });
+
+     var object = new XEO.GameObject(scene, {
+        geometry: geometry,
+        morphTargets: morphTargets
+     });
+
+     // Animate the morph back and forth between the keyframes
+
+     var t = 0;
+
+     scene.on("tick", function () {
+        morphTargets.factor = (Math.sin(t += 0.02) + 1) * 0.5;
+     });
+     ````
 
      @class MorphTargets
      @module XEO
@@ -22,7 +78,7 @@
      @param [cfg] {*} Configs
      @param [cfg.id] {String} Optional ID, unique among all components in the parent scene, generated automatically when omitted.
      @param [cfg.meta] {String:Object} Optional map of user-defined metadata to attach to this MorphTarget.
-     @param [cfg.targets=[]] {Array} The morph targets.
+     @param [cfg.targets=[]] {Array} The morph targets, each an object with a **positions** array and an optional **normals** array.
      @param [cfg.factor=0] {Number} The morph factor.
      @extends Component
      */
@@ -32,22 +88,98 @@
 
         _init: function (cfg) {
 
-            this.scene.on("webglContextRestored",
-                function () {
+            this._state = new XEO.renderer.MorphTargets({
+                targets: [], // Each target has 'positions' and 'normals' VBOs
+                factor: 0,
+                hash: ""
+            });
 
-                });
+            this._targets = [];
+
+            this._dirty = false;
 
             this.targets = cfg.targets;
             this.factor = cfg.factor;
+
+            var self = this;
+
+            this._webglContextRestored = this.scene.canvas.on(
+                "webglContextRestored",
+                function () {
+                    self._scheduleBuild();
+                });
+        },
+
+        _scheduleBuild: function () {
+
+            if (!this._dirty) {
+
+                this._dirty = true;
+                var self = this;
+
+                this.scene.once("tick",
+                    function () {
+                        if (self._dirty) {
+                            self._build();
+                        }
+                    });
+            }
+        },
+
+        _build: function () {
+
+            var gl = this.scene.canvas.gl;
+            var usage = gl.STATIC_DRAW;
+
+            this._destroyBuffers();
+
+            var targets = this._targets;
+            var target;
+
+            for (var i = 0, len = targets.length; i < len; i++) {
+
+                target = targets[i];
+
+                this._state.targets.push({
+                    positions: target.positions ? new XEO.renderer.webgl.ArrayBuffer(gl, gl.ARRAY_BUFFER, new Float32Array(target.positions), target.positions.length, 3, usage) : null,
+                    normals: target.normals ? new XEO.renderer.webgl.ArrayBuffer(gl, gl.ARRAY_BUFFER, new Float32Array(target.normals), target.normals.length, 3, usage) : null
+                });
+            }
+
+            this._dirty = false;
         },
 
+        _destroyBuffers: function () {
+
+            var targets = this._state.targets;
+            var target;
+
+            for (var i = 0, len = targets.length; i < len; i++) {
+
+                target = targets[i];
+
+                if (target.positions) {
+                    target.positions.destroy();
+                }
+
+                if (target.normals) {
+                    target.normals.destroy();
+                }
+            }
+
+            targets.length = 0;
+        },
 
         _props: {
 
             /**
              * The morph targets.
              *
-             *TODO
+             * Each target is an object with a **positions** array and an optional **normals** array, which must
+             * each have the same number of elements as the corresponding arrays on attached {{#crossLink "Geometry"}}Geometries{{/crossLink}}.
+             * Normals are only morphed when every target has them.
+             *
+             * Fires a {{#crossLink "MorphTargets/targets:event"}}{{/crossLink}} event on change.
              *
              * @property targets
              * @default []
@@ -57,20 +189,75 @@
 
                 set: function (value) {
 
+                    value = value || [];
+
+                    var normals = value.length > 0;
+                    var numPositions;
+                    var target;
+
+                    for (var i = 0, len = value.length; i < len; i++) {
+
+                        target = value[i];
+
+                        if (!target.positions) {
+                            this.error("Morph target " + i + " has no positions - ignoring targets");
+                            value = [];
+                            normals = false;
+                            break;
+                        }
+
+                        if (numPositions === undefined) {
+                            numPositions = target.positions.length;
+
+                        } else if (target.positions.length !== numPositions) {
+                            this.error("Morph target " + i + " has a different number of positions than the first target - ignoring targets");
+                            value = [];
+                            normals = false;
+                            break;
+                        }
+
+                        if (!target.normals) {
+                            normals = false;
+                        }
+                    }
+
+                    this._targets = value;
+
+                    this._state.normals = normals;
+
+                    // Shader needs rebuild when the target configuration changes
+
+                    var hash = value.length > 0 ? (normals ? "/mn" : "/m") : "";
+
+                    if (hash !== this._state.hash) {
+                        this._state.hash = hash;
+                        this.fire("dirty", true);
+                    }
+
+                    this._scheduleBuild();
+
+                    this._renderer.imageDirty = true;
+
                     /**
                      * Fired whenever this MorphTarget's  {{#crossLink "MorphTargets/targets:property"}}{{/crossLink}} property changes.
                      * @event targets
                      * @param value The property's new value
                      */
+                    this.fire("targets", this._targets);
                 },
 
                 get: function () {
-
+                    return this._targets;
                 }
             },
 
             /**
-             * The morph factor
+             * The morph factor.
+             *
+             * This is a position within the range [0..N-1], where N is the number of
+             * {{#crossLink "MorphTargets/targets:property"}}{{/crossLink}}. Values outside that range are clamped.
+             *
+             * Fires a {{#crossLink "MorphTargets/factor:event"}}{{/crossLink}} event on change.
              *
              * @property factor
              * @default 0
@@ -80,22 +267,31 @@
 
                 set: function (value) {
 
+                    this._state.factor = value || 0;
+
+                    this._renderer.imageDirty = true;
+
                     /**
                      * Fired whenever this MorphTarget's  {{#crossLink "MorphTargets/factor:property"}}{{/crossLink}} property changes.
                      * @event factor
                      * @param value The property's new value
                      */
+                    this.fire("factor", this._state.factor);
                 },
 
                 get: function () {
-                    return 0;
                     return this._state.factor;
                 }
-            },
+            }
+        },
 
-            _compile: function () {
-                this._renderer.MorphTargets = this._state;
+        _compile: function () {
+
+            if (this._dirty) {
+                this._build();
             }
+
+            this._renderer.morphTargets = this._state;
         },
 
         /**
@@ -106,12 +302,19 @@
 
         _getJSON: function () {
             return {
-                targets: this.targets,
-                factor: this.factor
+                targets: this._targets,
+                factor: this._state.factor
             };
+        },
+
+        _destroy: function () {
+
+            this.scene.canvas.off(this._webglContextRestored);
+
+            this._destroyBuffers();
+
+            this._state.destroy();
         }
     });
 
 })();
-
-
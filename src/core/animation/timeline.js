@@ -0,0 +1,579 @@
+/**
+ A **Timeline** plays a set of {{#crossLink "Animation"}}Animations{{/crossLink}} together on a shared clock.
+
+ ## Overview
+
+ <ul>
+ <li>While playing, a Timeline advances its {{#crossLink "Timeline/time:property"}}{{/crossLink}} on each
+ {{#crossLink "Scene/tick:event"}}Scene tick{{/crossLink}} and updates each of its
+ {{#crossLink "Animation"}}Animations{{/crossLink}} to that time.</li>
+ <li>A Timeline's {{#crossLink "Timeline/duration:property"}}{{/crossLink}} is the time of the last keyframe
+ in any of its {{#crossLink "Animation"}}Animations{{/crossLink}}.</li>
+ <li>The {{#crossLink "Timeline/loop:property"}}{{/crossLink}} property selects whether the Timeline stops at the
+ end, repeats from the start, or plays back and forth between the start and the end.</li>
+ <li>The {{#crossLink "Timeline/speed:property"}}{{/crossLink}} property scales the rate of playback, which runs
+ backwards when negative.</li>
+ <li>Set the {{#crossLink "Timeline/time:property"}}{{/crossLink}} property, or call
+ {{#crossLink "Timeline/seek:method"}}{{/crossLink}}, to jump to a given time, whether or not the Timeline is playing.</li>
+ <li>A Timeline fires a {{#crossLink "Timeline/started:event"}}{{/crossLink}} event whenever it begins playing, and a
+ {{#crossLink "Timeline/completed:event"}}{{/crossLink}} event whenever it stops at the end
+ of playback, which only happens when {{#crossLink "Timeline/loop:property"}}{{/crossLink}} is "none".</li>
+ </ul>
+
+ ## Example
+
+ ````javascript
+ var scene = new XEO.Scene();
+
+ var translate = new XEO.Translate(scene, {
+    xyz: [0, 0, 0]
+ });
+
+ var material = new XEO.PhongMaterial(scene, {
+    diffuse: [1, 0, 0]
+ });
+
+ var object = new XEO.GameObject(scene, {
+    transform: translate,
+    material: material
+ });
+
+ // Bounce the GameObject up and down while it fades from red to blue and back
+
+ var timeline = new XEO.Timeline(scene, {
+    loop: "pingPong",
+    speed: 0.5,
+    animations: [
+
+        new XEO.Animation(scene, {
+            target: translate,
+            property: "xyz",
+            keys: [
+                { time: 0, value: [0, 0, 0], easing: "bounceOut" },
+                { time: 1, value: [0, 5, 0] }
+            ]
+        }),
+
+        new XEO.Animation(scene, {
+            target: material,
+            property: "diffuse",
+            keys: [
+                { time: 0, value: [1, 0, 0] },
+                { time: 1, value: [0, 0, 1] }
+            ]
+        })
+    ]
+ });
+
+ timeline.on("started", function() {
+    //...
+ });
+
+ timeline.play();
+ ````
+
+ @class Timeline
+ @module XEO
+ @submodule animation
+ @constructor
+ @param [scene] {Scene} Parent {{#crossLink "Scene"}}Scene{{/crossLink}}.
+ @param [cfg] {*} Configs
+ @param [cfg.id] {String} Optional ID, unique among all components in the parent {{#crossLink "Scene"}}Scene{{/crossLink}}, generated automatically when omitted.
+ @param [cfg.meta] {String:Object} Optional map of user-defined metadata to attach to this Timeline.
+ @param [cfg.animations=[]] {Array of String|Animation} IDs or instances of {{#crossLink "Animation"}}Animations{{/crossLink}} to play.
+ @param [cfg.loop="none"] {String} Either "none", "repeat" or "pingPong".
+ @param [cfg.speed=1] {Number} Playback speed factor.
+ @param [cfg.time] {Number} Time in seconds to initially seek to.
+ @param [cfg.playing=false] {Boolean} Whether to begin playing immediately.
+ @extends Component
+ */
+(function () {
+
+    "use strict";
+
+    XEO.Timeline = XEO.Component.extend({
+
+        /**
+         JavaScript class name for this Component.
+
+         @property type
+         @type String
+         @final
+         */
+        type: "XEO.Timeline",
+
+        _init: function (cfg) {
+
+            this._animations = [];
+
+            // Subscriptions to "destroyed" events from Animations
+            this._destroyedSubs = [];
+
+            this._time = 0;
+
+            // Direction of playback, which reverses at each end when ping-ponging
+            this._direction = 1;
+
+            this._playing = false;
+
+            this._onTick = null;
+
+            this.animations = cfg.animations;
+            this.loop = cfg.loop;
+            this.speed = cfg.speed;
+
+            if (cfg.time !== undefined) {
+                this.time = cfg.time;
+            }
+
+            this.playing = cfg.playing;
+        },
+
+        _props: {
+
+            /**
+             * The {{#crossLink "Animation"}}Animations{{/crossLink}} played by this Timeline.
+             *
+             * Fires an {{#crossLink "Timeline/animations:event"}}{{/crossLink}} event on change.
+             *
+             * @property animations
+             * @default []
+             * @type Array of Animation
+             */
+            animations: {
+
+                set: function (value) {
+
+                    value = value || [];
+
+                    var animation;
+
+                    // Unsubscribe from events on old Animations
+
+                    for (var i = 0, len = this._animations.length; i < len; i++) {
+                        this._animations[i].off(this._destroyedSubs[i]);
+                    }
+
+                    this._animations = [];
+                    this._destroyedSubs = [];
+
+                    var self = this;
+
+                    function animationDestroyed() {
+
+                        var id = this.id; // Animation ID
+
+                        for (var i = 0, len = self._animations.length; i < len; i++) {
+
+                            if (self._animations[i].id === id) {
+
+                                self._animations.splice(i, 1);
+                                self._destroyedSubs.splice(i, 1);
+
+                                self.fire("animations", self._animations);
+
+                                return;
+                            }
+                        }
+                    }
+
+                    for (var i = 0, len = value.length; i < len; i++) {
+
+                        animation = value[i];
+
+                        if (XEO._isNumeric(animation) || XEO._isString(animation)) {
+
+                            // ID given for Animation - find the Animation component
+
+                            var id = animation;
+
+                            animation = this.scene.components[id];
+
+                            if (!animation) {
+                                this.error("Component not found: " + XEO._inQuotes(id));
+                                continue;
+                            }
+                        }
+
+                        if (animation.type !== "XEO.Animation") {
+                            this.error("Component " + XEO._inQuotes(animation.id) + " is not a XEO.Animation");
+                            continue;
+                        }
+
+                        this._animations.push(animation);
+
+                        this._destroyedSubs.push(animation.on("destroyed", animationDestroyed));
+                    }
+
+                    /**
+                     * Fired whenever this Timeline's {{#crossLink "Timeline/animations:property"}}{{/crossLink}} property changes.
+                     * @event animations
+                     * @param value The property's new value
+                     */
+                    this.fire("animations", this._animations);
+                },
+
+                get: function () {
+                    return this._animations.slice(0, this._animations.length);
+                }
+            },
+
+            /**
+             * How this Timeline behaves when it reaches the end of playback.
+             *
+             * Supported values are:
+             *
+             * <ul>
+             * <li>"none" - stop at the end, firing a {{#crossLink "Timeline/completed:event"}}{{/crossLink}} event,</li>
+             * <li>"repeat" - wrap around to the start and keep playing, or</li>
+             * <li>"pingPong" - reverse direction at each end and keep playing.</li>
+             * </ul>
+             *
+             * Fires a {{#crossLink "Timeline/loop:event"}}{{/crossLink}} event on change.
+             *
+             * @property loop
+             * @default "none"
+             * @type String
+             */
+            loop: {
+
+                set: function (value) {
+
+                    value = value || "none";
+
+                    if (value !== "none" && value !== "repeat" && value !== "pingPong") {
+                        this.error("Unsupported value for 'loop': " + XEO._inQuotes(value) +
+                            " - should be 'none', 'repeat' or 'pingPong'. Defaulting to 'none'.");
+                        value = "none";
+                    }
+
+                    this._direction = 1;
+
+                    /**
+                     * Fired whenever this Timeline's {{#crossLink "Timeline/loop:property"}}{{/crossLink}} property changes.
+                     * @event loop
+                     * @param value The property's new value
+                     */
+                    this.fire("loop", this._loop = value);
+                },
+
+                get: function () {
+                    return this._loop;
+                }
+            },
+
+            /**
+             * Factor by which this Timeline scales the rate of playback.
+             *
+             * A value of 2 plays twice as fast, 0.5 plays at half speed, and a negative value plays backwards.
+             *
+             * Fires a {{#crossLink "Timeline/speed:event"}}{{/crossLink}} event on change.
+             *
+             * @property speed
+             * @default 1
+             * @type Number
+             */
+            speed: {
+
+                set: function (value) {
+
+                    value = (value !== undefined && value !== null) ? value : 1;
+
+                    /**
+                     * Fired whenever this Timeline's {{#crossLink "Timeline/speed:property"}}{{/crossLink}} property changes.
+                     * @event speed
+                     * @param value The property's new value
+                     */
+                    this.fire("speed", this._speed = value);
+                },
+
+                get: function () {
+                    return this._speed;
+                }
+            },
+
+            /**
+             * Current playback time of this Timeline, in seconds.
+             *
+             * Setting this seeks to the given time, clamped to the range [0..{{#crossLink "Timeline/duration:property"}}{{/crossLink}}],
+             * immediately updating the {{#crossLink "Animation"}}Animations{{/crossLink}}.
+             *
+             * Fires a {{#crossLink "Timeline/time:event"}}{{/crossLink}} event on change.
+             *
+             * @property time
+             * @default 0
+             * @type Number
+             */
+            time: {
+
+                set: function (value) {
+
+                    value = value || 0;
+
+                    var duration = this.duration;
+
+                    if (value > duration) {
+                        value = duration;
+
+                    } else if (value < 0) {
+                        value = 0;
+                    }
+
+                    this._time = value;
+
+                    for (var i = 0, len = this._animations.length; i < len; i++) {
+                        this._animations[i].evaluate(value);
+                    }
+
+                    /**
+                     * Fired whenever this Timeline's {{#crossLink "Timeline/time:property"}}{{/crossLink}} property changes.
+                     * @event time
+                     * @param value The property's new value
+                     */
+                    this.fire("time", this._time);
+                },
+
+                get: function () {
+                    return this._time;
+                }
+            },
+
+            /**
+             * Flag which indicates whether this Timeline is playing.
+             *
+             * Fires a {{#crossLink "Timeline/playing:event"}}{{/crossLink}} event on change.
+             *
+             * @property playing
+             * @default false
+             * @type Boolean
+             */
+            playing: {
+
+                set: function (value) {
+
+                    value = !!value;
+
+                    if (this._playing === value) {
+                        return;
+                    }
+
+                    if (value) {
+
+                        // When there's no looping, playing from the
+                        // end restarts from the other end
+
+                        if (this._loop === "none") {
+
+                            if (this._speed >= 0 && this._time >= this.duration) {
+                                this.time = 0;
+
+                            } else if (this._speed < 0 && this._time <= 0) {
+                                this.time = this.duration;
+                            }
+                        }
+
+                        var self = this;
+
+                        this._onTick = this.scene.on("tick",
+                            function (params) {
+                                self._update(params.deltaTime);
+                            });
+
+                    } else {
+
+                        this.scene.off(this._onTick);
+
+                        this._onTick = null;
+                    }
+
+                    /**
+                     * Fired whenever this Timeline's {{#crossLink "Timeline/playing:property"}}{{/crossLink}} property changes.
+                     * @event playing
+                     * @param value The property's new value
+                     */
+                    this.fire("playing", this._playing = value);
+
+                    if (value) {
+
+                        /**
+                         * Fired whenever this Timeline begins playing.
+                         * @event started
+                         * @param value The Timeline's {{#crossLink "Timeline/time:property"}}{{/crossLink}}
+                         */
+                        this.fire("started", this._time, true);
+                    }
+                },
+
+                get: function () {
+                    return this._playing;
+                }
+            },
+
+            /**
+             * Duration of this Timeline in seconds, which is the time of the last keyframe in any of
+             * its {{#crossLink "Animation"}}Animations{{/crossLink}}.
+             *
+             * @property duration
+             * @type Number
+             * @final
+             */
+            duration: {
+
+                get: function () {
+
+                    var duration = 0;
+
+                    for (var i = 0, len = this._animations.length; i < len; i++) {
+                        duration = Math.max(duration, this._animations[i].duration);
+                    }
+
+                    return duration;
+                }
+            }
+        },
+
+        /**
+         * Begins playing this Timeline from its current {{#crossLink "Timeline/time:property"}}{{/crossLink}}.
+         *
+         * @method play
+         */
+        play: function () {
+            this.playing = true;
+        },
+
+        /**
+         * Pauses this Timeline at its current {{#crossLink "Timeline/time:property"}}{{/crossLink}}.
+         *
+         * @method pause
+         */
+        pause: function () {
+            this.playing = false;
+        },
+
+        /**
+         * Stops this Timeline and rewinds it to the start.
+         *
+         * @method stop
+         */
+        stop: function () {
+            this.playing = false;
+            this._direction = 1;
+            this.time = 0;
+        },
+
+        /**
+         * Jumps this Timeline to the given time.
+         *
+         * @method seek
+         * @param {Number} time Time in seconds.
+         */
+        seek: function (time) {
+            this.time = time;
+        },
+
+        _update: function (deltaTime) {
+
+            var duration = this.duration;
+
+            if (duration <= 0) {
+                return;
+            }
+
+            // Seconds of Timeline time per second, negative when playing backwards
+            var rate = this._speed * this._direction;
+
+            var time = this._time + deltaTime * rate;
+            var completed = false;
+
+            switch (this._loop) {
+
+                case "repeat":
+
+                    time = time % duration;
+
+                    if (time < 0) {
+                        time += duration;
+                    }
+
+                    break;
+
+                case "pingPong":
+
+                    // Reflect off each end until within range
+
+                    while (time > duration || time < 0) {
+
+                        if (time > duration) {
+                            time = duration + duration - time;
+                            this._direction = -this._direction;
+
+                        } else {
+                            time = -time;
+                            this._direction = -this._direction;
+                        }
+                    }
+
+                    break;
+
+                default: // "none"
+
+                    // Only complete on reaching the end we're playing towards, so
+                    // that a tick which doesn't advance the time doesn't stop us
+
+                    if (rate > 0 && time >= duration) {
+                        time = duration;
+                        completed = true;
+
+                    } else if (rate < 0 && time <= 0) {
+                        time = 0;
+                        completed = true;
+                    }
+            }
+
+            this.time = time;
+
+            if (completed) {
+
+                this.playing = false;
+
+                /**
+                 * Fired whenever this Timeline stops at the end of playback.
+                 *
+                 * This is not fired when {{#crossLink "Timeline/loop:property"}}{{/crossLink}} is "repeat" or
+                 * "pingPong", or when the Timeline is paused or stopped.
+                 *
+                 * @event completed
+                 * @param value The Timeline's {{#crossLink "Timeline/time:property"}}{{/crossLink}}
+                 */
+                this.fire("completed", this._time, true);
+            }
+        },
+
+        _getJSON: function () {
+
+            var animations = [];
+
+            for (var i = 0, len = this._animations.length; i < len; i++) {
+                animations.push(this._animations[i].id);
+            }
+
+            return {
+                animations: animations,
+                loop: this._loop,
+                speed: this._speed,
+                time: this._time,
+                playing: this._playing
+            };
+        },
+
+        _destroy: function () {
+
+            this.playing = false;
+
+            for (var i = 0, len = this._animations.length; i < len; i++) {
+                this._animations[i].off(this._destroyedSubs[i]);
+            }
+        }
+    });
+
+})();
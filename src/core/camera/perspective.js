@@ -63,7 +63,7 @@
  @param [cfg.id] {String} Optional ID, unique among all components in the parent scene, generated automatically when omitted.
  @param [cfg.meta] {String:Object} Optional map of user-defined metadata to attach to this Perspective.
  @param [cfg.fovy=60.0] {Number} Field-of-view angle, in degrees, on Y-axis.
- @param [cfg.aspect=1.0] {Number} Aspect ratio.
+ @param [cfg.aspect] {Number} Aspect ratio, defaults to the aspect ratio of the {{#crossLink "Canvas"}}{{/crossLink}}.
  @param [cfg.near=0.1] {Number} Position of the near plane on the View-space Z-axis.
  @param [cfg.far=10000] {Number} Position of the far plane on the View-space Z-axis.
  @extends Component
@@ -93,12 +93,12 @@
 
             // Recompute aspect from change in canvas size
             this._canvasResized = canvas.on("resized",
-                function () {
-                    self._aspect = canvas.width / canvas.height;
+                function (e) {
+                    self.aspect = e.width / e.height;
                 });
 
             this.fovy = cfg.fovy;
-            this.aspect = canvas.width / canvas.height;
+            this.aspect = cfg.aspect || (canvas.canvas.width / canvas.canvas.height);
             this.near = cfg.near;
             this.far = cfg.far;
         },
@@ -122,10 +122,7 @@
         // Rebuilds renderer state from component state
         _build: function () {
 
-            var canvas = this.scene.canvas.canvas;
-            var aspect = canvas.width / canvas.height;
-
-            this._state.matrix = XEO.math.perspectiveMatrix4(this._fovy * (Math.PI / 180.0), aspect, this._near, this._far);
+            this._state.matrix = XEO.math.perspectiveMatrix4(this._fovy * (Math.PI / 180.0), this._aspect, this._near, this._far);
 
             this._dirty = false;
 
@@ -174,12 +171,15 @@
             },
 
             /**
-             * Aspect ratio of this Perspective frustum. This is effectively the height of the frustum divided by the width.
+             * Aspect ratio of this Perspective frustum. This is effectively the width of the frustum divided by the height.
+             *
+             * This is automatically set to the aspect ratio of the {{#crossLink "Canvas"}}{{/crossLink}} whenever
+             * the {{#crossLink "Canvas"}}{{/crossLink}} resizes.
              *
              * Fires an {{#crossLink "Perspective/aspect:property"}}{{/crossLink}} event on change.
              *
              * @property aspect
-             * @default 60.0
+             * @default 1.0
              * @type Number
              */
             aspect: {
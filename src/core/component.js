@@ -287,6 +287,10 @@
             // Subscriptions to child components needing recompilation
             this._childDirtySubs = {};
 
+            // Component that created this one, such as a loader that imports it from a file,
+            // and which will create it again when loaded from JSON
+            this._owner = null;
+
             // Pub/sub
             this._handleMap = new XEO.utils.Map(); // Subscription handle pool
             this._eventSubs = {}; // A [handle -> callback] map for each location name
@@ -659,11 +663,22 @@
                         id: this.id // Only output user-defined IDs
                     };
 
+                    if (this._getJSON) {
+
+                        XEO._apply(this._getJSON(), json);
+
+                        // Type-specific properties must not
+                        // override the base component properties
+
+                        json.type = this.type;
+                        json.id = this.id;
+                    }
+
                     if (!XEO._isEmptyObject(this.metadata)) {
                         json.metadata = this.metadata;
                     }
 
-                    return this._getJSON ? XEO._apply(this._getJSON(), json) : json;
+                    return json;
                 }
             },
 
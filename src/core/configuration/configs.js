@@ -19,8 +19,7 @@
 
  | Name  | Description  |
  |---|---|
- | TODO  | TODO  |
- | TODO  | TODO  |
+ | "occlusionCulling"  | When true, {{#crossLink "GameObject"}}GameObjects{{/crossLink}} that are hidden behind other {{#crossLink "GameObject"}}GameObjects{{/crossLink}} are not drawn. Each frame, the opaque {{#crossLink "GameObject"}}GameObjects{{/crossLink}} are first drawn into a low-resolution depth buffer, against which the World-space {{#crossLink "GameObject/worldBoundary:property"}}boundaries{{/crossLink}} of all the {{#crossLink "GameObject/cullable:property"}}cullable{{/crossLink}} {{#crossLink "GameObject"}}GameObjects{{/crossLink}} are then tested. False by default. |
 
 
  ## Example
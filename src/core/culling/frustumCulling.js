@@ -0,0 +1,517 @@
+/**
+ A **FrustumCulling** stops its {{#crossLink "Scene"}}{{/crossLink}} from drawing
+ {{#crossLink "GameObject"}}GameObjects{{/crossLink}} that are outside the view frustum.
+
+ ## Overview
+
+ <ul>
+ <li>Each {{#crossLink "Scene"}}Scene{{/crossLink}} provides a FrustumCulling on itself as a read-only property,
+ which is {{#crossLink "FrustumCulling/active:property"}}{{/crossLink}} by default.</li>
+ <li>Before each frame, tests the World-space {{#crossLink "GameObject/worldBoundary:property"}}boundary{{/crossLink}} of each
+ {{#crossLink "GameObject"}}{{/crossLink}} against the frustum of the {{#crossLink "GameObject/camera:property"}}{{/crossLink}}
+ it's viewed through, given by the {{#crossLink "Camera"}}Camera's{{/crossLink}} {{#crossLink "Camera/project:property"}}{{/crossLink}}
+ and {{#crossLink "Camera/view:property"}}{{/crossLink}} matrices.</li>
+ <li>Keeps the {{#crossLink "GameObject"}}GameObjects{{/crossLink}} for each {{#crossLink "Camera"}}{{/crossLink}} in a
+ bounding volume hierarchy, so that whole regions of a large scene can be culled or accepted with one test. The
+ hierarchy is rebuilt when {{#crossLink "GameObject"}}GameObjects{{/crossLink}} are added or removed, and refitted when
+ they move.</li>
+ <li>Only does any work when a {{#crossLink "Camera"}}{{/crossLink}} or a {{#crossLink "GameObject"}}{{/crossLink}}
+ has moved since the last frame.</li>
+ <li>Culled {{#crossLink "GameObject"}}GameObjects{{/crossLink}} are not drawn or picked, but still cast shadows.</li>
+ <li>Keeps the World-space boundaries of the {{#crossLink "GameObject"}}GameObjects{{/crossLink}} up to date even while
+ not {{#crossLink "FrustumCulling/active:property"}}{{/crossLink}}, since they are also what the
+ "occlusionCulling" option in the {{#crossLink "Scene"}}Scene's{{/crossLink}} {{#crossLink "Configs"}}{{/crossLink}}
+ tests against the depth buffer.</li>
+ <li>You can exempt a {{#crossLink "GameObject"}}{{/crossLink}} from culling by setting its
+ {{#crossLink "GameObject/cullable:property"}}{{/crossLink}} property false, which you might do when a custom
+ {{#crossLink "Shader"}}{{/crossLink}} or {{#crossLink "MorphTargets"}}{{/crossLink}} moves its vertices
+ outside its boundary.</li>
+ <li>The numbers of culled and drawn {{#crossLink "GameObject"}}GameObjects{{/crossLink}} are tracked by the
+ "objectsCulled" and "objectsDrawn" statistics in the {{#crossLink "Scene"}}Scene's{{/crossLink}}
+ {{#crossLink "Stats"}}{{/crossLink}}.</li>
+ </ul>
+
+ ## Example
+
+ ````javascript
+ var scene = new XEO.Scene();
+
+ // Never cull this GameObject
+ var object = new XEO.GameObject(scene, {
+    cullable: false
+ });
+
+ // Subscribe to the numbers of culled and drawn GameObjects
+ scene.stats.on("objectsCulled", function (value) {
+    //...
+ });
+
+ scene.stats.on("objectsDrawn", function (value) {
+    //...
+ });
+
+ // Switch culling off altogether
+ scene.frustumCulling.active = false;
+ ````
+
+ @class FrustumCulling
+ @module XEO
+ @submodule culling
+ @constructor
+ @param [scene] {Scene} Parent {{#crossLink "Scene"}}Scene{{/crossLink}}.
+ @param [cfg] {*} Configs
+ @param [cfg.active=true] {Boolean} Indicates whether this FrustumCulling culls.
+ @extends Component
+ */
+(function () {
+
+    "use strict";
+
+    // Most GameObjects in a leaf node of a hierarchy
+    var MAX_LEAF_OBJECTS = 4;
+
+    XEO.FrustumCulling = XEO.Component.extend({
+
+        type: "XEO.FrustumCulling",
+
+        _init: function (cfg) {
+
+            // Cullable GameObjects, each with a copy of its World-space AABB
+
+            this._entries = {};
+
+            // Bounding volume hierarchy of entries for each Camera
+
+            this._trees = {};
+
+            // True when trees need rebuilding because
+            // entries were added or removed
+
+            this._treesDirty = true;
+
+            // Scratch frustum
+
+            this._matrix = XEO.math.mat4();
+            this._planes = XEO.math.getFrustumPlanes(XEO.math.identityMat4());
+
+            this.active = cfg.active;
+        },
+
+        _props: {
+
+            /**
+             * Flag which indicates whether this FrustumCulling culls.
+             *
+             * When false, all {{#crossLink "GameObject"}}GameObjects{{/crossLink}} are drawn.
+             *
+             * Fires an {{#crossLink "FrustumCulling/active:event"}}{{/crossLink}} event on change.
+             *
+             * @property active
+             * @default true
+             * @type Boolean
+             */
+            active: {
+
+                set: function (value) {
+
+                    value = value !== false;
+
+                    if (this._active === value) {
+                        return;
+                    }
+
+                    this._active = value;
+
+                    if (value) {
+
+                        // Cull on the next frame
+
+                        this._treesDirty = true;
+
+                    } else {
+
+                        // Uncull everything
+
+                        for (var id in this._entries) {
+                            if (this._entries.hasOwnProperty(id)) {
+                                this._entries[id].object._setCulled(false);
+                            }
+                        }
+                    }
+
+                    /**
+                     * Fired whenever this FrustumCulling's {{#crossLink "FrustumCulling/active:property"}}{{/crossLink}} property changes.
+                     * @event active
+                     * @param value The property's new value
+                     */
+                    this.fire("active", this._active);
+                },
+
+                get: function () {
+                    return this._active;
+                }
+            }
+        },
+
+        // Called by GameObject to start culling it
+
+        _addObject: function (object) {
+
+            var self = this;
+
+            var entry = {
+                object: object,
+                aabb: {
+                    xmin: 0, ymin: 0, zmin: 0,
+                    xmax: 0, ymax: 0, zmax: 0
+                },
+                tree: null,
+                dirty: true
+            };
+
+            entry.onUpdated = object.worldBoundary.on("updated",
+                function () {
+                    entry.dirty = true;
+                    if (entry.tree) {
+                        entry.tree.refit = true;
+                    }
+                });
+
+            this._entries[object.id] = entry;
+
+            // Share the AABB with the renderer for occlusion culling
+
+            object._cull.aabb = entry.aabb;
+
+            this._treesDirty = true;
+        },
+
+        // Called by GameObject to stop culling it
+
+        _removeObject: function (object) {
+
+            var entry = this._entries[object.id];
+
+            if (!entry) {
+                return;
+            }
+
+            object.worldBoundary.off(entry.onUpdated);
+
+            delete this._entries[object.id];
+
+            object._cull.aabb = null;
+
+            object._setCulled(false);
+
+            this._treesDirty = true;
+        },
+
+        // Called by Scene before each frame to flag the
+        // GameObjects that are outside the view frustum
+
+        _update: function () {
+
+            // Boundaries are maintained while inactive,
+            // for the renderer's occlusion culling
+
+            if (this._treesDirty) {
+                this._buildTrees();
+                this._treesDirty = false;
+            }
+
+            var math = XEO.math;
+            var tree;
+            var camera;
+
+            for (var cameraId in this._trees) {
+                if (this._trees.hasOwnProperty(cameraId)) {
+
+                    tree = this._trees[cameraId];
+
+                    if (tree.refit) {
+                        this._refit(tree, tree.root);
+                        tree.refit = false;
+                        tree.dirty = true;
+                    }
+
+                    if (!this._active) {
+                        continue;
+                    }
+
+                    camera = tree.camera;
+
+                    math.mulMat4(camera.project.matrix, camera.view.matrix, this._matrix);
+
+                    if (!tree.dirty && matricesEqual(this._matrix, tree.matrix)) {
+
+                        // Nothing moved
+
+                        continue;
+                    }
+
+                    tree.matrix.set(this._matrix);
+                    tree.dirty = false;
+
+                    math.getFrustumPlanes(this._matrix, this._planes);
+
+                    this._cull(tree, tree.root, false);
+                }
+            }
+        },
+
+        // Builds a bounding volume hierarchy of entries for each Camera
+
+        _buildTrees: function () {
+
+            var trees = {};
+            var entry;
+            var camera;
+            var tree;
+
+            for (var id in this._entries) {
+                if (this._entries.hasOwnProperty(id)) {
+
+                    entry = this._entries[id];
+                    camera = entry.object.camera;
+
+                    tree = trees[camera.id];
+
+                    if (!tree) {
+                        tree = trees[camera.id] = {
+                            camera: camera,
+                            entries: [],
+                            root: null,
+                            matrix: XEO.math.mat4(),
+                            refit: false,
+                            dirty: true
+                        };
+                    }
+
+                    if (entry.dirty) {
+                        getAABB(entry);
+                    }
+
+                    entry.tree = tree;
+
+                    tree.entries.push(entry);
+                }
+            }
+
+            for (var cameraId in trees) {
+                if (trees.hasOwnProperty(cameraId)) {
+                    tree = trees[cameraId];
+                    tree.root = buildNode(tree.entries, 0, tree.entries.length);
+                }
+            }
+
+            this._trees = trees;
+        },
+
+        // Updates the boundaries of a node and its descendants
+        // to fit the entries that have moved
+
+        _refit: function (tree, node) {
+
+            var aabb = node.aabb;
+
+            if (node.left) {
+
+                this._refit(tree, node.left);
+                this._refit(tree, node.right);
+
+                copyAABB(node.left.aabb, aabb);
+                XEO.math.expandAABB3(aabb, node.right.aabb);
+
+                return;
+            }
+
+            var entries = tree.entries;
+            var entry;
+
+            for (var i = node.start; i < node.end; i++) {
+
+                entry = entries[i];
+
+                if (entry.dirty) {
+                    getAABB(entry);
+                }
+
+                if (i === node.start) {
+                    copyAABB(entry.aabb, aabb);
+
+                } else {
+                    XEO.math.expandAABB3(aabb, entry.aabb);
+                }
+            }
+        },
+
+        // Flags the entries within a node as culled when outside the frustum, skipping
+        // the tests for the node's descendants when it's completely inside or outside
+
+        _cull: function (tree, node, inside) {
+
+            var math = XEO.math;
+            var entries = tree.entries;
+            var i;
+
+            if (!inside) {
+
+                var intersect = math.frustumIntersectAABB3(this._planes, node.aabb);
+
+                if (intersect === math.OUTSIDE) {
+                    setCulled(entries, node.start, node.end, true);
+                    return;
+                }
+
+                inside = (intersect === math.INSIDE);
+            }
+
+            if (inside) {
+                setCulled(entries, node.start, node.end, false);
+                return;
+            }
+
+            if (node.left) {
+                this._cull(tree, node.left, false);
+                this._cull(tree, node.right, false);
+                return;
+            }
+
+            for (i = node.start; i < node.end; i++) {
+                entries[i].object._setCulled(math.frustumIntersectAABB3(this._planes, entries[i].aabb) === math.OUTSIDE);
+            }
+        },
+
+        _destroy: function () {
+
+            var entry;
+
+            for (var id in this._entries) {
+                if (this._entries.hasOwnProperty(id)) {
+                    entry = this._entries[id];
+                    entry.object.worldBoundary.off(entry.onUpdated);
+                }
+            }
+
+            this._entries = {};
+            this._trees = {};
+        }
+    });
+
+    // Recursively builds a node for a range of entries, splitting them
+    // at the median of their centers along the longest axis of their centers
+
+    function buildNode(entries, start, end) {
+
+        var node = {
+            aabb: {
+                xmin: 0, ymin: 0, zmin: 0,
+                xmax: 0, ymax: 0, zmax: 0
+            },
+            start: start,
+            end: end,
+            left: null,
+            right: null
+        };
+
+        if (end - start > MAX_LEAF_OBJECTS) {
+
+            var centers = {
+                xmin: Infinity, ymin: Infinity, zmin: Infinity,
+                xmax: -Infinity, ymax: -Infinity, zmax: -Infinity
+            };
+
+            var aabb;
+            var x, y, z;
+            var i;
+
+            for (i = start; i < end; i++) {
+
+                aabb = entries[i].aabb;
+
+                x = aabb.xmin + aabb.xmax;
+                y = aabb.ymin + aabb.ymax;
+                z = aabb.zmin + aabb.zmax;
+
+                if (x < centers.xmin) centers.xmin = x;
+                if (y < centers.ymin) centers.ymin = y;
+                if (z < centers.zmin) centers.zmin = z;
+                if (x > centers.xmax) centers.xmax = x;
+                if (y > centers.ymax) centers.ymax = y;
+                if (z > centers.zmax) centers.zmax = z;
+            }
+
+            var dx = centers.xmax - centers.xmin;
+            var dy = centers.ymax - centers.ymin;
+            var dz = centers.zmax - centers.zmin;
+
+            var min = (dx >= dy && dx >= dz) ? "xmin" : (dy >= dz ? "ymin" : "zmin");
+            var max = (dx >= dy && dx >= dz) ? "xmax" : (dy >= dz ? "ymax" : "zmax");
+
+            var range = entries.slice(start, end);
+
+            range.sort(function (a, b) {
+                return (a.aabb[min] + a.aabb[max]) - (b.aabb[min] + b.aabb[max]);
+            });
+
+            for (i = start; i < end; i++) {
+                entries[i] = range[i - start];
+            }
+
+            var mid = (start + end) >> 1;
+
+            node.left = buildNode(entries, start, mid);
+            node.right = buildNode(entries, mid, end);
+
+            copyAABB(node.left.aabb, node.aabb);
+            XEO.math.expandAABB3(node.aabb, node.right.aabb);
+
+            return node;
+        }
+
+        for (var j = start; j < end; j++) {
+
+            if (j === start) {
+                copyAABB(entries[j].aabb, node.aabb);
+
+            } else {
+                XEO.math.expandAABB3(node.aabb, entries[j].aabb);
+            }
+        }
+
+        return node;
+    }
+
+    // Copies a GameObject's World-space AABB into its entry
+
+    function getAABB(entry) {
+        copyAABB(entry.object.worldBoundary.aabb, entry.aabb);
+        entry.dirty = false;
+    }
+
+    function copyAABB(src, dest) {
+        dest.xmin = src.xmin;
+        dest.ymin = src.ymin;
+        dest.zmin = src.zmin;
+        dest.xmax = src.xmax;
+        dest.ymax = src.ymax;
+        dest.zmax = src.zmax;
+    }
+
+    function setCulled(entries, start, end, culled) {
+        for (var i = start; i < end; i++) {
+            entries[i].object._setCulled(culled);
+        }
+    }
+
+    function matricesEqual(a, b) {
+        for (var i = 0; i < 16; i++) {
+            if (a[i] !== b[i]) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+})();
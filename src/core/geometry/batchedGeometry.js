@@ -0,0 +1,378 @@
+/**
+ A **BatchedGeometry** is a {{#crossLink "Geometry"}}{{/crossLink}} that merges the geometries of many static
+ {{#crossLink "GameObject"}}GameObjects{{/crossLink}} into one, so that they can be drawn with a single draw call.
+
+ ## Overview
+
+ <ul>
+ <li>Bakes the World-space {{#crossLink "GameObject/worldMatrix:property"}}{{/crossLink}} of each
+ {{#crossLink "GameObject"}}{{/crossLink}} into its positions and normals, then concatenates them, offsetting the
+ indices of each {{#crossLink "GameObject"}}{{/crossLink}} to address its vertices within the merged arrays.</li>
+ <li>The {{#crossLink "GameObject"}}GameObjects{{/crossLink}} are baked once, when the BatchedGeometry is created, so later
+ updates to their transforms or geometries are not reflected in the BatchedGeometry.</li>
+ <li>All the {{#crossLink "GameObject"}}GameObjects{{/crossLink}} must have {{#crossLink "Geometry"}}Geometries{{/crossLink}}
+ with the same {{#crossLink "Geometry/primitive:property"}}{{/crossLink}} type, which must be "triangles", "lines" or "points".</li>
+ <li>Normals, UV coordinates and vertex colors are only merged when all the {{#crossLink "GameObject"}}GameObjects{{/crossLink}} have them.</li>
+ <li>When the merged geometry has more than 65536 vertices, its indices are stored as 32-bit values, which requires
+ the WebGL ````OES_element_index_uint```` extension.</li>
+ <li>Keeps a mapping from each primitive back to the {{#crossLink "GameObject"}}{{/crossLink}} it came from, which you can
+ query with {{#crossLink "BatchedGeometry/getSource:method"}}{{/crossLink}}, and through which
+ {{#crossLink "Scene/pick:method"}}Scene#pick{{/crossLink}} and {{#crossLink "Scene/rayCast:method"}}Scene#rayCast{{/crossLink}}
+ report the original {{#crossLink "GameObject"}}GameObjects{{/crossLink}}.</li>
+ <li>See {{#crossLink "Scene/mergeStatic:method"}}Scene#mergeStatic{{/crossLink}}, which creates BatchedGeometries
+ for you, along with the {{#crossLink "GameObject"}}GameObjects{{/crossLink}} that render them.</li>
+ </ul>
+
+ ## Example
+
+ ````javascript
+ var scene = new XEO.Scene();
+
+ var material = new XEO.PhongMaterial(scene, {
+    diffuse: [0.6, 0.6, 0.7]
+ });
+
+ var box = new XEO.Geometry(scene); // 2x2x2 box by default
+
+ var objects = [];
+
+ for (var i = 0; i < 100; i++) {
+    objects.push(new XEO.GameObject(scene, {
+        geometry: box,
+        material: material,
+        transform: new XEO.Translate(scene, {
+            xyz: [i * 3, 0, 0]
+        })
+    }));
+ }
+
+ var batchedGeometry = new XEO.BatchedGeometry(scene, {
+    objects: objects
+ });
+
+ // Hide the original GameObjects, and draw them all with one GameObject instead
+
+ var hidden = new XEO.Visibility(scene, {
+    visible: false
+ });
+
+ for (var i = 0; i < objects.length; i++) {
+    objects[i].visibility = hidden;
+ }
+
+ var batch = new XEO.GameObject(scene, {
+    geometry: batchedGeometry,
+    material: material
+ });
+
+ // Find the GameObject that the tenth triangle came from
+
+ var source = batchedGeometry.getSource(10);
+
+ var object = source.object; // GameObject
+ var primIndex = source.primIndex; // Index of the triangle within its Geometry
+ ````
+
+ @class BatchedGeometry
+ @module XEO
+ @submodule geometry
+ @constructor
+ @param [scene] {Scene} Parent {{#crossLink "Scene"}}Scene{{/crossLink}} - creates this BatchedGeometry in the default
+ {{#crossLink "Scene"}}Scene{{/crossLink}} when omitted.
+ @param [cfg] {*} Configs
+ @param [cfg.id] {String} Optional ID, unique among all components in the parent {{#crossLink "Scene"}}Scene{{/crossLink}},
+ generated automatically when omitted.
+ @param [cfg.meta] {String:Object} Optional map of user-defined metadata to attach to this BatchedGeometry.
+ @param [cfg.objects] {Array of String|GameObject} IDs or instances of the {{#crossLink "GameObject"}}GameObjects{{/crossLink}} to merge.
+ @extends Geometry
+ */
+(function () {
+
+    "use strict";
+
+    // Number of indices per primitive, for the primitive types we can merge
+    var primitiveSizes = {
+        "triangles": 3,
+        "lines": 2,
+        "points": 1
+    };
+
+    XEO.BatchedGeometry = XEO.Geometry.extend({
+
+        type: "XEO.BatchedGeometry",
+
+        _init: function (cfg) {
+
+            // The GameObjects merged into this BatchedGeometry,
+            // each with the range of primitives it contributed
+
+            this._sources = [];
+
+            var merged = this._merge(cfg.objects || []);
+
+            this._super({
+                primitive: merged.primitive,
+                positions: merged.positions,
+                normals: merged.normals,
+                uv: merged.uv,
+                colors: merged.colors,
+                indices: merged.indices
+            });
+        },
+
+        // Bakes the World-space matrices of the given GameObjects
+        // into their geometries and concatenates them
+        _merge: function (objects) {
+
+            var math = XEO.math;
+
+            var primitive = null;
+            var numVertices = 0;
+            var numIndices = 0;
+            var hasNormals = true;
+            var hasUV = true;
+            var hasColors = true;
+            var object;
+            var geometry;
+            var positions;
+            var i;
+            var len;
+
+            // Find the GameObjects we can merge, and the merged array sizes
+
+            var mergeable = [];
+
+            for (i = 0, len = objects.length; i < len; i++) {
+
+                object = objects[i];
+
+                if (XEO._isNumeric(object) || XEO._isString(object)) {
+
+                    object = this.scene.objects[objects[i]];
+
+                    if (!object) {
+                        this.error("GameObject not found: " + XEO._inQuotes(objects[i]));
+                        continue;
+                    }
+                }
+
+                geometry = object.geometry;
+                positions = geometry.positions;
+
+                if (!positions || positions.length === 0) {
+                    continue;
+                }
+
+                if (!primitiveSizes[geometry.primitive]) {
+                    this.error("GameObject " + XEO._inQuotes(object.id) + " not merged - unsupported primitive type: " +
+                        XEO._inQuotes(geometry.primitive) + " - should be 'triangles', 'lines' or 'points'");
+                    continue;
+                }
+
+                if (primitive === null) {
+                    primitive = geometry.primitive;
+
+                } else if (geometry.primitive !== primitive) {
+                    this.error("GameObject " + XEO._inQuotes(object.id) + " not merged - primitive type " +
+                        XEO._inQuotes(geometry.primitive) + " differs from " + XEO._inQuotes(primitive));
+                    continue;
+                }
+
+                hasNormals = hasNormals && !!geometry.normals;
+                hasUV = hasUV && !!geometry.uv;
+                hasColors = hasColors && !!geometry.colors;
+
+                numVertices += positions.length / 3;
+                numIndices += geometry.indices ? geometry.indices.length : positions.length / 3;
+
+                mergeable.push(object);
+            }
+
+            var merged = {
+                primitive: primitive || "triangles",
+                positions: new Float32Array(numVertices * 3),
+                normals: (hasNormals && mergeable.length > 0) ? new Float32Array(numVertices * 3) : null,
+                uv: (hasUV && mergeable.length > 0) ? new Float32Array(numVertices * 2) : null,
+                colors: (hasColors && mergeable.length > 0) ? new Float32Array(numVertices * 4) : null,
+                indices: numVertices > 65536 ? new Uint32Array(numIndices) : new Uint16Array(numIndices)
+            };
+
+            var primitiveSize = primitiveSizes[merged.primitive];
+            var vertexBase = 0;
+            var indexBase = 0;
+            var matrix;
+            var normalMatrix;
+            var indices;
+            var numObjectVertices;
+            var numObjectIndices;
+            var j;
+
+            for (i = 0, len = mergeable.length; i < len; i++) {
+
+                object = mergeable[i];
+                geometry = object.geometry;
+                positions = geometry.positions;
+                indices = geometry.indices;
+
+                numObjectVertices = positions.length / 3;
+                numObjectIndices = indices ? indices.length : numObjectVertices;
+
+                matrix = object.worldMatrix;
+
+                bakePositions(matrix, positions, merged.positions, vertexBase * 3);
+
+                if (merged.normals) {
+                    normalMatrix = math.transposeMat4(math.inverseMat4(matrix, math.mat4()), math.mat4());
+                    bakeNormals(normalMatrix, geometry.normals, merged.normals, vertexBase * 3);
+                }
+
+                if (merged.uv) {
+                    merged.uv.set(geometry.uv, vertexBase * 2);
+                }
+
+                if (merged.colors) {
+                    merged.colors.set(geometry.colors, vertexBase * 4);
+                }
+
+                for (j = 0; j < numObjectIndices; j++) {
+                    merged.indices[indexBase + j] = vertexBase + (indices ? indices[j] : j);
+                }
+
+                this._sources.push({
+                    object: object,
+                    firstPrim: indexBase / primitiveSize,
+                    numPrims: Math.floor(numObjectIndices / primitiveSize)
+                });
+
+                vertexBase += numObjectVertices;
+                indexBase += numObjectIndices;
+            }
+
+            return merged;
+        },
+
+        _props: {
+
+            /**
+             * The {{#crossLink "GameObject"}}GameObjects{{/crossLink}} that were merged into this BatchedGeometry.
+             *
+             * @property objects
+             * @type {Array of GameObject}
+             * @final
+             */
+            objects: {
+
+                get: function () {
+
+                    var objects = [];
+
+                    for (var i = 0, len = this._sources.length; i < len; i++) {
+                        objects.push(this._sources[i].object);
+                    }
+
+                    return objects;
+                }
+            }
+        },
+
+        /**
+         * Finds the {{#crossLink "GameObject"}}{{/crossLink}} that a primitive within this BatchedGeometry came from.
+         *
+         * @method getSource
+         * @param {Number} primIndex Index of a primitive within this BatchedGeometry, eg. as given in a hit record
+         * from {{#crossLink "Scene/rayCast:method"}}Scene#rayCast{{/crossLink}}.
+         * @returns {*} The source, with an **object** property holding the {{#crossLink "GameObject"}}{{/crossLink}},
+         * and a **primIndex** property holding the index of the primitive within the
+         * {{#crossLink "GameObject"}}GameObject's{{/crossLink}} own {{#crossLink "Geometry"}}{{/crossLink}},
+         * or null if there is no such primitive.
+         */
+        getSource: function (primIndex) {
+
+            // Binary search of the sources, which are in ascending order of primitives
+
+            var sources = this._sources;
+            var low = 0;
+            var high = sources.length - 1;
+            var mid;
+            var source;
+
+            while (low <= high) {
+
+                mid = (low + high) >> 1;
+                source = sources[mid];
+
+                if (primIndex < source.firstPrim) {
+                    high = mid - 1;
+
+                } else if (primIndex >= source.firstPrim + source.numPrims) {
+                    low = mid + 1;
+
+                } else {
+                    return {
+                        object: source.object,
+                        primIndex: primIndex - source.firstPrim
+                    };
+                }
+            }
+
+            return null;
+        },
+
+        _getJSON: function () {
+
+            var objects = [];
+
+            for (var i = 0, len = this._sources.length; i < len; i++) {
+                objects.push(this._sources[i].object.id);
+            }
+
+            return {
+                objects: objects
+            };
+        }
+    });
+
+    // Transforms positions by a matrix, writing them into a larger array
+    function bakePositions(m, positions, dest, offset) {
+
+        var x, y, z;
+
+        for (var i = 0, len = positions.length; i < len; i += 3) {
+
+            x = positions[i];
+            y = positions[i + 1];
+            z = positions[i + 2];
+
+            dest[offset + i] = m[0] * x + m[4] * y + m[8] * z + m[12];
+            dest[offset + i + 1] = m[1] * x + m[5] * y + m[9] * z + m[13];
+            dest[offset + i + 2] = m[2] * x + m[6] * y + m[10] * z + m[14];
+        }
+    }
+
+    // Transforms normals by a normal matrix, writing them,
+    // re-normalized, into a larger array
+    function bakeNormals(m, normals, dest, offset) {
+
+        var x, y, z;
+        var nx, ny, nz;
+        var len;
+
+        for (var i = 0, n = normals.length; i < n; i += 3) {
+
+            x = normals[i];
+            y = normals[i + 1];
+            z = normals[i + 2];
+
+            nx = m[0] * x + m[4] * y + m[8] * z;
+            ny = m[1] * x + m[5] * y + m[9] * z;
+            nz = m[2] * x + m[6] * y + m[10] * z;
+
+            len = Math.sqrt(nx * nx + ny * ny + nz * nz) || 1;
+
+            dest[offset + i] = nx / len;
+            dest[offset + i + 1] = ny / len;
+            dest[offset + i + 2] = nz / len;
+        }
+    }
+
+})();
@@ -27,6 +27,7 @@
  made of triangles, with UV coordinates, vertex colors and normals. This default is used for most of the examples in this documentation.</li>
  <li>A {{#crossLink "Scene"}}{{/crossLink}} provides such a box as its default {{#crossLink "Scene/geometry:property"}}{{/crossLink}},
  for {{#crossLink "GameObject"}}GameObjects{{/crossLink}} to fall back on, when they are not explicitly attached to a Geometry.</li>
+ <li>Indices greater than 65535 are stored as 32-bit values, which requires the WebGL ````OES_element_index_uint```` extension.</li>
  <li>See <a href="Shader.html#inputs">Shader Inputs</a> for the variables that Geometries create within xeoEngine's shaders.</li>
  </ul>
 
@@ -376,6 +377,16 @@
             this._webglContextRestored = this.scene.canvas.on(
                 "webglContextRestored",
                 function () {
+
+                    // Re-create all buffers
+
+                    self._positionsDirty = true;
+                    self._colorsDirty = true;
+                    self._normalsDirty = true;
+                    self._uvDirty = true;
+                    self._tangentsDirty = true;
+                    self._indicesDirty = true;
+
                     self._scheduleBuild();
                 });
 
@@ -482,13 +493,50 @@
                 if (this._state.indices) {
                     this._state.indices.destroy();
                 }
-                this._state.indices = this._indices ? new XEO.renderer.webgl.ArrayBuffer(gl, gl.ELEMENT_ARRAY_BUFFER, new Uint16Array(this._indices), this._indices.length, 1, usage) : null;
+                this._state.indices = this._indices ? new XEO.renderer.webgl.ArrayBuffer(gl, gl.ELEMENT_ARRAY_BUFFER, this._getIndexArray(gl), this._indices.length, 1, usage) : null;
                 this._indicesDirty = false;
             }
 
+            // Hash on which vertex attributes we have, rather than on our ID, so that
+            // GameObjects can switch between Geometries without compiling new shaders
+
+            this._state.hash = ([
+                this._state.normals ? "n" : "",
+                this._state.uv ? "u" : "",
+                this._state.colors ? "c" : "",
+                this._state.tangents ? "t" : ""
+            ]).join(";");
+
             this._dirty = false;
         },
 
+        // Returns our indices as a typed array for an index buffer, with
+        // 32-bit elements if any index won't fit in 16 bits, which WebGL 1
+        // only supports with the OES_element_index_uint extension
+        _getIndexArray: function (gl) {
+
+            var indices = this._indices;
+            var maxIndex = 0;
+
+            for (var i = 0, len = indices.length; i < len; i++) {
+                if (indices[i] > maxIndex) {
+                    maxIndex = indices[i];
+                }
+            }
+
+            if (maxIndex > 65535) {
+
+                if (gl.getExtension("OES_element_index_uint")) {
+                    return new Uint32Array(indices);
+                }
+
+                this.error("Indices exceed 65535, but 32-bit indices are not supported by this WebGL context " +
+                    "(no OES_element_index_uint extension) - geometry will not render correctly");
+            }
+
+            return new Uint16Array(indices);
+        },
+
         _props: {
 
             /**
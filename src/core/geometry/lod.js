@@ -0,0 +1,536 @@
+/**
+ A **LOD** switches the {{#crossLink "Geometry"}}{{/crossLink}} of attached {{#crossLink "GameObject"}}GameObjects{{/crossLink}}
+ between levels of detail, according to how far away they are, or how big they appear on the canvas.
+
+ ## Overview
+
+ <ul>
+ <li>A LOD has a list of {{#crossLink "LOD/levels:property"}}{{/crossLink}}, each of which has a
+ {{#crossLink "Geometry"}}{{/crossLink}} and a threshold, ordered from most to least detailed.</li>
+ <li>Each threshold is either a **distance**, which is the least distance from the eye at which the level is used, or a **size**, which
+ is the least height in canvas pixels that a {{#crossLink "GameObject"}}{{/crossLink}} must appear to have for the level to be used.
+ Levels must all have the same kind of threshold.</li>
+ <li>On each tick of the {{#crossLink "Scene"}}{{/crossLink}}, a LOD measures each of its {{#crossLink "GameObject"}}GameObjects{{/crossLink}}
+ from its {{#crossLink "GameObject/viewBoundary:property"}}{{/crossLink}}, then attaches the {{#crossLink "Geometry"}}{{/crossLink}}
+ of the chosen level to the {{#crossLink "GameObject"}}{{/crossLink}}.</li>
+ <li>{{#crossLink "Geometry"}}Geometries{{/crossLink}} that have the same vertex attributes share shaders, so switching between
+ them does not compile any new shaders.</li>
+ <li>To avoid *popping* back and forth when a {{#crossLink "GameObject"}}{{/crossLink}} hovers near a threshold, a
+ {{#crossLink "GameObject"}}{{/crossLink}} only changes level once it is past the threshold by the fraction given in
+ {{#crossLink "LOD/hysteresis:property"}}{{/crossLink}}.</li>
+ <li>Fires a {{#crossLink "LOD/level:event"}}{{/crossLink}} event whenever a {{#crossLink "GameObject"}}{{/crossLink}} changes level.</li>
+ <li>A LOD may be shared by many {{#crossLink "GameObject"}}GameObjects{{/crossLink}}, which each have their own level.</li>
+ </ul>
+
+ ## Example
+
+ ````javascript
+ var scene = new XEO.Scene();
+
+ var lod = new XEO.LOD(scene, {
+    levels: [
+        {
+            geometry: new XEO.Torus(scene, { segmentsR: 64, segmentsT: 48 }),
+            distance: 0
+        },
+        {
+            geometry: new XEO.Torus(scene, { segmentsR: 24, segmentsT: 16 }),
+            distance: 50
+        },
+        {
+            geometry: new XEO.Torus(scene, { segmentsR: 8, segmentsT: 6 }),
+            distance: 200
+        }
+    ],
+    hysteresis: 0.1
+ });
+
+ var object = new XEO.GameObject(scene, {
+    lod: lod
+ });
+
+ lod.on("level", function (e) {
+    var object = e.object;          // GameObject
+    var level = e.level;            // Index of the new level
+    var previousLevel = e.previousLevel;
+    var geometry = e.geometry;      // Geometry of the new level
+    //...
+ });
+ ````
+
+ To switch levels by the size that the GameObjects appear on the canvas instead, give each level a size in
+ pixels, in descending order:
+
+ ````javascript
+ lod.levels = [
+    { geometry: highDetail, size: 200 },
+    { geometry: mediumDetail, size: 50 },
+    { geometry: lowDetail, size: 0 }
+ ];
+ ````
+
+ @class LOD
+ @module XEO
+ @submodule geometry
+ @constructor
+ @param [scene] {Scene} Parent {{#crossLink "Scene"}}Scene{{/crossLink}} - creates this LOD in the default
+ {{#crossLink "Scene"}}Scene{{/crossLink}} when omitted.
+ @param [cfg] {*} Configs
+ @param [cfg.id] {String} Optional ID, unique among all components in the parent {{#crossLink "Scene"}}Scene{{/crossLink}},
+ generated automatically when omitted.
+ @param [cfg.meta] {String:Object} Optional map of user-defined metadata to attach to this LOD.
+ @param [cfg.levels] {Array of Object} The levels of detail, most detailed first, each with a **geometry**,
+ which is an ID or instance of a {{#crossLink "Geometry"}}{{/crossLink}}, and either a **distance** or a **size** threshold.
+ @param [cfg.hysteresis=0.1] {Number} Fraction by which a {{#crossLink "GameObject"}}{{/crossLink}} must pass a threshold
+ before it changes level.
+ @extends Component
+ */
+(function () {
+
+    "use strict";
+
+    XEO.LOD = XEO.Component.extend({
+
+        type: "XEO.LOD",
+
+        _init: function (cfg) {
+
+            this._levels = [];
+            this._mode = "distance";
+
+            // Attached GameObjects, each with its current level,
+            // which is -1 until we first choose one
+
+            this._objects = {};
+
+            // Scratch center point
+
+            this._center = XEO.math.vec3();
+
+            this.levels = cfg.levels;
+            this.hysteresis = cfg.hysteresis;
+
+            var self = this;
+
+            // Choose levels before each frame
+
+            this._tick = this.scene.on("tick",
+                function () {
+                    self._update();
+                });
+        },
+
+        _props: {
+
+            /**
+             * The levels of detail, most detailed first.
+             *
+             * Each level has a **geometry**, which is a {{#crossLink "Geometry"}}{{/crossLink}}, and either a
+             * **distance** or a **size**. Levels with distances are sorted into ascending order of distance,
+             * and levels with sizes are sorted into descending order of size.
+             *
+             * Attached {{#crossLink "GameObject"}}GameObjects{{/crossLink}} choose their levels afresh
+             * on the next tick after this property is set.
+             *
+             * Fires a {{#crossLink "LOD/levels:event"}}{{/crossLink}} event on change.
+             *
+             * @property levels
+             * @default []
+             * @type {Array of Object}
+             */
+            levels: {
+
+                set: function (value) {
+
+                    value = value || [];
+
+                    var levels = [];
+                    var mode = null;
+                    var level;
+                    var geometry;
+                    var levelMode;
+
+                    for (var i = 0, len = value.length; i < len; i++) {
+
+                        level = value[i];
+                        geometry = level.geometry;
+
+                        if (XEO._isNumeric(geometry) || XEO._isString(geometry)) {
+
+                            geometry = this.scene.components[level.geometry];
+
+                            if (!geometry) {
+                                this.error("Level " + i + " ignored - component not found: " + XEO._inQuotes(level.geometry));
+                                continue;
+                            }
+                        }
+
+                        if (!(geometry instanceof XEO.Geometry)) {
+                            this.error("Level " + i + " ignored - geometry is not a XEO.Geometry");
+                            continue;
+                        }
+
+                        if (geometry.scene.id !== this.scene.id) {
+                            this.error("Level " + i + " ignored - geometry not in same scene: " + XEO._inQuotes(geometry.id));
+                            continue;
+                        }
+
+                        levelMode = XEO._isNumeric(level.size) ? "size" : "distance";
+
+                        if (mode === null) {
+                            mode = levelMode;
+
+                        } else if (levelMode !== mode) {
+                            this.error("Level " + i + " ignored - has a " + levelMode + " threshold, but previous levels have " + mode + " thresholds");
+                            continue;
+                        }
+
+                        levels.push({
+                            geometry: geometry,
+                            distance: mode === "distance" ? (level.distance || 0) : undefined,
+                            size: mode === "size" ? level.size : undefined
+                        });
+                    }
+
+                    this._mode = mode || "distance";
+
+                    levels.sort(this._mode === "distance" ?
+                        function (a, b) {
+                            return a.distance - b.distance;
+                        } :
+                        function (a, b) {
+                            return b.size - a.size;
+                        });
+
+                    this._levels = levels;
+
+                    // Choose levels from scratch
+
+                    for (var id in this._objects) {
+                        if (this._objects.hasOwnProperty(id)) {
+                            this._objects[id].level = -1;
+                        }
+                    }
+
+                    this._renderer.imageDirty = true;
+
+                    /**
+                     * Fired whenever this LOD's {{#crossLink "LOD/levels:property"}}{{/crossLink}} property changes.
+                     * @event levels
+                     * @param value The property's new value
+                     */
+                    this.fire("levels", this._levels);
+                },
+
+                get: function () {
+                    return this._levels;
+                }
+            },
+
+            /**
+             * Fraction by which an attached {{#crossLink "GameObject"}}{{/crossLink}} must pass a level's threshold
+             * before it changes level.
+             *
+             * For example, with a hysteresis of 0.1, a {{#crossLink "GameObject"}}{{/crossLink}} switches to a level
+             * whose distance is 100 once it's further away than 110, then switches back once it's closer than 90.
+             *
+             * Fires a {{#crossLink "LOD/hysteresis:event"}}{{/crossLink}} event on change.
+             *
+             * @property hysteresis
+             * @default 0.1
+             * @type Number
+             */
+            hysteresis: {
+
+                set: function (value) {
+
+                    value = (value !== undefined && value !== null) ? value : 0.1;
+
+                    if (value < 0 || value >= 1) {
+                        this.error("Unsupported value for 'hysteresis': " + value + " - should be in range [0..1). Defaulting to 0.1.");
+                        value = 0.1;
+                    }
+
+                    this._hysteresis = value;
+
+                    /**
+                     * Fired whenever this LOD's {{#crossLink "LOD/hysteresis:property"}}{{/crossLink}} property changes.
+                     * @event hysteresis
+                     * @param value The property's new value
+                     */
+                    this.fire("hysteresis", this._hysteresis);
+                },
+
+                get: function () {
+                    return this._hysteresis;
+                }
+            },
+
+            /**
+             * The kind of thresholds that this LOD's {{#crossLink "LOD/levels:property"}}{{/crossLink}} have,
+             * which is either "distance" or "size".
+             *
+             * @property mode
+             * @type String
+             * @final
+             */
+            mode: {
+
+                get: function () {
+                    return this._mode;
+                }
+            }
+        },
+
+        /**
+         * Gets the level that an attached {{#crossLink "GameObject"}}{{/crossLink}} is currently at.
+         *
+         * @method getLevel
+         * @param {String|GameObject} object ID or instance of the {{#crossLink "GameObject"}}{{/crossLink}}.
+         * @returns {Number} Index of the level within {{#crossLink "LOD/levels:property"}}{{/crossLink}}, or -1 if
+         * the {{#crossLink "GameObject"}}{{/crossLink}} is not attached, or has not been given a level yet.
+         */
+        getLevel: function (object) {
+
+            var entry = this._objects[(XEO._isNumeric(object) || XEO._isString(object)) ? object : object.id];
+
+            return entry ? entry.level : -1;
+        },
+
+        // Called by GameObject when this LOD is attached to it
+
+        _addObject: function (object) {
+
+            this._objects[object.id] = {
+                object: object,
+                level: -1
+            };
+
+            // Start at the least detailed level, until the GameObject
+            // is measured on the next tick
+
+            if (this._levels.length > 0) {
+                object.geometry = this._levels[this._levels.length - 1].geometry;
+            }
+        },
+
+        // Called by GameObject when this LOD is detached from it
+
+        _removeObject: function (object) {
+            delete this._objects[object.id];
+        },
+
+        // Moves each visible attached GameObject to the level for its current distance or size
+
+        _update: function () {
+
+            var levels = this._levels;
+
+            if (levels.length === 0) {
+                return;
+            }
+
+            var entry;
+            var object;
+            var value;
+            var level;
+            var previousLevel;
+
+            for (var id in this._objects) {
+
+                if (!this._objects.hasOwnProperty(id)) {
+                    continue;
+                }
+
+                entry = this._objects[id];
+                object = entry.object;
+
+                if (!object.worldVisible) {
+                    continue;
+                }
+
+                value = this._measure(object);
+
+                previousLevel = entry.level;
+
+                level = this._mode === "distance" ?
+                    this._chooseByDistance(value, previousLevel) :
+                    this._chooseBySize(value, previousLevel);
+
+                if (level === previousLevel) {
+                    continue;
+                }
+
+                entry.level = level;
+
+                object.geometry = levels[level].geometry;
+
+                /**
+                 * Fired whenever an attached {{#crossLink "GameObject"}}{{/crossLink}} changes level.
+                 *
+                 * @event level
+                 * @param object {GameObject} The {{#crossLink "GameObject"}}{{/crossLink}}.
+                 * @param level {Number} Index of the new level.
+                 * @param previousLevel {Number} Index of the previous level, or -1 if this is the first level chosen
+                 * for the {{#crossLink "GameObject"}}{{/crossLink}}.
+                 * @param geometry {Geometry} The {{#crossLink "Geometry"}}{{/crossLink}} of the new level.
+                 */
+                this.fire("level", {
+                    object: object,
+                    level: level,
+                    previousLevel: previousLevel,
+                    geometry: levels[level].geometry
+                });
+            }
+        },
+
+        // Returns the distance from the eye to the center of a GameObject's
+        // View-space boundary, or the height in canvas pixels that the
+        // boundary's bounding sphere appears to have
+
+        _measure: function (object) {
+
+            var math = XEO.math;
+
+            var aabb = object.viewBoundary.aabb;
+            var center = math.getAABBCenter(aabb, this._center);
+            var distance = math.lenVec3(center);
+
+            if (this._mode === "distance") {
+                return distance;
+            }
+
+            var radius = math.getAABBDiag(aabb) * 0.5;
+
+            if (radius >= distance) {
+
+                // Eye is within the bounding sphere
+
+                return Infinity;
+            }
+
+            // Clip-space W is -Z for perspective, 1 for orthographic
+
+            var matrix = object.camera.project.matrix;
+            var w = matrix[11] * center[2] + matrix[15];
+
+            if (w <= 0) {
+
+                // Behind the eye
+
+                return 0;
+            }
+
+            var canvas = this.scene.canvas.canvas;
+            var height = canvas.clientHeight || canvas.height;
+
+            return radius * matrix[5] * height / w;
+        },
+
+        // Levels are used from their distance outwards, so move out while we're past the next
+        // level's distance, or in while we're short of the current level's distance, by the hysteresis
+
+        _chooseByDistance: function (distance, level) {
+
+            var levels = this._levels;
+            var last = levels.length - 1;
+            var h = this._hysteresis;
+
+            if (level < 0 || level > last) {
+
+                level = 0;
+
+                while (level < last && distance >= levels[level + 1].distance) {
+                    level++;
+                }
+
+                return level;
+            }
+
+            while (level < last && distance >= levels[level + 1].distance * (1 + h)) {
+                level++;
+            }
+
+            while (level > 0 && distance < levels[level].distance * (1 - h)) {
+                level--;
+            }
+
+            return level;
+        },
+
+        // Levels are used while we appear at least as big as their size, so move to coarser levels
+        // while we're smaller than the current level's size, or to finer levels while we're bigger
+        // than the previous level's size, by the hysteresis
+
+        _chooseBySize: function (size, level) {
+
+            var levels = this._levels;
+            var last = levels.length - 1;
+            var h = this._hysteresis;
+
+            if (level < 0 || level > last) {
+
+                level = 0;
+
+                while (level < last && size < levels[level].size) {
+                    level++;
+                }
+
+                return level;
+            }
+
+            while (level < last && size < levels[level].size * (1 - h)) {
+                level++;
+            }
+
+            while (level > 0 && size >= levels[level - 1].size * (1 + h)) {
+                level--;
+            }
+
+            return level;
+        },
+
+        _getJSON: function () {
+
+            var levels = [];
+            var level;
+
+            for (var i = 0, len = this._levels.length; i < len; i++) {
+
+                level = this._levels[i];
+
+                if (this._mode === "distance") {
+                    levels.push({
+                        geometry: level.geometry.id,
+                        distance: level.distance
+                    });
+
+                } else {
+                    levels.push({
+                        geometry: level.geometry.id,
+                        size: level.size
+                    });
+                }
+            }
+
+            return {
+                levels: levels,
+                hysteresis: this._hysteresis
+            };
+        },
+
+        _destroy: function () {
+
+            this.scene.off(this._tick);
+
+            // GameObjects keep the Geometries they're currently at
+
+            for (var id in this._objects) {
+                if (this._objects.hasOwnProperty(id)) {
+                    this._objects[id].object.lod = null;
+                }
+            }
+        }
+    });
+
+})();
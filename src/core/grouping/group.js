@@ -233,7 +233,7 @@
             types = this.types[component.type];
 
             if (!types) {
-                types = this.types[type] = {};
+                types = this.types[component.type] = {};
             }
 
             types[component.id] = component;
@@ -245,7 +245,7 @@
             var self = this;
 
             this._destroyedSubs[component.id] = component.on("destroyed",
-                function(component) {
+                function () {
                     self._removeComponent(component);
                 });
 
@@ -1,45 +1,45 @@
-
 /**
- A **GroupBoundary** configures the WebGL color buffer for attached {{#crossLink "GameObject"}}GameObjects{{/crossLink}}.
+ A **GroupBoundary** provides the collective boundary of the {{#crossLink "Component"}}Components{{/crossLink}} within a {{#crossLink "Group"}}{{/crossLink}}.
 
  ## Overview
 
  <ul>
-
- <li>A GroupBoundary configures **the way** that pixels are written to the WebGL color buffer.</li>
- <li>GroupBoundary is not to be confused with {{#crossLink "ColorTarget"}}ColorTarget{{/crossLink}}, which stores rendered pixel
- colors for consumption by {{#crossLink "Texture"}}Textures{{/crossLink}}, used when performing *render-to-texture*.</li>
-
+ <li>A GroupBoundary's {{#crossLink "GroupBoundary/worldBoundary:property"}}{{/crossLink}} encloses the World-space
+ boundaries of all the {{#crossLink "Component"}}Components{{/crossLink}} in its {{#crossLink "Group"}}{{/crossLink}}
+ that have them, such as {{#crossLink "GameObject"}}GameObjects{{/crossLink}}. Other
+ {{#crossLink "Component"}}Components{{/crossLink}} in the {{#crossLink "Group"}}{{/crossLink}} are ignored.</li>
+ <li>A GroupBoundary's {{#crossLink "GroupBoundary/viewBoundary:property"}}{{/crossLink}} is its
+ {{#crossLink "GroupBoundary/worldBoundary:property"}}{{/crossLink}} transformed into the View-space of
+ the {{#crossLink "Scene"}}Scene{{/crossLink}}'s default {{#crossLink "Scene/camera:property"}}camera{{/crossLink}}.</li>
+ <li>The boundaries are rebuilt whenever you read them, so they always reflect the current positions of the
+ {{#crossLink "Component"}}Components{{/crossLink}}.</li>
+ <li>Since it has a {{#crossLink "GroupBoundary/worldBoundary:property"}}{{/crossLink}}, you can give a GroupBoundary
+ to {{#crossLink "CameraFlight/flyTo:method"}}CameraFlight#flyTo{{/crossLink}} to fit all the
+ {{#crossLink "Component"}}Components{{/crossLink}} in its {{#crossLink "Group"}}{{/crossLink}} into view.</li>
  </ul>
 
- <img src="../../../assets/images/GroupBoundary.png"></img>
-
  ## Example
 
- In this example we're configuring the WebGL color buffer for a {{#crossLink "GameObject"}}{{/crossLink}}.
-
- This example scene contains:
-
- <ul>
- <li>a GroupBoundary that enables blending and sets the color mask,</li>
- <li>a {{#crossLink "Geometry"}}{{/crossLink}} that is the default box shape, and
- <li>a {{#crossLink "GameObject"}}{{/crossLink}} attached to all of the above.</li>
- </ul>
-
  ````javascript
  var scene = new XEO.Scene();
 
- var GroupBoundary = new XEO.GroupBoundary(scene, {
-    blendEnabled: true,
-    colorMask: [true, true, true, true]
-});
+ var object1 = new XEO.GameObject(scene, {
+    transform: new XEO.Translate(scene, { xyz: [-5, 0, 0] })
+ });
+
+ var object2 = new XEO.GameObject(scene, {
+    transform: new XEO.Translate(scene, { xyz: [5, 0, 0] })
+ });
 
- var geometry = new XEO.Geometry(scene); // Defaults to a 2x2x2 box
+ var group = new XEO.Group(scene, {
+    components: [object1, object2]
+ });
 
- var gameObject = new XEO.GameObject(scene, {
-    GroupBoundary: GroupBoundary,
-    geometry: geometry
-});
+ var groupBoundary = new XEO.GroupBoundary(scene, {
+    group: group
+ });
+
+ var aabb = groupBoundary.worldBoundary.aabb;
  ````
 
  @class GroupBoundary
@@ -51,8 +51,7 @@
  @param [cfg] {*} GroupBoundary configuration
  @param [cfg.id] {String} Optional ID, unique among all components in the parent {{#crossLink "Scene"}}Scene{{/crossLink}}, generated automatically when omitted.
  @param [cfg.meta] {String:Object} Optional map of user-defined metadata to attach to this GroupBoundary.
- @param [cfg.blendEnabled=false] {Boolean} Indicates if blending is enabled.
- @param [cfg.colorMask=[true, true, true, true]] {Array of Boolean} The color mask,
+ @param [cfg.group] {String|Group} ID or instance of the {{#crossLink "Group"}}{{/crossLink}} to bound.
  @extends Component
  */
 (function () {
@@ -65,17 +64,24 @@
 
         _init: function (cfg) {
 
-            this.group = cfg.group;
+            this._worldBoundary = null;
+            this._viewBoundary = null;
+
+            this._onAdded = null;
+            this._onRemoved = null;
+
+            if (cfg.group) {
+                this.group = cfg.group;
+            }
         },
 
         _props: {
 
             /**
-             * The {{#crossLink "Collection"}}Collection{{/crossLink}} attached to this GameObject.
-             *
-             * Defaults to an empty internally-managed {{#crossLink "Collection"}}{{/crossLink}}. 
+             * The {{#crossLink "Group"}}{{/crossLink}} whose {{#crossLink "Component"}}Components{{/crossLink}} are
+             * bounded by this GroupBoundary.
              *
-             * Fires a {{#crossLink "GameObject/group:event"}}{{/crossLink}} event on change.
+             * Fires a {{#crossLink "GroupBoundary/group:event"}}{{/crossLink}} event on change.
              *
              * @property group
              * @type Group
@@ -84,22 +90,49 @@
 
                 set: function (value) {
 
+                    var oldGroup = this._children.group;
+
+                    if (oldGroup) {
+                        oldGroup.off(this._onAdded);
+                        oldGroup.off(this._onRemoved);
+                    }
+
                     /**
                      * Fired whenever this GroupBoundary's  {{#crossLink "GroupBoundary/group:property"}}{{/crossLink}} property changes.
                      *
                      * @event group
                      * @param value The property's new value
                      */
-                    this._setChild("group", value);
+                    var group = this._setChild("group", value);
+
+                    if (group) {
+
+                        var self = this;
+
+                        this._onAdded = group.on("added",
+                            function () {
+                                self._setWorldBoundaryDirty();
+                            });
+
+                        this._onRemoved = group.on("removed",
+                            function () {
+                                self._setWorldBoundaryDirty();
+                            });
+                    }
+
+                    this._setWorldBoundaryDirty();
                 },
 
                 get: function () {
                     return this._children.group;
                 }
             },
-            
+
             /**
-             * World-space 3D boundary.
+             * World-space 3D boundary enclosing the World-space boundaries of the
+             * {{#crossLink "Component"}}Components{{/crossLink}} in this GroupBoundary's {{#crossLink "Group"}}{{/crossLink}}.
+             *
+             * This is collapsed to the origin when none of the {{#crossLink "Component"}}Components{{/crossLink}} have boundaries.
              *
              * If you call {{#crossLink "Component/destroy:method"}}{{/crossLink}} on this boundary, then
              * this property will be assigned to a fresh {{#crossLink "Boundary3D"}}{{/crossLink}} instance next
@@ -119,20 +152,15 @@
 
                         this._worldBoundary = new XEO.Boundary3D(this.scene, {
 
-                            getDirty: function () {
-                                return self._worldBoundaryDirty;
-                            },
+                            // Member components may move at any time
+                            // without us knowing, so always rebuild
 
-                            getOBB: function () {
-
-                                // Calls our Geometry's modelBoundary property,
-                                // lazy-inits the boundary and its obb
-
-                                return self._children.geometry.modelBoundary.obb;
+                            getDirty: function () {
+                                return true;
                             },
 
-                            getMatrix: function () {
-                                return self._children.transform.matrix;
+                            getAABB: function () {
+                                return self._buildAABB();
                             }
                         });
 
@@ -140,8 +168,6 @@
                             function () {
                                 self._worldBoundary = null;
                             });
-
-                        this._setWorldBoundaryDirty();
                     }
 
                     return this._worldBoundary;
@@ -170,7 +196,7 @@
                         this._viewBoundary = new XEO.Boundary3D(this.scene, {
 
                             getDirty: function () {
-                                return self._viewBoundaryDirty;
+                                return true;
                             },
 
                             getOBB: function () {
@@ -182,7 +208,7 @@
                             },
 
                             getMatrix: function () {
-                                return self._children.camera.view.matrix;
+                                return self.scene.camera.view.matrix;
                             }
                         });
 
@@ -190,8 +216,6 @@
                             function () {
                                 self._viewBoundary = null;
                             });
-
-                        this._setViewBoundaryDirty();
                     }
 
                     return this._viewBoundary;
@@ -199,9 +223,52 @@
             }
         },
 
+        // Builds the AABB enclosing the World-space
+        // boundaries of the components in our Group
+
+        _buildAABB: function () {
+
+            var aabb = null;
+            var group = this._children.group;
+
+            if (group) {
+
+                var components = group.components;
+                var component;
+                var worldBoundary;
+
+                for (var id in components) {
+                    if (components.hasOwnProperty(id)) {
+
+                        component = components[id];
+
+                        if (component.id === this.id) {
+                            continue;
+                        }
+
+                        worldBoundary = component.worldBoundary;
+
+                        if (!worldBoundary) {
+                            continue;
+                        }
+
+                        if (!aabb) {
+                            aabb = XEO._copy(worldBoundary.aabb);
+
+                        } else {
+                            XEO.math.expandAABB3(aabb, worldBoundary.aabb);
+                        }
+                    }
+                }
+            }
+
+            return aabb || {
+                    xmin: 0, ymin: 0, zmin: 0,
+                    xmax: 0, ymax: 0, zmax: 0
+                };
+        },
+
         _setWorldBoundaryDirty: function () {
-            this._worldBoundaryDirty = true;
-            this._viewBoundaryDirty = true;
             if (this._worldBoundary) {
                 this._worldBoundary.fire("updated", true);
             }
@@ -210,21 +277,33 @@
             }
         },
 
-        _setViewBoundaryDirty: function () {
-            this._viewBoundaryDirty = true;
-            if (this._viewBoundary) {
-                this._viewBoundary.fire("updated", true);
-            }
-        },
-        
         _getJSON: function () {
-            return {
-                
-            };
+
+            var json = {};
+
+            if (this._children.group) {
+                json.group = this._children.group.id;
+            }
+
+            return json;
         },
 
         _destroy: function () {
-            this._state.destroy();
+
+            var group = this._children.group;
+
+            if (group) {
+                group.off(this._onAdded);
+                group.off(this._onRemoved);
+            }
+
+            if (this._worldBoundary) {
+                this._worldBoundary.destroy();
+            }
+
+            if (this._viewBoundary) {
+                this._viewBoundary.destroy();
+            }
         }
     });
 
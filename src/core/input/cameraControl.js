@@ -1,18 +1,24 @@
 /**
- A **CameraControl** pans, rotates and zooms a {{#crossLink "Camera"}}{{/crossLink}} using the mouse and keyboard,
- as well as switches it between preset left, right, anterior, posterior, superior and inferior views.
+ A **CameraControl** pans, rotates and zooms a {{#crossLink "Camera"}}{{/crossLink}} using the mouse, keyboard and
+ touch gestures, as well as switches it between preset left, right, anterior, posterior, superior and inferior views.
 
  A CameraControl is comprised of the following control components, which each handle an aspect of interaction:
 
  <ul>
- <li>panning - {{#crossLink "KeyboardPanCamera"}}{{/crossLink}} and {{#crossLink "MousePanCamera"}}{{/crossLink}}</li>
- <li>rotation - {{#crossLink "KeyboardOrbitCamera"}}{{/crossLink}} and {{#crossLink "MouseOrbitCamera"}}{{/crossLink}}</li>
- <li>zooming - {{#crossLink "KeyboardZoomCamera"}}{{/crossLink}} and {{#crossLink "MouseZoomCamera"}}{{/crossLink}}</li>
+ <li>panning - {{#crossLink "KeyboardPanCamera"}}{{/crossLink}}, {{#crossLink "MousePanCamera"}}{{/crossLink}}
+ and {{#crossLink "TouchPanCamera"}}{{/crossLink}} (two-finger drag)</li>
+ <li>rotation - {{#crossLink "KeyboardOrbitCamera"}}{{/crossLink}}, {{#crossLink "MouseOrbitCamera"}}{{/crossLink}}
+ and {{#crossLink "TouchOrbitCamera"}}{{/crossLink}} (one-finger drag)</li>
+ <li>zooming - {{#crossLink "KeyboardZoomCamera"}}{{/crossLink}}, {{#crossLink "MouseZoomCamera"}}{{/crossLink}}
+ and {{#crossLink "TouchZoomCamera"}}{{/crossLink}} (pinch)</li>
  <li>switching preset views - {{#crossLink "KeyboardAxisCamera"}}{{/crossLink}}</li>
- <li>picking - {{#crossLink "MousePickObject"}}{{/crossLink}}</li>
+ <li>picking - {{#crossLink "MousePickObject"}}{{/crossLink}} and {{#crossLink "TouchPickObject"}}{{/crossLink}} (tap)</li>
  <li>camera flight animation - {{#crossLink "CameraFlight"}}{{/crossLink}}</li>
  </ul>
 
+ Double-clicking or double-tapping a {{#crossLink "GameObject"}}{{/crossLink}} flies the {{#crossLink "Camera"}}{{/crossLink}}
+ to look at the picked position.
+
  A CameraControl provides the controls as read-only properties, in case you need to configure or deactivate
  them individually.
 
@@ -192,6 +198,53 @@
                 camera: cfg.camera
             });
 
+            /**
+             * The {{#crossLink "TouchOrbitCamera"}}{{/crossLink}} within this CameraControl.
+             *
+             * @property touchOrbit
+             * @final
+             * @type TouchOrbitCamera
+             */
+            this.touchOrbit = new XEO.TouchOrbitCamera(scene, {
+                sensitivity: 1,
+                camera: cfg.camera
+            });
+
+            /**
+             * The {{#crossLink "TouchPanCamera"}}{{/crossLink}} within this CameraControl.
+             *
+             * @property touchPan
+             * @final
+             * @type TouchPanCamera
+             */
+            this.touchPan = new XEO.TouchPanCamera(scene, {
+                sensitivity: 1,
+                camera: cfg.camera
+            });
+
+            /**
+             * The {{#crossLink "TouchZoomCamera"}}{{/crossLink}} within this CameraControl.
+             *
+             * @property touchZoom
+             * @final
+             * @type TouchZoomCamera
+             */
+            this.touchZoom = new XEO.TouchZoomCamera(scene, {
+                sensitivity: 1,
+                camera: cfg.camera
+            });
+
+            /**
+             * The {{#crossLink "TouchPickObject"}}{{/crossLink}} within this CameraControl.
+             *
+             * @property touchPickObject
+             * @final
+             * @type TouchPickObject
+             */
+            this.touchPickObject = new XEO.TouchPickObject(scene, {
+                rayPick: true
+            });
+
             /**
              * The {{#crossLink "CameraFlight"}}{{/crossLink}} within this CameraControl.
              *
@@ -203,21 +256,33 @@
                 camera: cfg.camera
             });
 
-            this.mousePickObject.on("pick",
-                function (e) {
+            // Fly to look at a picked position
+
+            var flyTo = function (e) {
+
+                var view = self.cameraFly.camera.view;
+
+                var diff = XEO.math.subVec3(view.eye, view.look, []);
 
-                    var view = self.cameraFly.camera.view;
+                self.cameraFly.flyTo({
+                    look: e.worldPos,
+                    eye: [
+                        e.worldPos[0] + diff[0],
+                        e.worldPos[1] + diff[1],
+                        e.worldPos[2] + diff[2]
+                    ]
+                });
+            };
+
+            this.mousePickObject.on("pick", flyTo);
 
-                    var diff = XEO.math.subVec3(view.eye, view.look, []);
+            // Single taps only pick, since they're also the first tap of each double-tap
 
-                    self.cameraFly.flyTo({
-                        look: e.worldPos,
-                        eye: [
-                            e.worldPos[0] + diff[0],
-                            e.worldPos[1] + diff[1],
-                            e.worldPos[2] + diff[2]
-                        ]
-                    });
+            this.touchPickObject.on("pick",
+                function (e) {
+                    if (e.doubleTap) {
+                        flyTo(e);
+                    }
                 });
 
             // Handle when nothing is picked
@@ -255,6 +320,7 @@
 
                     this.keyboardOrbit.firstPerson = value;
                     this.mouseOrbit.firstPerson = value;
+                    this.touchOrbit.firstPerson = value;
 
                     /**
                      * Fired whenever this CameraControl's {{#crossLink "CameraControl/firstPerson:property"}}{{/crossLink}} property changes.
@@ -303,6 +369,9 @@
                     this.mousePan.camera = camera;
                     this.keyboardZoom.camera = camera;
                     this.mouseZoom.camera = camera;
+                    this.touchOrbit.camera = camera;
+                    this.touchPan.camera = camera;
+                    this.touchZoom.camera = camera;
                     this.cameraFly.camera = camera;
                 },
 
@@ -339,6 +408,10 @@
                     this.keyboardZoom.active = value;
                     this.mouseZoom.active = value;
                     this.mousePickObject.active = value;
+                    this.touchOrbit.active = value;
+                    this.touchPan.active = value;
+                    this.touchZoom.active = value;
+                    this.touchPickObject.active = value;
                     this.cameraFly.active = value;
 
                     /**
@@ -381,6 +454,10 @@
             this.keyboardZoom.destroy();
             this.mouseZoom.destroy();
             this.mousePickObject.destroy();
+            this.touchOrbit.destroy();
+            this.touchPan.destroy();
+            this.touchZoom.destroy();
+            this.touchPickObject.destroy();
             this.cameraFly.destroy();
         }
     });
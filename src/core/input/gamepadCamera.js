@@ -0,0 +1,379 @@
+/**
+ A **GamepadCamera** orbits, pans and flies a {{#crossLink "Camera"}}{{/crossLink}} using the analog sticks and
+ triggers of a gamepad.
+
+ ## Overview
+
+ <ul>
+ <li>A GamepadCamera updates the {{#crossLink "Lookat"}}{{/crossLink}} attached to the target {{#crossLink "Camera"}}{{/crossLink}}.
+ <li>Reads the state of the first connected gamepad from the {{#crossLink "Scene"}}Scene's{{/crossLink}}
+ {{#crossLink "Input"}}{{/crossLink}} on each frame, assuming the standard gamepad button and axis mapping.</li>
+ <li>The right stick orbits the {{#crossLink "Lookat"}}Lookat's{{/crossLink}} {{#crossLink "Lookat/eye:property"}}{{/crossLink}}
+ about its {{#crossLink "Lookat/look:property"}}{{/crossLink}}, or in "first person" mode rotates
+ {{#crossLink "Lookat/look:property"}}{{/crossLink}} about {{#crossLink "Lookat/eye:property"}}{{/crossLink}}.</li>
+ <li>The left stick flies {{#crossLink "Lookat/eye:property"}}{{/crossLink}} and {{#crossLink "Lookat/look:property"}}{{/crossLink}}
+ forwards and backwards along the {{#crossLink "Lookat/eye:property"}}{{/crossLink}}-&gt;{{#crossLink "Lookat/look:property"}}{{/crossLink}}
+ vector, and pans them left and right.</li>
+ <li>The right and left triggers pan {{#crossLink "Lookat/eye:property"}}{{/crossLink}} and {{#crossLink "Lookat/look:property"}}{{/crossLink}}
+ up and down along the {{#crossLink "Lookat"}}Lookat's{{/crossLink}} {{#crossLink "Lookat/up:property"}}{{/crossLink}} vector.</li>
+ <li>Stick positions within the {{#crossLink "GamepadCamera/deadZone:property"}}{{/crossLink}} are ignored, so that
+ sticks that don't quite center themselves don't cause drift.</li>
+ <li>Flying and panning speeds are in proportion to the distance between {{#crossLink "Lookat/eye:property"}}{{/crossLink}}
+ and {{#crossLink "Lookat/look:property"}}{{/crossLink}}, so that the controls suit scenes of any scale.</li>
+ </ul>
+
+ ## Example
+
+ ````Javascript
+ var scene = new XEO.Scene();
+
+ var camera = new XEO.Camera(scene);
+
+ var control = new XEO.GamepadCamera(scene, {
+
+        camera: camera,
+
+        // Ignore stick positions within 20% of center
+        deadZone: 0.2,
+
+        // Move at half speed
+        sensitivity: 0.5
+    });
+
+ var object = new XEO.GameObject(scene);
+ ````
+
+ @class GamepadCamera
+ @module XEO
+ @submodule input
+ @constructor
+ @param [scene] {Scene} Parent {{#crossLink "Scene"}}{{/crossLink}}.
+ @param [cfg] {*} Configs
+ @param [cfg.id] {String} Optional ID, unique among all components in the parent scene, generated automatically when omitted.
+ @param [cfg.meta] {String:Object} Optional map of user-defined metadata to attach to this GamepadCamera.
+ @param [cfg.camera] {String|Camera} ID or instance of a {{#crossLink "Camera"}}Camera{{/crossLink}} to control.
+ Must be within the same {{#crossLink "Scene"}}Scene{{/crossLink}} as this GamepadCamera. Defaults to the
+ parent {{#crossLink "Scene"}}Scene{{/crossLink}}'s default instance, {{#crossLink "Scene/camera:property"}}camera{{/crossLink}}.
+ @param [cfg.sensitivity=1.0] {Number} Sensitivity factor for orbiting, flying and panning.
+ @param [cfg.deadZone=0.15] {Number} Distance from center within which stick positions are ignored, from 0 to 1.
+ @param [cfg.firstPerson=false] {Boolean}  Indicates whether this GamepadCamera is in "first person" mode.
+ @param [cfg.active=true] {Boolean} Whether or not this GamepadCamera is active.
+ @extends Component
+ */
+(function () {
+
+    "use strict";
+
+    // Orbit speed at full stick deflection, in degrees per second
+    var ORBIT_RATE = 90;
+
+    // Fly and pan speed at full deflection, in multiples of the eye->look distance per second
+    var MOVE_RATE = 1;
+
+    XEO.GamepadCamera = XEO.Component.extend({
+
+        /**
+         JavaScript class name for this Component.
+
+         @property type
+         @type String
+         @final
+         */
+        type: "XEO.GamepadCamera",
+
+        _init: function (cfg) {
+
+            // Event handles
+
+            this._onTick = null;
+
+            // Init properties
+
+            this.camera = cfg.camera;
+            this.sensitivity = cfg.sensitivity;
+            this.deadZone = cfg.deadZone;
+            this.firstPerson = cfg.firstPerson;
+            this.active = cfg.active !== false;
+        },
+
+        _props: {
+
+            /**
+             * The {{#crossLink "Camera"}}Camera{{/crossLink}} attached to this GamepadCamera.
+             *
+             * Must be within the same {{#crossLink "Scene"}}Scene{{/crossLink}} as this GamepadCamera. Defaults to the parent
+             * {{#crossLink "Scene"}}Scene{{/crossLink}}'s default {{#crossLink "Scene/camera:property"}}camera{{/crossLink}} when set to
+             * a null or undefined value.
+             *
+             * Fires a {{#crossLink "GamepadCamera/camera:event"}}{{/crossLink}} event on change.
+             *
+             * @property camera
+             * @type Camera
+             */
+            camera: {
+
+                set: function (value) {
+
+                    /**
+                     * Fired whenever this GamepadCamera's {{#crossLink "GamepadCamera/camera:property"}}{{/crossLink}} property changes.
+                     *
+                     * @event camera
+                     * @param value The property's new value
+                     */
+                    this._setChild("camera", value);
+                },
+
+                get: function () {
+                    return this._children.camera;
+                }
+            },
+
+            /**
+             * The sensitivity of this GamepadCamera.
+             *
+             * Fires a {{#crossLink "GamepadCamera/sensitivity:event"}}{{/crossLink}} event on change.
+             *
+             * @property sensitivity
+             * @type Number
+             * @default 1.0
+             */
+            sensitivity: {
+
+                set: function (value) {
+
+                    this._sensitivity = value || 1.0;
+
+                    /**
+                     * Fired whenever this GamepadCamera's  {{#crossLink "GamepadCamera/sensitivity:property"}}{{/crossLink}} property changes.
+                     *
+                     * @event sensitivity
+                     * @param value The property's new value
+                     */
+                    this.fire("sensitivity", this._sensitivity);
+                },
+
+                get: function () {
+                    return this._sensitivity;
+                }
+            },
+
+            /**
+             * Distance from center within which this GamepadCamera ignores stick positions, from 0 to 1.
+             *
+             * Stick positions outside the dead zone are rescaled, so that movement starts smoothly from
+             * zero at its edge.
+             *
+             * Fires a {{#crossLink "GamepadCamera/deadZone:event"}}{{/crossLink}} event on change.
+             *
+             * @property deadZone
+             * @type Number
+             * @default 0.15
+             */
+            deadZone: {
+
+                set: function (value) {
+
+                    value = (value !== undefined && value !== null) ? value : 0.15;
+
+                    if (value < 0 || value >= 1) {
+                        this.error("Unsupported value for 'deadZone': " + value + " - should be at least 0 and less than 1");
+                        value = 0.15;
+                    }
+
+                    this._deadZone = value;
+
+                    /**
+                     * Fired whenever this GamepadCamera's  {{#crossLink "GamepadCamera/deadZone:property"}}{{/crossLink}} property changes.
+                     *
+                     * @event deadZone
+                     * @param value The property's new value
+                     */
+                    this.fire("deadZone", this._deadZone);
+                },
+
+                get: function () {
+                    return this._deadZone;
+                }
+            },
+
+            /**
+             * Flag which indicates whether this GamepadCamera is in "first person" mode.
+             *
+             * In "first person" mode, the right stick rotates the {{#crossLink "Lookat"}}Lookat's{{/crossLink}}
+             * {{#crossLink "Lookat/look:property"}}{{/crossLink}} position about the {{#crossLink "Lookat/eye:property"}}{{/crossLink}}
+             * position, otherwise it rotates the {{#crossLink "Lookat/eye:property"}}{{/crossLink}} about
+             * {{#crossLink "Lookat/look:property"}}{{/crossLink}}.
+             *
+             * Fires a {{#crossLink "GamepadCamera/firstPerson:event"}}{{/crossLink}} event on change.
+             *
+             * @property firstPerson
+             * @default false
+             * @type Boolean
+             */
+            firstPerson: {
+
+                set: function (value) {
+
+                    value = !!value;
+
+                    this._firstPerson = value;
+
+                    /**
+                     * Fired whenever this GamepadCamera's {{#crossLink "GamepadCamera/firstPerson:property"}}{{/crossLink}} property changes.
+                     * @event firstPerson
+                     * @param value The property's new value
+                     */
+                    this.fire('firstPerson', this._firstPerson);
+                },
+
+                get: function () {
+                    return this._firstPerson;
+                }
+            },
+
+            /**
+             * Flag which indicates whether this GamepadCamera is active or not.
+             *
+             * Fires an {{#crossLink "GamepadCamera/active:event"}}{{/crossLink}} event on change.
+             *
+             * @property active
+             * @type Boolean
+             */
+            active: {
+
+                set: function (value) {
+
+                    if (this._active === value) {
+                        return;
+                    }
+
+                    var input = this.scene.input;
+
+                    if (value) {
+
+                        var self = this;
+
+                        var eyeVec = XEO.math.vec3();
+
+                        this._onTick = this.scene.on("tick",
+                            function (params) {
+
+                                var camera = self._children.camera;
+
+                                if (!camera) {
+                                    return;
+                                }
+
+                                var gamepad = getFirstGamepad(input.gamepads);
+
+                                if (!gamepad) {
+                                    return;
+                                }
+
+                                var elapsed = params.deltaTime;
+                                var sensitivity = self._sensitivity;
+                                var deadZone = self._deadZone;
+                                var axes = gamepad.axes;
+                                var values = gamepad.values;
+
+                                // Orbit with right stick
+
+                                var yaw = applyDeadZone(axes[input.GAMEPAD_AXIS_RIGHT_X], deadZone) * elapsed * ORBIT_RATE * sensitivity;
+                                var pitch = applyDeadZone(axes[input.GAMEPAD_AXIS_RIGHT_Y], deadZone) * elapsed * ORBIT_RATE * sensitivity;
+
+                                if (yaw !== 0) {
+                                    if (self._firstPerson) {
+                                        camera.view.rotateLookY(-yaw);
+                                    } else {
+                                        camera.view.rotateEyeY(-yaw);
+                                    }
+                                }
+
+                                if (pitch !== 0) {
+                                    if (self._firstPerson) {
+                                        camera.view.rotateLookX(-pitch);
+                                    } else {
+                                        camera.view.rotateEyeX(pitch);
+                                    }
+                                }
+
+                                // Fly and pan with left stick and triggers
+
+                                var strafe = applyDeadZone(axes[input.GAMEPAD_AXIS_LEFT_X], deadZone);
+                                var fly = applyDeadZone(axes[input.GAMEPAD_AXIS_LEFT_Y], deadZone);
+                                var rise = (values[input.GAMEPAD_BUTTON_RIGHT_TRIGGER] || 0) - (values[input.GAMEPAD_BUTTON_LEFT_TRIGGER] || 0);
+
+                                if (strafe !== 0 || fly !== 0 || rise !== 0) {
+
+                                    var dist = XEO.math.lenVec3(XEO.math.subVec3(camera.view.eye, camera.view.look, eyeVec));
+                                    var speed = dist * elapsed * MOVE_RATE * sensitivity;
+
+                                    // Stick up is negative, which flies towards look
+
+                                    camera.view.pan([-strafe * speed, rise * speed, fly * speed]);
+                                }
+                            });
+
+                    } else {
+
+                        this.scene.off(this._onTick);
+                    }
+
+                    /**
+                     * Fired whenever this GamepadCamera's {{#crossLink "GamepadCamera/active:property"}}{{/crossLink}} property changes.
+                     * @event active
+                     * @param value The property's new value
+                     */
+                    this.fire('active', this._active = value);
+                },
+
+                get: function () {
+                    return this._active;
+                }
+            }
+        },
+
+        _getJSON: function () {
+
+            var json = {
+                sensitivity: this._sensitivity,
+                deadZone: this._deadZone,
+                firstPerson: this._firstPerson,
+                active: this._active
+            };
+
+            if (this._children.camera) {
+                json.camera = this._children.camera.id;
+            }
+
+            return json;
+        },
+
+        _destroy: function () {
+            this.active = false; // Unbinds events
+        }
+    });
+
+    function getFirstGamepad(gamepads) {
+        for (var i = 0, len = gamepads.length; i < len; i++) {
+            if (gamepads[i]) {
+                return gamepads[i];
+            }
+        }
+        return null;
+    }
+
+    // Zeroes an axis value within the dead zone, and rescales
+    // it beyond, so that it rises smoothly from the edge
+    function applyDeadZone(value, deadZone) {
+
+        value = value || 0;
+
+        if (Math.abs(value) <= deadZone) {
+            return 0;
+        }
+
+        return (value - (value > 0 ? deadZone : -deadZone)) / (1 - deadZone);
+    }
+
+})();
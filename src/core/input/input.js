@@ -1,10 +1,23 @@
 /**
- Publishes key and mouse events that occur on the parent {{#crossLink "Scene"}}Scene{{/crossLink}}'s {{#crossLink "Canvas"}}Canvas{{/crossLink}}.
+ Publishes key, mouse, pointer and touch events that occur on the parent {{#crossLink "Scene"}}Scene{{/crossLink}}'s {{#crossLink "Canvas"}}Canvas{{/crossLink}}.
 
  ## Overview
 
  <ul>
  <li>Each {{#crossLink "Scene"}}{{/crossLink}} provides an Input on itself as a read-only property.</li>
+ <li>Publishes {{#crossLink "Input/pointerdown:event"}}{{/crossLink}}, {{#crossLink "Input/pointermove:event"}}{{/crossLink}}
+ and {{#crossLink "Input/pointerup:event"}}{{/crossLink}} events for mice, pens and fingers alike, using pointer events where the
+ browser supports them, and touch events otherwise.</li>
+ <li>Recognizes gestures made with fingers on the {{#crossLink "Canvas"}}Canvas{{/crossLink}}, publishing
+ {{#crossLink "Input/touchdrag:event"}}{{/crossLink}} events for one-finger drags,
+ {{#crossLink "Input/touchpan:event"}}{{/crossLink}} and {{#crossLink "Input/touchpinch:event"}}{{/crossLink}} events for two-finger drags
+ and pinches, and {{#crossLink "Input/tap:event"}}{{/crossLink}} and {{#crossLink "Input/doubletap:event"}}{{/crossLink}} events for taps.</li>
+ <li>Finger gestures don't scroll or zoom the page while over the {{#crossLink "Canvas"}}Canvas{{/crossLink}}.</li>
+ <li>Polls connected gamepads on each {{#crossLink "Scene/tick:event"}}{{/crossLink}} of the {{#crossLink "Scene"}}{{/crossLink}},
+ where the browser supports the Gamepad API, publishing {{#crossLink "Input/gamepadconnected:event"}}{{/crossLink}},
+ {{#crossLink "Input/gamepaddisconnected:event"}}{{/crossLink}}, {{#crossLink "Input/buttondown:event"}}{{/crossLink}},
+ {{#crossLink "Input/buttonup:event"}}{{/crossLink}} and {{#crossLink "Input/axis:event"}}{{/crossLink}} events, and
+ holding the current state of each gamepad in {{#crossLink "Input/gamepads:property"}}{{/crossLink}}.</li>
  </ul>
 
  <img src="../../../assets/images/Input.png"></img>
@@ -78,6 +91,30 @@ var myScene = new XEO.Scene();
      });
 
  // TODO: ALT and CTRL keys etc
+
+ input.on("touchdrag", function(delta) {
+       console.log("One finger dragged by: x=" + delta[0] + ", y=" + delta[1]);
+ });
+
+ input.on("touchpinch", function(delta) {
+       console.log("Two fingers spread apart by " + delta + " pixels");
+ });
+
+ input.on("tap", function(coords) {
+       console.log("Tapped at: x=" + coords[0] + ", y=" + coords[1]);
+ });
+
+ input.on("buttondown", function(e) {
+        if (e.button === this.GAMEPAD_BUTTON_A) {
+            console.log("The 'A' button is down on gamepad " + e.gamepad);
+        }
+ });
+
+ input.on("axis", function(e) {
+        if (e.axis === this.GAMEPAD_AXIS_LEFT_X) {
+            console.log("Left stick moved to x=" + e.value + " on gamepad " + e.gamepad);
+        }
+ });
  ````
 
  ### Unsubscribing from Events
@@ -99,6 +136,18 @@ var myScene = new XEO.Scene();
 
     "use strict";
 
+    // Farthest a finger may move, in pixels, while tapping
+    var TAP_TOLERANCE = 10;
+
+    // Longest a finger may be down for a tap, in milliseconds
+    var TAP_DURATION = 300;
+
+    // Longest interval between the taps of a double-tap, in milliseconds
+    var DOUBLE_TAP_INTERVAL = 300;
+
+    // Farthest apart the taps of a double-tap may be, in pixels
+    var DOUBLE_TAP_TOLERANCE = 20;
+
     XEO.Input = XEO.Component.extend({
 
         type: "XEO.Input",
@@ -142,12 +191,35 @@ var myScene = new XEO.Scene();
              */
             this.keyDown = [];
 
+            /** Number of fingers that are down on the canvas
+             *
+             * @type {Number}
+             */
+            this.numTouches = 0;
+
+            /** State of each connected gamepad, indexed by gamepad index, each with
+             * the gamepad's **id** string, the **values** of its buttons, which range
+             * from 0 when released to 1 when fully pressed, and the **axes** values,
+             * which range from -1 to 1
+             *
+             * @type {Array}
+             */
+            this.gamepads = [];
+
             /** True while input enabled
              *
              * @type {boolean}
              */
             this.enabled = true;
 
+            if (cfg.headless) {
+
+                // No DOM to capture input events from, but we can
+                // still publish events fired on this component
+
+                return;
+            }
+
             // Capture input events and publish them on this component
 
             document.addEventListener("keydown",
@@ -355,6 +427,10 @@ var myScene = new XEO.Scene();
                     self.fire("mousewheel", delta, true);
                 });
 
+            this._canvas = cfg.canvas;
+
+            this._initPointers(cfg.canvas);
+
             // mouseclicked
 
             (function () {
@@ -383,6 +459,485 @@ var myScene = new XEO.Scene();
                         }
                     });
             })();
+
+            // Gamepads don't fire events for their buttons
+            // and axes, so we poll them on each frame
+
+            if (navigator.getGamepads) {
+                this._onTick = this.scene.on("tick",
+                    function () {
+                        if (self.enabled) {
+                            self._pollGamepads();
+                        }
+                    });
+            }
+        },
+
+        // Compares the state of each gamepad with its state on the
+        // last poll, and publishes the differences as events
+
+        _pollGamepads: function () {
+
+            var gamepads = navigator.getGamepads();
+            var gamepad;
+            var state;
+            var pressed;
+            var value;
+            var i, len;
+            var j, lenj;
+
+            for (i = 0, len = Math.max(gamepads.length, this.gamepads.length); i < len; i++) {
+
+                gamepad = gamepads[i];
+                state = this.gamepads[i];
+
+                if (state && (!gamepad || !gamepad.connected)) {
+
+                    this.gamepads[i] = null;
+
+                    /**
+                     * Fired whenever a gamepad is disconnected.
+                     * @event gamepaddisconnected
+                     * @param gamepad {Number} Index of the gamepad.
+                     * @param id {String} ID string of the gamepad.
+                     */
+                    this.fire("gamepaddisconnected", {
+                        gamepad: i,
+                        id: state.id
+                    }, true);
+
+                    continue;
+                }
+
+                if (!gamepad || !gamepad.connected) {
+                    continue;
+                }
+
+                if (!state) {
+
+                    state = this.gamepads[i] = {
+                        id: gamepad.id,
+                        values: [],
+                        axes: []
+                    };
+
+                    // Axes start centered, so that only
+                    // off-center axes are published below
+
+                    for (j = 0, lenj = gamepad.axes.length; j < lenj; j++) {
+                        state.axes[j] = 0;
+                    }
+
+                    /**
+                     * Fired whenever a gamepad is connected, which some browsers
+                     * only detect once a button on it has been pressed.
+                     * @event gamepadconnected
+                     * @param gamepad {Number} Index of the gamepad.
+                     * @param id {String} ID string of the gamepad.
+                     */
+                    this.fire("gamepadconnected", {
+                        gamepad: i,
+                        id: gamepad.id
+                    }, true);
+                }
+
+                for (j = 0, lenj = gamepad.buttons.length; j < lenj; j++) {
+
+                    pressed = gamepad.buttons[j].pressed;
+                    value = gamepad.buttons[j].value;
+
+                    if (pressed && !(state.values[j] > 0)) {
+
+                        state.values[j] = value || 1;
+
+                        /**
+                         * Fired whenever a button is pressed on a gamepad.
+                         * @event buttondown
+                         * @param gamepad {Number} Index of the gamepad.
+                         * @param button {Number} Index of the button, for example {{#crossLink "Input/GAMEPAD_BUTTON_A:property"}}{{/crossLink}}.
+                         * @param value {Number} How far the button is pressed, from 0 to 1.
+                         */
+                        this.fire("buttondown", {
+                            gamepad: i,
+                            button: j,
+                            value: state.values[j]
+                        }, true);
+
+                    } else if (!pressed && state.values[j] > 0) {
+
+                        state.values[j] = 0;
+
+                        /**
+                         * Fired whenever a button is released on a gamepad.
+                         * @event buttonup
+                         * @param gamepad {Number} Index of the gamepad.
+                         * @param button {Number} Index of the button, for example {{#crossLink "Input/GAMEPAD_BUTTON_A:property"}}{{/crossLink}}.
+                         */
+                        this.fire("buttonup", {
+                            gamepad: i,
+                            button: j
+                        }, true);
+
+                    } else {
+
+                        // Analog buttons, such as triggers, may change while held down
+
+                        state.values[j] = pressed ? (value || 1) : 0;
+                    }
+                }
+
+                for (j = 0, lenj = gamepad.axes.length; j < lenj; j++) {
+
+                    value = gamepad.axes[j];
+
+                    if (state.axes[j] !== value) {
+
+                        state.axes[j] = value;
+
+                        /**
+                         * Fired whenever an axis changes on a gamepad, such as when an analog stick moves.
+                         * @event axis
+                         * @param gamepad {Number} Index of the gamepad.
+                         * @param axis {Number} Index of the axis, for example {{#crossLink "Input/GAMEPAD_AXIS_LEFT_X:property"}}{{/crossLink}}.
+                         * @param value {Number} The axis value, from -1 to 1.
+                         */
+                        this.fire("axis", {
+                            gamepad: i,
+                            axis: j,
+                            value: value
+                        }, true);
+                    }
+                }
+            }
+        },
+
+        // Captures pointer events, or touch events where pointer events are not supported,
+        // publishing them as pointer events and recognizing finger gestures from them
+
+        _initPointers: function (canvas) {
+
+            var self = this;
+
+            // Positions of the fingers that are down, mapped to pointer IDs
+
+            var touches = {};
+
+            // Current single-finger tap
+
+            var tapping = false;
+            var tapTime = 0;
+            var tapPos = [0, 0];
+
+            // Last tap, which may become a double-tap
+
+            var lastTapTime = 0;
+            var lastTapPos = [0, 0];
+
+            // Midpoint and spread of a pair of fingers
+
+            var pairMid = [0, 0];
+            var pairDist = 0;
+
+            function distance(a, b) {
+                var dx = a[0] - b[0];
+                var dy = a[1] - b[1];
+                return Math.sqrt(dx * dx + dy * dy);
+            }
+
+            // Gets the positions of the first two fingers that are down
+            function getPair() {
+
+                var pair = [];
+
+                for (var id in touches) {
+                    if (touches.hasOwnProperty(id)) {
+                        pair.push(touches[id]);
+                        if (pair.length === 2) {
+                            break;
+                        }
+                    }
+                }
+
+                return pair;
+            }
+
+            function startPair() {
+
+                var pair = getPair();
+
+                pairMid[0] = (pair[0][0] + pair[1][0]) / 2;
+                pairMid[1] = (pair[0][1] + pair[1][1]) / 2;
+                pairDist = distance(pair[0], pair[1]);
+            }
+
+            function pointerDown(id, type, coords) {
+
+                /**
+                 * Fired whenever a mouse button, pen or finger is pressed on the parent
+                 * {{#crossLink "Scene"}}Scene{{/crossLink}}'s {{#crossLink "Canvas"}}Canvas{{/crossLink}}.
+                 * @event pointerdown
+                 * @param pointerId {Number} ID that distinguishes the pointer from others that are down at the same time.
+                 * @param pointerType {String} "mouse", "pen" or "touch".
+                 * @param canvasPos {[Number, Number]} The pointer coordinates within the {{#crossLink "Canvas"}}Canvas{{/crossLink}}.
+                 */
+                self.fire("pointerdown", {
+                    pointerId: id,
+                    pointerType: type,
+                    canvasPos: coords
+                }, true);
+
+                if (type === "mouse") {
+                    return;
+                }
+
+                if (!touches[id]) {
+                    self.numTouches++;
+                }
+
+                touches[id] = coords;
+
+                if (self.numTouches === 1) {
+                    tapping = true;
+                    tapTime = Date.now();
+                    tapPos[0] = coords[0];
+                    tapPos[1] = coords[1];
+
+                } else {
+                    tapping = false;
+                    startPair();
+                }
+            }
+
+            function pointerMove(id, type, coords) {
+
+                /**
+                 * Fired whenever a mouse, pen or finger is moved over the parent
+                 * {{#crossLink "Scene"}}Scene{{/crossLink}}'s {{#crossLink "Canvas"}}Canvas{{/crossLink}}.
+                 * @event pointermove
+                 * @param pointerId {Number} ID that distinguishes the pointer from others that are down at the same time.
+                 * @param pointerType {String} "mouse", "pen" or "touch".
+                 * @param canvasPos {[Number, Number]} The pointer coordinates within the {{#crossLink "Canvas"}}Canvas{{/crossLink}}.
+                 */
+                self.fire("pointermove", {
+                    pointerId: id,
+                    pointerType: type,
+                    canvasPos: coords
+                }, true);
+
+                var last = touches[id];
+
+                if (type === "mouse" || !last) {
+                    return;
+                }
+
+                touches[id] = coords;
+
+                if (tapping && distance(coords, tapPos) > TAP_TOLERANCE) {
+                    tapping = false;
+                }
+
+                if (self.numTouches === 1) {
+
+                    /**
+                     * Fired whenever a single finger is dragged over the parent
+                     * {{#crossLink "Scene"}}Scene{{/crossLink}}'s {{#crossLink "Canvas"}}Canvas{{/crossLink}}.
+                     * @event touchdrag
+                     * @param value {[Number, Number]} Distance moved along X and Y, in pixels.
+                     */
+                    self.fire("touchdrag", [coords[0] - last[0], coords[1] - last[1]], true);
+
+                } else {
+
+                    var pair = getPair();
+
+                    var midX = (pair[0][0] + pair[1][0]) / 2;
+                    var midY = (pair[0][1] + pair[1][1]) / 2;
+                    var dist = distance(pair[0], pair[1]);
+
+                    if (midX !== pairMid[0] || midY !== pairMid[1]) {
+
+                        /**
+                         * Fired whenever two fingers are dragged together over the parent
+                         * {{#crossLink "Scene"}}Scene{{/crossLink}}'s {{#crossLink "Canvas"}}Canvas{{/crossLink}}.
+                         * @event touchpan
+                         * @param value {[Number, Number]} Distance moved by the point midway between the fingers, along X and Y, in pixels.
+                         */
+                        self.fire("touchpan", [midX - pairMid[0], midY - pairMid[1]], true);
+                    }
+
+                    if (dist !== pairDist) {
+
+                        /**
+                         * Fired whenever two fingers are pinched together or spread apart on the parent
+                         * {{#crossLink "Scene"}}Scene{{/crossLink}}'s {{#crossLink "Canvas"}}Canvas{{/crossLink}}.
+                         * @event touchpinch
+                         * @param value {Number} Change in the distance between the fingers, in pixels, which is positive
+                         * when they spread apart.
+                         */
+                        self.fire("touchpinch", dist - pairDist, true);
+                    }
+
+                    pairMid[0] = midX;
+                    pairMid[1] = midY;
+                    pairDist = dist;
+                }
+            }
+
+            function pointerUp(id, type, coords, cancelled) {
+
+                /**
+                 * Fired whenever a mouse button, pen or finger is released from the parent
+                 * {{#crossLink "Scene"}}Scene{{/crossLink}}'s {{#crossLink "Canvas"}}Canvas{{/crossLink}},
+                 * or when the browser cancels the pointer.
+                 * @event pointerup
+                 * @param pointerId {Number} ID that distinguishes the pointer from others that are down at the same time.
+                 * @param pointerType {String} "mouse", "pen" or "touch".
+                 * @param canvasPos {[Number, Number]} The pointer coordinates within the {{#crossLink "Canvas"}}Canvas{{/crossLink}}.
+                 */
+                self.fire("pointerup", {
+                    pointerId: id,
+                    pointerType: type,
+                    canvasPos: coords
+                }, true);
+
+                if (type === "mouse" || !touches[id]) {
+                    return;
+                }
+
+                delete touches[id];
+
+                self.numTouches--;
+
+                if (self.numTouches >= 2) {
+                    startPair();
+                }
+
+                if (self.numTouches > 0 || !tapping || cancelled) {
+                    return;
+                }
+
+                tapping = false;
+
+                var now = Date.now();
+
+                if (now - tapTime > TAP_DURATION || distance(coords, tapPos) > TAP_TOLERANCE) {
+                    return;
+                }
+
+                if (lastTapTime > 0 && now - lastTapTime < DOUBLE_TAP_INTERVAL && distance(coords, lastTapPos) < DOUBLE_TAP_TOLERANCE) {
+
+                    lastTapTime = 0;
+
+                    /**
+                     * Fired whenever a finger taps the parent {{#crossLink "Scene"}}Scene{{/crossLink}}'s
+                     * {{#crossLink "Canvas"}}Canvas{{/crossLink}} twice in quick succession.
+                     * @event doubletap
+                     * @param value {[Number, Number]} The coordinates of the second tap within the {{#crossLink "Canvas"}}Canvas{{/crossLink}}.
+                     */
+                    self.fire("doubletap", coords, true);
+
+                } else {
+
+                    lastTapTime = now;
+                    lastTapPos[0] = coords[0];
+                    lastTapPos[1] = coords[1];
+
+                    /**
+                     * Fired whenever a finger taps the parent {{#crossLink "Scene"}}Scene{{/crossLink}}'s
+                     * {{#crossLink "Canvas"}}Canvas{{/crossLink}}.
+                     * @event tap
+                     * @param value {[Number, Number]} The tap coordinates within the {{#crossLink "Canvas"}}Canvas{{/crossLink}}.
+                     */
+                    self.fire("tap", coords, true);
+                }
+            }
+
+            this._pointerListeners = {};
+
+            if (window.PointerEvent) {
+
+                // Stop the browser from scrolling or zooming the page instead
+
+                if (canvas.style) {
+                    canvas.style.touchAction = "none";
+                }
+
+                this._pointerListeners.pointerdown = function (e) {
+
+                    if (!self.enabled) {
+                        return;
+                    }
+
+                    if (e.pointerType !== "mouse") {
+
+                        // Keep receiving moves for the pointer when it leaves the canvas,
+                        // and suppress the mouse events the browser would emulate
+
+                        if (canvas.setPointerCapture) {
+                            canvas.setPointerCapture(e.pointerId);
+                        }
+
+                        e.preventDefault();
+                    }
+
+                    pointerDown(e.pointerId, e.pointerType, self._getClickCoordsWithinElement(e));
+                };
+
+                this._pointerListeners.pointermove = function (e) {
+                    if (self.enabled) {
+                        pointerMove(e.pointerId, e.pointerType, self._getClickCoordsWithinElement(e));
+                    }
+                };
+
+                this._pointerListeners.pointerup = function (e) {
+                    if (self.enabled) {
+                        pointerUp(e.pointerId, e.pointerType, self._getClickCoordsWithinElement(e), false);
+                    }
+                };
+
+                this._pointerListeners.pointercancel = function (e) {
+                    if (self.enabled) {
+                        pointerUp(e.pointerId, e.pointerType, self._getClickCoordsWithinElement(e), true);
+                    }
+                };
+
+            } else {
+
+                // Each touch is published as a pointer, identified by its touch identifier
+
+                var touchListener = function (handler, cancelled) {
+
+                    return function (e) {
+
+                        if (!self.enabled) {
+                            return;
+                        }
+
+                        // Stop the browser from scrolling or zooming the page, and
+                        // from emulating mouse events after the touch
+
+                        e.preventDefault();
+
+                        var touch;
+
+                        for (var i = 0, len = e.changedTouches.length; i < len; i++) {
+                            touch = e.changedTouches[i];
+                            handler(touch.identifier, "touch", self._getClickCoordsWithinElement(touch), cancelled);
+                        }
+                    };
+                };
+
+                this._pointerListeners.touchstart = touchListener(pointerDown);
+                this._pointerListeners.touchmove = touchListener(pointerMove);
+                this._pointerListeners.touchend = touchListener(pointerUp, false);
+                this._pointerListeners.touchcancel = touchListener(pointerUp, true);
+            }
+
+            for (var type in this._pointerListeners) {
+                if (this._pointerListeners.hasOwnProperty(type)) {
+                    canvas.addEventListener(type, this._pointerListeners[type], {passive: false});
+                }
+            }
         },
 
         _getClickCoordsWithinElement: function (event) {
@@ -1213,10 +1768,184 @@ var myScene = new XEO.Scene();
          */
         KEY_SPACE: 32,
 
+        // Gamepad button and axis indices, for gamepads with the standard mapping
+
+        /**
+         * Index of the A button, at the bottom of the right cluster on a gamepad.
+         * @property GAMEPAD_BUTTON_A
+         * @final
+         * @type Number
+         */
+        GAMEPAD_BUTTON_A: 0,
+
+        /**
+         * Index of the B button, at the right of the right cluster on a gamepad.
+         * @property GAMEPAD_BUTTON_B
+         * @final
+         * @type Number
+         */
+        GAMEPAD_BUTTON_B: 1,
+
+        /**
+         * Index of the X button, at the left of the right cluster on a gamepad.
+         * @property GAMEPAD_BUTTON_X
+         * @final
+         * @type Number
+         */
+        GAMEPAD_BUTTON_X: 2,
+
+        /**
+         * Index of the Y button, at the top of the right cluster on a gamepad.
+         * @property GAMEPAD_BUTTON_Y
+         * @final
+         * @type Number
+         */
+        GAMEPAD_BUTTON_Y: 3,
+
+        /**
+         * Index of the left bumper on a gamepad.
+         * @property GAMEPAD_BUTTON_LEFT_BUMPER
+         * @final
+         * @type Number
+         */
+        GAMEPAD_BUTTON_LEFT_BUMPER: 4,
+
+        /**
+         * Index of the right bumper on a gamepad.
+         * @property GAMEPAD_BUTTON_RIGHT_BUMPER
+         * @final
+         * @type Number
+         */
+        GAMEPAD_BUTTON_RIGHT_BUMPER: 5,
+
+        /**
+         * Index of the left trigger on a gamepad.
+         * @property GAMEPAD_BUTTON_LEFT_TRIGGER
+         * @final
+         * @type Number
+         */
+        GAMEPAD_BUTTON_LEFT_TRIGGER: 6,
+
+        /**
+         * Index of the right trigger on a gamepad.
+         * @property GAMEPAD_BUTTON_RIGHT_TRIGGER
+         * @final
+         * @type Number
+         */
+        GAMEPAD_BUTTON_RIGHT_TRIGGER: 7,
+
+        /**
+         * Index of the SELECT (or BACK) button on a gamepad.
+         * @property GAMEPAD_BUTTON_SELECT
+         * @final
+         * @type Number
+         */
+        GAMEPAD_BUTTON_SELECT: 8,
+
+        /**
+         * Index of the START button on a gamepad.
+         * @property GAMEPAD_BUTTON_START
+         * @final
+         * @type Number
+         */
+        GAMEPAD_BUTTON_START: 9,
+
+        /**
+         * Index of pressing the left stick on a gamepad.
+         * @property GAMEPAD_BUTTON_LEFT_STICK
+         * @final
+         * @type Number
+         */
+        GAMEPAD_BUTTON_LEFT_STICK: 10,
+
+        /**
+         * Index of pressing the right stick on a gamepad.
+         * @property GAMEPAD_BUTTON_RIGHT_STICK
+         * @final
+         * @type Number
+         */
+        GAMEPAD_BUTTON_RIGHT_STICK: 11,
+
+        /**
+         * Index of the D-pad UP button on a gamepad.
+         * @property GAMEPAD_BUTTON_DPAD_UP
+         * @final
+         * @type Number
+         */
+        GAMEPAD_BUTTON_DPAD_UP: 12,
+
+        /**
+         * Index of the D-pad DOWN button on a gamepad.
+         * @property GAMEPAD_BUTTON_DPAD_DOWN
+         * @final
+         * @type Number
+         */
+        GAMEPAD_BUTTON_DPAD_DOWN: 13,
+
+        /**
+         * Index of the D-pad LEFT button on a gamepad.
+         * @property GAMEPAD_BUTTON_DPAD_LEFT
+         * @final
+         * @type Number
+         */
+        GAMEPAD_BUTTON_DPAD_LEFT: 14,
+
+        /**
+         * Index of the D-pad RIGHT button on a gamepad.
+         * @property GAMEPAD_BUTTON_DPAD_RIGHT
+         * @final
+         * @type Number
+         */
+        GAMEPAD_BUTTON_DPAD_RIGHT: 15,
+
+        /**
+         * Index of the left stick's X-axis, which is positive to the right on a gamepad.
+         * @property GAMEPAD_AXIS_LEFT_X
+         * @final
+         * @type Number
+         */
+        GAMEPAD_AXIS_LEFT_X: 0,
+
+        /**
+         * Index of the left stick's Y-axis, which is positive downwards on a gamepad.
+         * @property GAMEPAD_AXIS_LEFT_Y
+         * @final
+         * @type Number
+         */
+        GAMEPAD_AXIS_LEFT_Y: 1,
+
+        /**
+         * Index of the right stick's X-axis, which is positive to the right on a gamepad.
+         * @property GAMEPAD_AXIS_RIGHT_X
+         * @final
+         * @type Number
+         */
+        GAMEPAD_AXIS_RIGHT_X: 2,
+
+        /**
+         * Index of the right stick's Y-axis, which is positive downwards on a gamepad.
+         * @property GAMEPAD_AXIS_RIGHT_Y
+         * @final
+         * @type Number
+         */
+        GAMEPAD_AXIS_RIGHT_Y: 3,
+
 
         _destroy: function () {
-            document.removeEventListener("keydown", this._keyDownListener);
-            document.removeEventListener("keyup", this._keyUpListener);
+            if (this._keyDownListener) {
+                document.removeEventListener("keydown", this._keyDownListener);
+                document.removeEventListener("keyup", this._keyUpListener);
+            }
+            if (this._onTick) {
+                this.scene.off(this._onTick);
+            }
+            if (this._pointerListeners) {
+                for (var type in this._pointerListeners) {
+                    if (this._pointerListeners.hasOwnProperty(type)) {
+                        this._canvas.removeEventListener(type, this._pointerListeners[type], {passive: false});
+                    }
+                }
+            }
         }
     });
 
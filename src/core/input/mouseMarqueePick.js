@@ -0,0 +1,407 @@
+/**
+ A **MouseMarqueePick** picks {{#crossLink "GameObject"}}GameObjects{{/crossLink}} by dragging a rectangle or lasso over them
+ with the mouse.
+
+ ## Overview
+
+ <ul>
+ <li>Dragging with the left mouse button sweeps out a rectangle on the {{#crossLink "Canvas"}}{{/crossLink}}. When the
+ button is released, a MouseMarqueePick picks the {{#crossLink "GameObject"}}GameObjects{{/crossLink}} within the rectangle
+ using {{#crossLink "Scene/pickRegion:method"}}Scene#pickRegion{{/crossLink}}, then fires a
+ {{#crossLink "MouseMarqueePick/picked:event"}}{{/crossLink}} event with all of them at once.</li>
+ <li>When the {{#crossLink "MouseMarqueePick/shape:property"}}{{/crossLink}} is "lasso", dragging instead traces out a
+ freehand polygon, which is closed back to where the drag started, and picks the {{#crossLink "GameObject"}}GameObjects{{/crossLink}}
+ within that.</li>
+ <li>The {{#crossLink "MouseMarqueePick/mode:property"}}{{/crossLink}} selects whether {{#crossLink "GameObject"}}GameObjects{{/crossLink}}
+ must be fully enclosed by the rectangle or lasso, or just touching it.</li>
+ <li>A MouseMarqueePick fires {{#crossLink "MouseMarqueePick/marquee:event"}}{{/crossLink}} events as the rectangle or
+ lasso is dragged, which you can use to draw it. It does not draw anything itself.</li>
+ <li>Drags shorter than a couple of pixels are ignored, so that clicks are not mistaken for marquees.</li>
+ <li>Dragging with the left mouse button also orbits the camera with a {{#crossLink "MouseOrbitCamera"}}{{/crossLink}},
+ so you'll typically deactivate one of those whenever you activate the other.</li>
+ </ul>
+
+ ## Example
+
+ ````Javascript
+ var scene = new XEO.Scene({ element: "myDiv" });
+
+ // Create some GameObjects
+
+ var object1 = new XEO.GameObject(scene, {
+    id: "object1",
+    transform: new XEO.Translate(scene, { xyz: [-5, 0, 0] })
+ });
+
+ var object2 = new XEO.GameObject(scene, {
+    id: "object2",
+    transform: new XEO.Translate(scene, { xyz: [5, 0, 0] })
+ });
+
+ // Create a MouseMarqueePick
+
+ var marqueePick = new XEO.MouseMarqueePick(scene, {
+    mode: "enclosed"
+ });
+
+ // Track the rectangle while it's being dragged
+
+ marqueePick.on("marquee", function(rect) {
+    var x1 = rect[0], y1 = rect[1], x2 = rect[2], y2 = rect[3];
+    //...
+ });
+
+ // Handle picked GameObjects
+
+ marqueePick.on("picked", function(objects) {
+    for (var i = 0; i < objects.length; i++) {
+        var object = objects[i];
+        //...
+    }
+ });
+
+ // Handle nothing picked
+
+ marqueePick.on("nothingPicked", function(rect) {
+    //...
+ });
+
+ // Switch to lasso selection, where the marquee
+ // is the polygon traced out by the mouse
+
+ marqueePick.shape = "lasso";
+
+ marqueePick.on("marquee", function(marquee) {
+    if (marqueePick.shape === "lasso") {
+        for (var i = 0; i < marquee.length; i++) {
+            var x = marquee[i][0], y = marquee[i][1];
+            //...
+        }
+    }
+ });
+ ````
+
+ @class MouseMarqueePick
+ @module XEO
+ @submodule input
+ @constructor
+ @param [scene] {Scene} Parent {{#crossLink "Scene"}}{{/crossLink}}.
+ @param [cfg] {*} Configs
+ @param [cfg.id] {String} Optional ID, unique among all components in the parent scene, generated automatically when omitted.
+ @param [cfg.meta] {String:Object} Optional map of user-defined metadata to attach to this MouseMarqueePick.
+ @param [cfg.mode="touching"] {String} Either "touching" or "enclosed".
+ @param [cfg.shape="rectangle"] {String} Either "rectangle" or "lasso".
+ @param [cfg.pickableOnly=true] {Boolean} Whether to ignore {{#crossLink "GameObject"}}GameObjects{{/crossLink}} that are not pickable.
+ @param [cfg.active=true] {Boolean} Indicates whether or not this MouseMarqueePick is active.
+ @extends Component
+ */
+(function () {
+
+    "use strict";
+
+    XEO.MouseMarqueePick = XEO.Component.extend({
+
+        /**
+         JavaScript class name for this Component.
+
+         @property type
+         @type String
+         @final
+         */
+        type: "XEO.MouseMarqueePick",
+
+        _init: function (cfg) {
+
+            this.mode = cfg.mode;
+            this.shape = cfg.shape;
+            this.pickableOnly = cfg.pickableOnly;
+
+            this.active = cfg.active !== false;
+        },
+
+        _props: {
+
+            /**
+             * Flag which indicates whether this MouseMarqueePick is active or not.
+             *
+             * Fires an {{#crossLink "MouseMarqueePick/active:event"}}{{/crossLink}} event on change.
+             *
+             * @property active
+             * @type Boolean
+             */
+            active: {
+
+                set: function (value) {
+
+                    value = !!value;
+
+                    if (this._active === value) {
+                        return;
+                    }
+
+                    var input = this.scene.input;
+
+                    if (value) {
+
+                        var self = this;
+
+                        var dragging = false;
+                        var rect = [0, 0, 0, 0];
+
+                        // Vertices of the lasso while dragging one, else null
+                        var lasso = null;
+
+                        this._onMouseDown = input.on("mousedown",
+                            function (canvasPos) {
+
+                                if (!input.mouseDownLeft) {
+                                    return;
+                                }
+
+                                dragging = true;
+
+                                rect = [canvasPos[0], canvasPos[1], canvasPos[0], canvasPos[1]];
+
+                                lasso = (self._shape === "lasso") ? [[canvasPos[0], canvasPos[1]]] : null;
+                            });
+
+                        this._onMouseMove = input.on("mousemove",
+                            function (canvasPos) {
+
+                                if (!dragging) {
+                                    return;
+                                }
+
+                                rect = [rect[0], rect[1], canvasPos[0], canvasPos[1]];
+
+                                if (lasso) {
+
+                                    lasso.push([canvasPos[0], canvasPos[1]]);
+
+                                    /**
+                                     * Fired whenever the rectangle or lasso changes while it's being dragged.
+                                     * @event marquee
+                                     * @param {Array of Number|Array of Array of Number} value For a rectangle, the Canvas-space
+                                     * coordinates of its two opposite corners, [x1, y1, x2, y2], where the first corner is where
+                                     * the drag started. For a lasso, its Canvas-space vertices so far, [[x1, y1], [x2, y2], ...],
+                                     * starting where the drag started.
+                                     */
+                                    self.fire("marquee", lasso, true);
+
+                                } else {
+                                    self.fire("marquee", rect, true);
+                                }
+                            });
+
+                        this._onMouseUp = input.on("mouseup",
+                            function (canvasPos) {
+
+                                if (!dragging) {
+                                    return;
+                                }
+
+                                dragging = false;
+
+                                if (lasso) {
+
+                                    lasso.push([canvasPos[0], canvasPos[1]]);
+
+                                    if (lasso.length < 3 || isClick(lasso)) {
+                                        return; // Just a click, or too few vertices to enclose anything
+                                    }
+
+                                    self._pick(lasso);
+
+                                    return;
+                                }
+
+                                rect = [rect[0], rect[1], canvasPos[0], canvasPos[1]];
+
+                                if (Math.abs(rect[2] - rect[0]) < 3 && Math.abs(rect[3] - rect[1]) < 3) {
+                                    return; // Just a click
+                                }
+
+                                self._pick(rect);
+                            });
+
+                    } else {
+
+                        input.off(this._onMouseDown);
+                        input.off(this._onMouseMove);
+                        input.off(this._onMouseUp);
+                    }
+
+                    /**
+                     * Fired whenever this MouseMarqueePick's {{#crossLink "MouseMarqueePick/active:property"}}{{/crossLink}} property changes.
+                     * @event active
+                     * @param value The property's new value
+                     */
+                    this.fire('active', this._active = value);
+                },
+
+                get: function () {
+                    return this._active;
+                }
+            },
+
+            /**
+             * Whether this MouseMarqueePick picks {{#crossLink "GameObject"}}GameObjects{{/crossLink}} that are "touching" the
+             * rectangle, or only those that are "enclosed" by it.
+             *
+             * Fires a {{#crossLink "MouseMarqueePick/mode:event"}}{{/crossLink}} event on change.
+             *
+             * @property mode
+             * @default "touching"
+             * @type String
+             */
+            mode: {
+
+                set: function (value) {
+
+                    value = value || "touching";
+
+                    if (value !== "touching" && value !== "enclosed") {
+                        this.error("Unsupported value for 'mode': " + XEO._inQuotes(value) +
+                            " - should be 'touching' or 'enclosed'. Defaulting to 'touching'.");
+                        value = "touching";
+                    }
+
+                    /**
+                     * Fired whenever this MouseMarqueePick's {{#crossLink "MouseMarqueePick/mode:property"}}{{/crossLink}} property changes.
+                     * @event mode
+                     * @param value The property's new value
+                     */
+                    this.fire('mode', this._mode = value);
+                },
+
+                get: function () {
+                    return this._mode;
+                }
+            },
+
+            /**
+             * Whether this MouseMarqueePick picks with a "rectangle" or a "lasso".
+             *
+             * Fires a {{#crossLink "MouseMarqueePick/shape:event"}}{{/crossLink}} event on change.
+             *
+             * @property shape
+             * @default "rectangle"
+             * @type String
+             */
+            shape: {
+
+                set: function (value) {
+
+                    value = value || "rectangle";
+
+                    if (value !== "rectangle" && value !== "lasso") {
+                        this.error("Unsupported value for 'shape': " + XEO._inQuotes(value) +
+                            " - should be 'rectangle' or 'lasso'. Defaulting to 'rectangle'.");
+                        value = "rectangle";
+                    }
+
+                    /**
+                     * Fired whenever this MouseMarqueePick's {{#crossLink "MouseMarqueePick/shape:property"}}{{/crossLink}} property changes.
+                     * @event shape
+                     * @param value The property's new value
+                     */
+                    this.fire('shape', this._shape = value);
+                },
+
+                get: function () {
+                    return this._shape;
+                }
+            },
+
+            /**
+             * Whether this MouseMarqueePick ignores {{#crossLink "GameObject"}}GameObjects{{/crossLink}} that are attached
+             * to either a {{#crossLink "Stage"}}Stage{{/crossLink}} with {{#crossLink "Stage/pickable:property"}}pickable{{/crossLink}}
+             * set *false* or a {{#crossLink "Modes"}}Modes{{/crossLink}} with {{#crossLink "Modes/picking:property"}}picking{{/crossLink}} set *false*.
+             *
+             * Fires a {{#crossLink "MouseMarqueePick/pickableOnly:event"}}{{/crossLink}} event on change.
+             *
+             * @property pickableOnly
+             * @default true
+             * @type Boolean
+             */
+            pickableOnly: {
+
+                set: function (value) {
+
+                    value = value !== false;
+
+                    /**
+                     * Fired whenever this MouseMarqueePick's {{#crossLink "MouseMarqueePick/pickableOnly:property"}}{{/crossLink}} property changes.
+                     * @event pickableOnly
+                     * @param value The property's new value
+                     */
+                    this.fire('pickableOnly', this._pickableOnly = value);
+                },
+
+                get: function () {
+                    return this._pickableOnly;
+                }
+            }
+        },
+
+        _pick: function (marquee) {
+
+            var objects = this.scene.pickRegion(marquee, {
+                mode: this._mode,
+                pickableOnly: this._pickableOnly
+            });
+
+            if (objects.length > 0) {
+
+                /**
+                 * Fired whenever a marquee picks one or more {{#crossLink "GameObject"}}GameObjects{{/crossLink}}.
+                 * @event picked
+                 * @param {Array of GameObject} value The picked {{#crossLink "GameObject"}}GameObjects{{/crossLink}}.
+                 */
+                this.fire("picked", objects, true);
+
+            } else {
+
+                /**
+                 * Fired whenever a marquee picks nothing.
+                 * @event nothingPicked
+                 * @param {Array of Number|Array of Array of Number} value The marquee, as given
+                 * to {{#crossLink "MouseMarqueePick/marquee:event"}}{{/crossLink}}.
+                 */
+                this.fire("nothingPicked", marquee, true);
+            }
+        },
+
+        _getJSON: function () {
+            return {
+                mode: this._mode,
+                shape: this._shape,
+                pickableOnly: this._pickableOnly,
+                active: this._active
+            };
+        },
+
+        _destroy: function () {
+            this.active = false;
+        }
+    });
+
+    // Returns true if the given lasso vertices all lie within
+    // a couple of pixels, so that they're just a click
+    function isClick(lasso) {
+
+        var xmin = Infinity;
+        var ymin = Infinity;
+        var xmax = -Infinity;
+        var ymax = -Infinity;
+
+        for (var i = 0, len = lasso.length; i < len; i++) {
+            xmin = Math.min(xmin, lasso[i][0]);
+            ymin = Math.min(ymin, lasso[i][1]);
+            xmax = Math.max(xmax, lasso[i][0]);
+            ymax = Math.max(ymax, lasso[i][1]);
+        }
+
+        return xmax - xmin < 3 && ymax - ymin < 3;
+    }
+})();
@@ -0,0 +1,281 @@
+/**
+ A **TouchOrbitCamera** orbits a {{#crossLink "Camera"}}{{/crossLink}} about its point-of-interest by dragging a finger
+ over the {{#crossLink "Canvas"}}{{/crossLink}}.
+
+ ## Overview
+
+ <ul>
+ <li>A TouchOrbitCamera updates the {{#crossLink "Lookat"}}{{/crossLink}} attached to the target {{#crossLink "Camera"}}{{/crossLink}}.
+ <li>The point-of-interest is the {{#crossLink "Lookat"}}Lookat's{{/crossLink}} {{#crossLink "Lookat/look:property"}}{{/crossLink}}.</li>
+ <li>Orbiting involves rotating the {{#crossLink "Lookat"}}Lookat's{{/crossLink}} {{#crossLink "Lookat/eye:property"}}{{/crossLink}}
+ about {{#crossLink "Lookat/look:property"}}{{/crossLink}}.</li>
+ <li>Orbits in response to the {{#crossLink "Input/touchdrag:event"}}{{/crossLink}} events published by the
+ {{#crossLink "Scene"}}Scene's{{/crossLink}} {{#crossLink "Input"}}{{/crossLink}}, in the same way that a
+ {{#crossLink "MouseOrbitCamera"}}{{/crossLink}} orbits in response to mouse drags.</li>
+ </ul>
+
+ ## Example
+
+ ````Javascript
+ var scene = new XEO.Scene();
+
+ var camera = new XEO.Camera(scene);
+
+ var control = new XEO.TouchOrbitCamera(scene, {
+
+        camera: camera,
+
+        // "First person" mode rotates look about eye.
+        // By default however, we orbit eye about look.
+        firstPerson: false
+    });
+
+ var object = new XEO.GameObject(scene);
+ ````
+
+ @class TouchOrbitCamera
+ @module XEO
+ @submodule input
+ @constructor
+ @param [scene] {scene} Parent {{#crossLink "Scene"}}{{/crossLink}}.
+ @param [cfg] {*} Configs
+ @param [cfg.id] {String} Optional ID, unique among all components in the parent Scene, generated automatically when omitted.
+ @param [cfg.meta] {String:Object} Optional map of user-defined metadata to attach to this TouchOrbitCamera.
+ @param [cfg.camera] {String|Camera} ID or instance of a {{#crossLink "Camera"}}Camera{{/crossLink}} to control.
+ Must be within the same {{#crossLink "Scene"}}Scene{{/crossLink}} as this TouchOrbitCamera. Defaults to the
+ parent {{#crossLink "Scene"}}Scene{{/crossLink}}'s default instance, {{#crossLink "Scene/camera:property"}}camera{{/crossLink}}.
+ @param [cfg.sensitivity=1.0] {Number} Finger drag sensitivity factor.
+ @param [cfg.firstPerson=false] {Boolean}  Indicates whether this TouchOrbitCamera is in "first person" mode.
+ @param [cfg.active=true] {Boolean} Whether or not this TouchOrbitCamera is active.
+ @extends Component
+ */
+(function () {
+
+    "use strict";
+
+    XEO.TouchOrbitCamera = XEO.Component.extend({
+
+        /**
+         JavaScript class name for this Component.
+
+         @property type
+         @type String
+         @final
+         */
+        type: "XEO.TouchOrbitCamera",
+
+        _init: function (cfg) {
+
+            // Event handles
+
+            this._onTick = null;
+            this._onTouchDrag = null;
+
+            // Init properties
+
+            this.camera = cfg.camera;
+            this.sensitivity = cfg.sensitivity;
+            this.firstPerson = cfg.firstPerson;
+            this.active = cfg.active !== false;
+        },
+
+        _props: {
+
+            /**
+             * The {{#crossLink "Camera"}}Camera{{/crossLink}} attached to this TouchOrbitCamera.
+             *
+             * Must be within the same {{#crossLink "Scene"}}Scene{{/crossLink}} as this TouchOrbitCamera. Defaults to the parent
+             * {{#crossLink "Scene"}}Scene{{/crossLink}}'s default {{#crossLink "Scene/camera:property"}}camera{{/crossLink}} when set to
+             * a null or undefined value.
+             *
+             * Fires a {{#crossLink "TouchOrbitCamera/camera:event"}}{{/crossLink}} event on change.
+             *
+             * @property camera
+             * @type Camera
+             */
+            camera: {
+
+                set: function (value) {
+
+                    /**
+                     * Fired whenever this TouchOrbitCamera's {{#crossLink "TouchOrbitCamera/camera:property"}}{{/crossLink}} property changes.
+                     *
+                     * @event camera
+                     * @param value The property's new value
+                     */
+                    this._setChild("camera", value);
+                },
+
+                get: function () {
+                    return this._children.camera;
+                }
+            },
+
+            /**
+             * The sensitivity of this TouchOrbitCamera.
+             *
+             * Fires a {{#crossLink "TouchOrbitCamera/sensitivity:event"}}{{/crossLink}} event on change.
+             *
+             * @property sensitivity
+             * @type Number
+             * @default 1.0
+             */
+            sensitivity: {
+
+                set: function (value) {
+
+                    this._sensitivity = value || 1.0;
+
+                    /**
+                     * Fired whenever this TouchOrbitCamera's  {{#crossLink "TouchOrbitCamera/sensitivity:property"}}{{/crossLink}} property changes.
+                     *
+                     * @event sensitivity
+                     * @param value The property's new value
+                     */
+                    this.fire("sensitivity", this._sensitivity);
+                },
+
+                get: function () {
+                    return this._sensitivity;
+                }
+            },
+
+            /**
+             * Flag which indicates whether this TouchOrbitCamera is in "first person" mode.
+             *
+             * In "first person" mode, the {{#crossLink "Lookat"}}Lookat's{{/crossLink}} {{#crossLink "Lookat/look:property"}}{{/crossLink}}
+             * position orbits the {{#crossLink "Lookat/eye:property"}}{{/crossLink}} position, otherwise
+             * the {{#crossLink "Lookat/eye:property"}}{{/crossLink}} orbits {{#crossLink "Lookat/look:property"}}{{/crossLink}}.
+             *
+             * Fires a {{#crossLink "TouchOrbitCamera/firstPerson:event"}}{{/crossLink}} event on change.
+             *
+             * @property firstPerson
+             * @default false
+             * @type Boolean
+             */
+            firstPerson: {
+
+                set: function (value) {
+
+                    value = !!value;
+
+                    this._firstPerson = value;
+
+                    /**
+                     * Fired whenever this TouchOrbitCamera's {{#crossLink "TouchOrbitCamera/firstPerson:property"}}{{/crossLink}} property changes.
+                     * @event firstPerson
+                     * @param value The property's new value
+                     */
+                    this.fire('firstPerson', this._firstPerson);
+                },
+
+                get: function () {
+                    return this._firstPerson;
+                }
+            },
+
+            /**
+             * Flag which indicates whether this TouchOrbitCamera is active or not.
+             *
+             * Fires an {{#crossLink "TouchOrbitCamera/active:event"}}{{/crossLink}} event on change.
+             *
+             * @property active
+             * @type Boolean
+             */
+            active: {
+
+                set: function (value) {
+
+                    if (this._active === value) {
+                        return;
+                    }
+
+                    var input = this.scene.input;
+
+                    if (value) {
+
+                        var xDelta = 0;
+                        var yDelta = 0;
+
+                        var self = this;
+
+                        this._onTick = this.scene.on("tick",
+                            function () {
+
+                                var camera = self._children.camera;
+
+                                if (!camera) {
+                                    return;
+                                }
+
+                                if (xDelta !== 0) {
+
+                                    if (self._firstPerson) {
+                                        camera.view.rotateLookY(-xDelta);
+                                    } else {
+                                        camera.view.rotateEyeY(-xDelta);
+                                    }
+
+                                    xDelta = 0;
+                                }
+
+                                if (yDelta !== 0) {
+
+                                    if (self._firstPerson) {
+                                        camera.view.rotateLookX(-yDelta);
+                                    } else {
+                                        camera.view.rotateEyeX(yDelta);
+                                    }
+
+                                    yDelta = 0;
+                                }
+                            });
+
+                        this._onTouchDrag = input.on("touchdrag",
+                            function (delta) {
+                                xDelta += delta[0] * self._sensitivity;
+                                yDelta += delta[1] * self._sensitivity;
+                            });
+
+                    } else {
+
+                        this.scene.off(this._onTick);
+
+                        input.off(this._onTouchDrag);
+                    }
+
+                    /**
+                     * Fired whenever this TouchOrbitCamera's {{#crossLink "TouchOrbitCamera/active:property"}}{{/crossLink}} property changes.
+                     * @event active
+                     * @param value The property's new value
+                     */
+                    this.fire('active', this._active = value);
+                },
+
+                get: function () {
+                    return this._active;
+                }
+            }
+        },
+
+        _getJSON: function () {
+
+            var json = {
+                sensitivity: this._sensitivity,
+                firstPerson: this._firstPerson,
+                active: this._active
+            };
+
+            if (this._children.camera) {
+                json.camera = this._children.camera.id;
+            }
+
+            return json;
+        },
+
+        _destroy: function () {
+            this.active = false;
+        }
+    });
+
+})();
@@ -0,0 +1,227 @@
+/**
+ A **TouchPanCamera** pans a {{#crossLink "Camera"}}{{/crossLink}} by dragging two fingers over the {{#crossLink "Canvas"}}{{/crossLink}}.
+
+ ## Overview
+
+ <ul>
+ <li>A TouchPanCamera updates the {{#crossLink "Lookat"}}{{/crossLink}} attached to the target {{#crossLink "Camera"}}{{/crossLink}}.
+ <li>Pans in response to the {{#crossLink "Input/touchpan:event"}}{{/crossLink}} events published by the
+ {{#crossLink "Scene"}}Scene's{{/crossLink}} {{#crossLink "Input"}}{{/crossLink}}, in the same way that a
+ {{#crossLink "MousePanCamera"}}{{/crossLink}} pans in response to mouse drags.</li>
+ <li>Panning up and down involves translating the positions of the {{#crossLink "Lookat"}}Lookat's{{/crossLink}}
+ {{#crossLink "Lookat/eye:property"}}{{/crossLink}} and {{#crossLink "Lookat/look:property"}}{{/crossLink}} back and forth
+ along the {{#crossLink "Lookat"}}Lookat's{{/crossLink}} {{#crossLink "Lookat/up:property"}}{{/crossLink}} vector.</li>
+ <li>Panning left and right involves translating the {{#crossLink "Lookat/eye:property"}}{{/crossLink}} and
+ {{#crossLink "Lookat/look:property"}}{{/crossLink}} along the the vector perpendicular to the {{#crossLink "Lookat/up:property"}}{{/crossLink}}
+ and {{#crossLink "Lookat/eye:property"}}{{/crossLink}}-&gt;{{#crossLink "Lookat/look:property"}}{{/crossLink}} vectors.</li>
+ </ul>
+
+ ## Example
+
+ ````Javascript
+ var scene = new XEO.Scene();
+
+ var camera = new XEO.Camera(scene);
+
+ var control = new XEO.TouchPanCamera(scene, {
+        camera: camera
+    });
+
+ var object = new XEO.GameObject(scene);
+ ````
+
+ @class TouchPanCamera
+ @module XEO
+ @submodule input
+ @constructor
+ @param [scene] {Scene} Parent {{#crossLink "Scene"}}{{/crossLink}}.
+ @param [cfg] {*} Configs
+ @param [cfg.id] {String} Optional ID, unique among all components in the parent scene, generated automatically when omitted.
+ @param [cfg.meta] {String:Object} Optional map of user-defined metadata to attach to this TouchPanCamera.
+ @param [cfg.camera] {String|Camera} ID or instance of a {{#crossLink "Camera"}}Camera{{/crossLink}} to control.
+ Must be within the same {{#crossLink "Scene"}}Scene{{/crossLink}} as this TouchPanCamera. Defaults to the
+ parent {{#crossLink "Scene"}}Scene{{/crossLink}}'s default instance, {{#crossLink "Scene/camera:property"}}camera{{/crossLink}}.
+ @param [cfg.sensitivity=1.0] {Number} Pan sensitivity factor.
+ @param [cfg.active=true] {Boolean} Whether or not this TouchPanCamera is active.
+ @extends Component
+ */
+(function () {
+
+    "use strict";
+
+    XEO.TouchPanCamera = XEO.Component.extend({
+
+        /**
+         JavaScript class name for this Component.
+
+         @property type
+         @type String
+         @final
+         */
+        type: "XEO.TouchPanCamera",
+
+        _init: function (cfg) {
+
+            // Event handles
+
+            this._onTick = null;
+            this._onTouchPan = null;
+
+            // Init properties
+
+            this.camera = cfg.camera;
+            this.sensitivity = cfg.sensitivity;
+            this.active = cfg.active !== false;
+        },
+
+        _props: {
+
+            /**
+             * The {{#crossLink "Camera"}}Camera{{/crossLink}} attached to this TouchPanCamera.
+             *
+             * Must be within the same {{#crossLink "Scene"}}Scene{{/crossLink}} as this TouchPanCamera. Defaults to the parent
+             * {{#crossLink "Scene"}}Scene{{/crossLink}}'s default {{#crossLink "Scene/camera:property"}}camera{{/crossLink}} when set to
+             * a null or undefined value.
+             *
+             * Fires a {{#crossLink "TouchPanCamera/camera:event"}}{{/crossLink}} event on change.
+             *
+             * @property camera
+             * @type Camera
+             */
+            camera: {
+
+                set: function (value) {
+
+                    /**
+                     * Fired whenever this TouchPanCamera's {{#crossLink "TouchPanCamera/camera:property"}}{{/crossLink}} property changes.
+                     *
+                     * @event camera
+                     * @param value The property's new value
+                     */
+                    this._setChild("camera", value);
+                },
+
+                get: function () {
+                    return this._children.camera;
+                }
+            },
+
+            /**
+             * The sensitivity of this TouchPanCamera.
+             *
+             * Fires a {{#crossLink "TouchPanCamera/sensitivity:event"}}{{/crossLink}} event on change.
+             *
+             * @property sensitivity
+             * @type Number
+             * @default 1.0
+             */
+            sensitivity: {
+
+                set: function (value) {
+
+                    this._sensitivity = value ? value * 0.03 : 0.03;
+
+                    /**
+                     * Fired whenever this TouchPanCamera's  {{#crossLink "TouchPanCamera/sensitivity:property"}}{{/crossLink}} property changes.
+                     *
+                     * @event sensitivity
+                     * @param value The property's new value
+                     */
+                    this.fire("sensitivity", this._sensitivity);
+                },
+
+                get: function () {
+                    return this._sensitivity;
+                }
+            },
+
+            /**
+             * Flag which indicates whether this TouchPanCamera is active or not.
+             *
+             * Fires an {{#crossLink "TouchPanCamera/active:event"}}{{/crossLink}} event on change.
+             *
+             * @property active
+             * @type Boolean
+             */
+            active: {
+
+                set: function (value) {
+
+                    if (this._active === value) {
+                        return;
+                    }
+
+                    var input = this.scene.input;
+
+                    if (value) {
+
+                        var xDelta = 0;
+                        var yDelta = 0;
+
+                        var self = this;
+
+                        this._onTick = this.scene.on("tick",
+                            function () {
+
+                                var camera = self._children.camera;
+
+                                if (!camera) {
+                                    return;
+                                }
+
+                                if (xDelta !== 0 || yDelta !== 0) {
+
+                                    camera.view.pan([xDelta, yDelta, 0]);
+
+                                    xDelta = 0;
+                                    yDelta = 0;
+                                }
+                            });
+
+                        this._onTouchPan = input.on("touchpan",
+                            function (delta) {
+                                xDelta += delta[0] * self._sensitivity;
+                                yDelta += delta[1] * self._sensitivity;
+                            });
+
+                    } else {
+
+                        this.scene.off(this._onTick);
+
+                        input.off(this._onTouchPan);
+                    }
+
+                    /**
+                     * Fired whenever this TouchPanCamera's {{#crossLink "TouchPanCamera/active:property"}}{{/crossLink}} property changes.
+                     * @event active
+                     * @param value The property's new value
+                     */
+                    this.fire('active', this._active = value);
+                },
+
+                get: function () {
+                    return this._active;
+                }
+            }
+        },
+
+        _getJSON: function () {
+
+            var json = {
+                sensitivity: this._sensitivity,
+                active: this._active
+            };
+
+            if (this._children.camera) {
+                json.camera = this._children.camera.id;
+            }
+
+            return json;
+        },
+
+        _destroy: function () {
+            this.active = false;
+        }
+    });
+
+})();
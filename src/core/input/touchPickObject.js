@@ -0,0 +1,236 @@
+/**
+ A **TouchPickObject** picks {{#crossLink "GameObject"}}GameObjects{{/crossLink}} with taps of a finger.
+
+ ## Overview
+
+ <ul>
+ <li>Picks in response to the {{#crossLink "Input/tap:event"}}{{/crossLink}} and
+ {{#crossLink "Input/doubletap:event"}}{{/crossLink}} events published by the {{#crossLink "Scene"}}Scene's{{/crossLink}}
+ {{#crossLink "Input"}}{{/crossLink}}.</li>
+ <li>Fires a {{#crossLink "TouchPickObject/pick:event"}}{{/crossLink}} event whenever a tap lands on a
+ {{#crossLink "GameObject"}}{{/crossLink}}, and a {{#crossLink "TouchPickObject/nopick:event"}}{{/crossLink}} event
+ whenever a tap lands on empty space. Both events have a **doubleTap** property, which is true for double-taps.</li>
+ <li>The first tap of a double-tap picks like any other tap.</li>
+ </ul>
+
+ ## Example
+
+ ````Javascript
+ var scene = new XEO.Scene({ element: "myDiv" });
+
+ // Create some GameObjects
+
+ var object1 = new XEO.GameObject(scene, {
+    id: "object1",
+    transform: new XEO.Translate(scene, { xyz: [-5, 0, 0] })
+ });
+
+ var object2 = new XEO.GameObject(scene, {
+    id: "object2",
+    transform: new XEO.Translate(scene, { xyz: [5, 0, 0] })
+ });
+
+ // Create a TouchPickObject
+ var touchPickObject = new XEO.TouchPickObject(scene, {
+
+    // We want the 3D World-space coordinates
+    // of each location we pick
+
+    rayPick: true
+ });
+
+ // Handle picked GameObjects
+ touchPickObject.on("pick", function(e) {
+    var object = e.object;
+    var canvasPos = e.canvasPos;
+    var worldPos = e.worldPos;
+    var doubleTap = e.doubleTap;
+ });
+
+ // Handle nothing picked
+ touchPickObject.on("nopick", function(e) {
+    var canvasPos = e.canvasPos;
+ });
+ ````
+
+ @class TouchPickObject
+ @module XEO
+ @submodule input
+ @constructor
+ @param [scene] {Scene} Parent {{#crossLink "Scene"}}{{/crossLink}}.
+ @param [cfg] {*} Configs
+ @param [cfg.id] {String} Optional ID, unique among all components in the parent scene, generated automatically when omitted.
+ @param [cfg.meta] {String:Object} Optional map of user-defined metadata to attach to this TouchPickObject.
+ @param [rayPick=false] {Boolean} Indicates whether this TouchPickObject will find the 3D ray intersection whenever it picks a
+ {{#crossLink "GameObject"}}{{/crossLink}}.
+ @param [cfg.active=true] {Boolean} Indicates whether or not this TouchPickObject is active.
+ @extends Component
+ */
+(function () {
+
+    "use strict";
+
+    XEO.TouchPickObject = XEO.Component.extend({
+
+        /**
+         JavaScript class name for this Component.
+
+         @property type
+         @type String
+         @final
+         */
+        type: "XEO.TouchPickObject",
+
+        _init: function (cfg) {
+
+            // Event handles
+
+            this._onTap = null;
+            this._onDoubleTap = null;
+
+            // Init properties
+
+            this.rayPick = cfg.rayPick;
+
+            this.active = cfg.active !== false;
+        },
+
+        _props: {
+
+            /**
+             * Flag which indicates whether this TouchPickObject is active or not.
+             *
+             * Fires a {{#crossLink "TouchPickObject/active:event"}}{{/crossLink}} event on change.
+             *
+             * @property active
+             * @type Boolean
+             */
+            active: {
+
+                set: function (value) {
+
+                    if (this._active === value) {
+                        return;
+                    }
+
+                    var input = this.scene.input;
+
+                    if (value) {
+
+                        var self = this;
+
+                        this._onTap = input.on("tap",
+                            function (canvasPos) {
+                                self._pick(canvasPos, false);
+                            });
+
+                        this._onDoubleTap = input.on("doubletap",
+                            function (canvasPos) {
+                                self._pick(canvasPos, true);
+                            });
+
+                    } else {
+
+                        input.off(this._onTap);
+                        input.off(this._onDoubleTap);
+                    }
+
+                    /**
+                     * Fired whenever this TouchPickObject's {{#crossLink "TouchPickObject/active:property"}}{{/crossLink}} property changes.
+                     * @event active
+                     * @param value The property's new value
+                     */
+                    this.fire('active', this._active = value);
+                },
+
+                get: function () {
+                    return this._active;
+                }
+            },
+
+            /**
+             * Indicates whether this TouchPickObject will find the 3D ray intersection whenever it picks a
+             * {{#crossLink "GameObject"}}{{/crossLink}}.
+             *
+             * When true, this TouchPickObject returns the 3D World-space intersection in each
+             * {{#crossLink "TouchPickObject/pick:event"}}{{/crossLink}} event.
+             *
+             * Fires a {{#crossLink "TouchPickObject/rayPick:event"}}{{/crossLink}} event on change.
+             *
+             * @property rayPick
+             * @type Boolean
+             */
+            rayPick: {
+
+                set: function (value) {
+
+                    value = !!value;
+
+                    if (this._rayPick === value) {
+                        return;
+                    }
+
+                    /**
+                     * Fired whenever this TouchPickObject's {{#crossLink "TouchPickObject/rayPick:property"}}{{/crossLink}} property changes.
+                     * @event rayPick
+                     * @param value The property's new value
+                     */
+                    this.fire('rayPick', this._rayPick = value);
+                },
+
+                get: function () {
+                    return this._rayPick;
+                }
+            }
+        },
+
+        _pick: function (canvasPos, doubleTap) {
+
+            var hit = this.scene.pick(canvasPos, {
+                rayPick: this._rayPick
+            });
+
+            if (hit) {
+
+                hit.doubleTap = doubleTap;
+
+                /**
+                 * Fired whenever a {{#crossLink "GameObject"}}GameObject{{/crossLink}} is picked.
+                 * @event pick
+                 * @param {GameObject} object The picked {{#crossLink "GameObject"}}GameObject{{/crossLink}}.
+                 * @param {Array of Number} canvasPos The Canvas-space coordinate that was picked.
+                 * @param {Array of Number} worldPos When {{#crossLink "TouchPickObject/rayPick"}}{{/crossLink}} is true,
+                 * provides the World-space coordinate that was ray-picked on the surface of the
+                 * {{#crossLink "GameObject"}}GameObject{{/crossLink}}.
+                 * @param {Boolean} doubleTap True when the pick was made with a double-tap.
+                 */
+                this.fire("pick", hit);
+
+            } else {
+
+                /**
+                 * Fired whenever an attempt to pick {{#crossLink "GameObject"}}GameObject{{/crossLink}} picks empty space.
+                 * @event nopick
+                 * @param {Array of Number} canvasPos The Canvas-space coordinate at which the pick was attempted.
+                 * @param {Boolean} doubleTap True when the pick was attempted with a double-tap.
+                 */
+                this.fire("nopick", {
+                    canvasPos: canvasPos,
+                    doubleTap: doubleTap
+                });
+            }
+        },
+
+        _getJSON: function () {
+            return {
+                rayPick: this._rayPick,
+                active: this._active
+            };
+        },
+
+        _destroy: function () {
+            this.active = false;
+        }
+    });
+
+})();
@@ -0,0 +1,226 @@
+/**
+ A **TouchZoomCamera** zooms a {{#crossLink "Camera"}}{{/crossLink}} by pinching two fingers together or spreading them
+ apart on the {{#crossLink "Canvas"}}{{/crossLink}}.
+
+ ## Overview
+
+ <ul>
+ <li>A TouchZoomCamera updates the {{#crossLink "Lookat"}}{{/crossLink}} attached to the target {{#crossLink "Camera"}}{{/crossLink}}.
+ <li>Zooms in response to the {{#crossLink "Input/touchpinch:event"}}{{/crossLink}} events published by the
+ {{#crossLink "Scene"}}Scene's{{/crossLink}} {{#crossLink "Input"}}{{/crossLink}}. Spreading the fingers apart zooms in,
+ while pinching them together zooms out.</li>
+ <li>Zooming involves translating the position of the {{#crossLink "Lookat"}}Lookat's{{/crossLink}}
+ {{#crossLink "Lookat/eye:property"}}{{/crossLink}} back and forth along the
+ {{#crossLink "Lookat/eye:property"}}{{/crossLink}}-&gt;{{#crossLink "Lookat/look:property"}}{{/crossLink}} vector,
+ by an amount in proportion to the distance between them.</li>
+ </ul>
+
+ ## Example
+
+ ````Javascript
+ var scene = new XEO.Scene();
+
+ var camera = new XEO.Camera(scene);
+
+ var control = new XEO.TouchZoomCamera(scene, {
+        camera: camera
+    });
+
+ var object = new XEO.GameObject(scene);
+ ````
+
+ @class TouchZoomCamera
+ @module XEO
+ @submodule input
+ @constructor
+ @param [scene] {Scene} Parent {{#crossLink "Scene"}}{{/crossLink}}.
+ @param [cfg] {*} Configs
+ @param [cfg.id] {String} Optional ID, unique among all components in the parent scene, generated automatically when omitted.
+ @param [cfg.meta] {String:Object} Optional map of user-defined metadata to attach to this TouchZoomCamera.
+ @param [cfg.camera] {String|Camera} ID or instance of a {{#crossLink "Camera"}}Camera{{/crossLink}} to control.
+ Must be within the same {{#crossLink "Scene"}}Scene{{/crossLink}} as this TouchZoomCamera. Defaults to the
+ parent {{#crossLink "Scene"}}Scene{{/crossLink}}'s default instance, {{#crossLink "Scene/camera:property"}}camera{{/crossLink}}.
+ @param [cfg.sensitivity=1.0] {Number} Zoom sensitivity factor.
+ @param [cfg.active=true] {Boolean} Whether or not this TouchZoomCamera is active.
+ @extends Component
+ */
+(function () {
+
+    "use strict";
+
+    XEO.TouchZoomCamera = XEO.Component.extend({
+
+        /**
+         JavaScript class name for this Component.
+
+         @property type
+         @type String
+         @final
+         */
+        type: "XEO.TouchZoomCamera",
+
+        _init: function (cfg) {
+
+            // Event handles
+
+            this._onTick = null;
+            this._onTouchPinch = null;
+
+            // Init properties
+
+            this.camera = cfg.camera;
+            this.sensitivity = cfg.sensitivity;
+            this.active = cfg.active !== false;
+        },
+
+        _props: {
+
+            /**
+             * The {{#crossLink "Camera"}}Camera{{/crossLink}} attached to this TouchZoomCamera.
+             *
+             * Must be within the same {{#crossLink "Scene"}}Scene{{/crossLink}} as this TouchZoomCamera. Defaults to the parent
+             * {{#crossLink "Scene"}}Scene{{/crossLink}}'s default {{#crossLink "Scene/camera:property"}}camera{{/crossLink}} when set to
+             * a null or undefined value.
+             *
+             * Fires a {{#crossLink "TouchZoomCamera/camera:event"}}{{/crossLink}} event on change.
+             *
+             * @property camera
+             * @type Camera
+             */
+            camera: {
+
+                set: function (value) {
+
+                    /**
+                     * Fired whenever this TouchZoomCamera's {{#crossLink "TouchZoomCamera/camera:property"}}{{/crossLink}} property changes.
+                     *
+                     * @event camera
+                     * @param value The property's new value
+                     */
+                    this._setChild("camera", value);
+                },
+
+                get: function () {
+                    return this._children.camera;
+                }
+            },
+
+            /**
+             * The sensitivity of this TouchZoomCamera.
+             *
+             * Fires a {{#crossLink "TouchZoomCamera/sensitivity:event"}}{{/crossLink}} event on change.
+             *
+             * @property sensitivity
+             * @type Number
+             * @default 1.0
+             */
+            sensitivity: {
+
+                set: function (value) {
+
+                    this._sensitivity = value || 1.0;
+
+                    /**
+                     * Fired whenever this TouchZoomCamera's  {{#crossLink "TouchZoomCamera/sensitivity:property"}}{{/crossLink}} property changes.
+                     *
+                     * @event sensitivity
+                     * @param value The property's new value
+                     */
+                    this.fire("sensitivity", this._sensitivity);
+                },
+
+                get: function () {
+                    return this._sensitivity;
+                }
+            },
+
+            /**
+             * Flag which indicates whether this TouchZoomCamera is active or not.
+             *
+             * Fires an {{#crossLink "TouchZoomCamera/active:event"}}{{/crossLink}} event on change.
+             *
+             * @property active
+             * @type Boolean
+             */
+            active: {
+
+                set: function (value) {
+
+                    if (this._active === value) {
+                        return;
+                    }
+
+                    var input = this.scene.input;
+
+                    if (value) {
+
+                        var delta = 0;
+
+                        var eyeVec = XEO.math.vec3();
+
+                        var self = this;
+
+                        this._onTick = this.scene.on("tick",
+                            function () {
+
+                                var camera = self._children.camera;
+
+                                if (!camera || delta === 0) {
+                                    return;
+                                }
+
+                                // Zoom faster when further from the point-of-interest
+
+                                var lenLook = XEO.math.lenVec3(XEO.math.subVec3(camera.view.eye, camera.view.look, eyeVec));
+
+                                camera.view.zoom(-delta * self._sensitivity * lenLook * 0.005);
+
+                                delta = 0;
+                            });
+
+                        this._onTouchPinch = input.on("touchpinch",
+                            function (_delta) {
+                                delta += _delta;
+                            });
+
+                    } else {
+
+                        this.scene.off(this._onTick);
+
+                        input.off(this._onTouchPinch);
+                    }
+
+                    /**
+                     * Fired whenever this TouchZoomCamera's {{#crossLink "TouchZoomCamera/active:property"}}{{/crossLink}} property changes.
+                     * @event active
+                     * @param value The property's new value
+                     */
+                    this.fire('active', this._active = value);
+                },
+
+                get: function () {
+                    return this._active;
+                }
+            }
+        },
+
+        _getJSON: function () {
+
+            var json = {
+                sensitivity: this._sensitivity,
+                active: this._active
+            };
+
+            if (this._children.camera) {
+                json.camera = this._children.camera.id;
+            }
+
+            return json;
+        },
+
+        _destroy: function () {
+            this.active = false;
+        }
+    });
+
+})();
@@ -0,0 +1,1270 @@
+/**
+ A **WalkCamera** walks or flies a {{#crossLink "Camera"}}{{/crossLink}} through a scene in first person, using the
+ keyboard and mouse, while colliding with the scene's {{#crossLink "GameObject"}}GameObjects{{/crossLink}}.
+
+ ## Overview
+
+ <ul>
+ <li>A WalkCamera updates the {{#crossLink "Lookat"}}{{/crossLink}} attached to the target {{#crossLink "Camera"}}{{/crossLink}},
+ moving its {{#crossLink "Lookat/eye:property"}}{{/crossLink}} and {{#crossLink "Lookat/look:property"}}{{/crossLink}} together.</li>
+ <li>The World-space Y-axis is "up", so a WalkCamera keeps the {{#crossLink "Lookat"}}Lookat's{{/crossLink}}
+ {{#crossLink "Lookat/up:property"}}{{/crossLink}} vector at [0, 1, 0].</li>
+ <li>Dragging with the left mouse button turns the view left and right, and tilts it up and down, short of looking
+ straight up or down.</li>
+ <li>The W, S, A and D keys, or the arrow keys, move forwards, backwards, left and right. Holding SHIFT moves at
+ double speed.</li>
+ <li>When walking, movement is kept horizontal, the {{#crossLink "Lookat/eye:property"}}{{/crossLink}} is held at
+ {{#crossLink "WalkCamera/eyeHeight:property"}}{{/crossLink}} above the floor beneath it, and falls under
+ {{#crossLink "WalkCamera/gravity:property"}}{{/crossLink}} when the floor drops away. Steps no higher than
+ {{#crossLink "WalkCamera/stepHeight:property"}}{{/crossLink}} are climbed automatically.</li>
+ <li>When {{#crossLink "WalkCamera/fly:property"}}flying{{/crossLink}}, movement follows the direction of view, the
+ R and F keys move straight up and down, and there is no gravity.</li>
+ <li>The body of the viewer is a vertical capsule of {{#crossLink "WalkCamera/radius:property"}}{{/crossLink}}, reaching from
+ just above the highest climbable step up to the {{#crossLink "Lookat/eye:property"}}{{/crossLink}}, or a sphere about the
+ {{#crossLink "Lookat/eye:property"}}{{/crossLink}} when flying. On each move, the triangles of the
+ {{#crossLink "GameObject"}}GameObjects{{/crossLink}} whose {{#crossLink "GameObject/worldBoundary:property"}}World-space boundaries{{/crossLink}}
+ overlap the capsule's path are found, then the capsule is moved along the path in steps of half its radius, being
+ pushed out of any triangles it overlaps after each step. Movement therefore stops at a wall, then slides along it.
+ When walking, the capsule is only pushed horizontally.</li>
+ <li>As with {{#crossLink "Scene/rayCast:method"}}Scene#rayCast{{/crossLink}}, {{#crossLink "GameObject"}}GameObjects{{/crossLink}}
+ that are invisible or unpickable are not collided with, and neither are those without triangle geometry.</li>
+ <li>When there is no floor beneath the {{#crossLink "Lookat/eye:property"}}{{/crossLink}}, it stays at its current height.</li>
+ </ul>
+
+ ## Example
+
+ ````Javascript
+ var scene = new XEO.Scene();
+
+ var camera = new XEO.Camera(scene, {
+    view: new XEO.Lookat(scene, {
+        eye: [0, 1.7, 10],
+        look: [0, 1.7, 0],
+        up: [0, 1, 0]
+    })
+ });
+
+ var walk = new XEO.WalkCamera(scene, {
+
+        camera: camera,
+
+        // Eye is 1.7 units above the floor
+        eyeHeight: 1.7,
+
+        // Body is 0.3 units in radius
+        radius: 0.3,
+
+        // Walk at three units per second
+        speed: 3
+    });
+
+ // Floor
+ new XEO.GameObject(scene, {
+    geometry: new XEO.Geometry(scene), // 2x2x2 box
+    transform: new XEO.Scale(scene, {
+        xyz: [50, 0.1, 50],
+        parent: new XEO.Translate(scene, {
+            xyz: [0, -0.1, 0]
+        })
+    })
+ });
+
+ // Switch to flying
+ walk.fly = true;
+ ````
+
+ @class WalkCamera
+ @module XEO
+ @submodule input
+ @constructor
+ @param [scene] {Scene} Parent {{#crossLink "Scene"}}{{/crossLink}}.
+ @param [cfg] {*} Configs
+ @param [cfg.id] {String} Optional ID, unique among all components in the parent scene, generated automatically when omitted.
+ @param [cfg.meta] {String:Object} Optional map of user-defined metadata to attach to this WalkCamera.
+ @param [cfg.camera] {String|Camera} ID or instance of a {{#crossLink "Camera"}}Camera{{/crossLink}} to control.
+ Must be within the same {{#crossLink "Scene"}}Scene{{/crossLink}} as this WalkCamera. Defaults to the
+ parent {{#crossLink "Scene"}}Scene{{/crossLink}}'s default instance, {{#crossLink "Scene/camera:property"}}camera{{/crossLink}}.
+ @param [cfg.sensitivity=1.0] {Number} Sensitivity factor for mouse-look.
+ @param [cfg.speed=3.0] {Number} Movement speed, in World-space units per second.
+ @param [cfg.eyeHeight=1.7] {Number} Height of the eye above the floor when walking.
+ @param [cfg.stepHeight=0.3] {Number} Height of the highest step that can be climbed when walking.
+ @param [cfg.radius=0.3] {Number} Radius of the capsule that collides with the scene.
+ @param [cfg.gravity=9.8] {Number} Downward acceleration when walking, in World-space units per second per second.
+ @param [cfg.fly=false] {Boolean} Indicates whether this WalkCamera flies instead of walks.
+ @param [cfg.collision=true] {Boolean} Indicates whether this WalkCamera collides with walls.
+ @param [cfg.active=true] {Boolean} Whether or not this WalkCamera is active.
+ @extends Component
+ */
+(function () {
+
+    "use strict";
+
+    // Degrees of rotation per pixel of mouse movement
+    var LOOK_RATE = 0.2;
+
+    // Tilt limit, short of looking straight up or down, in degrees
+    var MAX_PITCH = 89;
+
+    // Speed factor while SHIFT is held
+    var RUN_FACTOR = 2;
+
+    // Maximum number of times the capsule is pushed out of walls per step
+    var MAX_PUSHES = 4;
+
+    // Moves shorter than this are ignored
+    var EPSILON = 0.00001;
+
+    var WORLD_UP = [0, 1, 0];
+
+    // Gets the axis-aligned box swept by the capsule along the given move,
+    // where the capsule's axis reaches the given depth below the eye
+    function getSweptBoundary(pos, move, depth, radius) {
+        return {
+            xmin: Math.min(pos[0], pos[0] + move[0]) - radius,
+            ymin: Math.min(pos[1], pos[1] + move[1]) - depth - radius,
+            zmin: Math.min(pos[2], pos[2] + move[2]) - radius,
+            xmax: Math.max(pos[0], pos[0] + move[0]) + radius,
+            ymax: Math.max(pos[1], pos[1] + move[1]) + radius,
+            zmax: Math.max(pos[2], pos[2] + move[2]) + radius
+        };
+    }
+
+    function overlaps(aabb, boundary) {
+        return aabb.xmin <= boundary.xmax && aabb.xmax >= boundary.xmin &&
+            aabb.ymin <= boundary.ymax && aabb.ymax >= boundary.ymin &&
+            aabb.zmin <= boundary.zmax && aabb.zmax >= boundary.zmin;
+    }
+
+    function clamp01(value) {
+        return value < 0 ? 0 : (value > 1 ? 1 : value);
+    }
+
+    // Scratch vectors for the closest point functions below, which run for
+    // each nearby triangle on each step, so shouldn't allocate any memory
+
+    var tempVec3a = new Float64Array(3);
+    var tempVec3b = new Float64Array(3);
+    var tempVec3c = new Float64Array(3);
+    var tempVec3d = new Float64Array(3);
+    var tempVec3e = new Float64Array(3);
+    var tempVec3f = new Float64Array(3);
+    var tempVec3g = new Float64Array(3);
+    var tempVec3h = new Float64Array(3);
+    var tempVec3i = new Float64Array(3);
+    var tempVec4 = new Float64Array(4);
+
+    // Finds the point on triangle abc that is closest to point p
+    // (from Ericson, Real-Time Collision Detection, 5.1.5)
+    function closestPointOnTriangle(p, a, b, c, dest) {
+
+        var math = XEO.math;
+
+        var ab = math.subVec3(b, a, tempVec3a);
+        var ac = math.subVec3(c, a, tempVec3b);
+        var ap = math.subVec3(p, a, tempVec3c);
+
+        var d1 = math.dotVec3(ab, ap);
+        var d2 = math.dotVec3(ac, ap);
+
+        if (d1 <= 0 && d2 <= 0) {
+            return setVec3(dest, a); // Vertex a
+        }
+
+        var bp = math.subVec3(p, b, tempVec3c);
+
+        var d3 = math.dotVec3(ab, bp);
+        var d4 = math.dotVec3(ac, bp);
+
+        if (d3 >= 0 && d4 <= d3) {
+            return setVec3(dest, b); // Vertex b
+        }
+
+        var vc = d1 * d4 - d3 * d2;
+
+        if (vc <= 0 && d1 >= 0 && d3 <= 0) {
+            return pointOnEdge(a, ab, d1 / (d1 - d3), dest); // Edge ab
+        }
+
+        var cp = math.subVec3(p, c, tempVec3c);
+
+        var d5 = math.dotVec3(ab, cp);
+        var d6 = math.dotVec3(ac, cp);
+
+        if (d6 >= 0 && d5 <= d6) {
+            return setVec3(dest, c); // Vertex c
+        }
+
+        var vb = d5 * d2 - d1 * d6;
+
+        if (vb <= 0 && d2 >= 0 && d6 <= 0) {
+            return pointOnEdge(a, ac, d2 / (d2 - d6), dest); // Edge ac
+        }
+
+        var va = d3 * d6 - d5 * d4;
+
+        if (va <= 0 && (d4 - d3) >= 0 && (d5 - d6) >= 0) {
+            return pointOnEdge(b, math.subVec3(c, b, tempVec3c), (d4 - d3) / ((d4 - d3) + (d5 - d6)), dest); // Edge bc
+        }
+
+        var sum = va + vb + vc;
+
+        if (sum === 0) {
+            return setVec3(dest, a); // Degenerate triangle
+        }
+
+        var v = vb / sum;
+        var w = vc / sum;
+
+        dest[0] = a[0] + ab[0] * v + ac[0] * w;
+        dest[1] = a[1] + ab[1] * v + ac[1] * w;
+        dest[2] = a[2] + ab[2] * v + ac[2] * w;
+
+        return dest;
+    }
+
+    // Finds the closest points on segments p1q1 and p2q2
+    // (from Ericson, Real-Time Collision Detection, 5.1.9)
+    function closestPointsSegments(p1, q1, p2, q2, dest1, dest2) {
+
+        var math = XEO.math;
+
+        var d1 = math.subVec3(q1, p1, tempVec3d);
+        var d2 = math.subVec3(q2, p2, tempVec3e);
+        var r = math.subVec3(p1, p2, tempVec3f);
+
+        var a = math.dotVec3(d1, d1);
+        var e = math.dotVec3(d2, d2);
+        var f = math.dotVec3(d2, r);
+
+        var s = 0;
+        var t = 0;
+
+        if (a <= EPSILON && e <= EPSILON) {
+
+            // Both segments are points
+
+        } else if (a <= EPSILON) {
+            t = clamp01(f / e);
+
+        } else {
+
+            var c = math.dotVec3(d1, r);
+
+            if (e <= EPSILON) {
+                s = clamp01(-c / a);
+
+            } else {
+
+                var b = math.dotVec3(d1, d2);
+                var denom = a * e - b * b;
+
+                // Any point will do when the segments are parallel
+
+                s = denom !== 0 ? clamp01((b * f - c * e) / denom) : 0;
+                t = (b * s + f) / e;
+
+                if (t < 0) {
+                    t = 0;
+                    s = clamp01(-c / a);
+
+                } else if (t > 1) {
+                    t = 1;
+                    s = clamp01((b - c) / a);
+                }
+            }
+        }
+
+        pointOnEdge(p1, d1, s, dest1);
+        pointOnEdge(p2, d2, t, dest2);
+    }
+
+    // Finds the closest points on segment pq and triangle abc,
+    // returning the square of the distance between them
+    function closestPointsSegmentTriangle(p, q, a, b, c, segPoint, triPoint) {
+
+        var math = XEO.math;
+
+        var dir = math.subVec3(q, p, tempVec3g);
+        var result = math.rayTriangleIntersect(p, dir, a, b, c, tempVec4);
+
+        if (result && result[0] <= 1) {
+
+            // Segment passes through the triangle
+
+            pointOnEdge(p, dir, result[0], segPoint);
+            setVec3(triPoint, segPoint);
+
+            return 0;
+        }
+
+        // Otherwise the closest points are on an end of the
+        // segment or on an edge of the triangle
+
+        var s = tempVec3h;
+        var t = tempVec3i;
+        var best;
+
+        setVec3(s, p);
+        closestPointOnTriangle(p, a, b, c, t);
+        best = closer(s, t, Infinity, segPoint, triPoint);
+
+        setVec3(s, q);
+        closestPointOnTriangle(q, a, b, c, t);
+        best = closer(s, t, best, segPoint, triPoint);
+
+        closestPointsSegments(p, q, a, b, s, t);
+        best = closer(s, t, best, segPoint, triPoint);
+
+        closestPointsSegments(p, q, b, c, s, t);
+        best = closer(s, t, best, segPoint, triPoint);
+
+        closestPointsSegments(p, q, c, a, s, t);
+        best = closer(s, t, best, segPoint, triPoint);
+
+        return best;
+    }
+
+    // Keeps points s and t as the closest points found so far when they're closer
+    // than the given squared distance, returning the squared distance that's kept
+    function closer(s, t, best, segPoint, triPoint) {
+
+        var dx = s[0] - t[0];
+        var dy = s[1] - t[1];
+        var dz = s[2] - t[2];
+
+        var dist = dx * dx + dy * dy + dz * dz;
+
+        if (dist >= best) {
+            return best;
+        }
+
+        setVec3(segPoint, s);
+        setVec3(triPoint, t);
+
+        return dist;
+    }
+
+    function pointOnEdge(origin, edge, t, dest) {
+        dest[0] = origin[0] + edge[0] * t;
+        dest[1] = origin[1] + edge[1] * t;
+        dest[2] = origin[2] + edge[2] * t;
+        return dest;
+    }
+
+    function setVec3(dest, v) {
+        dest[0] = v[0];
+        dest[1] = v[1];
+        dest[2] = v[2];
+        return dest;
+    }
+
+    // Scratch vectors for buildWorldTriangles
+
+    var tempVec3j = new Float64Array(3);
+    var tempVec4a = new Float64Array(4);
+
+    // Transforms the triangles of the given GameObject's Geometry into
+    // World space, as a flat array of nine positions per triangle
+    function buildWorldTriangles(object) {
+
+        var math = XEO.math;
+
+        var geometry = object.geometry;
+        var primitive = geometry.primitive;
+
+        if (primitive !== "triangles" && primitive !== "triangle-strip" && primitive !== "triangle-fan") {
+            return new Float32Array(0);
+        }
+
+        var positions = geometry.positions;
+
+        if (!positions || positions.length === 0) {
+            return new Float32Array(0);
+        }
+
+        var indices = geometry.indices;
+        var worldMatrix = object.worldMatrix;
+
+        var numVertices = indices ? indices.length : positions.length / 3;
+        var numTriangles = (primitive === "triangles") ? Math.floor(numVertices / 3) : Math.max(0, numVertices - 2);
+
+        var triangles = new Float32Array(numTriangles * 9);
+        var corners = [0, 0, 0];
+        var p = tempVec3j;
+        var world = tempVec4a;
+        var i;
+        var j;
+        var k;
+
+        for (i = 0; i < numTriangles; i++) {
+
+            if (primitive === "triangles") {
+                corners[0] = i * 3;
+                corners[1] = i * 3 + 1;
+                corners[2] = i * 3 + 2;
+
+            } else if (primitive === "triangle-strip") {
+                corners[0] = i;
+                corners[1] = i + 1;
+                corners[2] = i + 2;
+
+            } else {
+                corners[0] = 0;
+                corners[1] = i + 1;
+                corners[2] = i + 2;
+            }
+
+            for (j = 0; j < 3; j++) {
+
+                k = indices ? indices[corners[j]] : corners[j];
+
+                p[0] = positions[k * 3];
+                p[1] = positions[k * 3 + 1];
+                p[2] = positions[k * 3 + 2];
+
+                math.transformPoint3(worldMatrix, p, world);
+
+                triangles[i * 9 + j * 3] = world[0];
+                triangles[i * 9 + j * 3 + 1] = world[1];
+                triangles[i * 9 + j * 3 + 2] = world[2];
+            }
+        }
+
+        return triangles;
+    }
+
+    XEO.WalkCamera = XEO.Component.extend({
+
+        /**
+         JavaScript class name for this Component.
+
+         @property type
+         @type String
+         @final
+         */
+        type: "XEO.WalkCamera",
+
+        _init: function (cfg) {
+
+            // Event handles
+
+            this._onTick = null;
+            this._onMouseDown = null;
+            this._onMouseUp = null;
+            this._onMouseMove = null;
+
+            // Current falling speed
+
+            this._fallSpeed = 0;
+
+            // World-space triangle positions for each GameObject, cached
+            // until the GameObject's World-space boundary is updated
+
+            this._worldTriangles = {};
+
+            // Triangles near the camera, reused on each frame
+
+            this._nearbyTriangles = [];
+
+            // Init properties
+
+            this.camera = cfg.camera;
+            this.sensitivity = cfg.sensitivity;
+            this.speed = cfg.speed;
+            this.eyeHeight = cfg.eyeHeight;
+            this.stepHeight = cfg.stepHeight;
+            this.radius = cfg.radius;
+            this.gravity = cfg.gravity;
+            this.fly = cfg.fly;
+            this.collision = cfg.collision;
+            this.active = cfg.active !== false;
+        },
+
+        _props: {
+
+            /**
+             * The {{#crossLink "Camera"}}Camera{{/crossLink}} attached to this WalkCamera.
+             *
+             * Must be within the same {{#crossLink "Scene"}}Scene{{/crossLink}} as this WalkCamera. Defaults to the parent
+             * {{#crossLink "Scene"}}Scene{{/crossLink}}'s default {{#crossLink "Scene/camera:property"}}camera{{/crossLink}} when set to
+             * a null or undefined value.
+             *
+             * Fires a {{#crossLink "WalkCamera/camera:event"}}{{/crossLink}} event on change.
+             *
+             * @property camera
+             * @type Camera
+             */
+            camera: {
+
+                set: function (value) {
+
+                    /**
+                     * Fired whenever this WalkCamera's {{#crossLink "WalkCamera/camera:property"}}{{/crossLink}} property changes.
+                     *
+                     * @event camera
+                     * @param value The property's new value
+                     */
+                    this._setChild("camera", value);
+                },
+
+                get: function () {
+                    return this._children.camera;
+                }
+            },
+
+            /**
+             * The mouse-look sensitivity of this WalkCamera.
+             *
+             * Fires a {{#crossLink "WalkCamera/sensitivity:event"}}{{/crossLink}} event on change.
+             *
+             * @property sensitivity
+             * @type Number
+             * @default 1.0
+             */
+            sensitivity: {
+
+                set: function (value) {
+
+                    this._sensitivity = value || 1.0;
+
+                    /**
+                     * Fired whenever this WalkCamera's  {{#crossLink "WalkCamera/sensitivity:property"}}{{/crossLink}} property changes.
+                     *
+                     * @event sensitivity
+                     * @param value The property's new value
+                     */
+                    this.fire("sensitivity", this._sensitivity);
+                },
+
+                get: function () {
+                    return this._sensitivity;
+                }
+            },
+
+            /**
+             * Speed at which this WalkCamera moves, in World-space units per second.
+             *
+             * Fires a {{#crossLink "WalkCamera/speed:event"}}{{/crossLink}} event on change.
+             *
+             * @property speed
+             * @type Number
+             * @default 3.0
+             */
+            speed: {
+
+                set: function (value) {
+
+                    this._speed = value || 3.0;
+
+                    /**
+                     * Fired whenever this WalkCamera's  {{#crossLink "WalkCamera/speed:property"}}{{/crossLink}} property changes.
+                     *
+                     * @event speed
+                     * @param value The property's new value
+                     */
+                    this.fire("speed", this._speed);
+                },
+
+                get: function () {
+                    return this._speed;
+                }
+            },
+
+            /**
+             * Height of the {{#crossLink "Lookat/eye:property"}}{{/crossLink}} above the floor while walking.
+             *
+             * Fires an {{#crossLink "WalkCamera/eyeHeight:event"}}{{/crossLink}} event on change.
+             *
+             * @property eyeHeight
+             * @type Number
+             * @default 1.7
+             */
+            eyeHeight: {
+
+                set: function (value) {
+
+                    value = (value !== undefined && value !== null) ? value : 1.7;
+
+                    if (value <= 0) {
+                        this.error("Unsupported value for 'eyeHeight': " + value + " - should be greater than zero");
+                        value = 1.7;
+                    }
+
+                    this._eyeHeight = value;
+
+                    /**
+                     * Fired whenever this WalkCamera's  {{#crossLink "WalkCamera/eyeHeight:property"}}{{/crossLink}} property changes.
+                     *
+                     * @event eyeHeight
+                     * @param value The property's new value
+                     */
+                    this.fire("eyeHeight", this._eyeHeight);
+                },
+
+                get: function () {
+                    return this._eyeHeight;
+                }
+            },
+
+            /**
+             * Height of the highest step that this WalkCamera can climb while walking.
+             *
+             * Fires a {{#crossLink "WalkCamera/stepHeight:event"}}{{/crossLink}} event on change.
+             *
+             * @property stepHeight
+             * @type Number
+             * @default 0.3
+             */
+            stepHeight: {
+
+                set: function (value) {
+
+                    value = (value !== undefined && value !== null) ? value : 0.3;
+
+                    if (value < 0) {
+                        this.error("Unsupported value for 'stepHeight': " + value + " - should not be negative");
+                        value = 0.3;
+                    }
+
+                    this._stepHeight = value;
+
+                    /**
+                     * Fired whenever this WalkCamera's  {{#crossLink "WalkCamera/stepHeight:property"}}{{/crossLink}} property changes.
+                     *
+                     * @event stepHeight
+                     * @param value The property's new value
+                     */
+                    this.fire("stepHeight", this._stepHeight);
+                },
+
+                get: function () {
+                    return this._stepHeight;
+                }
+            },
+
+            /**
+             * Radius of the capsule with which this WalkCamera collides with the scene.
+             *
+             * Fires a {{#crossLink "WalkCamera/radius:event"}}{{/crossLink}} event on change.
+             *
+             * @property radius
+             * @type Number
+             * @default 0.3
+             */
+            radius: {
+
+                set: function (value) {
+
+                    value = (value !== undefined && value !== null) ? value : 0.3;
+
+                    if (value < 0) {
+                        this.error("Unsupported value for 'radius': " + value + " - should not be negative");
+                        value = 0.3;
+                    }
+
+                    this._radius = value;
+
+                    /**
+                     * Fired whenever this WalkCamera's  {{#crossLink "WalkCamera/radius:property"}}{{/crossLink}} property changes.
+                     *
+                     * @event radius
+                     * @param value The property's new value
+                     */
+                    this.fire("radius", this._radius);
+                },
+
+                get: function () {
+                    return this._radius;
+                }
+            },
+
+            /**
+             * Downward acceleration of this WalkCamera while walking, in World-space units per second per second.
+             *
+             * Fires a {{#crossLink "WalkCamera/gravity:event"}}{{/crossLink}} event on change.
+             *
+             * @property gravity
+             * @type Number
+             * @default 9.8
+             */
+            gravity: {
+
+                set: function (value) {
+
+                    this._gravity = (value !== undefined && value !== null) ? value : 9.8;
+
+                    /**
+                     * Fired whenever this WalkCamera's  {{#crossLink "WalkCamera/gravity:property"}}{{/crossLink}} property changes.
+                     *
+                     * @event gravity
+                     * @param value The property's new value
+                     */
+                    this.fire("gravity", this._gravity);
+                },
+
+                get: function () {
+                    return this._gravity;
+                }
+            },
+
+            /**
+             * Flag which indicates whether this WalkCamera flies instead of walks.
+             *
+             * When flying, movement follows the direction of view, the R and F keys move up and down, and the
+             * {{#crossLink "Lookat/eye:property"}}{{/crossLink}} is not held above the floor.
+             *
+             * Fires a {{#crossLink "WalkCamera/fly:event"}}{{/crossLink}} event on change.
+             *
+             * @property fly
+             * @default false
+             * @type Boolean
+             */
+            fly: {
+
+                set: function (value) {
+
+                    value = !!value;
+
+                    this._fly = value;
+                    this._fallSpeed = 0;
+
+                    /**
+                     * Fired whenever this WalkCamera's {{#crossLink "WalkCamera/fly:property"}}{{/crossLink}} property changes.
+                     * @event fly
+                     * @param value The property's new value
+                     */
+                    this.fire('fly', this._fly);
+                },
+
+                get: function () {
+                    return this._fly;
+                }
+            },
+
+            /**
+             * Flag which indicates whether this WalkCamera collides with walls.
+             *
+             * While walking, the {{#crossLink "Lookat/eye:property"}}{{/crossLink}} is still held above the floor
+             * when this is false.
+             *
+             * Fires a {{#crossLink "WalkCamera/collision:event"}}{{/crossLink}} event on change.
+             *
+             * @property collision
+             * @default true
+             * @type Boolean
+             */
+            collision: {
+
+                set: function (value) {
+
+                    value = value !== false;
+
+                    this._collision = value;
+
+                    /**
+                     * Fired whenever this WalkCamera's {{#crossLink "WalkCamera/collision:property"}}{{/crossLink}} property changes.
+                     * @event collision
+                     * @param value The property's new value
+                     */
+                    this.fire('collision', this._collision);
+                },
+
+                get: function () {
+                    return this._collision;
+                }
+            },
+
+            /**
+             * Flag which indicates whether this WalkCamera is active or not.
+             *
+             * Fires an {{#crossLink "WalkCamera/active:event"}}{{/crossLink}} event on change.
+             *
+             * @property active
+             * @type Boolean
+             */
+            active: {
+
+                set: function (value) {
+
+                    if (this._active === value) {
+                        return;
+                    }
+
+                    var input = this.scene.input;
+
+                    if (value) {
+
+                        var lastX;
+                        var lastY;
+                        var xDelta = 0;
+                        var yDelta = 0;
+                        var down = false;
+
+                        var self = this;
+
+                        this._onTick = this.scene.on("tick",
+                            function (params) {
+
+                                var camera = self._children.camera;
+
+                                if (!camera) {
+                                    return;
+                                }
+
+                                var lookDelta = [xDelta * LOOK_RATE, yDelta * LOOK_RATE];
+
+                                xDelta = 0;
+                                yDelta = 0;
+
+                                self._update(camera.view, params.deltaTime, lookDelta);
+                            });
+
+                        this._onMouseDown = input.on("mousedown",
+                            function (e) {
+
+                                if (input.mouseDownLeft
+                                    && !input.mouseDownRight
+                                    && !input.mouseDownMiddle) {
+
+                                    down = true;
+                                    lastX = e[0];
+                                    lastY = e[1];
+
+                                } else {
+                                    down = false;
+                                }
+                            });
+
+                        this._onMouseUp = input.on("mouseup",
+                            function (e) {
+                                down = false;
+                            });
+
+                        this._onMouseMove = input.on("mousemove",
+                            function (e) {
+                                if (down) {
+                                    xDelta += (e[0] - lastX) * self._sensitivity;
+                                    yDelta += (e[1] - lastY) * self._sensitivity;
+                                    lastX = e[0];
+                                    lastY = e[1];
+                                }
+                            });
+
+                    } else {
+
+                        this.scene.off(this._onTick);
+
+                        input.off(this._onMouseDown);
+                        input.off(this._onMouseUp);
+                        input.off(this._onMouseMove);
+                    }
+
+                    this._fallSpeed = 0;
+
+                    /**
+                     * Fired whenever this WalkCamera's {{#crossLink "WalkCamera/active:property"}}{{/crossLink}} property changes.
+                     * @event active
+                     * @param value The property's new value
+                     */
+                    this.fire('active', this._active = value);
+                },
+
+                get: function () {
+                    return this._active;
+                }
+            }
+        },
+
+        // Turns, moves and drops the given Lookat for one frame
+        _update: function (view, elapsed, lookDelta) {
+
+            var math = XEO.math;
+            var input = this.scene.input;
+            var keyDown = input.keyDown;
+
+            var eye = view.eye;
+            var look = view.look;
+
+            var dir = math.subVec3(look, eye, math.vec3());
+            var dist = math.lenVec3(dir);
+
+            if (dist === 0) {
+                return;
+            }
+
+            var changed = false;
+
+            // Mouse-look, as yaw about the World-space Y-axis and clamped pitch
+
+            if (lookDelta[0] !== 0 || lookDelta[1] !== 0) {
+
+                var yaw = Math.atan2(dir[0], dir[2]) - lookDelta[0] * (Math.PI / 180.0);
+                var pitch = Math.asin(Math.max(-1, Math.min(1, dir[1] / dist))) - lookDelta[1] * (Math.PI / 180.0);
+                var maxPitch = MAX_PITCH * (Math.PI / 180.0);
+
+                pitch = Math.max(-maxPitch, Math.min(maxPitch, pitch));
+
+                dir[0] = Math.cos(pitch) * Math.sin(yaw) * dist;
+                dir[1] = Math.sin(pitch) * dist;
+                dir[2] = Math.cos(pitch) * Math.cos(yaw) * dist;
+
+                changed = true;
+            }
+
+            // Movement from keys
+
+            var forward = (keyDown[input.KEY_W] || keyDown[input.KEY_UP_ARROW] ? 1 : 0) -
+                (keyDown[input.KEY_S] || keyDown[input.KEY_DOWN_ARROW] ? 1 : 0);
+
+            var strafe = (keyDown[input.KEY_D] || keyDown[input.KEY_RIGHT_ARROW] ? 1 : 0) -
+                (keyDown[input.KEY_A] || keyDown[input.KEY_LEFT_ARROW] ? 1 : 0);
+
+            var rise = this._fly ? (keyDown[input.KEY_R] ? 1 : 0) - (keyDown[input.KEY_F] ? 1 : 0) : 0;
+
+            var move = math.vec3();
+
+            if (forward !== 0 || strafe !== 0 || rise !== 0) {
+
+                var forwardVec = this._fly ? [dir[0], dir[1], dir[2]] : [dir[0], 0, dir[2]];
+                math.normalizeVec3(forwardVec);
+
+                var rightVec = math.normalizeVec3(math.cross3Vec3(forwardVec, WORLD_UP, math.vec3()));
+
+                move[0] = forwardVec[0] * forward + rightVec[0] * strafe;
+                move[1] = forwardVec[1] * forward + rise;
+                move[2] = forwardVec[2] * forward + rightVec[2] * strafe;
+
+                var speed = this._speed * elapsed * (keyDown[input.KEY_SHIFT] ? RUN_FACTOR : 1);
+
+                // Moving diagonally is no faster than moving straight
+
+                math.mulVec3Scalar(move, speed / math.lenVec3(move));
+            }
+
+            var newEye = [eye[0], eye[1], eye[2]];
+
+            if (math.lenVec3(move) > EPSILON) {
+
+                if (this._collision) {
+                    this._slide(newEye, move);
+
+                } else {
+                    math.addVec3(newEye, move);
+                }
+
+                changed = true;
+            }
+
+            // Hold the eye above the floor, or fall towards it
+
+            if (!this._fly && this._followFloor(newEye, elapsed)) {
+                changed = true;
+            }
+
+            if (!changed) {
+                return;
+            }
+
+            view.eye = newEye;
+            view.look = math.addVec3(newEye, dir, math.vec3());
+            view.up = WORLD_UP;
+        },
+
+        // Moves a position along the given vector, pushing the capsule out of any
+        // GameObjects that it collides with on the way, so that it slides along them
+        _slide: function (pos, move) {
+
+            var math = XEO.math;
+
+            var radius = this._radius;
+
+            // Length of the capsule's axis below the eye, whose lower end is a
+            // radius above the highest step that can be climbed
+
+            var depth = this._fly ? 0 : Math.max(0, this._eyeHeight - this._stepHeight - radius);
+
+            var boundary = getSweptBoundary(pos, move, depth, radius);
+            var triangles = this._getNearbyTriangles(boundary);
+
+            if (triangles.length === 0) {
+                math.addVec3(pos, move);
+                return;
+            }
+
+            // Move in steps of no more than half the radius, so
+            // that the capsule can't skip over thin geometry
+
+            var numSteps = Math.max(1, Math.ceil(math.lenVec3(move) / (radius * 0.5)));
+            var step = math.mulVec3Scalar(move, 1.0 / numSteps, math.vec3());
+
+            for (var i = 0; i < numSteps; i++) {
+                math.addVec3(pos, step);
+                this._pushOut(pos, step, depth, triangles);
+            }
+        },
+
+        // Pushes the capsule at the given position out of the given triangles
+        _pushOut: function (pos, step, depth, triangles) {
+
+            var math = XEO.math;
+
+            var radius = this._radius;
+
+            var bottom = math.vec3();
+            var a = math.vec3();
+            var b = math.vec3();
+            var c = math.vec3();
+            var segPoint = math.vec3();
+            var triPoint = math.vec3();
+            var edge1 = math.vec3();
+            var edge2 = math.vec3();
+            var normal = math.vec3();
+            var deepest = math.vec3();
+            var maxPenetration;
+            var dist;
+            var len;
+            var i;
+            var k;
+
+            for (var push = 0; push < MAX_PUSHES; push++) {
+
+                bottom[0] = pos[0];
+                bottom[1] = pos[1] - depth;
+                bottom[2] = pos[2];
+
+                maxPenetration = EPSILON;
+
+                for (i = 0; i < triangles.length; i += 9) {
+
+                    for (k = 0; k < 3; k++) {
+                        a[k] = triangles[i + k];
+                        b[k] = triangles[i + 3 + k];
+                        c[k] = triangles[i + 6 + k];
+                    }
+
+                    dist = Math.sqrt(closestPointsSegmentTriangle(pos, bottom, a, b, c, segPoint, triPoint));
+
+                    if (radius - dist <= maxPenetration) {
+                        continue;
+                    }
+
+                    // Push away from the triangle, or when the axis passes through
+                    // it, back out of its face against the direction of movement
+
+                    if (dist > EPSILON) {
+                        math.subVec3(segPoint, triPoint, normal);
+
+                    } else {
+                        math.cross3Vec3(math.subVec3(b, a, edge1), math.subVec3(c, a, edge2), normal);
+
+                        if (math.dotVec3(normal, step) > 0) {
+                            math.mulVec3Scalar(normal, -1);
+                        }
+                    }
+
+                    // Pushes are horizontal when walking, so we aren't lifted or pressed down
+
+                    if (!this._fly) {
+                        normal[1] = 0;
+                    }
+
+                    len = math.lenVec3(normal);
+
+                    if (len < EPSILON) {
+                        continue;
+                    }
+
+                    maxPenetration = radius - dist;
+
+                    math.mulVec3Scalar(normal, 1.0 / len, deepest);
+                }
+
+                if (maxPenetration === EPSILON) {
+                    return;
+                }
+
+                pos[0] += deepest[0] * maxPenetration;
+                pos[1] += deepest[1] * maxPenetration;
+                pos[2] += deepest[2] * maxPenetration;
+            }
+        },
+
+        // Gets the World-space vertex positions of the triangles of
+        // the GameObjects that overlap the given boundary
+        _getNearbyTriangles: function (boundary) {
+
+            var sceneObjects = this.scene.objects;
+            var triangles = this._nearbyTriangles;
+            var object;
+            var positions;
+            var i;
+            var len;
+
+            triangles.length = 0;
+
+            for (var id in sceneObjects) {
+                if (sceneObjects.hasOwnProperty(id)) {
+
+                    object = sceneObjects[id];
+
+                    // Same GameObjects as Scene#rayCast
+
+                    if (!object.worldVisible || !object.worldStage.pickable || !object.worldModes.picking) {
+                        continue;
+                    }
+
+                    if (!overlaps(object.worldBoundary.aabb, boundary)) {
+                        continue;
+                    }
+
+                    positions = this._getWorldTriangles(object);
+
+                    for (i = 0, len = positions.length; i < len; i += 9) {
+
+                        // Skip triangles outside the boundary
+
+                        if (Math.max(positions[i], positions[i + 3], positions[i + 6]) < boundary.xmin ||
+                            Math.min(positions[i], positions[i + 3], positions[i + 6]) > boundary.xmax ||
+                            Math.max(positions[i + 1], positions[i + 4], positions[i + 7]) < boundary.ymin ||
+                            Math.min(positions[i + 1], positions[i + 4], positions[i + 7]) > boundary.ymax ||
+                            Math.max(positions[i + 2], positions[i + 5], positions[i + 8]) < boundary.zmin ||
+                            Math.min(positions[i + 2], positions[i + 5], positions[i + 8]) > boundary.zmax) {
+                            continue;
+                        }
+
+                        triangles.push(
+                            positions[i], positions[i + 1], positions[i + 2],
+                            positions[i + 3], positions[i + 4], positions[i + 5],
+                            positions[i + 6], positions[i + 7], positions[i + 8]);
+                    }
+                }
+            }
+
+            return triangles;
+        },
+
+        // Gets the World-space vertex positions of the given GameObject's triangles,
+        // which are cached until the GameObject's World-space boundary is updated
+        _getWorldTriangles: function (object) {
+
+            var self = this;
+            var entry = this._worldTriangles[object.id];
+
+            if (!entry) {
+
+                entry = this._worldTriangles[object.id] = {
+                    object: object,
+                    boundary: object.worldBoundary,
+                    positions: null,
+                    dirty: true
+                };
+
+                // Fires immediately when the boundary has already been updated
+
+                entry.onUpdated = entry.boundary.on("updated",
+                    function () {
+                        entry.dirty = true;
+                    });
+
+                entry.onDestroyed = object.on("destroyed",
+                    function () {
+                        self._removeWorldTriangles(entry);
+                    });
+            }
+
+            if (entry.dirty) {
+                entry.positions = buildWorldTriangles(object);
+                entry.dirty = false;
+            }
+
+            return entry.positions;
+        },
+
+        _removeWorldTriangles: function (entry) {
+
+            var object = entry.object;
+
+            entry.boundary.off(entry.onUpdated);
+            object.off(entry.onDestroyed);
+
+            delete this._worldTriangles[object.id];
+        },
+
+        // Raises the eye to its height above the floor, or drops it under gravity,
+        // returning true if it moved
+        _followFloor: function (pos, elapsed) {
+
+            var hits = this.scene.rayCast(pos, [0, -1, 0]);
+
+            if (hits.length === 0) {
+
+                // Nothing below, so hover
+
+                this._fallSpeed = 0;
+                return false;
+            }
+
+            var drop = hits[0].distance - this._eyeHeight;
+
+            if (Math.abs(drop) < EPSILON) {
+                this._fallSpeed = 0;
+                return false;
+            }
+
+            if (drop < 0 || (this._fallSpeed === 0 && drop <= this._stepHeight)) {
+
+                // Below eye height, or stepping down from standing, so snap onto the floor
+
+                pos[1] -= drop;
+                this._fallSpeed = 0;
+                return true;
+            }
+
+            this._fallSpeed += this._gravity * elapsed;
+
+            var fall = this._fallSpeed * elapsed;
+
+            if (fall >= drop) {
+                fall = drop;
+                this._fallSpeed = 0;
+            }
+
+            pos[1] -= fall;
+
+            return fall > 0;
+        },
+
+        _getJSON: function () {
+
+            var json = {
+                sensitivity: this._sensitivity,
+                speed: this._speed,
+                eyeHeight: this._eyeHeight,
+                stepHeight: this._stepHeight,
+                radius: this._radius,
+                gravity: this._gravity,
+                fly: this._fly,
+                collision: this._collision,
+                active: this._active
+            };
+
+            if (this._children.camera) {
+                json.camera = this._children.camera.id;
+            }
+
+            return json;
+        },
+
+        _destroy: function () {
+
+            this.active = false; // Unbinds events
+
+            for (var id in this._worldTriangles) {
+                if (this._worldTriangles.hasOwnProperty(id)) {
+                    this._removeWorldTriangles(this._worldTriangles[id]);
+                }
+            }
+        }
+    });
+
+})();
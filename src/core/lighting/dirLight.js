@@ -99,6 +99,10 @@
  @param [cfg.color=[0.7, 0.7, 0.8 ]] {Array(Number)} The color of this DirLight.
  @param [cfg.intensity=1.0 ] {Number} The intensity of this DirLight.
  @param [cfg.space="view"] {String} The coordinate system the DirLight is defined in - "view" or "space".
+ @param [cfg.shadow] {*} Configs for a {{#crossLink "Shadow"}}{{/crossLink}} to make this DirLight cast shadows. Doesn't cast shadows when omitted.
+ @param [cfg.shadow.resolution=1024] {Number} Width and height of the shadow map, in pixels.
+ @param [cfg.shadow.bias=0.005] {Number} Depth offset which prevents surfaces from shadowing themselves.
+ @param [cfg.shadow.softness=1.0] {Number} Radius of the filter that softens the shadow edges, in shadow map texels.
 
  @extends Component
  */
@@ -117,13 +121,19 @@
                 dir: [0,0,-1],
                 color: [0.7, 0.7, 0.8],
                 intensity: 1.0,
-                space: "view"
+                space: "view",
+
+                // Renderer shadow state, from this DirLight's XEO.Shadow
+                shadow: null
             };
 
+            this._shadow = null;
+
             this.dir = cfg.dir;
             this.color = cfg.color;
             this.intensity = cfg.intensity;
             this.space = cfg.space;
+            this.shadow = cfg.shadow;
         },
 
         _props: {
@@ -267,17 +277,111 @@
                 get: function () {
                     return this._state.space;
                 }
+            },
+
+            /**
+             The {{#crossLink "Shadow"}}{{/crossLink}} that makes this DirLight cast shadows, if any.
+
+             Set this to a configuration object, like *{ resolution: 2048, bias: 0.005, softness: 1.0 }*, or just *true*
+             for the defaults, to make this DirLight cast shadows, and *null* to make it stop. Setting a configuration object
+             while this DirLight already has a Shadow will update that Shadow.
+
+             Fires a {{#crossLink "DirLight/shadow:event"}}{{/crossLink}} event on change.
+
+             @property shadow
+             @default null
+             @type Shadow
+             */
+            shadow: {
+
+                set: function (value) {
+
+                    if (!value) {
+
+                        if (this._shadow) {
+
+                            // Handler below will null our
+                            // references to the Shadow
+
+                            this._shadow.destroy();
+                        }
+
+                        return;
+                    }
+
+                    value = (value === true) ? {} : value;
+
+                    if (this._shadow) {
+
+                        this._shadow.resolution = value.resolution;
+                        this._shadow.bias = value.bias;
+                        this._shadow.softness = value.softness;
+
+                    } else {
+
+                        var self = this;
+
+                        this._shadow = new XEO.Shadow(this.scene, {
+                            light: this,
+                            resolution: value.resolution,
+                            bias: value.bias,
+                            softness: value.softness
+                        });
+
+                        this._state.shadow = this._shadow._state;
+
+                        this._shadow.on("destroyed",
+                            function () {
+
+                                self._shadow = null;
+                                self._state.shadow = null;
+
+                                self.fire("dirty", true); // Need to rebuild shader
+                                self.fire("shadow", null);
+                            });
+
+                        this.fire("dirty", true); // Need to rebuild shader
+                    }
+
+                    /**
+                     * Fired whenever this DirLight's {{#crossLink "DirLight/shadow:property"}}{{/crossLink}} property changes.
+                     * @event shadow
+                     * @param value The property's new value
+                     */
+                    this.fire("shadow", this._shadow);
+                },
+
+                get: function () {
+                    return this._shadow;
+                }
             }
         },
 
         _getJSON: function () {
-            return {
-                type: this._state.type,
+
+            var json = {
                 dir: this._state.dir,
                 color: this._state.color,
                 intensity: this._state.intensity,
                 space: this._state.space
             };
+
+            if (this._shadow) {
+                json.shadow = {
+                    resolution: this._shadow.resolution,
+                    bias: this._shadow.bias,
+                    softness: this._shadow.softness
+                };
+            }
+
+            return json;
+        },
+
+        _destroy: function () {
+
+            if (this._shadow) {
+                this._shadow.destroy();
+            }
         }
     });
 
@@ -3,13 +3,15 @@
 
  ## Overview
 
- A Lights may contain a virtually unlimited number of three types of light source:
+ A Lights may contain a virtually unlimited number of four types of light source:
 
  <ul>
  <li>{{#crossLink "AmbientLight"}}AmbientLight{{/crossLink}}s, which are fixed-intensity and fixed-color, and
  affect all the {{#crossLink "GameObject"}}GameObjects{{/crossLink}} equally,</li>
  <li>{{#crossLink "PointLight"}}PointLight{{/crossLink}}s, which emit light that
- originates from a single point and spreads outward in all directions, and </li>
+ originates from a single point and spreads outward in all directions, </li>
+ <li>{{#crossLink "SpotLight"}}SpotLight{{/crossLink}}s, which emit light that
+ originates from a single point and shines within a cone in a given direction, and </li>
  <li>{{#crossLink "DirLight"}}DirLight{{/crossLink}}s, which illuminate all the
  {{#crossLink "GameObject"}}GameObjects{{/crossLink}} equally from a given direction</li>
  </ul>
@@ -125,7 +127,7 @@
 
              @property lights
              @default []
-             @type {{Array of AmbientLight, PointLight and DirLight}}
+             @type {{Array of AmbientLight, PointLight, SpotLight and DirLight}}
              */
             lights: {
 
@@ -153,6 +155,7 @@
                     var self = this;
 
                     function lightDirty() {
+                        self._dirty = true;
                         self.fire("dirty", true);
                     }
 
@@ -164,9 +167,9 @@
 
                             if (self._lights[i].id === id) {
 
-                                self._lights = self._lights.slice(i, i + 1);
-                                self._dirtySubs = self._dirtySubs.slice(i, i + 1);
-                                self._destroyedSubs = self._destroyedSubs.slice(i, i + 1);
+                                self._lights.splice(i, 1);
+                                self._dirtySubs.splice(i, 1);
+                                self._destroyedSubs.splice(i, 1);
 
                                 self._dirty = true;
 
@@ -198,8 +201,8 @@
 
                         var type = light.type;
 
-                        if (type !== "XEO.AmbientLight" && type != "XEO.DirLight" && type != "XEO.PointLight") {
-                            this.error("Component " + XEO._inQuotes(light.id) + " is not an XEO.AmbientLight, XEO.DirLight or XEO.PointLight ");
+                        if (type !== "XEO.AmbientLight" && type != "XEO.DirLight" && type != "XEO.PointLight" && type != "XEO.SpotLight") {
+                            this.error("Component " + XEO._inQuotes(light.id) + " is not an XEO.AmbientLight, XEO.DirLight, XEO.PointLight or XEO.SpotLight ");
                             continue;
                         }
 
@@ -259,6 +262,10 @@
 
                 hash.push(light.type);
                 hash.push((light.space === "world") ? "w" : "v");
+
+                if (light.shadow) {
+                    hash.push("s");
+                }
             }
 
             hash.push(";");
@@ -103,6 +103,10 @@
  @param [cfg.linearAttenuation=0] {Number} Linear attenuation factor.
  @param [cfg.quadraticAttenuation=0] {Number} Quadratic attenuation factor.
  @param [cfg.space="view"] {String} The coordinate system this PointLight is defined in - "view" or "space".
+ @param [cfg.shadow] {*} Configs for a {{#crossLink "Shadow"}}{{/crossLink}} to make this PointLight cast shadows. Doesn't cast shadows when omitted.
+ @param [cfg.shadow.resolution=1024] {Number} Width and height of the shadow map, in pixels.
+ @param [cfg.shadow.bias=0.005] {Number} Depth offset which prevents surfaces from shadowing themselves.
+ @param [cfg.shadow.softness=1.0] {Number} Radius of the filter that softens the shadow edges, in shadow map texels.
  */
 (function () {
 
@@ -123,9 +127,14 @@
                 // Packaging constant, linear and quadratic attenuation terms
                 // into an array for easy insertion into shaders as a vec3
                 attenuation: [0.0, 0.0, 0.0],
-                space: "view"
+                space: "view",
+
+                // Renderer shadow state, from this PointLight's XEO.Shadow
+                shadow: null
             };
 
+            this._shadow = null;
+
             this.pos = cfg.pos;
             this.color = cfg.color;
             this.intensity = cfg.intensity;
@@ -133,6 +142,7 @@
             this.linearAttenuation = cfg.linearAttenuation;
             this.quadraticAttenuation = cfg.quadraticAttenuation;
             this.space = cfg.space;
+            this.shadow = cfg.shadow;
         },
 
         _props: {
@@ -360,12 +370,89 @@
                 get: function () {
                     return this._state.space;
                 }
+            },
+
+            /**
+             The {{#crossLink "Shadow"}}{{/crossLink}} that makes this PointLight cast shadows, if any.
+
+             Set this to a configuration object, like *{ resolution: 2048, bias: 0.005, softness: 1.0 }*, or just *true*
+             for the defaults, to make this PointLight cast shadows, and *null* to make it stop. Setting a configuration object
+             while this PointLight already has a Shadow will update that Shadow.
+
+             Fires a {{#crossLink "PointLight/shadow:event"}}{{/crossLink}} event on change.
+
+             @property shadow
+             @default null
+             @type Shadow
+             */
+            shadow: {
+
+                set: function (value) {
+
+                    if (!value) {
+
+                        if (this._shadow) {
+
+                            // Handler below will null our
+                            // references to the Shadow
+
+                            this._shadow.destroy();
+                        }
+
+                        return;
+                    }
+
+                    value = (value === true) ? {} : value;
+
+                    if (this._shadow) {
+
+                        this._shadow.resolution = value.resolution;
+                        this._shadow.bias = value.bias;
+                        this._shadow.softness = value.softness;
+
+                    } else {
+
+                        var self = this;
+
+                        this._shadow = new XEO.Shadow(this.scene, {
+                            light: this,
+                            resolution: value.resolution,
+                            bias: value.bias,
+                            softness: value.softness
+                        });
+
+                        this._state.shadow = this._shadow._state;
+
+                        this._shadow.on("destroyed",
+                            function () {
+
+                                self._shadow = null;
+                                self._state.shadow = null;
+
+                                self.fire("dirty", true); // Need to rebuild shader
+                                self.fire("shadow", null);
+                            });
+
+                        this.fire("dirty", true); // Need to rebuild shader
+                    }
+
+                    /**
+                     * Fired whenever this PointLight's {{#crossLink "PointLight/shadow:property"}}{{/crossLink}} property changes.
+                     * @event shadow
+                     * @param value The property's new value
+                     */
+                    this.fire("shadow", this._shadow);
+                },
+
+                get: function () {
+                    return this._shadow;
+                }
             }
         },
 
         _getJSON: function () {
-            return {
-                type: this._state.type,
+
+            var json = {
                 pos: this._state.pos,
                 color: this._state.color,
                 intensity: this._state.intensity,
@@ -374,6 +461,23 @@
                 quadraticAttenuation: this._state.attenuation[2],
                 space: this._state.space
             };
+
+            if (this._shadow) {
+                json.shadow = {
+                    resolution: this._shadow.resolution,
+                    bias: this._shadow.bias,
+                    softness: this._shadow.softness
+                };
+            }
+
+            return json;
+        },
+
+        _destroy: function () {
+
+            if (this._shadow) {
+                this._shadow.destroy();
+            }
         }
     });
 
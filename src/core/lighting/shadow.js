@@ -0,0 +1,575 @@
+/**
+ A **Shadow** makes a {{#crossLink "DirLight"}}{{/crossLink}} or {{#crossLink "PointLight"}}{{/crossLink}} cast shadows.
+
+ ## Overview
+
+ <ul>
+ <li>You don't create Shadows yourself. Instead, a light source creates its Shadow when you configure its
+ {{#crossLink "DirLight/shadow:property"}}DirLight#shadow{{/crossLink}} or {{#crossLink "PointLight/shadow:property"}}PointLight#shadow{{/crossLink}}
+ property, and destroys it again when you set that property *null*.</li>
+ <li>Before each frame, the light source's depth is rendered into a shadow map from the point of view of the light source.
+ For a {{#crossLink "DirLight"}}{{/crossLink}}, that's an orthographic map that is fitted to the World-space boundary of
+ the shadow-casting {{#crossLink "GameObject"}}GameObjects{{/crossLink}}. For a {{#crossLink "PointLight"}}{{/crossLink}}, that's a
+ cube map which surrounds the light source.</li>
+ <li>Attached {{#crossLink "GameObject"}}GameObjects{{/crossLink}} then look up their fragments in the shadow map to find out
+ whether or not they are lit by the light source.</li>
+ <li>{{#crossLink "Modes/castShadow:property"}}Modes#castShadow{{/crossLink}} and {{#crossLink "Modes/receiveShadow:property"}}Modes#receiveShadow{{/crossLink}}
+ control which {{#crossLink "GameObject"}}GameObjects{{/crossLink}} cast and receive shadows.</li>
+ <li>Shadows are only received by {{#crossLink "GameObject"}}GameObjects{{/crossLink}} that have {{#crossLink "PhongMaterial"}}PhongMaterials{{/crossLink}}
+ or {{#crossLink "PBRMaterial"}}PBRMaterials{{/crossLink}}, and {{#crossLink "Geometry"}}Geometries{{/crossLink}} with normals.</li>
+ <li>When the light source is in View space, the shadow is cast in the View space of the {{#crossLink "Scene"}}Scene{{/crossLink}}'s
+ default {{#crossLink "Scene/camera:property"}}camera{{/crossLink}}.</li>
+ </ul>
+
+ ## Example
+
+ ```` javascript
+ var scene = new XEO.Scene();
+
+ var dirLight = new XEO.DirLight(scene, {
+    dir: [-1, -1, -1],
+    space: "world",
+    shadow: {
+        resolution: 2048,
+        bias: 0.005,
+        softness: 1.0
+    }
+ });
+
+ var lights = new XEO.Lights(scene, {
+    lights: [ dirLight ]
+ });
+
+ // Ground plane which receives shadows but doesn't cast them
+
+ var ground = new XEO.GameObject(scene, {
+    lights: lights,
+    transform: new XEO.Scale(scene, { xyz: [10, 0.1, 10] }),
+    modes: new XEO.Modes(scene, {
+        castShadow: false
+    })
+ });
+
+ // Box which casts a shadow onto the ground
+
+ var box = new XEO.GameObject(scene, {
+    lights: lights,
+    transform: new XEO.Translate(scene, { xyz: [0, 3, 0] })
+ });
+
+ // Soften the shadow
+ dirLight.shadow.softness = 2.0;
+
+ // Stop casting shadows
+ dirLight.shadow = null;
+ ````
+
+ @class Shadow
+ @module XEO
+ @submodule lighting
+ @constructor
+ @param [scene] {Scene} Parent {{#crossLink "Scene"}}Scene{{/crossLink}}.
+ @param [cfg] {*} Configs
+ @param cfg.light {DirLight|PointLight} The light source that casts this Shadow.
+ @param [cfg.resolution=1024] {Number} Width and height of the shadow map, in pixels. For a {{#crossLink "PointLight"}}{{/crossLink}}, this is the size of each of the six faces.
+ @param [cfg.bias=0.005] {Number} Depth offset which prevents surfaces from shadowing themselves.
+ @param [cfg.softness=1.0] {Number} Radius of the percentage-closer filter that softens the shadow edges, in shadow map texels. Zero gives hard edges.
+ @extends Component
+ */
+(function () {
+
+    "use strict";
+
+    XEO.Shadow = XEO.Component.extend({
+
+        type: "XEO.Shadow",
+
+        _init: function (cfg) {
+
+            // The light source that owns this Shadow
+
+            this._light = cfg.light;
+
+            // Rendering state
+
+            this._state = new XEO.renderer.Shadow({
+
+                // "dir" or "point"
+                type: this._light._state.type,
+
+                // Shadow map, allocated on first update
+                map: null,
+
+                // Bias, softness and texel size, packaged for insertion into shaders as a vec3
+                params: [0.005, 1.0, 1.0 / 1024],
+
+                // View and projection matrices for each face of the shadow map
+                viewMatrices: [],
+                projMatrix: XEO.math.identityMat4(),
+
+                // Transforms World-space positions into the shadow map of a DirLight
+                matrix: XEO.math.identityMat4(),
+
+                // World-space position and range of a PointLight's shadow
+                pos: [0, 0, 0, 1]
+            });
+
+            this._resolution = 1024;
+
+            // Extents of the shadow as at its last update,
+            // used to detect when the shadow has moved
+
+            this._lastFit = [];
+
+            // World-space boundary of the shadow-casting GameObjects, which is only refitted
+            // after something that could change it has happened to any of the GameObjects
+
+            this._castersAABB = null;
+            this._castersDirty = true;
+
+            // Subscriptions to the events of each GameObject
+
+            this._objects = {};
+
+            var self = this;
+
+            // GameObjects are tracked from the next refit, since they're
+            // not yet initialized when they're announced
+
+            this._onComponentCreated = this.scene.on("componentCreated",
+                function (component) {
+                    if (component.type === "XEO.GameObject") {
+                        self._castersDirty = true;
+                    }
+                });
+
+            this._onComponentDestroyed = this.scene.on("componentDestroyed",
+                function (component) {
+                    if (self._objects[component.id]) {
+                        self._untrackObject(self._objects[component.id]);
+                        self._castersDirty = true;
+                    }
+                });
+
+            // Refit the shadow before each frame
+
+            this._tick = this.scene.on("tick",
+                function () {
+                    self._update();
+                });
+
+            // Handle WebGL context restore
+
+            this._webglContextRestored = this.scene.canvas.on(
+                "webglContextRestored",
+                function () {
+
+                    if (self._state.map) {
+                        self._state.map.webglRestored(self.scene.canvas.gl);
+                    }
+                });
+
+            this.resolution = cfg.resolution;
+            this.bias = cfg.bias;
+            this.softness = cfg.softness;
+        },
+
+        _props: {
+
+            /**
+             Width and height of this Shadow's shadow map, in pixels.
+
+             For a {{#crossLink "PointLight"}}{{/crossLink}}, this is the width and height of each of the six faces of
+             the cube shadow map.
+
+             Fires a {{#crossLink "Shadow/resolution:event"}}{{/crossLink}} event on change.
+
+             @property resolution
+             @default 1024
+             @type Number
+             */
+            resolution: {
+
+                set: function (value) {
+
+                    value = value || 1024;
+
+                    if (value === this._resolution && this._state.map) {
+                        return;
+                    }
+
+                    this._resolution = value;
+
+                    this._setParams(this._state.params[0], this._state.params[1], 1.0 / value);
+
+                    // Reallocate shadow map on next update
+
+                    this._destroyMap();
+
+                    this._lastFit = [];
+
+                    this._renderer.imageDirty = true;
+
+                    /**
+                     Fired whenever this Shadow's {{#crossLink "Shadow/resolution:property"}}{{/crossLink}} property changes.
+                     @event resolution
+                     @param value The property's new value
+                     */
+                    this.fire("resolution", this._resolution);
+                },
+
+                get: function () {
+                    return this._resolution;
+                }
+            },
+
+            /**
+             Depth offset that prevents surfaces from shadowing themselves, which shows up as "shadow acne".
+
+             Fires a {{#crossLink "Shadow/bias:event"}}{{/crossLink}} event on change.
+
+             @property bias
+             @default 0.005
+             @type Number
+             */
+            bias: {
+
+                set: function (value) {
+
+                    this._setParams(value !== undefined && value !== null ? value : 0.005, this._state.params[1], this._state.params[2]);
+
+                    this._renderer.imageDirty = true;
+
+                    /**
+                     Fired whenever this Shadow's {{#crossLink "Shadow/bias:property"}}{{/crossLink}} property changes.
+                     @event bias
+                     @param value The property's new value
+                     */
+                    this.fire("bias", this._state.params[0]);
+                },
+
+                get: function () {
+                    return this._state.params[0];
+                }
+            },
+
+            /**
+             Radius of the percentage-closer filter that softens the edges of this Shadow, in shadow map texels.
+
+             A value of zero gives hard edges.
+
+             Fires a {{#crossLink "Shadow/softness:event"}}{{/crossLink}} event on change.
+
+             @property softness
+             @default 1.0
+             @type Number
+             */
+            softness: {
+
+                set: function (value) {
+
+                    this._setParams(this._state.params[0], value !== undefined && value !== null ? value : 1.0, this._state.params[2]);
+
+                    this._renderer.imageDirty = true;
+
+                    /**
+                     Fired whenever this Shadow's {{#crossLink "Shadow/softness:property"}}{{/crossLink}} property changes.
+                     @event softness
+                     @param value The property's new value
+                     */
+                    this.fire("softness", this._state.params[1]);
+                },
+
+                get: function () {
+                    return this._state.params[1];
+                }
+            }
+        },
+
+        // Fits the shadow to the shadow-casting GameObjects, then
+        // flags the renderer for a redraw if the shadow has moved
+        _update: function () {
+
+            var state = this._state;
+
+            if (!state.map) {
+                state.map = new XEO.renderer.webgl.ShadowMap(this.scene.canvas.gl, {
+                    cube: state.type === "point",
+                    size: this._resolution
+                });
+            }
+
+            var aabb = this._getCastersAABB();
+
+            if (!aabb) {
+                return;
+            }
+
+            var math = XEO.math;
+            var light = this._light._state;
+
+            var center = math.getAABBCenter(aabb);
+            var radius = math.getAABBDiag(aabb) * 0.5 || 1.0;
+
+            // Light direction or position in World space
+
+            var v;
+
+            if (state.type === "dir") {
+
+                v = math.normalizeVec3(light.dir, math.vec3());
+
+                if (light.space !== "world") {
+                    v = math.transformVec3(math.inverseMat4(this.scene.camera.view.matrix, math.mat4()), v);
+                    v = math.normalizeVec3(v, v);
+                }
+
+            } else {
+
+                v = light.pos.slice(0, 3);
+
+                if (light.space !== "world") {
+                    v = math.transformPoint3(math.inverseMat4(this.scene.camera.view.matrix, math.mat4()), v).slice(0, 3);
+                }
+            }
+
+            if (!this._fitChanged(v, center, radius)) {
+                return;
+            }
+
+            if (state.type === "dir") {
+                this._fitDir(v, center, radius);
+
+            } else {
+                this._fitPoint(v, center, radius);
+            }
+
+            this._renderer.imageDirty = true;
+        },
+
+        // Returns the World-space AABB that encloses all the GameObjects
+        // that can cast shadows, or null when there are none of those
+        _getCastersAABB: function () {
+
+            if (!this._castersDirty) {
+                return this._castersAABB;
+            }
+
+            var objects = this.scene.types["XEO.GameObject"];
+            var aabb = null;
+            var object;
+            var objectAABB;
+
+            for (var id in objects) {
+                if (objects.hasOwnProperty(id)) {
+
+                    object = objects[id];
+
+                    if (!this._objects[id]) {
+                        this._trackObject(object);
+                    }
+
+                    if (object.worldModes.castShadow === false || !object.worldVisible) {
+                        continue;
+                    }
+
+                    objectAABB = object.worldBoundary.aabb;
+
+                    if (!aabb) {
+                        aabb = {
+                            xmin: objectAABB.xmin, ymin: objectAABB.ymin, zmin: objectAABB.zmin,
+                            xmax: objectAABB.xmax, ymax: objectAABB.ymax, zmax: objectAABB.zmax
+                        };
+                        continue;
+                    }
+
+                    aabb.xmin = Math.min(aabb.xmin, objectAABB.xmin);
+                    aabb.ymin = Math.min(aabb.ymin, objectAABB.ymin);
+                    aabb.zmin = Math.min(aabb.zmin, objectAABB.zmin);
+                    aabb.xmax = Math.max(aabb.xmax, objectAABB.xmax);
+                    aabb.ymax = Math.max(aabb.ymax, objectAABB.ymax);
+                    aabb.zmax = Math.max(aabb.zmax, objectAABB.zmax);
+                }
+            }
+
+            this._castersAABB = aabb;
+            this._castersDirty = false;
+
+            return aabb;
+        },
+
+        // Subscribes to the events of the given GameObject that could
+        // change the boundary of the shadow-casting GameObjects, which
+        // are its World-space boundary, whether it's visible and whether
+        // it casts shadows, including those inherited from its parent
+        _trackObject: function (object) {
+
+            var self = this;
+
+            var entry = this._objects[object.id] = {
+                object: object,
+                boundary: object.worldBoundary,
+                visibility: null,
+                modes: null
+            };
+
+            var setDirty = function () {
+                self._castersDirty = true;
+            };
+
+            entry.onUpdated = entry.boundary.on("updated", setDirty);
+            entry.onParent = object.on("parent", setDirty);
+
+            entry.onVisibility = object.on("visibility",
+                function (visibility) {
+
+                    if (entry.visibility) {
+                        entry.visibility.off(entry.onVisible);
+                    }
+
+                    entry.visibility = visibility;
+                    entry.onVisible = visibility ? visibility.on("visible", setDirty) : null;
+
+                    self._castersDirty = true;
+                });
+
+            entry.onModes = object.on("modes",
+                function (modes) {
+
+                    if (entry.modes) {
+                        entry.modes.off(entry.onCastShadow);
+                    }
+
+                    entry.modes = modes;
+                    entry.onCastShadow = modes ? modes.on("castShadow", setDirty) : null;
+
+                    self._castersDirty = true;
+                });
+        },
+
+        _untrackObject: function (entry) {
+
+            var object = entry.object;
+
+            entry.boundary.off(entry.onUpdated);
+
+            object.off(entry.onParent);
+            object.off(entry.onVisibility);
+            object.off(entry.onModes);
+
+            if (entry.visibility) {
+                entry.visibility.off(entry.onVisible);
+            }
+
+            if (entry.modes) {
+                entry.modes.off(entry.onCastShadow);
+            }
+
+            delete this._objects[object.id];
+        },
+
+        // Returns true if the given fit differs from the last one
+        _fitChanged: function (v, center, radius) {
+
+            var fit = [v[0], v[1], v[2], center[0], center[1], center[2], radius];
+            var lastFit = this._lastFit;
+            var changed = lastFit.length !== fit.length;
+
+            for (var i = 0, len = fit.length; i < len && !changed; i++) {
+                changed = (fit[i] !== lastFit[i]);
+            }
+
+            this._lastFit = fit;
+
+            return changed;
+        },
+
+        // Fits an orthographic shadow map for a DirLight
+        // around the given World-space bounding sphere
+        _fitDir: function (dir, center, radius) {
+
+            var math = XEO.math;
+            var state = this._state;
+
+            var eye = math.subVec3(center, math.mulVec3Scalar(dir, radius * 2.0, math.vec3()), math.vec3());
+            var up = Math.abs(dir[1]) > 0.99 ? [0, 0, 1] : [0, 1, 0];
+
+            state.viewMatrices[0] = math.lookAtMat4v(eye, center, up);
+            state.projMatrix = math.orthoMat4c(-radius, radius, -radius, radius, radius * 0.5, radius * 3.5);
+
+            // Bias matrix maps the light's clip space into shadow map texture space
+
+            var biasMatrix = [
+                0.5, 0.0, 0.0, 0.0,
+                0.0, 0.5, 0.0, 0.0,
+                0.0, 0.0, 0.5, 0.0,
+                0.5, 0.5, 0.5, 1.0
+            ];
+
+            state.matrix = math.mulMat4(biasMatrix, math.mulMat4(state.projMatrix, state.viewMatrices[0], math.mat4()), math.mat4());
+        },
+
+        // Fits a cube shadow map for a PointLight, with a range
+        // which reaches the far side of the given World-space bounding sphere
+        _fitPoint: function (pos, center, radius) {
+
+            var math = XEO.math;
+            var state = this._state;
+
+            var far = math.lenVec3(math.subVec3(center, pos, math.vec3())) + radius;
+            var near = far * 0.001;
+
+            state.projMatrix = math.perspectiveMatrix4(Math.PI / 2, 1.0, near, far);
+
+            // Cube faces in order +X, -X, +Y, -Y, +Z and -Z
+
+            var faces = [
+                [1, 0, 0], [0, -1, 0],
+                [-1, 0, 0], [0, -1, 0],
+                [0, 1, 0], [0, 0, 1],
+                [0, -1, 0], [0, 0, -1],
+                [0, 0, 1], [0, -1, 0],
+                [0, 0, -1], [0, -1, 0]
+            ];
+
+            for (var i = 0; i < 6; i++) {
+                state.viewMatrices[i] = math.lookAtMat4v(pos, math.addVec3(pos, faces[i * 2], math.vec3()), faces[i * 2 + 1]);
+            }
+
+            state.pos = [pos[0], pos[1], pos[2], far];
+        },
+
+        // Replaces, rather than updates, the shader params so
+        // that the renderer notices that they have changed
+        _setParams: function (bias, softness, texelSize) {
+            this._state.params = [bias, softness, texelSize];
+        },
+
+        _destroyMap: function () {
+
+            if (this._state.map) {
+                this._state.map.destroy();
+                this._state.map = null;
+            }
+        },
+
+        _destroy: function () {
+
+            this.scene.off(this._tick);
+            this.scene.off(this._onComponentCreated);
+            this.scene.off(this._onComponentDestroyed);
+            this.scene.canvas.off(this._webglContextRestored);
+
+            for (var id in this._objects) {
+                if (this._objects.hasOwnProperty(id)) {
+                    this._untrackObject(this._objects[id]);
+                }
+            }
+
+            this._destroyMap();
+
+            this._state.destroy();
+        }
+    });
+
+})();
@@ -0,0 +1,532 @@
+/**
+ A **SpotLight** defines a positional light source that originates from a single point and shines within a cone
+ in a given direction, to illuminate attached {{#crossLink "GameObject"}}GameObjects{{/crossLink}}.
+
+ ## Overview
+
+ <ul>
+
+ <li>SpotLights are grouped, along with other light source types, within {{#crossLink "Lights"}}Lights{{/crossLink}} components,
+ which are attached to {{#crossLink "GameObject"}}GameObjects{{/crossLink}}.</li>
+
+ <li>SpotLights have a position and a direction.</li>
+
+ <li>SpotLights illuminate fully within their {{#crossLink "SpotLight/innerCone:property"}}{{/crossLink}} angle, fading out towards
+ their {{#crossLink "SpotLight/outerCone:property"}}{{/crossLink}} angle, outside of which they don't illuminate at all.</li>
+
+ <li>SpotLights may be defined in either **World** or **View** coordinate space. When in World-space, their position
+ and direction are relative to the World coordinate system, and will appear to move as the {{#crossLink "Camera"}}{{/crossLink}} moves.
+ When in View-space, their position and direction are relative to the View coordinate system, and will behave as if fixed to the viewer's
+ head as the {{#crossLink "Camera"}}{{/crossLink}} moves.</li>
+
+ <li>SpotLights have {{#crossLink "SpotLight/constantAttenuation:property"}}{{/crossLink}}, {{#crossLink "SpotLight/linearAttenuation:property"}}{{/crossLink}} and
+ {{#crossLink "SpotLight/quadraticAttenuation:property"}}{{/crossLink}} factors, which indicate how their intensity attenuates over distance.</li>
+
+ <li>SpotLights illuminate {{#crossLink "GameObject"}}GameObjects{{/crossLink}} that have either a {{#crossLink "PhongMaterial"}}{{/crossLink}}
+ or a {{#crossLink "PBRMaterial"}}{{/crossLink}}.</li>
+
+ <li>See <a href="Shader.html#inputs">Shader Inputs</a> for the variables that SpotLights create within xeoEngine's shaders.</li>
+
+ </ul>
+
+ ## Example
+
+ In this example we have
+ <ul>
+ <li>a {{#crossLink "PhongMaterial"}}{{/crossLink}},</li>
+ <li>a SpotLight,</li>
+ <li>a {{#crossLink "Lights"}}{{/crossLink}} containing the SpotLight,</li>
+ <li>a {{#crossLink "Geometry"}}{{/crossLink}} that is the default box shape, and
+ <li>a {{#crossLink "GameObject"}}{{/crossLink}} attached to all of the above.</li>
+ </ul>
+
+ ```` javascript
+ var scene = new XEO.Scene();
+
+ var material = new XEO.PhongMaterial(scene, {
+        color: [1, 1, 1],
+        intensity: 1
+ });
+
+ // Our SpotLight shines straight down at the box from above it,
+ // fully illuminating within 20 degrees of its direction, and fading out
+ // to no illumination at 30 degrees.
+
+ var spotLight = new XEO.SpotLight(scene, {
+        pos: [0, 10, 0],
+        dir: [0, -1, 0],
+        color: [0.9, 0.9, 0.7],
+        intensity: 1,
+        innerCone: 20,
+        outerCone: 30,
+        constantAttenuation: 0,
+        linearAttenuation: 0,
+        quadraticAttenuation: 0,
+        space: "world"
+ });
+
+ var lights = new XEO.Lights(scene, {
+        lights: [
+            spotLight
+        ]
+ });
+
+ var geometry = new XEO.Geometry(scene);  // Defaults to a 2x2x2 box
+
+ var object = new XEO.GameObject(scene, {
+        lights: lights,
+        material: material,
+        geometry: geometry
+  });
+ ````
+
+ As with all components, we can <a href="XEO.Component.html#changeEvents" class="crosslink">observe and change properties</a> on SpotLights like so:
+
+ ````Javascript
+ var handle = spotLight.on("outerCone", // Attach a change listener to a property
+ function(value) {
+        // Property value has changed
+    });
+
+ spotLight.outerCone = 45; // Fires the change listener
+
+ spotLight.off(handle); // Detach the change listener
+ ````
+
+ @class SpotLight
+ @module XEO
+ @submodule lighting
+ @constructor
+ @extends Component
+ @param [scene] {Scene} Parent {{#crossLink "Scene"}}Scene{{/crossLink}}, creates this SpotLight within the
+ default {{#crossLink "Scene"}}Scene{{/crossLink}} when omitted
+ @param [cfg] {*} The SpotLight configuration
+ @param [cfg.id] {String} Optional ID, unique among all components in the parent {{#crossLink "Scene"}}Scene{{/crossLink}}, generated automatically when omitted.
+ @param [cfg.meta] {String:Object} Optional map of user-defined metadata to attach to this SpotLight.
+ @param [cfg.pos=[ 1.0, 1.0, 1.0 ]] {Array(Number)} Position, in either World or View space, depending on the value of the **space** parameter.
+ @param [cfg.dir=[ 0.0, 0.0, -1.0 ]] {Array(Number)} Direction in which this SpotLight is shining, in either World or View space, depending on the value of the **space** parameter.
+ @param [cfg.color=[0.7, 0.7, 0.8 ]] {Array(Number)} Color of this SpotLight.
+ @param [cfg.intensity=1.0] {Number} Intensity of this SpotLight.
+ @param [cfg.innerCone=20] {Number} Angle in degrees, from the direction, within which this SpotLight illuminates fully.
+ @param [cfg.outerCone=30] {Number} Angle in degrees, from the direction, beyond which this SpotLight does not illuminate.
+ @param [cfg.constantAttenuation=0] {Number} Constant attenuation factor.
+ @param [cfg.linearAttenuation=0] {Number} Linear attenuation factor.
+ @param [cfg.quadraticAttenuation=0] {Number} Quadratic attenuation factor.
+ @param [cfg.space="view"] {String} The coordinate system this SpotLight is defined in - "view" or "world".
+ */
+(function () {
+
+    "use strict";
+
+    XEO.SpotLight = XEO.Component.extend({
+
+        type: "XEO.SpotLight",
+
+        _init: function (cfg) {
+
+            this._state = {
+                type: "spot",
+                pos: [1.0, 1.0, 1.0],
+                dir: [0.0, 0.0, -1.0],
+                color: [0.7, 0.7, 0.8],
+                intensity: 1.0,
+
+                // Packaging constant, linear and quadratic attenuation terms
+                // into an array for easy insertion into shaders as a vec3
+                attenuation: [0.0, 0.0, 0.0],
+
+                // Packaging cosines of inner and outer cone angles
+                // into an array for easy insertion into shaders as a vec2
+                cone: [0.0, 0.0],
+
+                space: "view"
+            };
+
+            this._innerCone = 20;
+            this._outerCone = 30;
+
+            this.pos = cfg.pos;
+            this.dir = cfg.dir;
+            this.color = cfg.color;
+            this.intensity = cfg.intensity;
+            this.innerCone = cfg.innerCone;
+            this.outerCone = cfg.outerCone;
+            this.constantAttenuation = cfg.constantAttenuation;
+            this.linearAttenuation = cfg.linearAttenuation;
+            this.quadraticAttenuation = cfg.quadraticAttenuation;
+            this.space = cfg.space;
+        },
+
+        _props: {
+
+            /**
+             The position of this SpotLight.
+
+             This will be either World- or View-space, depending on the value of {{#crossLink "SpotLight/space:property"}}{{/crossLink}}.
+
+             Fires a {{#crossLink "SpotLight/pos:event"}}{{/crossLink}} event on change.
+
+             @property pos
+             @default [1.0, 1.0, 1.0]
+             @type Array(Number)
+             */
+            pos: {
+
+                set: function (value) {
+
+                    value = value || [1.0, 1.0, 1.0];
+
+                    this._state.pos = [value[0], value[1], value[2]];
+
+                    this._renderer.imageDirty = true;
+
+                    /**
+                     Fired whenever this SpotLight's  {{#crossLink "SpotLight/pos:property"}}{{/crossLink}} property changes.
+                     @event pos
+                     @param value The property's new value
+                     */
+                    this.fire("pos", this._state.pos);
+                },
+
+                get: function () {
+                    return this._state.pos;
+                }
+            },
+
+            /**
+             The direction in which this SpotLight is shining.
+
+             This will be either World- or View-space, depending on the value of {{#crossLink "SpotLight/space:property"}}{{/crossLink}}.
+
+             Fires a {{#crossLink "SpotLight/dir:event"}}{{/crossLink}} event on change.
+
+             @property dir
+             @default [0.0, 0.0, -1.0]
+             @type Array(Number)
+             */
+            dir: {
+
+                set: function (value) {
+
+                    value = value || [0.0, 0.0, -1.0];
+
+                    this._state.dir = [value[0], value[1], value[2]];
+
+                    this._renderer.imageDirty = true;
+
+                    /**
+                     Fired whenever this SpotLight's  {{#crossLink "SpotLight/dir:property"}}{{/crossLink}} property changes.
+                     @event dir
+                     @param value The property's new value
+                     */
+                    this.fire("dir", this._state.dir);
+                },
+
+                get: function () {
+                    return this._state.dir;
+                }
+            },
+
+            /**
+             The color of this SpotLight.
+
+             Fires a {{#crossLink "SpotLight/color:event"}}{{/crossLink}} event on change.
+
+             @property color
+             @default [0.7, 0.7, 0.8]
+             @type Array(Number)
+             */
+            color: {
+
+                set: function (value) {
+
+                    value = value || [0.7, 0.7, 0.8];
+
+                    this._state.color = [value[0], value[1], value[2]];
+
+                    this._renderer.imageDirty = true;
+
+                    /**
+                     Fired whenever this SpotLight's  {{#crossLink "SpotLight/color:property"}}{{/crossLink}} property changes.
+                     @event color
+                     @param value The property's new value
+                     */
+                    this.fire("color", this._state.color);
+                },
+
+                get: function () {
+                    return this._state.color;
+                }
+            },
+
+            /**
+             The intensity of this SpotLight.
+
+             Fires a {{#crossLink "SpotLight/intensity:event"}}{{/crossLink}} event on change.
+
+             @property intensity
+             @default 1.0
+             @type Number
+             */
+            intensity: {
+
+                set: function (value) {
+
+                    value = value !== undefined ? value : 1.0;
+
+                    this._state.intensity = value;
+
+                    this._renderer.imageDirty = true;
+
+                    /**
+                     * Fired whenever this SpotLight's  {{#crossLink "SpotLight/intensity:property"}}{{/crossLink}} property changes.
+                     * @event intensity
+                     * @param value The property's new value
+                     */
+                    this.fire("intensity", this._state.intensity);
+                },
+
+                get: function () {
+                    return this._state.intensity;
+                }
+            },
+
+            /**
+             Angle in degrees, from the {{#crossLink "SpotLight/dir:property"}}{{/crossLink}}, within which this
+             SpotLight illuminates fully.
+
+             Illumination fades out between this angle and the {{#crossLink "SpotLight/outerCone:property"}}{{/crossLink}} angle.
+
+             Fires an {{#crossLink "SpotLight/innerCone:event"}}{{/crossLink}} event on change.
+
+             @property innerCone
+             @default 20
+             @type Number
+             */
+            innerCone: {
+
+                set: function (value) {
+
+                    this._innerCone = value !== undefined ? value : 20;
+
+                    this._setCone();
+
+                    /**
+                     * Fired whenever this SpotLight's  {{#crossLink "SpotLight/innerCone:property"}}{{/crossLink}} property changes.
+                     * @event innerCone
+                     * @param value The property's new value
+                     */
+                    this.fire("innerCone", this._innerCone);
+                },
+
+                get: function () {
+                    return this._innerCone;
+                }
+            },
+
+            /**
+             Angle in degrees, from the {{#crossLink "SpotLight/dir:property"}}{{/crossLink}}, beyond which this
+             SpotLight does not illuminate.
+
+             Fires an {{#crossLink "SpotLight/outerCone:event"}}{{/crossLink}} event on change.
+
+             @property outerCone
+             @default 30
+             @type Number
+             */
+            outerCone: {
+
+                set: function (value) {
+
+                    this._outerCone = value !== undefined ? value : 30;
+
+                    this._setCone();
+
+                    /**
+                     * Fired whenever this SpotLight's  {{#crossLink "SpotLight/outerCone:property"}}{{/crossLink}} property changes.
+                     * @event outerCone
+                     * @param value The property's new value
+                     */
+                    this.fire("outerCone", this._outerCone);
+                },
+
+                get: function () {
+                    return this._outerCone;
+                }
+            },
+
+            /**
+             The constant attenuation factor for this SpotLight.
+
+             Fires a {{#crossLink "SpotLight/constantAttenuation:event"}}{{/crossLink}} event on change.
+
+             @property constantAttenuation
+             @default 0
+             @type Number
+             */
+            constantAttenuation: {
+
+                set: function (value) {
+
+                    this._setAttenuation(0, value || 0.0);
+
+                    /**
+                     Fired whenever this SpotLight's {{#crossLink "SpotLight/constantAttenuation:property"}}{{/crossLink}} property changes.
+
+                     @event constantAttenuation
+                     @param value The property's new value
+                     */
+                    this.fire("constantAttenuation", this._state.attenuation[0]);
+                },
+
+                get: function () {
+                    return this._state.attenuation[0];
+                }
+            },
+
+            /**
+             The linear attenuation factor for this SpotLight.
+
+             Fires a {{#crossLink "SpotLight/linearAttenuation:event"}}{{/crossLink}} event on change.
+
+             @property linearAttenuation
+             @default 0
+             @type Number
+             */
+            linearAttenuation: {
+
+                set: function (value) {
+
+                    this._setAttenuation(1, value || 0.0);
+
+                    /**
+                     Fired whenever this SpotLight's  {{#crossLink "SpotLight/linearAttenuation:property"}}{{/crossLink}} property changes.
+
+                     @event linearAttenuation
+                     @param value The property's new value
+                     */
+                    this.fire("linearAttenuation", this._state.attenuation[1]);
+                },
+
+                get: function () {
+                    return this._state.attenuation[1];
+                }
+            },
+
+            /**
+             The quadratic attenuation factor for this SpotLight.
+
+             Fires a {{#crossLink "SpotLight/quadraticAttenuation:event"}}{{/crossLink}} event on change.
+
+             @property quadraticAttenuation
+             @default 0
+             @type Number
+             */
+            quadraticAttenuation: {
+
+                set: function (value) {
+
+                    this._setAttenuation(2, value || 0.0);
+
+                    /**
+                     Fired whenever this SpotLight's {{#crossLink "SpotLight/quadraticAttenuation:property"}}{{/crossLink}} property changes.
+
+                     @event quadraticAttenuation
+                     @param value The property's new value
+                     */
+                    this.fire("quadraticAttenuation", this._state.attenuation[2]);
+                },
+
+                get: function () {
+                    return this._state.attenuation[2];
+                }
+            },
+
+            /**
+             Indicates which coordinate space this SpotLight is in.
+
+             Supported values are:
+
+             <ul>
+             <li>"view" - View space, aligned within the view volume as if fixed to the viewer's head</li>
+             <li>"world" - World space, fixed within the world, moving within the view volume with respect to camera</li>
+             </ul>
+
+             Fires a {{#crossLink "SpotLight/space:event"}}{{/crossLink}} event on change.
+
+             @property space
+             @default "view"
+             @type String
+             */
+            space: {
+
+                set: function (value) {
+
+                    value = value || "view";
+
+                    if (value !== "view" && value !== "world") {
+                        this.error("Unsupported value for 'space': " + XEO._inQuotes(value) +
+                            " - should be 'view' or 'world'. Defaulting to 'view'.");
+                        value = "view";
+                    }
+
+                    this._state.space = value;
+
+                    this.fire("dirty", true); // Need to rebuild shader
+
+                    /**
+                     Fired whenever this SpotLight's  {{#crossLink "SpotLight/space:property"}}{{/crossLink}} property changes.
+
+                     @event space
+                     @param value The property's new value
+                     */
+                    this.fire("space", this._state.space);
+                },
+
+                get: function () {
+                    return this._state.space;
+                }
+            }
+        },
+
+        // Replaces, rather than updates, the attenuation array, because
+        // the renderer only uploads vector uniforms that are new arrays
+
+        _setAttenuation: function (i, value) {
+
+            var attenuation = this._state.attenuation.slice();
+
+            attenuation[i] = value;
+
+            this._state.attenuation = attenuation;
+
+            this._renderer.imageDirty = true;
+        },
+
+        _setCone: function () {
+
+            this._state.cone = [
+                Math.cos(this._innerCone * (Math.PI / 180.0)),
+                Math.cos(this._outerCone * (Math.PI / 180.0))
+            ];
+
+            this._renderer.imageDirty = true;
+        },
+
+        _getJSON: function () {
+            return {
+                pos: this._state.pos,
+                dir: this._state.dir,
+                color: this._state.color,
+                intensity: this._state.intensity,
+                innerCone: this._innerCone,
+                outerCone: this._outerCone,
+                constantAttenuation: this._state.attenuation[0],
+                linearAttenuation: this._state.attenuation[1],
+                quadraticAttenuation: this._state.attenuation[2],
+                space: this._state.space
+            };
+        }
+    });
+
+})();
@@ -18,6 +18,7 @@
  ### Material attributes
 
  * **{{#crossLink "PBRMaterial/metallic:property"}}{{/crossLink}}** - degree of metallicity in range ````[0..1]````, where ````0```` is fully dialectric (non-metal) and ````1```` is fully metallic.
+ * **{{#crossLink "PBRMaterial/metallicMap:property"}}{{/crossLink}}** - metallic map {{#crossLink "Texture"}}{{/crossLink}} to replace {{#crossLink "PBRMaterial/metallic:property"}}{{/crossLink}}, read from its blue channel.
  * **{{#crossLink "PBRMaterial/color:property"}}{{/crossLink}}** - base color.
  * **{{#crossLink "PBRMaterial/colorMap:property"}}{{/crossLink}}** - color map {{#crossLink "Texture"}}{{/crossLink}} to replace {{#crossLink "PBRMaterial/color:property"}}{{/crossLink}}.
  * **{{#crossLink "PBRMaterial/emissive:property"}}{{/crossLink}}** - emissive color.
@@ -25,7 +26,7 @@
  * **{{#crossLink "PBRMaterial/opacity:property"}}{{/crossLink}}** - opacity in range ````[0..1]````.
  * **{{#crossLink "PBRMaterial/opacityMap:property"}}{{/crossLink}}** - opacity map {{#crossLink "Texture"}}{{/crossLink}} to replace {{#crossLink "PBRMaterial/opacity:property"}}{{/crossLink}}.
  * **{{#crossLink "PBRMaterial/roughness:property"}}{{/crossLink}}** - surface roughness in range ````[0..1]````, where ````0```` is 100% smooth and ````1```` is 100% rough.
- * **{{#crossLink "PBRMaterial/roughnessMap:property"}}{{/crossLink}}** - roughness map {{#crossLink "Texture"}}{{/crossLink}} to replace {{#crossLink "PBRMaterial/roughness:property"}}{{/crossLink}}.
+ * **{{#crossLink "PBRMaterial/roughnessMap:property"}}{{/crossLink}}** - roughness map {{#crossLink "Texture"}}{{/crossLink}} to replace {{#crossLink "PBRMaterial/roughness:property"}}{{/crossLink}}, read from its green channel.
  * **{{#crossLink "PBRMaterial/normalMap:property"}}{{/crossLink}}** - normal map {{#crossLink "Texture"}}{{/crossLink}}.
  * **{{#crossLink "PBRMaterial/specular:property"}}{{/crossLink}}** - specular reflection color.
  * **{{#crossLink "PBRMaterial/specularMap:property"}}{{/crossLink}}** - specular map {{#crossLink "Texture"}}{{/crossLink}} to replace {{#crossLink "PBRMaterial/specular:property"}}{{/crossLink}}.
@@ -94,14 +95,15 @@
  @param [cfg.id] {String} Optional ID, unique among all components in the parent {{#crossLink "Scene"}}Scene{{/crossLink}}, generated automatically when omitted.
  @param [cfg.meta=null] {String:Object} Metadata to attach to this PBRMaterial.
  @param [cfg.metallic=0.0] {Number} Scalar in range 0-1 that controls how metallic the PBRMaterial is.
+ @param [cfg.metallicMap=null] {Texture} A metallic map {{#crossLink "Texture"}}Texture{{/crossLink}}, whose blue channel will override the effect of the metallic property. Must be within the same {{#crossLink "Scene"}}Scene{{/crossLink}} as this PBRMaterial.
  @param [cfg.color=[ 1.0, 1.0, 1.0 ]] {Array of Number} Base color.
  @param [cfg.colorMap=null] {Texture} A color map {{#crossLink "Texture"}}Texture{{/crossLink}}, which will override the effect of the color property. Must be within the same {{#crossLink "Scene"}}Scene{{/crossLink}} as this PBRMaterial.
- @param [cfg.emissive=[ 1.0, 1.0, 1.0 ]] {Array of Number} Emissive color.
+ @param [cfg.emissive=[ 0.0, 0.0, 0.0 ]] {Array of Number} Emissive color.
  @param [cfg.emissiveMap=null] {Texture} An emissive map {{#crossLink "Texture"}}Texture{{/crossLink}}, which will override the effect of the emissive property. Must be within the same {{#crossLink "Scene"}}Scene{{/crossLink}} as this PBRMaterial.
  @param [cfg.opacity=1] {Number} Scalar in range 0-1 that controls opacity, where 0 is completely transparent and 1 is completely opaque. Only applies while {{#crossLink "Modes"}}Modes{{/crossLink}} {{#crossLink "Modes/transparent:property"}}transparent{{/crossLink}} equals ````true````.
  @param [cfg.opacityMap=null] {Texture} An opacity map {{#crossLink "Texture"}}Texture{{/crossLink}}, which will override the effect of the opacity property. Must be within the same {{#crossLink "Scene"}}Scene{{/crossLink}} as this PBRMaterial.
  @param [cfg.roughness=0.0] {Number} Scalar in range 0-1 that controls roughness, where 0 is 100% glossiness and 1 is 100% roughness.
- @param [cfg.roughnessMap=null] {Texture} A roughness map {{#crossLink "Texture"}}Texture{{/crossLink}}, which will override the effect of the roughness property. Must be within the same {{#crossLink "Scene"}}Scene{{/crossLink}} as this PBRMaterial.
+ @param [cfg.roughnessMap=null] {Texture} A roughness map {{#crossLink "Texture"}}Texture{{/crossLink}}, whose green channel will override the effect of the roughness property. Must be within the same {{#crossLink "Scene"}}Scene{{/crossLink}} as this PBRMaterial.
  @param [cfg.normalMap=null] {Texture} A normal map {{#crossLink "Texture"}}Texture{{/crossLink}}. Must be within the same {{#crossLink "Scene"}}Scene{{/crossLink}} as this PBRMaterial.
  @param [cfg.specular=[ 1.0, 1.0, 1.0 ]] {Array of Number} Specular color.
  @param [cfg.specularMap=null] {Texture} A specular map {{#crossLink "Texture"}}Texture{{/crossLink}}, which will override the effect of the specular property. Must be within the same {{#crossLink "Scene"}}Scene{{/crossLink}} as this PBRMaterial.
@@ -122,13 +124,14 @@
 
                 // (0.0) for non-metal and (1.0) for raw metal
                 metallic: 0.0,
+                metallicMap: null,
 
                 // Base color
                 color: [1.0, 1.0, 1.0],
                 colorMap: null,
 
                 // Emissive color
-                emissive: [1.0, 1.0, 1.0],
+                emissive: [0.0, 0.0, 0.0],
                 emissiveMap: null,
 
                 // Opacity
@@ -158,6 +161,7 @@
             this._destroyedComponentSubs = [];
 
             this.metallic = cfg.metallic;
+            this.metallicMap = cfg.metallicMap;
 
             this.color = cfg.color;
             this.colorMap = cfg.colorMap;
@@ -215,6 +219,37 @@
                 }
             },
 
+            /**
+             Metallic {{#crossLink "Texture"}}{{/crossLink}}, to apply instead of {{#crossLink "PBRMaterial/metallic:property"}}{{/crossLink}}.
+
+             The metallic factor is read from the blue channel, so that this may be the same
+             {{#crossLink "Texture"}}{{/crossLink}} as the {{#crossLink "PBRMaterial/roughnessMap:property"}}{{/crossLink}},
+             which is read from the green channel.
+
+             Fires a {{#crossLink "PBRMaterial/metallicMap:event"}}{{/crossLink}} event on change.
+
+             @property metallicMap
+             @default null
+             @type {Texture}
+             */
+            metallicMap: {
+
+                set: function (texture) {
+
+                    /**
+                     Fired whenever this PBRMaterial's {{#crossLink "PBRMaterial/metallicMap:property"}}{{/crossLink}} property changes.
+
+                     @event metallicMap
+                     @param value Number The property's new value
+                     */
+                    this._attachComponent("metallicMap", texture);
+                },
+
+                get: function () {
+                    return this._components["metallicMap"];
+                }
+            },
+
             /**
              Base color of this material.
 
@@ -283,14 +318,14 @@
              Fires an {{#crossLink "PBRMaterial/emissive:event"}}{{/crossLink}} event on change.
 
              @property emissive
-             @default [1.0, 1.0, 1.0]
+             @default [0.0, 0.0, 0.0]
              @type Array(Number)
              */
             emissive: {
 
                 set: function (value) {
 
-                    this._state.emissive = value || [1.0, 1.0, 1.0];
+                    this._state.emissive = value || [0.0, 0.0, 0.0];
 
                     this._renderer.imageDirty = true;
 
@@ -439,6 +474,8 @@
             /**
              Roughness {{#crossLink "Texture"}}{{/crossLink}}, to apply instead of {{#crossLink "PBRMaterial/roughness:property"}}{{/crossLink}}.
 
+             The roughness factor is read from the green channel.
+
              Fires an {{#crossLink "PBRMaterial/roughnessMap:event"}}{{/crossLink}} event on change.
 
              @property roughnessMap
@@ -554,7 +591,7 @@
 
         _attachComponent: function (type, component) {
 
-            if (XEO._isString(component)) {
+            if (XEO._isNumeric(component) || XEO._isString(component)) {
 
                 // ID given for component - find the component 
                 var id = component;
@@ -568,7 +605,7 @@
             }
 
             if (component && component.type !== "XEO.Texture" && component.type !== "XEO.Fresnel") {
-                this.error("Component " +XEO._inQuotes(id) + " is not a XEO.Texture or XEO.Fresnel");
+                this.error("Component " + XEO._inQuotes(component.id) + " is not a XEO.Texture or XEO.Fresnel");
                 return;
             }
 
@@ -631,7 +668,7 @@
 
             var state = this._state;
 
-            var hash = [];
+            var hash = ["/pbr"]; // For PBR
 
             if (state.colorMap) {
                 hash.push("/c");
@@ -661,6 +698,13 @@
                 }
             }
 
+            if (state.metallicMap) {
+                hash.push("/m");
+                if (state.metallicMap.matrix) {
+                    hash.push("/anim");
+                }
+            }
+
             if (state.normalMap) {
                 hash.push("/b");
                 if (state.normalMap.matrix) {
@@ -668,6 +712,13 @@
                 }
             }
 
+            if (state.specularMap) {
+                hash.push("/s");
+                if (state.specularMap.matrix) {
+                    hash.push("/anim");
+                }
+            }
+
             hash.push(";");
 
             state.hash = hash.join("");
@@ -711,6 +762,10 @@
 
             json.metallic = this._state.metallic;
 
+            if (components.metallicMap) {
+                json.metallicMap = components.metallicMap.id;
+            }
+
             json.specular = this.specular;
 
             if (components.specularMap) {
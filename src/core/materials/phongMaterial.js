@@ -759,7 +759,7 @@
 
         _attachComponent: function (type, component) {
 
-            if (XEO._isString(component)) {
+            if (XEO._isNumeric(component) || XEO._isString(component)) {
 
                 // ID given for component - find the component
                 var id = component;
@@ -773,7 +773,7 @@
             }
 
             if (component && component.type !== "XEO.Texture" && component.type !== "XEO.Fresnel") {
-                this.error("Component " + XEO._inQuotes(id) + " is not a XEO.Texture or XEO.Fresnel");
+                this.error("Component " + XEO._inQuotes(component.id) + " is not a XEO.Texture or XEO.Fresnel");
                 return;
             }
 
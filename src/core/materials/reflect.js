@@ -6,7 +6,46 @@
      A **Reflect** defines a reflection as a cubemap that is applied
      to attached {{#crossLink "GameObject"}}GameObjects{{/crossLink}}.
 
-     TODO
+     ## Overview
+
+     <ul>
+     <li>A Reflect is a cube texture, built from six images, one for each face of a cube that surrounds the scene.</li>
+     <li>The images can be given either as URLs, via {{#crossLink "Reflect/src:property"}}{{/crossLink}}, or as HTML images or canvases,
+     via {{#crossLink "Reflect/images:property"}}{{/crossLink}}. In both cases the faces are given in the order +X, -X, +Y, -Y, +Z and -Z.</li>
+     <li>Attached {{#crossLink "GameObject"}}GameObjects{{/crossLink}} mirror the cubemap on their surfaces, blended with their
+     lit color by the {{#crossLink "PhongMaterial/reflectivity:property"}}{{/crossLink}} of their {{#crossLink "PhongMaterial"}}{{/crossLink}}.</li>
+     <li>Reflections need normals, so will only appear on {{#crossLink "Geometry"}}Geometries{{/crossLink}} that have them.</li>
+     <li>Images are loaded through the {{#crossLink "Scene"}}Scene's{{/crossLink}} {{#crossLink "Scene/tasks:property"}}{{/crossLink}}.</li>
+     </ul>
+
+     <img src="../../../assets/images/Reflect.png"></img>
+
+     ## Example
+
+     ```` javascript
+     var scene = new XEO.Scene();
+
+     var reflect = new XEO.Reflect(scene, {
+        src: [
+            "textures/reflect/skybox/px.jpg",
+            "textures/reflect/skybox/nx.jpg",
+            "textures/reflect/skybox/py.jpg",
+            "textures/reflect/skybox/ny.jpg",
+            "textures/reflect/skybox/pz.jpg",
+            "textures/reflect/skybox/nz.jpg"
+        ]
+     });
+
+     var material = new XEO.PhongMaterial(scene, {
+        diffuse: [0.2, 0.2, 1.0],
+        reflectivity: 0.6
+     });
+
+     var object = new XEO.GameObject(scene, {
+        reflect: reflect,
+        material: material
+     });
+     ````
 
      @class Reflect
      @module XEO
@@ -16,7 +55,9 @@
      {{#crossLink "Scene"}}Scene{{/crossLink}} when omitted.
      @param [cfg] {*} Configs
      @param [cfg.id] {String} Optional ID, unique among all components in the parent scene, generated automatically when omitted.
-     @param [cfg.meta] {String:Object} Optional map of user-defined metadata to attach to this Reflect.    
+     @param [cfg.meta] {String:Object} Optional map of user-defined metadata to attach to this Reflect.
+     @param [cfg.src] {Array of String} Paths to six image files for the +X, -X, +Y, -Y, +Z and -Z cube faces.
+     @param [cfg.images] {Array of HTMLImageElement} Six images for the +X, -X, +Y, -Y, +Z and -Z cube faces. Ignored when **src** is given.
      @extends Component
      */
     XEO.Reflect = XEO.Component.extend({
@@ -24,6 +65,281 @@
         type: "XEO.Reflect",
 
         _init: function (cfg) {
+
+            // Rendering state
+
+            this._state = new XEO.renderer.Reflect({
+                texture: null,
+                hash: ""
+            });
+
+            // Data source
+
+            this._src = null;
+            this._images = null;
+
+            // Dirty flags
+
+            this._dirty = false;
+            this._srcDirty = false;
+            this._imagesDirty = false;
+
+            var self = this;
+
+            // Handle WebGL context restore
+
+            this._webglContextRestored = this.scene.canvas.on(
+                "webglContextRestored",
+                function () {
+
+                    self._state.texture = null;
+
+                    if (self._images) {
+                        self._imagesDirty = true;
+                    }
+
+                    self._scheduleBuild();
+                });
+
+            if (cfg.src) {
+                this.src = cfg.src;
+
+            } else if (cfg.images) {
+                this.images = cfg.images;
+            }
+        },
+
+        // Schedules a call to #_build for the next "tick"
+        _scheduleBuild: function () {
+
+            if (!this._dirty) {
+
+                this._dirty = true;
+
+                var self = this;
+
+                this.scene.once("tick",
+                    function () {
+                        self._build();
+                    });
+            }
+        },
+
+        _build: function () {
+
+            var gl = this.scene.canvas.gl;
+
+            var state = this._state;
+
+            if (this._srcDirty) {
+
+                this._srcDirty = false;
+
+                if (this._src) {
+                    this._loadSrc(this._src);
+                }
+            }
+
+            if (this._imagesDirty) {
+
+                this._imagesDirty = false;
+
+                if (this._images) {
+
+                    if (!state.texture) {
+                        state.texture = new XEO.renderer.webgl.Texture2D(gl, {
+                            target: gl.TEXTURE_CUBE_MAP
+                        });
+                    }
+
+                    state.texture.setImage(this._images);
+                }
+            }
+
+            // Shader needs rebuild when reflection is switched on or off
+
+            var hash = state.texture ? "/r" : "";
+
+            if (hash !== state.hash) {
+                state.hash = hash;
+                this.fire("dirty", true);
+            }
+
+            this._renderer.imageDirty = true;
+
+            this._dirty = false;
+        },
+
+        _loadSrc: function (src) {
+
+            var task = this.scene.tasks.create({
+                description: "Loading reflection cubemap"
+            });
+
+            var self = this;
+
+            var images = [];
+            var numLoaded = 0;
+            var failed = false;
+
+            function loadFace(i) {
+
+                var image = new Image();
+
+                image.onload = function () {
+
+                    if (failed) {
+                        return;
+                    }
+
+                    images[i] = image;
+
+                    if (++numLoaded < 6) {
+                        return;
+                    }
+
+                    if (self._src === src) {
+
+                        // Ensure data source was not changed while we were loading
+
+                        // Keep self._src because that's where we loaded the images
+                        // from, and we may need to save that in JSON later
+
+                        self._images = images;
+                        self._imagesDirty = true;
+
+                        /**
+                         * Fired whenever this Reflect's {{#crossLink "Reflect/images:property"}}{{/crossLink}} property changes.
+                         * @event images
+                         * @param value {Array of HTML Image} The property's new value
+                         */
+                        self.fire("images", self._images);
+
+                        self._scheduleBuild();
+                    }
+
+                    task.setCompleted();
+                };
+
+                image.onerror = function () {
+
+                    if (!failed) {
+
+                        failed = true;
+
+                        self.error("Failed to load reflection cubemap face: " + XEO._inQuotes(src[i]));
+
+                        task.setFailed();
+                    }
+                };
+
+                if (src[i].indexOf("data") !== 0) {
+
+                    // Image file
+                    image.crossOrigin = "Anonymous";
+                }
+
+                image.src = src[i];
+            }
+
+            for (var i = 0; i < 6; i++) {
+                loadFace(i);
+            }
+        },
+
+        _props: {
+
+            /**
+             * Paths to six image files for the +X, -X, +Y, -Y, +Z and -Z faces of this Reflect's cubemap.
+             *
+             * Fires a {{#crossLink "Reflect/src:event"}}{{/crossLink}} event on change.
+             *
+             * @property src
+             * @default null
+             * @type {Array of String}
+             */
+            src: {
+
+                set: function (value) {
+
+                    if (value && value.length !== 6) {
+                        this.error("Value for 'src' should be an array of six image paths");
+                        return;
+                    }
+
+                    this._src = value || null;
+                    this._images = null;
+
+                    this._srcDirty = !!this._src;
+                    this._imagesDirty = false;
+
+                    if (!this._src) {
+                        this._destroyTexture();
+                    }
+
+                    this._scheduleBuild();
+
+                    /**
+                     * Fired whenever this Reflect's {{#crossLink "Reflect/src:property"}}{{/crossLink}} property changes.
+                     * @event src
+                     * @param value The property's new value
+                     * @type {Array of String}
+                     */
+                    this.fire("src", this._src);
+                },
+
+                get: function () {
+                    return this._src;
+                }
+            },
+
+            /**
+             * Six HTML images for the +X, -X, +Y, -Y, +Z and -Z faces of this Reflect's cubemap.
+             *
+             * Sets {{#crossLink "Reflect/src:property"}}{{/crossLink}} null.
+             *
+             * Fires an {{#crossLink "Reflect/images:event"}}{{/crossLink}} event on change.
+             *
+             * @property images
+             * @default null
+             * @type {Array of HTMLImageElement}
+             */
+            images: {
+
+                set: function (value) {
+
+                    if (value && value.length !== 6) {
+                        this.error("Value for 'images' should be an array of six images");
+                        return;
+                    }
+
+                    this._images = value || null;
+                    this._src = null;
+
+                    this._imagesDirty = !!this._images;
+                    this._srcDirty = false;
+
+                    if (!this._images) {
+                        this._destroyTexture();
+                    }
+
+                    this._scheduleBuild();
+
+                    this.fire("images", this._images);
+                },
+
+                get: function () {
+                    return this._images;
+                }
+            }
+        },
+
+        _destroyTexture: function () {
+
+            if (this._state.texture) {
+                this._state.texture.destroy();
+                this._state.texture = null;
+            }
         },
 
         _compile: function () {
@@ -31,10 +347,39 @@
         },
 
         _getJSON: function () {
-            return {
 
-            };
+            var json = {};
+
+            if (this._src) {
+                json.src = this._src;
+
+            } else if (this._images) {
+
+                // Images loaded from files can be saved as their paths
+
+                var src = [];
+
+                for (var i = 0; i < 6; i++) {
+                    if (!this._images[i].src) {
+                        return json;
+                    }
+                    src.push(this._images[i].src);
+                }
+
+                json.src = src;
+            }
+
+            return json;
+        },
+
+        _destroy: function () {
+
+            this.scene.canvas.off(this._webglContextRestored);
+
+            this._destroyTexture();
+
+            this._state.destroy();
         }
     });
 
-})();
\ No newline at end of file
+})();
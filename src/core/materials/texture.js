@@ -14,6 +14,11 @@
  property to a {{#crossLink "ColorTarget"}}ColorTarget{{/crossLink}} that is attached to those {{#crossLink "GameObject"}}GameObjects{{/crossLink}}.</li>
  <li>Similarly, to render depth images of {{#crossLink "GameObject"}}GameObjects{{/crossLink}} to a Texture, set the Texture's {{#crossLink "Texture/target:property"}}{{/crossLink}}
  property to a {{#crossLink "DepthTarget"}}DepthTarget{{/crossLink}} that is attached to those {{#crossLink "GameObject"}}GameObjects{{/crossLink}}.</li>
+ <li>The {{#crossLink "GameObject"}}GameObjects{{/crossLink}} attached to a {{#crossLink "ColorTarget"}}ColorTarget{{/crossLink}} or
+ {{#crossLink "DepthTarget"}}DepthTarget{{/crossLink}} are rendered before any {{#crossLink "GameObject"}}GameObjects{{/crossLink}} that have
+ Textures which consume it. A rendered Texture is always sampled with "nearest" filtering and clamped to its edges, ignoring the
+ {{#crossLink "Texture/minFilter:property"}}{{/crossLink}}, {{#crossLink "Texture/magFilter:property"}}{{/crossLink}},
+ {{#crossLink "Texture/wrapS:property"}}{{/crossLink}} and {{#crossLink "Texture/wrapT:property"}}{{/crossLink}} properties.</li>
  <li>For special effects, we often use rendered Textures in combination with {{#crossLink "Shader"}}Shaders{{/crossLink}} and {{#crossLink "Stage"}}Stages{{/crossLink}}.</li>
  <li>See <a href="Shader.html#inputs">Shader Inputs</a> for the variables that Textures create within xeoEngine's shaders.</li>
  </ul>
@@ -124,6 +129,7 @@
             this._src = null;
             this._image = null;
             this._target = null;
+            this._onTargetDestroyed = null;
 
             // Transformation
 
@@ -139,9 +145,9 @@
             this._wrapT = null;
             this._flipY = null;
 
-            // Dirty flags
+            // Dirty flags - the first property we set below will schedule a build
 
-            this._dirty = true;
+            this._dirty = false;
             this._matrixDirty = true;
             this._srcDirty = false;
             this._imageDirty = false;
@@ -225,7 +231,17 @@
 
             var state = this._state;
 
-            if (!state.texture) {
+            if (state.target && !this._target) {
+
+                // Switched from a render target to an image
+
+                state.texture = null;
+                state.target = null;
+
+                this._propsDirty = true;
+            }
+
+            if (!state.texture && !this._target) {
                 state.texture = new XEO.renderer.webgl.Texture2D(gl);
             }
 
@@ -246,8 +262,18 @@
 
             if (this._targetDirty) {
 
-                // TODO: destroy texture only if created for this state,
-                // don't destroy texture belong to a previous target
+                if (this._target) {
+
+                    // Sample the target's render buffer, after destroying
+                    // any texture we created for a previous image
+
+                    if (state.texture && !state.target) {
+                        state.texture.destroy();
+                    }
+
+                    state.texture = this._target._state.renderBuf.getTexture();
+                    state.target = this._target._state;
+                }
 
                 this._targetDirty = false;
             }
@@ -279,7 +305,11 @@
                 this._matrixDirty = false;
             }
 
-            if (this._propsDirty) {
+            if (this._propsDirty && !state.target) {
+
+                // Render target buffers have fixed properties, so we'll
+                // apply ours whenever we switch back to an image
+
                 state.texture.setProps(state);
                 this._propsDirty = false;
             }
@@ -310,9 +340,10 @@
                     // from, and we may need to save that in JSON later
 
                     self._image = XEO.renderer.webgl.ensureImageSizePowerOfTwo(image);
-                    self._target = null;
 
-                    self._imageDirty = false;
+                    self._attachTarget(null);
+
+                    self._imageDirty = true;
                     self._srcDirty = false;
                     self._targetDirty = false;
 
@@ -346,6 +377,45 @@
             }
         },
 
+        // Sets the ColorTarget or DepthTarget to source this Texture from, given
+        // as an ID or instance, or null to stop sourcing from a target
+        _attachTarget: function (target) {
+
+            if (XEO._isNumeric(target) || XEO._isString(target)) {
+
+                var id = target;
+
+                target = this.scene.components[id];
+
+                if (!target) {
+                    this.error("Component not found: " + XEO._inQuotes(id));
+                    return;
+                }
+            }
+
+            if (target && target.type !== "XEO.ColorTarget" && target.type !== "XEO.DepthTarget") {
+                this.error("Component " + XEO._inQuotes(target.id) + " is not a XEO.ColorTarget or XEO.DepthTarget");
+                return;
+            }
+
+            if (this._target) {
+                this._target.off(this._onTargetDestroyed);
+                this._onTargetDestroyed = null;
+            }
+
+            this._target = target || null;
+
+            if (target) {
+
+                var self = this;
+
+                this._onTargetDestroyed = target.on("destroyed",
+                    function () {
+                        self.target = null;
+                    });
+            }
+        },
+
         _props: {
 
             /**
@@ -369,7 +439,8 @@
 
                     this._image = XEO.renderer.webgl.ensureImageSizePowerOfTwo(value);
                     this._src = null;
-                    this._target = null;
+
+                    this._attachTarget(null);
 
                     this._imageDirty = true;
                     this._srcDirty = false;
@@ -411,7 +482,8 @@
 
                     this._image = null;
                     this._src = value;
-                    this._target = null;
+
+                    this._attachTarget(null);
 
                     this._imageDirty = false;
                     this._srcDirty = true;
@@ -455,7 +527,8 @@
 
                     this._image = null;
                     this._src = null;
-                    this._target = this._setChild("renderBuf", value); // Target is a render buffer;
+
+                    this._attachTarget(value);
 
                     this._imageDirty = false;
                     this._srcDirty = false;
@@ -473,7 +546,7 @@
                 },
 
                 get: function () {
-                    return this._target; // Created by this._setChild()
+                    return this._target;
                 }
             },
 
@@ -852,7 +925,9 @@
 
             this.scene.canvas.off(this._webglContextRestored);
 
-            if (this._state.texture) {
+            this._attachTarget(null);
+
+            if (this._state.texture && !this._state.target) {
                 this._state.texture.destroy();
             }
 
@@ -1542,15 +1542,23 @@
         /**
          * Transforms a three-element position by a 4x4 matrix.
          * @method transformPoint3
+         * @param {Array(Number)} m The matrix
+         * @param {Array(Number)} p The position
+         * @param {Array(Number)} [dest] Destination four-element vector, otherwise creates a new one
+         * @returns {Array(Number)} The transformed position, in [x, y, z, w] form
          */
-        transformPoint3: function (m, p) {
+        transformPoint3: function (m, p, dest) {
+
+            dest = dest || [];
+
             var p0 = p[0], p1 = p[1], p2 = p[2];
-            return [
-                (m[0] * p0) + (m[4] * p1) + (m[8] * p2) + m[12],
-                (m[1] * p0) + (m[5] * p1) + (m[9] * p2) + m[13],
-                (m[2] * p0) + (m[6] * p1) + (m[10] * p2) + m[14],
-                (m[3] * p0) + (m[7] * p1) + (m[11] * p2) + m[15]
-            ];
+
+            dest[0] = (m[0] * p0) + (m[4] * p1) + (m[8] * p2) + m[12];
+            dest[1] = (m[1] * p0) + (m[5] * p1) + (m[9] * p2) + m[13];
+            dest[2] = (m[2] * p0) + (m[6] * p1) + (m[10] * p2) + m[14];
+            dest[3] = (m[3] * p0) + (m[7] * p1) + (m[11] * p2) + m[15];
+
+            return dest;
         },
 
 
@@ -1637,6 +1645,69 @@
             return result;
         },
 
+        /**
+         * Interpolates along a Catmull-Rom spline segment between two 3D vectors, using the
+         * vectors before and after them as control points.
+         *
+         * @method catmullRomVec3
+         * @param {Number} t Interpolation factor in range [0..1], where 0 is at p1 and 1 is at p2.
+         * @param {Array} p0 Vector before the segment.
+         * @param {Array} p1 Vector at the start of the segment.
+         * @param {Array} p2 Vector at the end of the segment.
+         * @param {Array} p3 Vector after the segment.
+         * @param {Array} [dest] Destination vector.
+         * @returns {Array} Interpolated vector.
+         */
+        catmullRomVec3: function (t, p0, p1, p2, p3, dest) {
+            var result = dest || this.vec3();
+            var t2 = t * t;
+            var t3 = t2 * t;
+            for (var i = 0; i < 3; i++) {
+                result[i] = 0.5 * ((2 * p1[i]) +
+                    (-p0[i] + p2[i]) * t +
+                    (2 * p0[i] - 5 * p1[i] + 4 * p2[i] - p3[i]) * t2 +
+                    (-p0[i] + 3 * p1[i] - 3 * p2[i] + p3[i]) * t3);
+            }
+            return result;
+        },
+
+        /**
+         * Expands the first axis-aligned boundary to enclose the second.
+         *
+         * @method expandAABB3
+         * @param {*} aabb1 Axis-aligned boundary to expand.
+         * @param {*} aabb2 Axis-aligned boundary to enclose.
+         * @returns {*} The first boundary.
+         */
+        expandAABB3: function (aabb1, aabb2) {
+
+            if (aabb1.xmin > aabb2.xmin) {
+                aabb1.xmin = aabb2.xmin;
+            }
+
+            if (aabb1.ymin > aabb2.ymin) {
+                aabb1.ymin = aabb2.ymin;
+            }
+
+            if (aabb1.zmin > aabb2.zmin) {
+                aabb1.zmin = aabb2.zmin;
+            }
+
+            if (aabb1.xmax < aabb2.xmax) {
+                aabb1.xmax = aabb2.xmax;
+            }
+
+            if (aabb1.ymax < aabb2.ymax) {
+                aabb1.ymax = aabb2.ymax;
+            }
+
+            if (aabb1.zmax < aabb2.zmax) {
+                aabb1.zmax = aabb2.zmax;
+            }
+
+            return aabb1;
+        },
+
         /**
          * Gets the diagonal size of a boundary given as minima and maxima.
          * @method getAABBDiag
@@ -1890,7 +1961,753 @@
             aabb.zmax = zmax;
 
             return aabb;
+        },
+
+        /**
+         * Finds the distance along a ray at which it enters an axis-aligned boundary.
+         *
+         * @method rayAABB3Intersect
+         * @param {Array of Number} origin Ray origin.
+         * @param {Array of Number} dir Ray direction.
+         * @param {*} aabb Axis-aligned bounding box.
+         * @returns {Number} Distance along the ray, which is zero when the origin is inside the boundary,
+         * or -1 when the ray misses the boundary.
+         */
+        rayAABB3Intersect: function (origin, dir, aabb) {
+
+            var tmin = 0;
+            var tmax = Infinity;
+
+            var mins = [aabb.xmin, aabb.ymin, aabb.zmin];
+            var maxs = [aabb.xmax, aabb.ymax, aabb.zmax];
+
+            var t1;
+            var t2;
+            var t;
+
+            for (var i = 0; i < 3; i++) {
+
+                if (dir[i] === 0) {
+
+                    // Ray parallel to slab
+
+                    if (origin[i] < mins[i] || origin[i] > maxs[i]) {
+                        return -1;
+                    }
+
+                } else {
+
+                    t1 = (mins[i] - origin[i]) / dir[i];
+                    t2 = (maxs[i] - origin[i]) / dir[i];
+
+                    if (t1 > t2) {
+                        t = t1;
+                        t1 = t2;
+                        t2 = t;
+                    }
+
+                    if (t1 > tmin) {
+                        tmin = t1;
+                    }
+
+                    if (t2 < tmax) {
+                        tmax = t2;
+                    }
+
+                    if (tmin > tmax) {
+                        return -1;
+                    }
+                }
+            }
+
+            return tmin;
+        },
+
+        /**
+         * Returned by {{#crossLink "math/frustumIntersectAABB3:method"}}{{/crossLink}} when a boundary
+         * is completely outside a frustum.
+         *
+         * @property OUTSIDE
+         * @type Number
+         * @final
+         */
+        OUTSIDE: 0,
+
+        /**
+         * Returned by {{#crossLink "math/frustumIntersectAABB3:method"}}{{/crossLink}} when a boundary
+         * is partially inside a frustum.
+         *
+         * @property INTERSECT
+         * @type Number
+         * @final
+         */
+        INTERSECT: 1,
+
+        /**
+         * Returned by {{#crossLink "math/frustumIntersectAABB3:method"}}{{/crossLink}} when a boundary
+         * is completely inside a frustum.
+         *
+         * @property INSIDE
+         * @type Number
+         * @final
+         */
+        INSIDE: 2,
+
+        /**
+         * Extracts the six clipping planes of the frustum described by a combined
+         * projection and viewing matrix, in the coordinate space the matrix transforms from.
+         *
+         * Each plane is a four-element vector holding a normal that points into the frustum,
+         * followed by the plane's offset. The planes are in the order left, right, bottom,
+         * top, near and far.
+         *
+         * @method getFrustumPlanes
+         * @param {Array of Number} m Projection matrix multiplied by viewing matrix.
+         * @param {Array} [planes] Destination array of planes.
+         * @returns {Array} The planes.
+         */
+        getFrustumPlanes: function (m, planes) {
+
+            planes = planes || [];
+
+            for (var i = 0; i < 6; i++) {
+
+                if (!planes[i]) {
+                    planes[i] = new Float32Array(4);
+                }
+            }
+
+            // Each plane is the sum or difference of the fourth row
+            // of the matrix with one of the other three rows
+
+            setPlane(planes[0], m[3] + m[0], m[7] + m[4], m[11] + m[8], m[15] + m[12]);
+            setPlane(planes[1], m[3] - m[0], m[7] - m[4], m[11] - m[8], m[15] - m[12]);
+            setPlane(planes[2], m[3] + m[1], m[7] + m[5], m[11] + m[9], m[15] + m[13]);
+            setPlane(planes[3], m[3] - m[1], m[7] - m[5], m[11] - m[9], m[15] - m[13]);
+            setPlane(planes[4], m[3] + m[2], m[7] + m[6], m[11] + m[10], m[15] + m[14]);
+            setPlane(planes[5], m[3] - m[2], m[7] - m[6], m[11] - m[10], m[15] - m[14]);
+
+            return planes;
+        },
+
+        /**
+         * Tests if an axis-aligned boundary is inside a frustum.
+         *
+         * @method frustumIntersectAABB3
+         * @param {Array} planes Frustum planes, as given by {{#crossLink "math/getFrustumPlanes:method"}}{{/crossLink}}.
+         * @param {*} aabb Axis-aligned bounding box.
+         * @returns {Number} {{#crossLink "math/OUTSIDE:property"}}{{/crossLink}},
+         * {{#crossLink "math/INTERSECT:property"}}{{/crossLink}} or {{#crossLink "math/INSIDE:property"}}{{/crossLink}}.
+         */
+        frustumIntersectAABB3: function (planes, aabb) {
+
+            var result = this.INSIDE;
+            var plane;
+            var nx, ny, nz, d;
+
+            for (var i = 0; i < 6; i++) {
+
+                plane = planes[i];
+
+                nx = plane[0];
+                ny = plane[1];
+                nz = plane[2];
+                d = plane[3];
+
+                // Corner furthest along the plane normal
+
+                if (nx * (nx > 0 ? aabb.xmax : aabb.xmin) +
+                    ny * (ny > 0 ? aabb.ymax : aabb.ymin) +
+                    nz * (nz > 0 ? aabb.zmax : aabb.zmin) + d < 0) {
+
+                    return this.OUTSIDE;
+                }
+
+                // Corner furthest against the plane normal
+
+                if (nx * (nx > 0 ? aabb.xmin : aabb.xmax) +
+                    ny * (ny > 0 ? aabb.ymin : aabb.ymax) +
+                    nz * (nz > 0 ? aabb.zmin : aabb.zmax) + d < 0) {
+
+                    result = this.INTERSECT;
+                }
+            }
+
+            return result;
+        },
+
+        /**
+         * Finds the intersection of a ray with a triangle, from either side.
+         *
+         * The result is a four-element vector containing the distance along the ray, in units of
+         * the ray direction's length, followed by the barycentric coordinates of the intersection
+         * with respect to vertices a, b and c.
+         *
+         * Edges and vertices are included, with a small tolerance so that a ray through an edge
+         * or vertex shared by adjacent triangles isn't missed by rounding error. Such a ray may
+         * therefore hit each of those triangles.
+         *
+         * @method rayTriangleIntersect
+         * @param {Array of Number} origin Ray origin.
+         * @param {Array of Number} dir Ray direction.
+         * @param {Array of Number} a First triangle vertex.
+         * @param {Array of Number} b Second triangle vertex.
+         * @param {Array of Number} c Third triangle vertex.
+         * @param {Array of Number} [dest] Destination vector.
+         * @returns {Array of Number} The result, or null when the ray misses the triangle.
+         */
+        rayTriangleIntersect: function (origin, dir, a, b, c, dest) {
+
+            // Moller-Trumbore
+
+            var e1x = b[0] - a[0], e1y = b[1] - a[1], e1z = b[2] - a[2];
+            var e2x = c[0] - a[0], e2y = c[1] - a[1], e2z = c[2] - a[2];
+
+            var px = dir[1] * e2z - dir[2] * e2y;
+            var py = dir[2] * e2x - dir[0] * e2z;
+            var pz = dir[0] * e2y - dir[1] * e2x;
+
+            var det = e1x * px + e1y * py + e1z * pz;
+
+            if (det > -1e-12 && det < 1e-12) {
+                return null; // Ray parallel to triangle
+            }
+
+            var invDet = 1.0 / det;
+
+            var tx = origin[0] - a[0], ty = origin[1] - a[1], tz = origin[2] - a[2];
+
+            var u = (tx * px + ty * py + tz * pz) * invDet;
+
+            // Tolerance on the barycentric coordinates
+            var epsilon = 1e-9;
+
+            if (u < -epsilon || u > 1 + epsilon) {
+                return null;
+            }
+
+            var qx = ty * e1z - tz * e1y;
+            var qy = tz * e1x - tx * e1z;
+            var qz = tx * e1y - ty * e1x;
+
+            var v = (dir[0] * qx + dir[1] * qy + dir[2] * qz) * invDet;
+
+            if (v < -epsilon || u + v > 1 + epsilon) {
+                return null;
+            }
+
+            var t = (e2x * qx + e2y * qy + e2z * qz) * invDet;
+
+            if (t < 0) {
+                return null; // Triangle behind ray origin
+            }
+
+            dest = dest || [];
+
+            dest[0] = t;
+            dest[1] = 1 - u - v;
+            dest[2] = u;
+            dest[3] = v;
+
+            return dest;
+        },
+
+        /**
+         * Returns a new identity quaternion, in [x, y, z, w] form.
+         *
+         * @method identityQuaternion
+         * @static
+         * @param {Array of Number} [dest] Destination quaternion.
+         * @returns {Array of Number} The quaternion.
+         */
+        identityQuaternion: function (dest) {
+
+            dest = dest || XEO.math.vec4();
+
+            dest[0] = 0;
+            dest[1] = 0;
+            dest[2] = 0;
+            dest[3] = 1;
+
+            return dest;
+        },
+
+        /**
+         * Gets a quaternion from a rotation in angle-axis form.
+         *
+         * @method angleAxisToQuaternion
+         * @static
+         * @param {Array of Number} angleAxis Rotation axis, followed by the angle in radians, ie. [x, y, z, angle].
+         * The axis need not be normalized.
+         * @param {Array of Number} [dest] Destination quaternion.
+         * @returns {Array of Number} The quaternion.
+         */
+        angleAxisToQuaternion: function (angleAxis, dest) {
+
+            dest = dest || XEO.math.vec4();
+
+            var x = angleAxis[0];
+            var y = angleAxis[1];
+            var z = angleAxis[2];
+
+            var len = Math.sqrt(x * x + y * y + z * z);
+
+            if (len === 0) {
+                return XEO.math.identityQuaternion(dest);
+            }
+
+            var halfAngle = angleAxis[3] / 2;
+            var s = Math.sin(halfAngle) / len;
+
+            dest[0] = x * s;
+            dest[1] = y * s;
+            dest[2] = z * s;
+            dest[3] = Math.cos(halfAngle);
+
+            return dest;
+        },
+
+        /**
+         * Gets the rotation of a unit quaternion in angle-axis form.
+         *
+         * @method quaternionToAngleAxis
+         * @static
+         * @param {Array of Number} q The quaternion.
+         * @param {Array of Number} [dest] Destination for the normalized rotation axis, followed by the angle in radians.
+         * @returns {Array of Number} The rotation, as [x, y, z, angle].
+         */
+        quaternionToAngleAxis: function (q, dest) {
+
+            dest = dest || XEO.math.vec4();
+
+            var w = Math.max(-1, Math.min(1, q[3]));
+            var s = Math.sqrt(1 - w * w);
+
+            if (s < 0.000001) {
+
+                // No rotation, so the axis is arbitrary
+
+                dest[0] = 1;
+                dest[1] = 0;
+                dest[2] = 0;
+
+            } else {
+
+                dest[0] = q[0] / s;
+                dest[1] = q[1] / s;
+                dest[2] = q[2] / s;
+            }
+
+            dest[3] = 2 * Math.acos(w);
+
+            return dest;
+        },
+
+        /**
+         * Gets a quaternion from a rotation given as Euler angles.
+         *
+         * @method eulerToQuaternion
+         * @static
+         * @param {Array of Number} euler Rotations about the X, Y and Z axis, in radians.
+         * @param {String} [order="XYZ"] Order in which the rotations are concatenated, ie. "XYZ" for
+         * a rotation matrix equal to Rx * Ry * Rz. May be any of "XYZ", "XZY", "YXZ", "YZX", "ZXY" and "ZYX".
+         * @param {Array of Number} [dest] Destination quaternion.
+         * @returns {Array of Number} The quaternion.
+         */
+        eulerToQuaternion: function (euler, order, dest) {
+
+            order = order || "XYZ";
+            dest = XEO.math.identityQuaternion(dest);
+
+            var axisIndex;
+            var halfAngle;
+            var q = XEO.math.vec4();
+
+            for (var i = 0; i < 3; i++) {
+
+                axisIndex = order.charCodeAt(i) - 88; // "X" is 88
+
+                halfAngle = euler[axisIndex] / 2;
+
+                q[0] = 0;
+                q[1] = 0;
+                q[2] = 0;
+                q[axisIndex] = Math.sin(halfAngle);
+                q[3] = Math.cos(halfAngle);
+
+                XEO.math.mulQuaternions(dest, q, dest);
+            }
+
+            return dest;
+        },
+
+        /**
+         * Gets the rotation of a unit quaternion as Euler angles.
+         *
+         * @method quaternionToEuler
+         * @static
+         * @param {Array of Number} q The quaternion.
+         * @param {String} [order="XYZ"] Order in which the rotations are concatenated, as for
+         * {{#crossLink "math/eulerToQuaternion:method"}}{{/crossLink}}.
+         * @param {Array of Number} [dest] Destination for the rotations about the X, Y and Z axis, in radians.
+         * @returns {Array of Number} The Euler angles.
+         */
+        quaternionToEuler: function (q, order, dest) {
+
+            order = order || "XYZ";
+            dest = dest || XEO.math.vec3();
+
+            var m = XEO.math.quaternionToMat4(q, tempMat4);
+
+            // Rotation matrix elements, by row and column
+
+            var m11 = m[0], m12 = m[4], m13 = m[8];
+            var m21 = m[1], m22 = m[5], m23 = m[9];
+            var m31 = m[2], m32 = m[6], m33 = m[10];
+
+            var clamp = function (value) {
+                return Math.max(-1, Math.min(1, value));
+            };
+
+            // Near gimbal lock, the third angle is zeroed
+
+            var locked = 0.9999999;
+
+            switch (order) {
+
+                case "XZY":
+
+                    dest[2] = Math.asin(-clamp(m12));
+
+                    if (Math.abs(m12) < locked) {
+                        dest[0] = Math.atan2(m32, m22);
+                        dest[1] = Math.atan2(m13, m11);
+                    } else {
+                        dest[0] = Math.atan2(-m23, m33);
+                        dest[1] = 0;
+                    }
+                    break;
+
+                case "YXZ":
+
+                    dest[0] = Math.asin(-clamp(m23));
+
+                    if (Math.abs(m23) < locked) {
+                        dest[1] = Math.atan2(m13, m33);
+                        dest[2] = Math.atan2(m21, m22);
+                    } else {
+                        dest[1] = Math.atan2(-m31, m11);
+                        dest[2] = 0;
+                    }
+                    break;
+
+                case "YZX":
+
+                    dest[2] = Math.asin(clamp(m21));
+
+                    if (Math.abs(m21) < locked) {
+                        dest[0] = Math.atan2(-m23, m22);
+                        dest[1] = Math.atan2(-m31, m11);
+                    } else {
+                        dest[0] = 0;
+                        dest[1] = Math.atan2(m13, m33);
+                    }
+                    break;
+
+                case "ZXY":
+
+                    dest[0] = Math.asin(clamp(m32));
+
+                    if (Math.abs(m32) < locked) {
+                        dest[1] = Math.atan2(-m31, m33);
+                        dest[2] = Math.atan2(-m12, m22);
+                    } else {
+                        dest[1] = 0;
+                        dest[2] = Math.atan2(m21, m11);
+                    }
+                    break;
+
+                case "ZYX":
+
+                    dest[1] = Math.asin(-clamp(m31));
+
+                    if (Math.abs(m31) < locked) {
+                        dest[0] = Math.atan2(m32, m33);
+                        dest[2] = Math.atan2(m21, m11);
+                    } else {
+                        dest[0] = 0;
+                        dest[2] = Math.atan2(-m12, m22);
+                    }
+                    break;
+
+                default: // "XYZ"
+
+                    dest[1] = Math.asin(clamp(m13));
+
+                    if (Math.abs(m13) < locked) {
+                        dest[0] = Math.atan2(-m23, m33);
+                        dest[2] = Math.atan2(-m12, m11);
+                    } else {
+                        dest[0] = Math.atan2(m32, m22);
+                        dest[2] = 0;
+                    }
+                    break;
+            }
+
+            return dest;
+        },
+
+        /**
+         * Multiplies two quaternions, giving the rotation of q followed by the rotation of p.
+         *
+         * @method mulQuaternions
+         * @static
+         * @param {Array of Number} p First quaternion.
+         * @param {Array of Number} q Second quaternion.
+         * @param {Array of Number} [dest] Destination quaternion, which may be p or q.
+         * @returns {Array of Number} The product, p * q.
+         */
+        mulQuaternions: function (p, q, dest) {
+
+            dest = dest || XEO.math.vec4();
+
+            var px = p[0], py = p[1], pz = p[2], pw = p[3];
+            var qx = q[0], qy = q[1], qz = q[2], qw = q[3];
+
+            dest[0] = pw * qx + px * qw + py * qz - pz * qy;
+            dest[1] = pw * qy + py * qw + pz * qx - px * qz;
+            dest[2] = pw * qz + pz * qw + px * qy - py * qx;
+            dest[3] = pw * qw - px * qx - py * qy - pz * qz;
+
+            return dest;
+        },
+
+        /**
+         * Spherically interpolates between two unit quaternions, along the shortest path.
+         *
+         * @method slerpQuaternions
+         * @static
+         * @param {Number} t Interpolation factor, where 0 gives q1 and 1 gives q2.
+         * @param {Array of Number} q1 First quaternion.
+         * @param {Array of Number} q2 Second quaternion.
+         * @param {Array of Number} [dest] Destination quaternion, which may be q1 or q2.
+         * @returns {Array of Number} The interpolated quaternion.
+         */
+        slerpQuaternions: function (t, q1, q2, dest) {
+
+            dest = dest || XEO.math.vec4();
+
+            var x2 = q2[0], y2 = q2[1], z2 = q2[2], w2 = q2[3];
+
+            var cosHalfTheta = q1[0] * x2 + q1[1] * y2 + q1[2] * z2 + q1[3] * w2;
+
+            if (cosHalfTheta < 0) {
+
+                // Take the shorter way round
+
+                x2 = -x2;
+                y2 = -y2;
+                z2 = -z2;
+                w2 = -w2;
+
+                cosHalfTheta = -cosHalfTheta;
+            }
+
+            var s1;
+            var s2;
+
+            if (cosHalfTheta > 0.9999) {
+
+                // Nearly the same rotation, so interpolate linearly
+
+                s1 = 1 - t;
+                s2 = t;
+
+            } else {
+
+                var halfTheta = Math.acos(cosHalfTheta);
+                var sinHalfTheta = Math.sin(halfTheta);
+
+                s1 = Math.sin((1 - t) * halfTheta) / sinHalfTheta;
+                s2 = Math.sin(t * halfTheta) / sinHalfTheta;
+            }
+
+            dest[0] = s1 * q1[0] + s2 * x2;
+            dest[1] = s1 * q1[1] + s2 * y2;
+            dest[2] = s1 * q1[2] + s2 * z2;
+            dest[3] = s1 * q1[3] + s2 * w2;
+
+            return XEO.math.normalizeQuaternion(dest, dest);
+        },
+
+        /**
+         * Gets the conjugate of a quaternion, which for a unit quaternion is its inverse rotation.
+         *
+         * @method conjugateQuaternion
+         * @static
+         * @param {Array of Number} q The quaternion.
+         * @param {Array of Number} [dest] Destination quaternion, which may be q.
+         * @returns {Array of Number} The conjugate.
+         */
+        conjugateQuaternion: function (q, dest) {
+
+            dest = dest || XEO.math.vec4();
+
+            dest[0] = -q[0];
+            dest[1] = -q[1];
+            dest[2] = -q[2];
+            dest[3] = q[3];
+
+            return dest;
+        },
+
+        /**
+         * Normalizes a quaternion, giving the identity quaternion for a zero-length quaternion.
+         *
+         * @method normalizeQuaternion
+         * @static
+         * @param {Array of Number} q The quaternion.
+         * @param {Array of Number} [dest] Destination quaternion, which may be q.
+         * @returns {Array of Number} The normalized quaternion.
+         */
+        normalizeQuaternion: function (q, dest) {
+
+            dest = dest || XEO.math.vec4();
+
+            var len = Math.sqrt(q[0] * q[0] + q[1] * q[1] + q[2] * q[2] + q[3] * q[3]);
+
+            if (len === 0) {
+                return XEO.math.identityQuaternion(dest);
+            }
+
+            dest[0] = q[0] / len;
+            dest[1] = q[1] / len;
+            dest[2] = q[2] / len;
+            dest[3] = q[3] / len;
+
+            return dest;
+        },
+
+        /**
+         * Gets the 4x4 rotation matrix of a unit quaternion.
+         *
+         * @method quaternionToMat4
+         * @static
+         * @param {Array of Number} q The quaternion.
+         * @param {Array of Number} [dest] Destination matrix.
+         * @returns {Array of Number} The matrix.
+         */
+        quaternionToMat4: function (q, dest) {
+
+            dest = dest || XEO.math.mat4();
+
+            var x = q[0], y = q[1], z = q[2], w = q[3];
+
+            var x2 = x + x, y2 = y + y, z2 = z + z;
+            var xx = x * x2, xy = x * y2, xz = x * z2;
+            var yy = y * y2, yz = y * z2, zz = z * z2;
+            var wx = w * x2, wy = w * y2, wz = w * z2;
+
+            dest[0] = 1 - (yy + zz);
+            dest[1] = xy + wz;
+            dest[2] = xz - wy;
+            dest[3] = 0;
+
+            dest[4] = xy - wz;
+            dest[5] = 1 - (xx + zz);
+            dest[6] = yz + wx;
+            dest[7] = 0;
+
+            dest[8] = xz + wy;
+            dest[9] = yz - wx;
+            dest[10] = 1 - (xx + yy);
+            dest[11] = 0;
+
+            dest[12] = 0;
+            dest[13] = 0;
+            dest[14] = 0;
+            dest[15] = 1;
+
+            return dest;
+        },
+
+        /**
+         * Gets a unit quaternion from the rotation within a 4x4 matrix, which must not be scaled.
+         *
+         * @method mat4ToQuaternion
+         * @static
+         * @param {Array of Number} m The matrix.
+         * @param {Array of Number} [dest] Destination quaternion.
+         * @returns {Array of Number} The quaternion.
+         */
+        mat4ToQuaternion: function (m, dest) {
+
+            dest = dest || XEO.math.vec4();
+
+            // Rotation matrix elements, by row and column
+
+            var m11 = m[0], m12 = m[4], m13 = m[8];
+            var m21 = m[1], m22 = m[5], m23 = m[9];
+            var m31 = m[2], m32 = m[6], m33 = m[10];
+
+            var trace = m11 + m22 + m33;
+            var s;
+
+            // Divide by the largest component, for precision
+
+            if (trace > 0) {
+
+                s = 0.5 / Math.sqrt(trace + 1.0);
+
+                dest[3] = 0.25 / s;
+                dest[0] = (m32 - m23) * s;
+                dest[1] = (m13 - m31) * s;
+                dest[2] = (m21 - m12) * s;
+
+            } else if (m11 > m22 && m11 > m33) {
+
+                s = 2.0 * Math.sqrt(1.0 + m11 - m22 - m33);
+
+                dest[3] = (m32 - m23) / s;
+                dest[0] = 0.25 * s;
+                dest[1] = (m12 + m21) / s;
+                dest[2] = (m13 + m31) / s;
+
+            } else if (m22 > m33) {
+
+                s = 2.0 * Math.sqrt(1.0 + m22 - m11 - m33);
+
+                dest[3] = (m13 - m31) / s;
+                dest[0] = (m12 + m21) / s;
+                dest[1] = 0.25 * s;
+                dest[2] = (m23 + m32) / s;
+
+            } else {
+
+                s = 2.0 * Math.sqrt(1.0 + m33 - m11 - m22);
+
+                dest[3] = (m21 - m12) / s;
+                dest[0] = (m13 + m31) / s;
+                dest[1] = (m23 + m32) / s;
+                dest[2] = 0.25 * s;
+            }
+
+            return dest;
         }
     };
 
+    // Scratch matrix for quaternion conversions
+    var tempMat4 = new Float64Array(16);
+
+    // Sets a plane, normalized so that its offset is a true distance
+    function setPlane(plane, x, y, z, w) {
+
+        var len = Math.sqrt(x * x + y * y + z * z) || 1;
+
+        plane[0] = x / len;
+        plane[1] = y / len;
+        plane[2] = z / len;
+        plane[3] = w / len;
+    }
+
 })();
\ No newline at end of file
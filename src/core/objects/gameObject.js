@@ -75,6 +75,60 @@
 
  ````
 
+ ## Hierarchies
+
+ GameObjects can be arranged in a hierarchy, in which each child GameObject inherits state from its
+ {{#crossLink "GameObject/parent:property"}}{{/crossLink}}:
+
+ <ul>
+ <li>A child's {{#crossLink "GameObject/transform:property"}}{{/crossLink}} is relative to its parent, so that its
+ {{#crossLink "GameObject/worldMatrix:property"}}{{/crossLink}} is its parent's
+ {{#crossLink "GameObject/worldMatrix:property"}}{{/crossLink}} multiplied by its own
+ {{#crossLink "GameObject/localMatrix:property"}}{{/crossLink}}.</li>
+ <li>A child is only visible while both its own {{#crossLink "GameObject/visibility:property"}}{{/crossLink}} and
+ its parent are visible.</li>
+ <li>A child that is attached to its {{#crossLink "Scene"}}Scene{{/crossLink}}'s default {{#crossLink "Modes"}}{{/crossLink}} or
+ {{#crossLink "Stage"}}{{/crossLink}} uses its parent's {{#crossLink "Modes"}}{{/crossLink}} or {{#crossLink "Stage"}}{{/crossLink}} instead.</li>
+ </ul>
+
+ World matrices and World-space boundaries are updated lazily, so moving a parent costs nothing more
+ than flagging its descendants for update.
+
+ GameObjects that have no parent are the children of the {{#crossLink "Scene"}}Scene{{/crossLink}}'s
+ {{#crossLink "Scene/root:property"}}{{/crossLink}}.
+
+ ```` javascript
+ var body = new XEO.GameObject(scene, {
+     transform: new XEO.Translate(scene, {
+         xyz: [0, 2, 0]
+     })
+ });
+
+ var arm = new XEO.GameObject(scene, {
+     parent: body,
+     transform: new XEO.Translate(scene, {
+         xyz: [3, 0, 0] // Relative to body
+     })
+ });
+
+ // Or, equivalently
+ body.addChild(arm);
+
+ // Hides both body and arm
+ body.visibility = new XEO.Visibility(scene, { visible: false });
+
+ // Visits body, then arm
+ body.traverse(function (object) {
+     //...
+ });
+
+ // World-space matrix of arm, including body's translation
+ var worldMatrix = arm.worldMatrix;
+
+ // Detach arm, making it a child of the Scene's root again
+ body.removeChild(arm);
+ ````
+
  @class GameObject
  @module XEO
  @submodule objects
@@ -83,6 +137,7 @@
  @param [cfg] {*} Configs
  @param [cfg.id] {String} Optional ID, unique among all components in the parent {{#crossLink "Scene"}}Scene{{/crossLink}}, generated automatically when omitted.
  @param [cfg.meta] {String:Object} Optional map of user-defined metadata to attach to this GameObject.
+ @param [cfg.parent] {String|GameObject} ID or instance of a parent GameObject within the same {{#crossLink "Scene"}}Scene{{/crossLink}}.
  @param [cfg.camera] {String|Camera} ID or instance of a {{#crossLink "Camera"}}Camera{{/crossLink}} to attach to this GameObject.  Must be within the same {{#crossLink "Scene"}}Scene{{/crossLink}} as this GameObject. Defaults to the
  parent {{#crossLink "Scene"}}Scene{{/crossLink}}'s default instance, {{#crossLink "Scene/camera:property"}}camera{{/crossLink}}.
  @param [cfg.clips] {String|Clips} ID or instance of a {{#crossLink "Clips"}}Clips{{/crossLink}} to attach to this GameObject. Must be within the same {{#crossLink "Scene"}}Scene{{/crossLink}} as this GameObject. Defaults to the
@@ -93,12 +148,14 @@
  parent {{#crossLink "Scene"}}Scene{{/crossLink}}'s default instance, {{#crossLink "Scene/depthTarget:property"}}depthTarget{{/crossLink}}.
  @param [cfg.depthBuf] {String|DepthBuf} ID or instance of a {{#crossLink "DepthBuf"}}DepthBuf{{/crossLink}} to attach to this GameObject. Must be within the same {{#crossLink "Scene"}}Scene{{/crossLink}} as this GameObject. Defaults to the
  parent {{#crossLink "Scene"}}Scene{{/crossLink}}'s default instance, depth {{#crossLink "Scene/depthBuf:property"}}depthBuf{{/crossLink}}.
+ @param [cfg.cullable=true] {Boolean} Indicates whether this GameObject is culled when outside the view frustum. See {{#crossLink "FrustumCulling"}}{{/crossLink}}.
  @param [cfg.visibility] {String|Visibility} ID or instance of a {{#crossLink "Visibility"}}Visibility{{/crossLink}} to attach to this GameObject. Must be within the same {{#crossLink "Scene"}}Scene{{/crossLink}} as this GameObject. Defaults to the
  parent {{#crossLink "Scene"}}Scene{{/crossLink}}'s default instance, {{#crossLink "Scene/visibility:property"}}visibility{{/crossLink}}.
  @param [cfg.modes] {String|Modes} ID or instance of a {{#crossLink "Modes"}}Modes{{/crossLink}} to attach to this GameObject. Must be within the same {{#crossLink "Scene"}}Scene{{/crossLink}} as this GameObject. Defaults to the
  parent {{#crossLink "Scene"}}Scene{{/crossLink}}'s default instance, {{#crossLink "Scene/modes:property"}}modes{{/crossLink}}.
  @param [cfg.geometry] {String|Geometry} ID or instance of a {{#crossLink "Geometry"}}Geometry{{/crossLink}} to attach to this GameObject. Must be within the same {{#crossLink "Scene"}}Scene{{/crossLink}} as this GameObject. Defaults to the
  parent {{#crossLink "Scene"}}Scene{{/crossLink}}'s default instance, {{#crossLink "Scene/geometry:property"}}geometry{{/crossLink}}, which is a 2x2x2 box.
+ @param [cfg.lod] {String|LOD} ID or instance of a {{#crossLink "LOD"}}LOD{{/crossLink}} that switches this GameObject's {{#crossLink "GameObject/geometry:property"}}{{/crossLink}} between levels of detail. Must be within the same {{#crossLink "Scene"}}Scene{{/crossLink}} as this GameObject.
  @param [cfg.layer] {String|Layer} ID or instance of a {{#crossLink "Layer"}}Layer{{/crossLink}} to attach to this GameObject. Must be within the same {{#crossLink "Scene"}}Scene{{/crossLink}} as this GameObject. Defaults to the
  parent {{#crossLink "Scene"}}Scene{{/crossLink}}'s default instance, {{#crossLink "Scene/layer:property"}}layer{{/crossLink}}.
  @param [cfg.lights] {String|Lights} ID or instance of a {{#crossLink "Lights"}}Lights{{/crossLink}} to attach to this GameObject. Must be within the same {{#crossLink "Scene"}}Scene{{/crossLink}} as this GameObject. Defaults to the
@@ -138,6 +195,36 @@
 
         _init: function (cfg) {
 
+            // Hierarchy
+
+            this._parent = null;
+            this._childObjects = [];
+
+            // World-space modelling matrix, concatenated with those of ancestors,
+            // used in place of our Transform's matrix while we have a parent
+
+            this._worldTransform = new XEO.renderer.ModelTransform({
+                matrix: null,
+                normalMatrix: null
+            });
+
+            this._worldMatrixDirty = true;
+
+            // Visibility, combined with those of ancestors
+
+            this._worldVisibility = new XEO.renderer.Visibility({
+                visible: true
+            });
+
+            // Whether we're outside the view frustum, as
+            // determined by the Scene's FrustumCulling
+
+            this._cull = new XEO.renderer.Cull({
+                culled: false
+            });
+
+            this.scene.root.children.push(this);
+
             this.camera = cfg.camera;
             this.clips = cfg.clips;
             this.colorTarget = cfg.colorTarget;
@@ -147,6 +234,8 @@
             this.visibility = cfg.visibility;
             this.modes = cfg.modes;
             this.geometry = cfg.geometry;
+            this._lod = null;
+            this.lod = cfg.lod;
             this.layer = cfg.layer;
             this.lights = cfg.lights;
             this.material = cfg.material;
@@ -157,6 +246,8 @@
             this.stage = cfg.stage;
             this.transform = cfg.transform;
 
+            this.parent = cfg.parent;
+
             // Cached boundary for each coordinate space
 
             this._worldBoundary = null;
@@ -166,10 +257,168 @@
             this._worldBoundaryDirty = true;
             this._viewBoundaryDirty = true;
             this._canvasBoundaryDirty = true;
+
+            // Needs our World-space boundary
+
+            this.cullable = cfg.cullable;
         },
 
         _props: {
 
+            /**
+             * The parent of this GameObject within the GameObject hierarchy.
+             *
+             * This GameObject is positioned relative to its parent, and inherits the parent's visibility,
+             * {{#crossLink "Modes"}}{{/crossLink}} and {{#crossLink "Stage"}}{{/crossLink}}.
+             *
+             * When null, this GameObject is one of the {{#crossLink "Scene/root:property"}}root{{/crossLink}}'s
+             * children.
+             *
+             * Fires a {{#crossLink "GameObject/parent:event"}}{{/crossLink}} event on change.
+             *
+             * @property parent
+             * @default null
+             * @type GameObject
+             */
+            parent: {
+
+                set: function (value) {
+
+                    if (XEO._isNumeric(value) || XEO._isString(value)) {
+
+                        // Parent ID given
+
+                        var id = value;
+
+                        value = this.scene.components[id];
+
+                        if (!value) {
+                            this.error("Component not found: " + XEO._inQuotes(id));
+                            return;
+                        }
+                    }
+
+                    value = value || null;
+
+                    if (value) {
+
+                        if (!(value instanceof XEO.GameObject)) {
+                            this.error("Parent is not a XEO.GameObject: " + XEO._inQuotes(value.id));
+                            return;
+                        }
+
+                        if (value.scene.id !== this.scene.id) {
+                            this.error("Not in same scene: " + value.type + " " + XEO._inQuotes(value.id));
+                            return;
+                        }
+
+                        // Reject cycles in the hierarchy
+
+                        for (var ancestor = value; ancestor; ancestor = ancestor._parent) {
+                            if (ancestor.id === this.id) {
+                                this.error("Parent would create a cycle in the GameObject hierarchy: " + XEO._inQuotes(value.id));
+                                return;
+                            }
+                        }
+                    }
+
+                    var oldParent = this._parent;
+
+                    if (oldParent === value) {
+                        return;
+                    }
+
+                    removeObject(oldParent ? oldParent._childObjects : this.scene.root.children, this);
+
+                    this._parent = value;
+
+                    (value ? value._childObjects : this.scene.root.children).push(this);
+
+                    this._setWorldMatrixDirty();
+                    this._updateWorldVisible();
+
+                    // Recompile with the World-space matrix and
+                    // inherited Modes and Stage
+
+                    this.fire("dirty", true);
+                    this._setDescendantsDirty();
+
+                    /**
+                     * Fired whenever this GameObject's {{#crossLink "GameObject/parent:property"}}{{/crossLink}} property changes.
+                     * @event parent
+                     * @param value The property's new value
+                     */
+                    this.fire("parent", this._parent);
+                },
+
+                get: function () {
+                    return this._parent;
+                }
+            },
+
+            /**
+             * The child GameObjects of this GameObject.
+             *
+             * Use {{#crossLink "GameObject/addChild:method"}}{{/crossLink}} and
+             * {{#crossLink "GameObject/removeChild:method"}}{{/crossLink}} to change these.
+             *
+             * @property children
+             * @type {Array of GameObject}
+             * @final
+             */
+            children: {
+
+                get: function () {
+                    return this._childObjects;
+                }
+            },
+
+            /**
+             * Indicates whether this GameObject is culled when it's outside the view frustum of its
+             * {{#crossLink "GameObject/camera:property"}}{{/crossLink}}.
+             *
+             * Set this false for GameObjects whose vertices are moved outside their
+             * {{#crossLink "GameObject/worldBoundary:property"}}{{/crossLink}}, such as by a custom
+             * {{#crossLink "Shader"}}{{/crossLink}}. See {{#crossLink "FrustumCulling"}}{{/crossLink}}.
+             *
+             * Fires a {{#crossLink "GameObject/cullable:event"}}{{/crossLink}} event on change.
+             *
+             * @property cullable
+             * @default true
+             * @type Boolean
+             */
+            cullable: {
+
+                set: function (value) {
+
+                    value = value !== false;
+
+                    if (this._cullable === value) {
+                        return;
+                    }
+
+                    this._cullable = value;
+
+                    if (value) {
+                        this.scene.frustumCulling._addObject(this);
+
+                    } else {
+                        this.scene.frustumCulling._removeObject(this);
+                    }
+
+                    /**
+                     * Fired whenever this GameObject's {{#crossLink "GameObject/cullable:property"}}{{/crossLink}} property changes.
+                     * @event cullable
+                     * @param value The property's new value
+                     */
+                    this.fire("cullable", this._cullable);
+                },
+
+                get: function () {
+                    return this._cullable;
+                }
+            },
+
             /**
              * The {{#crossLink "Camera"}}Camera{{/crossLink}} attached to this GameObject.
              *
@@ -212,6 +461,14 @@
 
                     if (newCamera) {
 
+                        if (this._cullable && newCamera !== oldCamera) {
+
+                            // Cull against the new Camera's frustum
+
+                            this.scene.frustumCulling._removeObject(this);
+                            this.scene.frustumCulling._addObject(this);
+                        }
+
                         // Subscribe to new Camera's events
 
                         // World-space boundary is dirty when new Camera's - (TODO)
@@ -399,6 +656,14 @@
 
                 set: function (value) {
 
+                    // Unsubscribe from old Visibility's events
+
+                    var oldVisibility = this._children.visibility;
+
+                    if (oldVisibility && (!value || (value.id !== undefined ? value.id : value) !== oldVisibility.id)) {
+                        oldVisibility.off(this._onVisibilityVisible);
+                    }
+
                     /**
                      * Fired whenever this GameObject's  {{#crossLink "GameObject/visibility:property"}}{{/crossLink}} property changes.
                      *
@@ -406,6 +671,23 @@
                      * @param value The property's new value
                      */
                     this._setChild("visibility", value);
+
+                    var newVisibility = this._children.visibility;
+
+                    if (newVisibility) {
+
+                        // Our visibility, and that of our descendants,
+                        // follows the new Visibility's visible property
+
+                        var self = this;
+
+                        this._onVisibilityVisible = newVisibility.on("visible",
+                            function () {
+                                self._updateWorldVisible();
+                            });
+                    }
+
+                    this._updateWorldVisible();
                 },
 
                 get: function () {
@@ -429,6 +711,14 @@
 
                 set: function (value) {
 
+                    // Unsubscribe from old Modes' events
+
+                    var oldModes = this._children.modes;
+
+                    if (oldModes && (!value || (value.id !== undefined ? value.id : value) !== oldModes.id)) {
+                        oldModes.off(this._onModesDirty);
+                    }
+
                     /**
                      * Fired whenever this GameObject's {{#crossLink "GameObject/modes:property"}}{{/crossLink}} property changes.
                      *
@@ -436,6 +726,23 @@
                      * @param value The property's new value
                      */
                     this._setChild("modes", value);
+
+                    var newModes = this._children.modes;
+
+                    if (newModes) {
+
+                        // Descendants that inherit the new Modes
+                        // are rebuilt whenever it's rebuilt
+
+                        var self = this;
+
+                        this._onModesDirty = newModes.on("dirty",
+                            function () {
+                                self._setDescendantsDirty();
+                            });
+                    }
+
+                    this._setDescendantsDirty();
                 },
 
                 get: function () {
@@ -522,6 +829,80 @@
                 }
             },
 
+            /**
+             * The {{#crossLink "LOD"}}LOD{{/crossLink}} attached to this GameObject, if any.
+             *
+             * While attached, the {{#crossLink "LOD"}}LOD{{/crossLink}} sets this GameObject's
+             * {{#crossLink "GameObject/geometry:property"}}{{/crossLink}} to the {{#crossLink "Geometry"}}{{/crossLink}}
+             * of the level of detail it chooses for this GameObject. When detached, this GameObject keeps the
+             * {{#crossLink "Geometry"}}{{/crossLink}} of its last level.
+             *
+             * Must be within the same {{#crossLink "Scene"}}Scene{{/crossLink}} as this GameObject.
+             *
+             * Fires a {{#crossLink "GameObject/lod:event"}}{{/crossLink}} event on change.
+             *
+             * @property lod
+             * @default null
+             * @type LOD
+             */
+            lod: {
+
+                set: function (value) {
+
+                    if (XEO._isNumeric(value) || XEO._isString(value)) {
+
+                        var id = value;
+
+                        value = this.scene.components[id];
+
+                        if (!value) {
+                            this.error("Component not found: " + XEO._inQuotes(id));
+                            return;
+                        }
+                    }
+
+                    value = value || null;
+
+                    if (value) {
+
+                        if (!(value instanceof XEO.LOD)) {
+                            this.error("Not a XEO.LOD: " + XEO._inQuotes(value.id));
+                            return;
+                        }
+
+                        if (value.scene.id !== this.scene.id) {
+                            this.error("Not in same scene: " + value.type + " " + XEO._inQuotes(value.id));
+                            return;
+                        }
+                    }
+
+                    if (this._lod === value) {
+                        return;
+                    }
+
+                    if (this._lod) {
+                        this._lod._removeObject(this);
+                    }
+
+                    this._lod = value;
+
+                    if (value) {
+                        value._addObject(this);
+                    }
+
+                    /**
+                     * Fired whenever this GameObject's {{#crossLink "GameObject/lod:property"}}{{/crossLink}} property changes.
+                     * @event lod
+                     * @param value The property's new value
+                     */
+                    this.fire("lod", this._lod);
+                },
+
+                get: function () {
+                    return this._lod;
+                }
+            },
+
             /**
              * The {{#crossLink "Layer"}}Layer{{/crossLink}} attached to this GameObject.
              *
@@ -753,6 +1134,10 @@
                      * @param value The property's new value
                      */
                     this._setChild("stage", value);
+
+                    // Descendants may inherit the new Stage
+
+                    this._setDescendantsDirty();
                 },
 
                 get: function () {
@@ -815,14 +1200,16 @@
 
                         this._onTransformMatrix = newTransform.on("matrix",
                             function () {
-                                self._setWorldBoundaryDirty();
+                                self._setWorldMatrixDirty();
                             });
 
                         this._onTransformDestroyed = newTransform.on("destroyed",
                             function () {
-                                self._setWorldBoundaryDirty();
+                                self._setWorldMatrixDirty();
                             });
                     }
+
+                    this._setWorldMatrixDirty();
                 },
 
                 get: function () {
@@ -830,6 +1217,114 @@
                 }
             },
 
+            /**
+             * The modelling matrix of this GameObject, relative to its {{#crossLink "GameObject/parent:property"}}{{/crossLink}}.
+             *
+             * This is the World-space matrix of this GameObject's {{#crossLink "GameObject/transform:property"}}{{/crossLink}}.
+             *
+             * @property localMatrix
+             * @type {Float32Array}
+             * @final
+             */
+            localMatrix: {
+
+                get: function () {
+                    return this._children.transform.worldMatrix;
+                }
+            },
+
+            /**
+             * The World-space modelling matrix of this GameObject.
+             *
+             * This is the {{#crossLink "GameObject/localMatrix:property"}}{{/crossLink}}, concatenated with
+             * the {{#crossLink "GameObject/localMatrix:property"}}localMatrices{{/crossLink}} of all the ancestors
+             * of this GameObject. It's only recomputed when this GameObject or any of its ancestors have moved.
+             *
+             * @property worldMatrix
+             * @type {Float32Array}
+             * @final
+             */
+            worldMatrix: {
+
+                get: function () {
+
+                    if (!this._parent) {
+                        return this._children.transform.worldMatrix;
+                    }
+
+                    if (this._worldMatrixDirty) {
+                        this._updateWorldMatrix();
+                    }
+
+                    return this._worldTransform.matrix;
+                }
+            },
+
+            /**
+             * Indicates whether this GameObject is visible, which is only true while this GameObject's
+             * {{#crossLink "GameObject/visibility:property"}}{{/crossLink}} and all its ancestors are visible.
+             *
+             * @property worldVisible
+             * @type Boolean
+             * @final
+             */
+            worldVisible: {
+
+                get: function () {
+                    return this._worldVisibility.visible;
+                }
+            },
+
+            /**
+             * The {{#crossLink "Modes"}}{{/crossLink}} that are in effect for this GameObject.
+             *
+             * This is this GameObject's own {{#crossLink "GameObject/modes:property"}}{{/crossLink}}, or when that's its
+             * {{#crossLink "Scene"}}Scene{{/crossLink}}'s default {{#crossLink "Scene/modes:property"}}modes{{/crossLink}},
+             * the {{#crossLink "Modes"}}{{/crossLink}} in effect for its {{#crossLink "GameObject/parent:property"}}{{/crossLink}}.
+             *
+             * @property worldModes
+             * @type Modes
+             * @final
+             */
+            worldModes: {
+
+                get: function () {
+
+                    var modes = this._children.modes;
+
+                    if (this._parent && modes.id === this.scene.modes.id) {
+                        return this._parent.worldModes;
+                    }
+
+                    return modes;
+                }
+            },
+
+            /**
+             * The {{#crossLink "Stage"}}{{/crossLink}} that is in effect for this GameObject.
+             *
+             * This is this GameObject's own {{#crossLink "GameObject/stage:property"}}{{/crossLink}}, or when that's its
+             * {{#crossLink "Scene"}}Scene{{/crossLink}}'s default {{#crossLink "Scene/stage:property"}}stage{{/crossLink}},
+             * the {{#crossLink "Stage"}}{{/crossLink}} in effect for its {{#crossLink "GameObject/parent:property"}}{{/crossLink}}.
+             *
+             * @property worldStage
+             * @type Stage
+             * @final
+             */
+            worldStage: {
+
+                get: function () {
+
+                    var stage = this._children.stage;
+
+                    if (this._parent && stage.id === this.scene.stage.id) {
+                        return this._parent.worldStage;
+                    }
+
+                    return stage;
+                }
+            },
+
             /**
              * World-space 3D boundary.
              *
@@ -864,7 +1359,7 @@
                             },
 
                             getMatrix: function () {
-                                return self._children.transform.matrix;
+                                return self.worldMatrix;
                             }
                         });
 
@@ -931,6 +1426,167 @@
             }
         },
 
+        /**
+         * Adds a child GameObject to this GameObject, removing it from any previous parent.
+         *
+         * @method addChild
+         * @param {String|GameObject} child ID or instance of the child GameObject.
+         * @returns {GameObject} The child GameObject.
+         */
+        addChild: function (child) {
+
+            if (XEO._isNumeric(child) || XEO._isString(child)) {
+
+                var id = child;
+
+                child = this.scene.components[id];
+
+                if (!child) {
+                    this.error("Component not found: " + XEO._inQuotes(id));
+                    return;
+                }
+            }
+
+            if (!(child instanceof XEO.GameObject)) {
+                this.error("Child is not a XEO.GameObject: " + XEO._inQuotes(child.id));
+                return;
+            }
+
+            child.parent = this;
+
+            return child;
+        },
+
+        /**
+         * Removes a child GameObject from this GameObject, making it a child of the
+         * {{#crossLink "Scene"}}Scene{{/crossLink}}'s {{#crossLink "Scene/root:property"}}{{/crossLink}}.
+         *
+         * Does nothing when the GameObject is not a child of this GameObject.
+         *
+         * @method removeChild
+         * @param {String|GameObject} child ID or instance of the child GameObject.
+         * @returns {GameObject} The child GameObject.
+         */
+        removeChild: function (child) {
+
+            if (XEO._isNumeric(child) || XEO._isString(child)) {
+                child = this.scene.components[child];
+            }
+
+            if (!child || child._parent !== this) {
+                return;
+            }
+
+            child.parent = null;
+
+            return child;
+        },
+
+        /**
+         * Calls the given callback on this GameObject, then on each of its descendants, depth-first.
+         *
+         * @method traverse
+         * @param {Function} callback Callback, which is given each GameObject.
+         */
+        traverse: function (callback) {
+
+            callback(this);
+
+            // Copy, in case callback changes the hierarchy
+
+            var children = this._childObjects.slice();
+
+            for (var i = 0, len = children.length; i < len; i++) {
+                children[i].traverse(callback);
+            }
+        },
+
+        // Flags World matrices and boundaries of this GameObject
+        // and its descendants for lazy update
+
+        _setWorldMatrixDirty: function () {
+
+            this._setWorldBoundaryDirty();
+
+            if (this._parent) {
+
+                this._worldMatrixDirty = true;
+
+                // Scene will update the matrix before next render
+
+                this.scene._dirtyWorldMatrices[this.id] = this;
+
+                this._renderer.imageDirty = true;
+            }
+
+            for (var i = 0, len = this._childObjects.length; i < len; i++) {
+                this._childObjects[i]._setWorldMatrixDirty();
+            }
+        },
+
+        _updateWorldMatrix: function () {
+
+            if (!this._parent || !this._worldMatrixDirty) {
+                return;
+            }
+
+            var math = XEO.math;
+            var state = this._worldTransform;
+
+            state.matrix = math.mulMat4(this._parent.worldMatrix, this._children.transform.worldMatrix, new Float32Array(16));
+            state.normalMatrix = math.transposeMat4(math.inverseMat4(state.matrix, new Float32Array(16)));
+
+            this._worldMatrixDirty = false;
+        },
+
+        // Combines our Visibility with that of our ancestors,
+        // then does the same for our descendants
+
+        _updateWorldVisible: function () {
+
+            var visibility = this._children.visibility;
+
+            var visible = (!visibility || visibility.visible) && (!this._parent || this._parent.worldVisible);
+
+            if (this._worldVisibility.visible !== visible) {
+
+                this._worldVisibility.visible = visible;
+
+                this._renderer.drawListDirty = true;
+            }
+
+            for (var i = 0, len = this._childObjects.length; i < len; i++) {
+                this._childObjects[i]._updateWorldVisible();
+            }
+        },
+
+        // Schedules descendants for recompilation, for when
+        // the Modes or Stage they may inherit have changed
+
+        _setDescendantsDirty: function () {
+
+            var child;
+
+            for (var i = 0, len = this._childObjects.length; i < len; i++) {
+                child = this._childObjects[i];
+                child.fire("dirty", true);
+                child._setDescendantsDirty();
+            }
+        },
+
+        // Called by the Scene's FrustumCulling to flag whether
+        // we're outside the view frustum
+
+        _setCulled: function (culled) {
+
+            if (this._cull.culled !== culled) {
+
+                this._cull.culled = culled;
+
+                this._renderer.drawListDirty = true;
+            }
+        },
+
         _setWorldBoundaryDirty: function () {
             this._worldBoundaryDirty = true;
             this._viewBoundaryDirty = true;
@@ -959,18 +1615,25 @@
             children.colorBuf._compile();
             children.depthTarget._compile();
             children.depthBuf._compile();
-            children.visibility._compile();
-            children.modes._compile();
+            this._renderer.visibility = this._worldVisibility;
+            this._renderer.cull = this._cull;
+            this.worldModes._compile();
             children.geometry._compile();
             children.layer._compile();
             children.lights._compile();
             children.material._compile();
-            //children.morphTargets._compile();
+            children.morphTargets._compile();
             children.reflect._compile();
             children.shader._compile();
             children.shaderParams._compile();
-            children.stage._compile();
-            children.transform._compile();
+            this.worldStage._compile();
+
+            if (this._parent) {
+                this._updateWorldMatrix();
+                this._renderer.modelTransform = this._worldTransform;
+            } else {
+                children.transform._compile();
+            }
 
             // (Re)build this GameObject in the renderer
 
@@ -978,7 +1641,8 @@
         },
 
         _getJSON: function () {
-            return {
+
+            var json = {
                 camera: this.camera.id,
                 clips: this.clips.id,
                 colorTarget: this.colorTarget.id,
@@ -991,17 +1655,57 @@
                 layer: this.layer.id,
                 lights: this.lights.id,
                 material: this.material.id,
-                //  morphTargets: this.morphTargets.id,
+                morphTargets: this.morphTargets.id,
                 reflect: this.reflect.id,
                 shader: this.shader.id,
                 shaderParams: this.shaderParams.id,
                 stage: this.stage.id,
                 transform: this.transform.id
             };
+
+            if (this._parent) {
+                json.parent = this._parent.id;
+            }
+
+            if (this._lod) {
+                json.lod = this._lod.id;
+            }
+
+            if (!this._cullable) {
+                json.cullable = false;
+            }
+
+            return json;
         },
 
         _destroy: function () {
 
+            // Children become children of the Scene's root
+
+            var children = this._childObjects.slice();
+
+            for (var i = 0, len = children.length; i < len; i++) {
+                children[i].parent = null;
+            }
+
+            removeObject(this._parent ? this._parent._childObjects : this.scene.root.children, this);
+
+            if (this._lod) {
+                this._lod._removeObject(this);
+            }
+
+            if (this._cullable) {
+                this.scene.frustumCulling._removeObject(this);
+            }
+
+            if (this._children.visibility) {
+                this._children.visibility.off(this._onVisibilityVisible);
+            }
+
+            if (this._children.modes) {
+                this._children.modes.off(this._onModesDirty);
+            }
+
             if (this._children.transform) {
                 this._children.transform.off(this._onTransformMatrix);
                 this._children.transform.off(this._onTransformDestroyed);
@@ -1021,8 +1725,19 @@
                 this._viewBoundary.destroy();
             }
 
+            this._worldTransform.destroy();
+            this._worldVisibility.destroy();
+            this._cull.destroy();
+
             this._renderer.removeObject(this.id);
         }
     });
 
+    function removeObject(list, object) {
+        var i = list.indexOf(object);
+        if (i > -1) {
+            list.splice(i, 1);
+        }
+    }
+
 })();
@@ -34,7 +34,7 @@
 
                 // TODO: Only set pick color when depthMode === false/0?
 
-                if (this._uPickColor) {
+                if (this._uPickColor && !frameCtx.shadow) {
 
                     frameCtx.pickObjects[frameCtx.pickIndex++] = this.object;
 
@@ -0,0 +1,227 @@
+(function () {
+
+    "use strict";
+
+    /**
+     * Draws a run of objects that share all states except their modelling transforms,
+     * using a single ANGLE_instanced_arrays draw call. Each object's modelling matrices
+     * and pick color are streamed to the program as per-instance vertex attributes.
+     */
+    XEO.renderer.ChunkFactory.createChunkType({
+
+        type: "instances",
+
+        // Like draw chunks, these contain GL draw calls, which we
+        // need to do for each run of instances, so they must never
+        // be culled as redundant re-applications of the same chunk.
+        unique: true,
+
+        build: function () {
+
+            this._ext = this.program.gl.getExtension("ANGLE_instanced_arrays");
+
+            var draw = this.program.draw;
+
+            this._aModelMatrixDraw = getColumns(draw, "xeo_aModelMatrixCol");
+            this._aModelNormalMatrixDraw = getColumns(draw, "xeo_aModelNormalMatrixCol");
+
+            this._depthModeDraw = draw.getUniform("xeo_uDepthMode");
+
+            var pick = this.program.pick;
+
+            this._aModelMatrixPick = getColumns(pick, "xeo_aModelMatrixCol");
+            this._aPickColorPick = pick.getAttribute("xeo_aPickColor");
+
+            this._depthModePick = pick.getUniform("xeo_uDepthMode");
+        },
+
+        drawAndPick: function (frameCtx) {
+
+            var state = this.state;
+            var gl = this.program.gl;
+            var ext = this._ext;
+            var geometry = state.geometry;
+            var numObjects = state.numObjects;
+
+            if (!ext || !geometry.indices || numObjects === 0) {
+                return;
+            }
+
+            // Matrices only change between frames, so upload them
+            // just once for all the passes that render a frame
+
+            if (state.frame !== frameCtx.frame) {
+                this._updateMatrices();
+                state.frame = frameCtx.frame;
+            }
+
+            var attributes = [];
+
+            if (frameCtx.pick) {
+
+                if (!frameCtx.shadow) {
+
+                    // Pick colors depend on the order in
+                    // which objects are drawn in the pick pass
+
+                    this._updatePickColors(frameCtx);
+                }
+
+                if (this._depthModePick) {
+                    this._depthModePick.setValue(frameCtx.depthMode);
+                }
+
+                bindColumns(ext, state.matrixBuf, this._aModelMatrixPick, 0, attributes);
+
+                if (this._aPickColorPick) {
+
+                    state.pickColorBuf.bind();
+
+                    this._aPickColorPick.bindInterleavedFloatArrayBuffer(3, 0, 0);
+
+                    ext.vertexAttribDivisorANGLE(this._aPickColorPick.location, 1);
+
+                    attributes.push(this._aPickColorPick);
+                }
+
+            } else {
+
+                if (this._depthModeDraw) {
+                    this._depthModeDraw.setValue(frameCtx.depthMode);
+                }
+
+                bindColumns(ext, state.matrixBuf, this._aModelMatrixDraw, 0, attributes);
+                bindColumns(ext, state.matrixBuf, this._aModelNormalMatrixDraw, 64, attributes);
+            }
+
+            // Geometry chunk has already bound the shared index buffer
+
+            ext.drawElementsInstancedANGLE(geometry.primitive, geometry.indices.numItems, geometry.indices.itemType, 0, numObjects);
+
+            // Per-instance stepping and the enabled arrays are global WebGL state,
+            // so restore them before chunks for other programs are rendered
+
+            for (var i = 0, len = attributes.length; i < len; i++) {
+                ext.vertexAttribDivisorANGLE(attributes[i].location, 0);
+                gl.disableVertexAttribArray(attributes[i].location);
+            }
+        },
+
+        // Packs the modelling and normal matrix of each object
+        // into the interleaved per-instance matrix buffer
+        _updateMatrices: function () {
+
+            var state = this.state;
+            var gl = this.program.gl;
+            var objects = state.objects;
+            var numObjects = state.numObjects;
+
+            var grown = false;
+
+            if (!state.matrices || state.matrices.length < numObjects * 32) {
+                state.matrices = new Float32Array(numObjects * 32);
+                state.pickColors = new Float32Array(numObjects * 3);
+                grown = true;
+            }
+
+            var matrices = state.matrices;
+            var modelTransform;
+
+            for (var i = 0; i < numObjects; i++) {
+
+                modelTransform = objects[i].modelTransform;
+
+                matrices.set(modelTransform.matrix, i * 32);
+                matrices.set(modelTransform.normalMatrix, i * 32 + 16);
+            }
+
+            if (!state.matrixBuf) {
+
+                state.matrixBuf = new XEO.renderer.webgl.ArrayBuffer(gl, gl.ARRAY_BUFFER, matrices, numObjects, 32, gl.DYNAMIC_DRAW);
+                state.pickColorBuf = new XEO.renderer.webgl.ArrayBuffer(gl, gl.ARRAY_BUFFER, state.pickColors, numObjects, 3, gl.DYNAMIC_DRAW);
+
+            } else {
+
+                state.matrixBuf.bind();
+                state.matrixBuf.setData(matrices, 0);
+
+                if (grown) {
+
+                    // Pick colors are only written in pick passes, but must
+                    // cover all instances for the shadow passes as well
+
+                    state.pickColorBuf.bind();
+                    state.pickColorBuf.setData(state.pickColors, 0);
+                }
+            }
+        },
+
+        // Registers each object for picking and encodes
+        // its pick index in the per-instance pick color buffer
+        _updatePickColors: function (frameCtx) {
+
+            var state = this.state;
+            var objects = state.objects;
+            var pickColors = state.pickColors;
+
+            for (var i = 0, len = state.numObjects; i < len; i++) {
+
+                frameCtx.pickObjects[frameCtx.pickIndex++] = objects[i];
+
+                pickColors[i * 3 + 0] = (frameCtx.pickIndex & 0xFF) / 255;
+                pickColors[i * 3 + 1] = (frameCtx.pickIndex >> 8 & 0xFF) / 255;
+                pickColors[i * 3 + 2] = (frameCtx.pickIndex >> 16 & 0xFF) / 255;
+            }
+
+            state.pickColorBuf.bind();
+            state.pickColorBuf.setData(pickColors, 0);
+        }
+    });
+
+    // Gets the four column attributes of a per-instance matrix, any of
+    // which may be missing if the shader compiler optimized them away
+    function getColumns(program, name) {
+
+        var columns = [];
+        var found = false;
+
+        for (var i = 0; i < 4; i++) {
+
+            columns[i] = program.getAttribute(name + i);
+
+            if (columns[i]) {
+                found = true;
+            }
+        }
+
+        return found ? columns : null;
+    }
+
+    // Binds the four column attributes of a per-instance matrix to the given
+    // interleaved buffer, in which each instance has a pair of 4x4 matrices
+    function bindColumns(ext, buffer, columns, byteOffset, attributes) {
+
+        if (!columns) {
+            return;
+        }
+
+        buffer.bind();
+
+        var column;
+
+        for (var i = 0; i < 4; i++) {
+
+            column = columns[i];
+
+            if (column) {
+
+                column.bindInterleavedFloatArrayBuffer(4, 128, byteOffset + i * 16);
+
+                ext.vertexAttribDivisorANGLE(column.location, 1);
+
+                attributes.push(column);
+            }
+        }
+    }
+
+})();
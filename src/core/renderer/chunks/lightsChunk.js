@@ -18,10 +18,24 @@
             this._uLightPos = this._uLightPos || [];
 
             this._uLightAttenuation = this._uLightAttenuation || [];
+            this._uLightCone = this._uLightCone || [];
+
+            this._uShadowParams = this._uShadowParams || [];
+            this._uShadowMatrix = this._uShadowMatrix || [];
+            this._uShadowLightPos = this._uShadowLightPos || [];
+            this._uShadowMap = this._uShadowMap || [];
 
             var lights = this.state.lights;
             var program = this.program;
 
+            // Shadow maps are bound to texture units counting down from the last one,
+            // out of the way of the material textures, which count up from the first
+
+            var gl = program.gl;
+            var shadowUnit = gl.getParameter(gl.MAX_TEXTURE_IMAGE_UNITS) - 1;
+
+            this._shadowUnit = [];
+
             for (var i = 0, len = lights.length; i < len; i++) {
 
                 switch (lights[i].type) {
@@ -36,6 +50,7 @@
                         this._uLightIntensity[i] = program.draw.getUniform("xeo_uLightIntensity" + i);
                         this._uLightPos[i] = null;
                         this._uLightDir[i] = program.draw.getUniform("xeo_uLightDir" + i);
+                        this._uLightCone[i] = null;
                         break;
 
                     case "point":
@@ -44,8 +59,35 @@
                         this._uLightPos[i] = program.draw.getUniform("xeo_uLightPos" + i);
                         this._uLightDir[i] = null;
                         this._uLightAttenuation[i] = program.draw.getUniform("xeo_uLightAttenuation" + i);
+                        this._uLightCone[i] = null;
+                        break;
+
+                    case "spot":
+                        this._uLightColor[i] = program.draw.getUniform("xeo_uLightColor" + i);
+                        this._uLightIntensity[i] = program.draw.getUniform("xeo_uLightIntensity" + i);
+                        this._uLightPos[i] = program.draw.getUniform("xeo_uLightPos" + i);
+                        this._uLightDir[i] = program.draw.getUniform("xeo_uLightDir" + i);
+                        this._uLightAttenuation[i] = program.draw.getUniform("xeo_uLightAttenuation" + i);
+                        this._uLightCone[i] = program.draw.getUniform("xeo_uLightCone" + i);
                         break;
                 }
+
+                if (lights[i].shadow) {
+
+                    this._uShadowParams[i] = program.draw.getUniform("xeo_uShadowParams" + i);
+                    this._uShadowMatrix[i] = program.draw.getUniform("xeo_uShadowMatrix" + i);
+                    this._uShadowLightPos[i] = program.draw.getUniform("xeo_uShadowLightPos" + i);
+                    this._uShadowMap[i] = "xeo_uShadowMap" + i;
+
+                    this._shadowUnit[i] = shadowUnit--;
+
+                } else {
+
+                    this._uShadowParams[i] = null;
+                    this._uShadowMatrix[i] = null;
+                    this._uShadowLightPos[i] = null;
+                    this._uShadowMap[i] = null;
+                }
             }
         },
 
@@ -99,6 +141,31 @@
                     if (this._uLightDir[i]) {
                         this._uLightDir[i].setValue(light.dir);
                     }
+
+                    // Spot cone
+
+                    if (this._uLightCone[i]) {
+                        this._uLightCone[i].setValue(light.cone);
+                    }
+
+                    // Shadow
+
+                    if (this._uShadowMap[i] && light.shadow && light.shadow.map) {
+
+                        this.program.draw.bindTexture(this._uShadowMap[i], light.shadow.map, this._shadowUnit[i]);
+
+                        if (this._uShadowParams[i]) {
+                            this._uShadowParams[i].setValue(light.shadow.params);
+                        }
+
+                        if (this._uShadowMatrix[i]) {
+                            this._uShadowMatrix[i].setValue(light.shadow.matrix);
+                        }
+
+                        if (this._uShadowLightPos[i]) {
+                            this._uShadowLightPos[i].setValue(light.shadow.pos);
+                        }
+                    }
                 }
             }
         }
@@ -11,6 +11,7 @@
             var draw = this.program.draw;
 
             this._uModesClippingDraw = draw.getUniform("xeo_uModesClipping");
+            this._uModesReceiveShadowDraw = draw.getUniform("xeo_uModesReceiveShadow");
 
             var pick = this.program.pick;
 
@@ -88,9 +89,14 @@
                 }
 
             } else {
+
                 if (this._uModesClippingDraw) {
                     this._uModesClippingDraw.setValue(state.clipping);
                 }
+
+                if (this._uModesReceiveShadowDraw) {
+                    this._uModesReceiveShadowDraw.setValue(state.receiveShadow);
+                }
             }
         }
     });
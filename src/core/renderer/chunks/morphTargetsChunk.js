@@ -0,0 +1,128 @@
+(function () {
+
+    "use strict";
+
+    /**
+     * Create display state chunk type for draw and pick render of morph targets.
+     *
+     * This chunk must be applied after the geometry chunk, because it overrides the
+     * geometry's position and normal arrays with those of the two morph targets
+     * that the morph factor currently falls between.
+     */
+    XEO.renderer.ChunkFactory.createChunkType({
+
+        type: "morphTargets",
+
+        build: function () {
+
+            var draw = this.program.draw;
+
+            this._aPositionDraw = draw.getAttribute("xeo_aPosition");
+            this._aNormalDraw = draw.getAttribute("xeo_aNormal");
+            this._aMorphPositionDraw = draw.getAttribute("xeo_aMorphPosition");
+            this._aMorphNormalDraw = draw.getAttribute("xeo_aMorphNormal");
+            this._uMorphFactorDraw = draw.getUniform("xeo_uMorphFactor");
+
+            var pick = this.program.pick;
+
+            this._aPositionPick = pick.getAttribute("xeo_aPosition");
+            this._aMorphPositionPick = pick.getAttribute("xeo_aMorphPosition");
+            this._uMorphFactorPick = pick.getUniform("xeo_uMorphFactor");
+        },
+
+        draw: function () {
+
+            var state = this.state;
+            var targets = state.targets;
+
+            if (!targets || targets.length === 0) {
+                return;
+            }
+
+            var key = this._getKey(state);
+
+            var target1 = targets[key.target1];
+            var target2 = targets[key.target2];
+
+            if (this._aPositionDraw && target1.positions) {
+                this._aPositionDraw.bindFloatArrayBuffer(target1.positions);
+            }
+
+            if (this._aMorphPositionDraw && target2.positions) {
+                this._aMorphPositionDraw.bindFloatArrayBuffer(target2.positions);
+            }
+
+            if (this._aNormalDraw && target1.normals) {
+                this._aNormalDraw.bindFloatArrayBuffer(target1.normals);
+            }
+
+            if (this._aMorphNormalDraw && target2.normals) {
+                this._aMorphNormalDraw.bindFloatArrayBuffer(target2.normals);
+            }
+
+            if (this._uMorphFactorDraw) {
+                this._uMorphFactorDraw.setValue(key.factor);
+            }
+        },
+
+        pick: function () {
+
+            var state = this.state;
+            var targets = state.targets;
+
+            if (!targets || targets.length === 0) {
+                return;
+            }
+
+            var key = this._getKey(state);
+
+            var target1 = targets[key.target1];
+            var target2 = targets[key.target2];
+
+            if (this._aPositionPick && target1.positions) {
+                this._aPositionPick.bindFloatArrayBuffer(target1.positions);
+            }
+
+            if (this._aMorphPositionPick && target2.positions) {
+                this._aMorphPositionPick.bindFloatArrayBuffer(target2.positions);
+            }
+
+            if (this._uMorphFactorPick) {
+                this._uMorphFactorPick.setValue(key.factor);
+            }
+        },
+
+        // Finds the pair of targets that the state's morph factor
+        // falls between, along with the interpolation factor between them
+
+        _getKey: function (state) {
+
+            var key = this._key || (this._key = {});
+
+            var last = state.targets.length - 1;
+            var factor = state.factor;
+
+            if (factor <= 0 || last === 0) {
+
+                key.target1 = 0;
+                key.target2 = 0;
+                key.factor = 0;
+
+            } else if (factor >= last) {
+
+                key.target1 = last;
+                key.target2 = last;
+                key.factor = 0;
+
+            } else {
+
+                key.target1 = Math.floor(factor);
+                key.target2 = key.target1 + 1;
+                key.factor = factor - key.target1;
+            }
+
+            return key;
+        }
+    });
+
+})();
@@ -14,6 +14,11 @@
 
             this._uMetallic = draw.getUniform("xeo_uMetallic");
 
+            if (state.metallicMap) {
+                this._uMaterialMetallicMap = draw.getUniform("xeo_uMaterialMetallicMap");
+                this._uMaterialMetallicMapMatrix = draw.getUniform("xeo_uMaterialMetallicMapMatrix");
+            }
+
             this._uMaterialColor = draw.getUniform("xeo_uMaterialColor");
             
             if (state.colorMap) {
@@ -66,6 +71,15 @@
                 this._uMetallic.setValue(state.metallic);
             }
 
+            if (this._uMaterialMetallicMap) {
+
+                draw.bindTexture(this._uMaterialMetallicMap, state.metallicMap.texture, frameCtx.textureUnit++);
+
+                if (this._uMaterialMetallicMapMatrix) {
+                    this._uMaterialMetallicMapMatrix.setValue(state.metallicMap.matrix);
+                }
+            }
+
             // Base color
 
             if (this._uMaterialColor) {
@@ -19,32 +19,33 @@
             this._uMaterialEmissive = draw.getUniform("xeo_uMaterialEmissive");
             this._uMaterialOpacity = draw.getUniform("xeo_uMaterialOpacity");
             this._uMaterialShininess = draw.getUniform("xeo_uMaterialShininess");
+            this._uMaterialReflectivity = draw.getUniform("xeo_uMaterialReflectivity");
 
             // Textures
 
             if (state.diffuseMap) {
-                this._uMaterialDiffuseMap = draw.getUniform("xeo_uMaterialDiffuseMap");
-                this._uMaterialDiffuseMapMatrix = draw.getUniform("xeo_uMaterialDiffuseMapMatrix");
+                this._uMaterialDiffuseMap = draw.getUniform("xeo_uTextureDiffuse");
+                this._uMaterialDiffuseMapMatrix = draw.getUniform("xeo_uTextureDiffuseMatrix");
             }
 
             if (state.specularMap) {
-                this._uSpecularMap = draw.getUniform("xeo_uSpecularMap");
-                this._uSpecularMapMatrix = draw.getUniform("xeo_uSpecularMapMatrix");
+                this._uSpecularMap = draw.getUniform("xeo_uTextureSpecular");
+                this._uSpecularMapMatrix = draw.getUniform("xeo_uTextureSpecularMatrix");
             }
 
             if (state.emissiveMap) {
-                this._uEmissiveMap = draw.getUniform("xeo_uEmissiveMap");
-                this._uEmissiveMapMatrix = draw.getUniform("xeo_uEmissiveMapMatrix");
+                this._uEmissiveMap = draw.getUniform("xeo_uTextureEmissive");
+                this._uEmissiveMapMatrix = draw.getUniform("xeo_uTextureEmissiveMatrix");
             }
 
             if (state.opacityMap) {
-                this._uOpacityMap = draw.getUniform("xeo_uOpacityMap");
-                this._uOpacityMapMatrix = draw.getUniform("xeo_uOpacityMapMatrix");
+                this._uOpacityMap = draw.getUniform("xeo_uTextureOpacity");
+                this._uOpacityMapMatrix = draw.getUniform("xeo_uTextureOpacityMatrix");
             }
 
             if (state.reflectivityMap) {
-                this._uReflectivityMap = draw.getUniform("xeo_uReflectivityMap");
-                this._uReflectivityMapMatrix = draw.getUniform("xeo_uReflectivityMapMatrix");
+                this._uReflectivityMap = draw.getUniform("xeo_uTextureReflectivity");
+                this._uReflectivityMapMatrix = draw.getUniform("xeo_uTextureReflectivityMatrix");
             }
 
             if (state.normalMap) {
@@ -124,6 +125,12 @@
                 this._uMaterialShininess.setValue(state.shininess);
             }
 
+            // Reflectivity
+
+            if (this._uMaterialReflectivity) {
+                this._uMaterialReflectivity.setValue(state.reflectivity);
+            }
+
             // Textures
 
             frameCtx.textureUnit = 0;
@@ -8,11 +8,13 @@
 
         build: function () {
 
-            // Note that "program" chunks are always after "renderTarget" chunks
+            // Depth mode is set on the frame context for each render target pass
 
             this._depthModeDraw = this.program.draw.getUniform("xeo_uDepthMode");
             this._depthModePick = this.program.pick.getUniform("xeo_uDepthMode");
             this._rayPickMode = this.program.pick.getUniform("xeo_uRayPickMode");
+            this._shadowMode = this.program.pick.getUniform("xeo_uShadowMode");
+            this._shadowLightPos = this.program.pick.getUniform("xeo_uShadowLightPos");
         },
 
         draw: function (frameCtx) {
@@ -38,6 +40,14 @@
 
             this._rayPickMode.setValue(frameCtx.rayPick);
 
+            if (this._shadowMode) {
+                this._shadowMode.setValue(frameCtx.shadow);
+            }
+
+            if (frameCtx.shadow && this._shadowLightPos) {
+                this._shadowLightPos.setValue(frameCtx.shadowLightPos);
+            }
+
             if (this._depthModePick) {
                 this._depthModePick.setValue(frameCtx.depthMode);
             }
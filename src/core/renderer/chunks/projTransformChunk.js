@@ -41,8 +41,12 @@
 
             var state = this.state;
 
+            // Shadow map render projects through the light source
+
+            var matrix = frameCtx.shadow ? frameCtx.shadowProjMatrix : state.matrix;
+
             if (this._uProjMatrixPick) {
-                this._uProjMatrixPick.setValue(state.matrix);
+                this._uProjMatrixPick.setValue(matrix);
             }
 
             if (frameCtx.rayPick) {
@@ -58,7 +62,7 @@
                 }
             }
 
-            frameCtx.projMatrix = state.matrix;
+            frameCtx.projMatrix = matrix;
         }
     });
 
@@ -38,11 +38,15 @@
 
             var state = this.state;
 
+            // Shadow map render views from the light source
+
+            var matrix = frameCtx.shadow ? frameCtx.shadowViewMatrix : state.matrix;
+
             if (this._uViewMatrixPick) {
-                this._uViewMatrixPick.setValue(state.matrix);
+                this._uViewMatrixPick.setValue(matrix);
             }
 
-            frameCtx.viewMatrix = state.matrix;
+            frameCtx.viewMatrix = matrix;
         }
     });
 
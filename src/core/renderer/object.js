@@ -23,6 +23,14 @@
          */
         this.sortKey = null;
 
+        /**
+         * Key shared by objects that differ only by their modelling transforms, which
+         * the Renderer may draw as instances with a single instanced draw call. Null
+         * when this object can't be drawn as an instance.
+         * @type String
+         */
+        this.instanceKey = null;
+
         /**
          * Sequence of state chunks applied to render this object
          */
@@ -57,5 +65,15 @@
          * State for the XEO.renderer.Material that this object was compiled from, used for (re)computing #sortKey
          */
         this.material = null;
+
+        /**
+         * State for the XEO.renderer.Cull that this object was compiled from, used for frustum and occlusion cull
+         */
+        this.cull = null;
+
+        /**
+         * Flags whether this object was hidden behind other objects as of the last occlusion test
+         */
+        this.occluded = false;
     };
 })();
\ No newline at end of file
@@ -53,7 +53,7 @@
 
             XEO.renderer.ProgramSourceFactory.putSource(program.hash);
 
-            this._programs[program.hash] = null;
+            delete this._programs[program.hash];
         }
     };
 
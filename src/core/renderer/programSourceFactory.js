@@ -19,6 +19,8 @@
         var morphing; // True when rendering state contains morph targets
         var reflection; // True when rendering state contains reflections
         var depthTarget; // True when rendering state contains a depth target
+        var shadows; // True when rendering state contains light sources that cast shadows
+        var instancing; // True when rendering many objects with one instanced draw
 
         /**
          * Get source code for a program to render the given states.
@@ -39,10 +41,11 @@
             normals = hasNormals();
             tangents = hasTangents();
             clipping = states.clips.clips.length > 0;
-            //morphing = !!states.morphTargets.targets;
-            morphing = false;
+            morphing = hasMorphTargets();
             reflection = hasReflection();
             depthTarget = hasDepthTarget();
+            shadows = hasShadows();
+            instancing = !!states.instancing;
 
             source = new XEO.renderer.ProgramSource(
                 hash,
@@ -74,13 +77,20 @@
                 }
             }
 
+            if (material.type === "pbrMaterial") {
+
+                if (material.colorMap || material.emissiveMap || material.opacityMap || material.roughnessMap ||
+                    material.metallicMap || material.normalMap || material.specularMap) {
+                    return true;
+                }
+            }
+
             return false;
         }
 
         // Returns true if rendering reflections
-        function hasReflection(states) {
-            return false;
-            //return (states.cubemap.layers && states.cubemap.layers.length > 0 && states.geometry.normalBuf);
+        function hasReflection() {
+            return !!(normals && states.reflect && states.reflect.texture && states.material.type === "phongMaterial");
         }
 
         // Returns true if normals exist on geometry
@@ -90,13 +100,14 @@
                 return true;
             }
 
-            //if (states.MorphTargets.targets && states.MorphTargets.targets[0].normalBuf) {
-            //    return true;
-            //}
-
             return false;
         }
 
+        // Returns true if rendering state contains morph targets
+        function hasMorphTargets() {
+            return !!(states.morphTargets && states.morphTargets.targets && states.morphTargets.targets.length > 0);
+        }
+
         // Returns true if geometry has tangents for normal mapping
         function hasTangents() {
 
@@ -120,7 +131,41 @@
 
         // Returns true if renderer state set contains a depth target
         function hasDepthTarget() {
-            return !!states.depthTarget;
+            return !!(states.depthTarget && states.depthTarget.active);
+        }
+
+        // Returns true if rendering state contains spot lights
+
+        function hasSpotLights() {
+
+            var lights = states.lights.lights;
+
+            for (var i = 0, len = lights.length; i < len; i++) {
+                if (lights[i].type === "spot") {
+                    return true;
+                }
+            }
+
+            return false;
+        }
+
+        // Returns true if rendering state contains light sources that cast shadows,
+        // which can only fall on geometry that has normals for lighting
+        function hasShadows() {
+
+            if (!normals) {
+                return false;
+            }
+
+            var lights = states.lights.lights;
+
+            for (var i = 0, len = lights.length; i < len; i++) {
+                if (lights[i].shadow) {
+                    return true;
+                }
+            }
+
+            return false;
         }
 
         /**
@@ -145,7 +190,19 @@
 
             add("attribute vec3 xeo_aPosition;");
 
-            add("uniform mat4 xeo_uModelMatrix;");
+            if (instancing) {
+
+                // Per-instance modelling matrix columns and pick color
+
+                addModelMatrixAttributes("xeo_aModelMatrixCol");
+
+                add("attribute vec3 xeo_aPickColor;");
+                add("varying vec3 xeo_vPickColor;");
+
+            } else {
+                add("uniform mat4 xeo_uModelMatrix;");
+            }
+
             add("uniform mat4 xeo_uViewMatrix;");
             add("uniform mat4 xeo_uViewNormalMatrix;");
             add("uniform mat4 xeo_uProjMatrix;");
@@ -153,24 +210,27 @@
             add("varying vec4 xeo_vWorldPosition;");
             add("varying vec4 xeo_vViewPosition;");
 
-//            if (morphing) {
-//                add("uniform float xeo_uMorphFactor;");       // LERP factor for morph
-//                if (states.MorphTargets.targets[0].vertexBuf) {      // target2 has these arrays also
-//                    add("attribute vec3 xeo_aMorphVertex;");
-//                }
-//            }
+            if (morphing) {
+                add("uniform float xeo_uMorphFactor;");       // LERP factor for morph
+                add("attribute vec3 xeo_aMorphPosition;");
+            }
 
             add("void main(void) {");
 
+            if (instancing) {
+                add("mat4 modelMatrix = " + composeModelMatrix("xeo_aModelMatrixCol") + ";");
+                add("xeo_vPickColor = xeo_aPickColor;");
+            } else {
+                add("mat4 modelMatrix = xeo_uModelMatrix;");
+            }
+
             add("vec4 tmpVertex = vec4(xeo_aPosition, 1.0); ");
 
-//            if (morphing) {
-//                if (states.MorphTargets.targets[0].vertexBuf) {
-//                    add("  tmpVertex = vec4(mix(tmpVertex.xyz, xeo_aMorphVertex, xeo_uMorphFactor), 1.0); ");
-//                }
-//            }
+            if (morphing) {
+                add("tmpVertex = vec4(mix(tmpVertex.xyz, xeo_aMorphPosition, xeo_uMorphFactor), 1.0); ");
+            }
 
-            add("xeo_vWorldPosition = xeo_uModelMatrix * tmpVertex; ");
+            add("xeo_vWorldPosition = modelMatrix * tmpVertex; ");
 
             add("xeo_vViewPosition = xeo_uViewMatrix * xeo_vWorldPosition;");
 
@@ -191,7 +251,17 @@
             add("varying vec4 xeo_vViewPosition;");
 
             add("uniform bool  xeo_uRayPickMode;");
-            add("uniform vec3  xeo_uPickColor;");
+
+            if (instancing) {
+                add("varying vec3 xeo_vPickColor;");
+            } else {
+                add("uniform vec3  xeo_uPickColor;");
+            }
+
+            // Shadow map render
+
+            add("uniform bool  xeo_uShadowMode;");
+            add("uniform vec4  xeo_uShadowLightPos;");
 
             // Clipping
 
@@ -230,17 +300,29 @@
                 add("}");
             }
 
-            add("if (xeo_uRayPickMode) {");
+            add("if (xeo_uShadowMode) {");
+
+            // Output color-encoded depth value for shadow map, which is the
+            // distance from a point light, normalized to the light's range,
+            // or otherwise the depth from a directional light
+
+            add("   if (xeo_uShadowLightPos.w > 0.0) {");
+            add("       gl_FragColor = packDepth(length(xeo_vWorldPosition.xyz - xeo_uShadowLightPos.xyz) / xeo_uShadowLightPos.w);");
+            add("   } else {");
+            add("       gl_FragColor = packDepth(gl_FragCoord.z);");
+            add("   }");
+
+            add("} else if (xeo_uRayPickMode) {");
 
             // Output color-encoded depth value for ray-pick
 
-            add("   gl_FragColor = packDepth(gl_Position.z); ");
+            add("   gl_FragColor = packDepth(gl_FragCoord.z); ");
 
             add("} else {");
 
             // Output indexed color value for normal pick
 
-            add("   gl_FragColor = vec4(xeo_uPickColor.rgb, 1.0);  ");
+            add("   gl_FragColor = vec4(" + (instancing ? "xeo_vPickColor" : "xeo_uPickColor.rgb") + ", 1.0);  ");
 
             add("}");
             add("}");
@@ -261,9 +343,15 @@
 
             begin();
 
-            // Matrix uniforms
+            // Matrix uniforms, with the modelling matrix
+            // as a per-instance attribute when instancing
+
+            if (instancing) {
+                addModelMatrixAttributes("xeo_aModelMatrixCol");
+            } else {
+                add("uniform mat4 xeo_uModelMatrix;");
+            }
 
-            add("uniform mat4 xeo_uModelMatrix;");
             add("uniform mat4 xeo_uViewMatrix;");
             add("uniform mat4 xeo_uProjMatrix;");
 
@@ -291,7 +379,12 @@
 
                 // Modelling and View normal transform matrix
 
-                add("uniform mat4 xeo_uModelNormalMatrix;");
+                if (instancing) {
+                    addModelMatrixAttributes("xeo_aModelNormalMatrixCol");
+                } else {
+                    add("uniform mat4 xeo_uModelNormalMatrix;");
+                }
+
                 add("uniform mat4 xeo_uViewNormalMatrix;");
 
                 // View-space normal
@@ -328,6 +421,10 @@
 
                     if (light.type === "spot") {
                         add("uniform vec3 xeo_uLightPos" + i + ";");
+                        add("uniform vec3 xeo_uLightDir" + i + ";");
+
+                        // Direction the light is shining in
+                        add("varying vec3 xeo_vViewLightDir" + i + ";");
                     }
 
                     // Vector from vertex to light, packaged with the pre-computed length of that vector
@@ -335,13 +432,22 @@
                 }
             }
 
-            if (clipping) {
+            if (clipping || shadows) {
 
                 // World-space fragment position
 
                 add("varying vec4 xeo_vWorldPosition;");
             }
 
+            if (reflection) {
+
+                // World-space normal and vector from fragment to eye,
+                // from which the fragment shader finds the cubemap lookup vector
+
+                add("varying vec3 xeo_vWorldNormal;");
+                add("varying vec3 xeo_vWorldEyeVec;");
+            }
+
             if (texturing) {
 
                 // Vertex UV coordinate
@@ -364,59 +470,85 @@
                 add("varying vec4 xeo_vColor;"); // Varying for fragment texturing
             }
 
-            //if (morphing) {
-            //    add("uniform float xeo_uMorphFactor;");// LERP factor for morph
-            //    if (states.MorphTargets.targets[0].vertexBuf) {  // target2 has these arrays also
-            //        add("attribute vec3 xeo_aMorphVertex;");
-            //    }
-            //    if (normals) {
-            //        if (states.MorphTargets.targets[0].normalBuf) {
-            //            add("attribute vec3 xeo_aMorphNormal;");
-            //        }
-            //    }
-            //}
+            if (morphing) {
+
+                // LERP factor for morph
+
+                add("uniform float xeo_uMorphFactor;");
+
+                // Model-space vertex position on the second morph target;
+                // the first target is bound to xeo_aPosition
+
+                add("attribute vec3 xeo_aMorphPosition;");
+
+                if (normals && states.morphTargets.normals) {
+
+                    // Model-space normal on the second morph target;
+                    // the first target is bound to xeo_aNormal
+
+                    add("attribute vec3 xeo_aMorphNormal;");
+                }
+            }
 
             add("void main(void) {");
 
+            if (instancing) {
+
+                add("mat4 modelMatrix = " + composeModelMatrix("xeo_aModelMatrixCol") + ";");
+
+                if (normals) {
+                    add("mat4 modelNormalMatrix = " + composeModelMatrix("xeo_aModelNormalMatrixCol") + ";");
+                }
+
+            } else {
+
+                add("mat4 modelMatrix = xeo_uModelMatrix;");
+
+                if (normals) {
+                    add("mat4 modelNormalMatrix = xeo_uModelNormalMatrix;");
+                }
+            }
+
             add("vec4 modelPosition = vec4(xeo_aPosition, 1.0); ");
 
             if (normals) {
                 add("vec4 modelNormal = vec4(xeo_aNormal, 0.0); ");
             }
 
-            //if (morphing) {
-            //    if (states.MorphTargets.targets[0].vertexBuf) {
-            //        add("vec4 vMorphVertex = vec4(xeo_aMorphVertex, 1.0); ");
-            //        add("modelPosition = vec4(mix(modelPosition.xyz, vMorphVertex.xyz, xeo_uMorphFactor), 1.0); ");
-            //    }
-            //    if (normals) {
-            //        if (states.MorphTargets.targets[0].normalBuf) {
-            //            add("vec4 vMorphNormal = vec4(xeo_aMorphNormal, 1.0); ");
-            //            add("modelNormal = vec4( mix(modelNormal.xyz, vMorphNormal.xyz, xeo_uMorphFactor), 1.0); ");
-            //        }
-            //    }
-            //}
+            if (morphing) {
 
-            add("vec4 worldPosition = xeo_uModelMatrix * modelPosition;");
+                add("modelPosition = vec4(mix(modelPosition.xyz, xeo_aMorphPosition, xeo_uMorphFactor), 1.0); ");
+
+                if (normals && states.morphTargets.normals) {
+                    add("modelNormal = vec4(normalize(mix(modelNormal.xyz, xeo_aMorphNormal, xeo_uMorphFactor)), 0.0); ");
+                }
+            }
+
+            add("vec4 worldPosition = modelMatrix * modelPosition;");
 
             add("vec4 viewPosition  = xeo_uViewMatrix * worldPosition; ");
 
             if (normals) {
-                add("vec3 worldNormal = (xeo_uModelNormalMatrix * modelNormal).xyz; ");
+                add("vec3 worldNormal = (modelNormalMatrix * modelNormal).xyz; ");
                 add("xeo_vViewNormal = (xeo_uViewNormalMatrix * vec4(worldNormal, 1.0)).xyz;");
             }
 
-            if (clipping) {
+            if (clipping || shadows) {
                 add("  xeo_vWorldPosition = worldPosition;");
             }
 
+            if (reflection) {
+                add("xeo_vWorldNormal = worldNormal;");
+                add("xeo_vWorldEyeVec = xeo_uEye - worldPosition.xyz;");
+            }
+
             add("xeo_vViewPosition = viewPosition;");
 
             if (tangents) {
 
                 // Compute tangent-bitangent-normal matrix
 
-                add("vec3 tangent = normalize((xeo_uViewNormalMatrix * xeo_uModelNormalMatrix * xeo_aTangent).xyz);");
+                add("vec3 tangent = normalize((xeo_uViewNormalMatrix * modelNormalMatrix * xeo_aTangent).xyz);");
                 add("vec3 bitangent = cross(xeo_vViewNormal, tangent);");
                 add("mat3 TBM = mat3(tangent, bitangent, xeo_vViewNormal);");
             }
@@ -506,6 +638,40 @@
                         // Output
                         add("xeo_vViewLightVecAndDist" + i + " = vec4(tmpVec3, length(xeo_uLightPos" + i + ".xyz - worldPosition.xyz));");
                     }
+
+                    if (light.type === "spot") {
+
+                        // Positional light shining in a given direction
+
+                        if (light.space === "world") {
+
+                            // World space
+
+                            add("tmpVec3 = xeo_uLightPos" + i + " - worldPosition.xyz;"); // Vector from World coordinate to light pos
+
+                            // Transform to View space
+                            add("tmpVec3 = vec3(xeo_uViewMatrix * vec4(tmpVec3, 0.0)).xyz;");
+                            add("xeo_vViewLightDir" + i + " = vec3(xeo_uViewMatrix * vec4(normalize(xeo_uLightDir" + i + "), 0.0)).xyz;");
+
+                        } else {
+
+                            // View space
+
+                            add("tmpVec3 = xeo_uLightPos" + i + ".xyz - viewPosition.xyz;"); // Vector from View coordinate to light pos
+                            add("xeo_vViewLightDir" + i + " = normalize(xeo_uLightDir" + i + ");");
+                        }
+
+                        // Output, with distance taken before any transform to Tangent space
+
+                        add("xeo_vViewLightVecAndDist" + i + " = vec4(tmpVec3, length(tmpVec3));");
+
+                        if (tangents) {
+
+                            // Transform to Tangent space
+                            add("xeo_vViewLightVecAndDist" + i + ".xyz *= TBM;");
+                            add("xeo_vViewLightDir" + i + " *= TBM;");
+                        }
+                    }
                 }
             }
 
@@ -543,8 +709,22 @@
                 return fragment;
             }
 
+            var flatMaterial = (states.material.type === "flatMaterial");
+            var phongMaterial = !flatMaterial && (states.material.type === "phongMaterial");
+            var pbrMaterial = !flatMaterial && !phongMaterial && (states.material.type === "pbrMaterial");
+
+            // Normal maps are applied in tangent space, which we find from
+            // screen-space derivatives, since geometries don't have tangents
+
+            var normalMapping = pbrMaterial && normals && texturing && !!states.material.normalMap &&
+                !!states._canvas.gl.getExtension("OES_standard_derivatives");
+
             begin();
 
+            if (normalMapping) {
+                add("#extension GL_OES_standard_derivatives : enable");
+            }
+
             add("precision " + getFSFloatPrecision(states._canvas.gl) + " float;");
 
             add("varying vec4 xeo_vViewPosition;");
@@ -552,9 +732,11 @@
             add("uniform float xeo_uZNear;");
             add("uniform float xeo_uZFar;");
 
-            if (clipping) {
-
+            if (clipping || shadows) {
                 add("varying vec4 xeo_vWorldPosition;");
+            }
+
+            if (clipping) {
 
                 for (var i = 0; i < states.clips.clips.length; i++) {
                     add("uniform float xeo_uClipMode" + i + ";");
@@ -562,10 +744,6 @@
                 }
             }
 
-            var flatMaterial = (states.material.type === "flatMaterial");
-            var phongMaterial = !flatMaterial && (states.material.type === "phongMaterial");
-            var pbrMaterial = !flatMaterial && !phongMaterial && (states.material.type === "pbrMaterial");
-
             if (phongMaterial) {
 
                 add("uniform vec3 xeo_uMaterialDiffuse;");
@@ -602,13 +780,6 @@
                         }
                     }
 
-                    if (states.material.emissiveMap) {
-                        add("uniform sampler2D xeo_uTextureEmissive;");
-                        if (states.material.emissiveMap.matrix) {
-                            add("uniform mat4 xeo_uTextureEmissiveMatrix;");
-                        }
-                    }
-
                     if (states.material.opacityMap) {
                         add("uniform sampler2D xeo_uTextureOpacity;");
                         if (states.material.opacityMap.matrix) {
@@ -625,14 +796,75 @@
                 }
             }
 
-            //if (normals && reflection) {
-            //    var layer;
-            //    for (var i = 0, len = states.cubemap.layers.length; i < len; i++) {
-            //        layer = states.cubemap.layers[i];
-            //        add("uniform samplerCube xeo_uCubeMapSampler" + i + ";");
-            //        add("uniform float xeo_uCubeMapIntensity" + i + ";");
-            //    }
-            //}
+            if (pbrMaterial) {
+
+                add("uniform float xeo_uMetallic;");
+                add("uniform vec3 xeo_uMaterialColor;");
+                add("uniform vec3 xeo_uMaterialEmissive;");
+                add("uniform vec3 xeo_uMaterialSpecular;");
+                add("uniform float xeo_uMaterialOpacity;");
+                add("uniform float xeo_uMaterialRoughness;");
+
+                if (texturing) {
+
+                    add("varying vec2 xeo_vUV;");
+
+                    if (states.material.colorMap) {
+                        add("uniform sampler2D xeo_uMaterialColorMap;");
+                        if (states.material.colorMap.matrix) {
+                            add("uniform mat4 xeo_uMaterialColorMapMatrix;");
+                        }
+                    }
+
+                    if (states.material.emissiveMap) {
+                        add("uniform sampler2D xeo_uMaterialEmissiveMap;");
+                        if (states.material.emissiveMap.matrix) {
+                            add("uniform mat4 xeo_uMaterialEmissiveMapMatrix;");
+                        }
+                    }
+
+                    if (states.material.opacityMap) {
+                        add("uniform sampler2D xeo_uMaterialOpacityMap;");
+                        if (states.material.opacityMap.matrix) {
+                            add("uniform mat4 xeo_uMaterialOpacityMapMatrix;");
+                        }
+                    }
+
+                    if (states.material.roughnessMap) {
+                        add("uniform sampler2D xeo_uMaterialRoughnessMap;");
+                        if (states.material.roughnessMap.matrix) {
+                            add("uniform mat4 xeo_uMaterialRoughnessMapMatrix;");
+                        }
+                    }
+
+                    if (states.material.metallicMap) {
+                        add("uniform sampler2D xeo_uMaterialMetallicMap;");
+                        if (states.material.metallicMap.matrix) {
+                            add("uniform mat4 xeo_uMaterialMetallicMapMatrix;");
+                        }
+                    }
+
+                    if (states.material.specularMap) {
+                        add("uniform sampler2D xeo_uMaterialSpecularMap;");
+                        if (states.material.specularMap.matrix) {
+                            add("uniform mat4 xeo_uMaterialSpecularMapMatrix;");
+                        }
+                    }
+
+                    if (states.material.normalMap) {
+                        add("uniform sampler2D xeo_uMaterialNormalMap;");
+                        if (states.material.normalMap.matrix) {
+                            add("uniform mat4 xeo_uMaterialNormalMapMatrix;");
+                        }
+                    }
+                }
+            }
+
+            if (reflection) {
+                add("uniform samplerCube xeo_uReflectMap;");
+                add("varying vec3 xeo_vWorldNormal;");
+                add("varying vec3 xeo_vWorldEyeVec;");
+            }
 
 
             add("uniform bool xeo_uDepthMode;");
@@ -671,14 +903,64 @@
 
                     add("uniform float xeo_uLightIntensity" + i + ";");
 
-                    if (light.type === "point") {
+                    if (light.type === "point" || light.type === "spot") {
                         add("uniform vec3 xeo_uLightAttenuation" + i + ";");
                     }
 
+                    if (light.type === "spot") {
+
+                        // Cosines of inner and outer cone angles
+
+                        add("uniform vec2 xeo_uLightCone" + i + ";");
+
+                        // Direction the light is shining in
+
+                        add("varying vec3 xeo_vViewLightDir" + i + ";");
+                    }
+
                     add("varying vec4 xeo_vViewLightVecAndDist" + i + ";");         // Vector from light to vertex
+
+                    if (light.shadow) {
+
+                        // Bias, softness and shadow map texel size
+
+                        add("uniform vec3 xeo_uShadowParams" + i + ";");
+
+                        if (light.type === "dir") {
+
+                            // Transforms World-space positions into the shadow map
+
+                            add("uniform mat4 xeo_uShadowMatrix" + i + ";");
+                            add("uniform sampler2D xeo_uShadowMap" + i + ";");
+                        }
+
+                        if (light.type === "point") {
+
+                            // World-space light position, with the range of the shadow
+
+                            add("uniform vec4 xeo_uShadowLightPos" + i + ";");
+                            add("uniform samplerCube xeo_uShadowMap" + i + ";");
+                        }
+                    }
                 }
             }
 
+            if (shadows) {
+                composeShadowFunctions();
+            }
+
+            if (normals && hasSpotLights()) {
+                composeSpotFunctions();
+            }
+
+            if (pbrMaterial && normals) {
+                composePBRFunctions();
+            }
+
+            if (normalMapping) {
+                composeNormalMapFunctions();
+            }
+
             add("void main(void) {");
 
             if (clipping) {
@@ -756,12 +1038,12 @@
                         // Diffuse map
 
                         if (material.diffuseMap.matrix) {
-                            add("textureCoord = (xeo_uMaterialDiffuseTextureMatrix * texturePos).xy;");
+                            add("textureCoord = (xeo_uTextureDiffuseMatrix * texturePos).xy;");
                         } else {
                             add("textureCoord = texturePos.xy;");
                         }
 
-                        add("diffuse = texture2D(xeo_uMaterialDiffuseTexture, textureCoord).rgb);");
+                        add("diffuse = texture2D(xeo_uTextureDiffuse, textureCoord).rgb;");
                     }
 
                     if (material.specularMap) {
@@ -769,12 +1051,12 @@
                         // Specular map
 
                         if (material.specularMap.matrix) {
-                            add("textureCoord = (xeo_uSpecularTextureMatrix * texturePos).xy;");
+                            add("textureCoord = (xeo_uTextureSpecularMatrix * texturePos).xy;");
                         } else {
                             add("textureCoord = texturePos.xy;");
                         }
 
-                        add("specular = texture2D(xeo_uSpecularTexture, textureCoord).rgb;");
+                        add("specular = texture2D(xeo_uTextureSpecular, textureCoord).rgb;");
                     }
 
                     if (material.emissiveMap) {
@@ -782,12 +1064,12 @@
                         // Emissive map
 
                         if (material.emissiveMap.matrix) {
-                            add("textureCoord = (xeo_uEmissiveTextureMatrix * texturePos).xy;");
+                            add("textureCoord = (xeo_uTextureEmissiveMatrix * texturePos).xy;");
                         } else {
                             add("textureCoord = texturePos.xy;");
                         }
 
-                        add("emissive = texture2D(xeo_uEmissiveTexture, textureCoord).rgb;");
+                        add("emissive = texture2D(xeo_uTextureEmissive, textureCoord).rgb;");
                     }
 
                     if (material.opacityMap) {
@@ -795,12 +1077,12 @@
                         // Opacity map
 
                         if (material.opacityMap.matrix) {
-                            add("textureCoord = (xeo_uOpacityTextureMatrix * texturePos).xy;");
+                            add("textureCoord = (xeo_uTextureOpacityMatrix * texturePos).xy;");
                         } else {
                             add("textureCoord = texturePos.xy;");
                         }
 
-                        add("opacity = texture2D(xeo_uOpacityTexture, textureCoord).b;");
+                        add("opacity = texture2D(xeo_uTextureOpacity, textureCoord).b;");
                     }
 
                     if (material.reflectivityMap) {
@@ -808,26 +1090,21 @@
                         // Reflectivity map
 
                         if (material.reflectivityMap.matrix) {
-                            add("textureCoord = (xeo_uReflectivityTextureMatrix * texturePos).xy;");
+                            add("textureCoord = (xeo_uTextureReflectivityMatrix * texturePos).xy;");
                         } else {
                             add("textureCoord = texturePos.xy;");
                         }
 
-                        add("reflectivity = texture2D(xeo_uReflectivityTexture, textureCoord).b;");
+                        add("reflectivity = texture2D(xeo_uTextureReflectivity, textureCoord).b;");
                     }
                 }
 
-                if (normals && reflection) {
+                if (reflection) {
 
-                    add("vec3 envLookup = reflect(xeo_vViewEyeVec, viewNormalVec);");
-                    add("envLookup.y = envLookup.y * -1.0;"); // Need to flip textures on Y-axis for some reason
-                    add("vec4 envColor;");
+                    // World-space vector from eye, reflected about the fragment normal
 
-                    //for (var i = 0, len = states.cubemap.layers.length; i < len; i++) {
-                    //    layer = states.cubemap.layers[i];
-                    //    add("envColor = textureCube(xeo_uCubeMapSampler" + i + ", envLookup);");
-                    //    add("color = mix(color, envColor.rgb, specular * xeo_uCubeMapIntensity" + i + ");");
-                    //}
+                    add("vec3 envLookup = reflect(-normalize(xeo_vWorldEyeVec), normalize(xeo_vWorldNormal));");
+                    add("vec3 envColor = textureCube(xeo_uReflectMap, envLookup).rgb;");
                 }
 
                 add("vec4 fragColor;");
@@ -841,7 +1118,12 @@
                     add("float lightDist;");
                     add("float attenuation;");
 
+                    if (shadows) {
+                        add("float shadow;");
+                    }
+
                     var light;
+                    var shadowed;
 
                     for (var i = 0, len = states.lights.lights.length; i < len; i++) {
 
@@ -853,6 +1135,15 @@
 
                         add("viewLightVec = xeo_vViewLightVecAndDist" + i + ".xyz;");
 
+                        shadowed = light.shadow ? " * shadow" : "";
+
+                        if (light.shadow) {
+
+                            // Fraction of the fragment that's lit by the light source
+
+                            add("shadow = xeo_uModesReceiveShadow ? getShadow" + i + "() : 1.0;");
+                        }
+
                         if (light.type === "point") {
 
                             add("dotN = max(dot(normalize(viewNormalVec), normalize(viewLightVec)), 0.0);");
@@ -864,26 +1155,51 @@
                                 "  xeo_uLightAttenuation" + i + "[1] * lightDist + " +
                                 "  xeo_uLightAttenuation" + i + "[2] * lightDist * lightDist);");
 
-                            add("diffuseLight += dotN * xeo_uLightColor" + i + " * attenuation;");
+                            add("diffuseLight += dotN * xeo_uLightColor" + i + " * attenuation" + shadowed + ";");
 
                             add("specularLight += specular * xeo_uLightIntensity" + i +
-                                " * specular * pow(max(dot(reflect(normalize(-viewLightVec), normalize(-viewNormalVec)), normalize(-xeo_vViewPosition.xyz)), 0.0), shininess) * attenuation;");
+                                " * specular * pow(max(dot(reflect(normalize(-viewLightVec), normalize(-viewNormalVec)), normalize(-xeo_vViewPosition.xyz)), 0.0), shininess) * attenuation" + shadowed + ";");
                         }
 
                         if (light.type === "dir") {
 
                             add("dotN = max(dot(normalize(viewNormalVec), normalize(viewLightVec)), 0.0);");
 
-                            add("diffuseLight += dotN * xeo_uLightColor" + i + ";");
+                            add("diffuseLight += dotN * xeo_uLightColor" + i + shadowed + ";");
+
+                            add("specularLight += specular * xeo_uLightIntensity" + i +
+                                " * pow(max(dot(reflect(normalize(-viewLightVec), normalize(-viewNormalVec)), normalize(-xeo_vViewPosition.xyz)), 0.0), shininess)" + shadowed + ";");
+                        }
+
+                        if (light.type === "spot") {
+
+                            add("dotN = max(dot(normalize(viewNormalVec), normalize(viewLightVec)), 0.0);");
+
+                            add("lightDist = xeo_vViewLightVecAndDist" + i + ".w;");
+
+                            add("attenuation = (1.0 - (" +
+                                "  xeo_uLightAttenuation" + i + "[0] + " +
+                                "  xeo_uLightAttenuation" + i + "[1] * lightDist + " +
+                                "  xeo_uLightAttenuation" + i + "[2] * lightDist * lightDist)) * " +
+                                "  spotFactor(xeo_uLightCone" + i + ", viewLightVec, xeo_vViewLightDir" + i + ");");
+
+                            add("diffuseLight += dotN * xeo_uLightColor" + i + " * attenuation" + shadowed + ";");
 
                             add("specularLight += specular * xeo_uLightIntensity" + i +
-                                " * pow(max(dot(reflect(normalize(-viewLightVec), normalize(-viewNormalVec)), normalize(-xeo_vViewPosition.xyz)), 0.0), shininess);");
+                                " * pow(max(dot(reflect(normalize(-viewLightVec), normalize(-viewNormalVec)), normalize(-xeo_vViewPosition.xyz)), 0.0), shininess) * attenuation" + shadowed + ";");
                         }
                     }
 
                     add("fragColor = vec4(diffuse * diffuseLight, opacity);");
                 //    add("fragColor = vec4((specularLight + diffuse * (diffuseLight + ambient)) + emissive, opacity);");
 
+                    if (reflection) {
+
+                        // Blend environment reflection by material reflectivity
+
+                        add("fragColor.rgb = mix(fragColor.rgb, envColor, clamp(reflectivity, 0.0, 1.0));");
+                    }
+
 
                 } else { // No normals
                     add("fragColor = vec4((diffuse.rgb + (emissive * color.rgb)) * (vec3(1.0, 1.0, 1.0) + ambient.rgb), opacity);");
@@ -892,6 +1208,146 @@
 
             } // if (phongMqterial)
 
+
+            // ------------------- PBRMaterial Shading
+
+            if (pbrMaterial) {
+
+                if (states.geometry.colorBuf) {
+
+                    // Fragment base color from geometry vertex colors
+
+                    add("vec3 baseColor = xeo_vColor.rgb;");
+                } else {
+
+                    // Fragment base color from material
+
+                    add("vec3 baseColor = xeo_uMaterialColor;");
+                }
+
+                // These may be overridden by textures
+
+                add("float metallic = xeo_uMetallic;");
+                add("float roughness = xeo_uMaterialRoughness;");
+                add("vec3 emissive = xeo_uMaterialEmissive;");
+                add("vec3 specular = xeo_uMaterialSpecular;");
+                add("float opacity = xeo_uMaterialOpacity;");
+
+                if (texturing) {
+
+                    var material = states.material;
+
+                    // Roughness and metallic are read from the green and blue
+                    // channels, as packed together by glTF metallic-roughness maps
+
+                    if (material.colorMap) {
+                        add("baseColor = texture2D(xeo_uMaterialColorMap, " + pbrTextureCoord(material.colorMap, "xeo_uMaterialColorMapMatrix") + ").rgb;");
+                    }
+
+                    if (material.emissiveMap) {
+                        add("emissive = texture2D(xeo_uMaterialEmissiveMap, " + pbrTextureCoord(material.emissiveMap, "xeo_uMaterialEmissiveMapMatrix") + ").rgb;");
+                    }
+
+                    if (material.opacityMap) {
+                        add("opacity = texture2D(xeo_uMaterialOpacityMap, " + pbrTextureCoord(material.opacityMap, "xeo_uMaterialOpacityMapMatrix") + ").b;");
+                    }
+
+                    if (material.roughnessMap) {
+                        add("roughness = texture2D(xeo_uMaterialRoughnessMap, " + pbrTextureCoord(material.roughnessMap, "xeo_uMaterialRoughnessMapMatrix") + ").g;");
+                    }
+
+                    if (material.metallicMap) {
+                        add("metallic = texture2D(xeo_uMaterialMetallicMap, " + pbrTextureCoord(material.metallicMap, "xeo_uMaterialMetallicMapMatrix") + ").b;");
+                    }
+
+                    if (material.specularMap) {
+                        add("specular = texture2D(xeo_uMaterialSpecularMap, " + pbrTextureCoord(material.specularMap, "xeo_uMaterialSpecularMapMatrix") + ").rgb;");
+                    }
+                }
+
+                add("metallic = clamp(metallic, 0.0, 1.0);");
+
+                // Perfectly smooth surfaces would give infinitely small highlights
+
+                add("roughness = clamp(roughness, 0.04, 1.0);");
+
+                add("vec4 fragColor;");
+
+                if (normals) {
+
+                    add("vec3 viewNormalVec = normalize(xeo_vViewNormal);");
+
+                    if (normalMapping) {
+                        add("viewNormalVec = perturbNormal(xeo_vViewPosition.xyz, viewNormalVec, " +
+                            "texture2D(xeo_uMaterialNormalMap, " + pbrTextureCoord(states.material.normalMap, "xeo_uMaterialNormalMapMatrix") + ").xyz * 2.0 - 1.0);");
+                    }
+
+                    add("vec3 viewEyeVec = normalize(-xeo_vViewPosition.xyz);");
+
+                    // Metals have no diffuse reflection, and reflect specularly in their base color,
+                    // while dielectrics reflect about 4% specularly
+
+                    add("vec3 diffuseColor = baseColor * (1.0 - metallic);");
+                    add("vec3 specularColor = mix(specular * 0.04, baseColor, metallic);");
+
+                    add("vec3 outgoingLight = diffuseColor * ambient;");
+                    add("vec3 viewLightVec;");
+                    add("float lightDist;");
+                    add("float attenuation;");
+
+                    if (shadows) {
+                        add("float shadow;");
+                    }
+
+                    var light;
+                    var shadowed;
+
+                    for (var i = 0, len = states.lights.lights.length; i < len; i++) {
+
+                        light = states.lights.lights[i];
+
+                        if (light.type === "ambient") {
+                            continue;
+                        }
+
+                        add("viewLightVec = xeo_vViewLightVecAndDist" + i + ".xyz;");
+
+                        shadowed = light.shadow ? " * shadow" : "";
+
+                        if (light.shadow) {
+                            add("shadow = xeo_uModesReceiveShadow ? getShadow" + i + "() : 1.0;");
+                        }
+
+                        if (light.type === "dir") {
+                            add("attenuation = 1.0;");
+                        }
+
+                        if (light.type === "point" || light.type === "spot") {
+
+                            add("lightDist = xeo_vViewLightVecAndDist" + i + ".w;");
+
+                            add("attenuation = 1.0 - (" +
+                                "  xeo_uLightAttenuation" + i + "[0] + " +
+                                "  xeo_uLightAttenuation" + i + "[1] * lightDist + " +
+                                "  xeo_uLightAttenuation" + i + "[2] * lightDist * lightDist);");
+                        }
+
+                        if (light.type === "spot") {
+                            add("attenuation *= spotFactor(xeo_uLightCone" + i + ", viewLightVec, xeo_vViewLightDir" + i + ");");
+                        }
+
+                        add("outgoingLight += pbrLight(viewNormalVec, viewEyeVec, normalize(viewLightVec), diffuseColor, specularColor, roughness)" +
+                            " * xeo_uLightColor" + i + " * xeo_uLightIntensity" + i + " * attenuation" + shadowed + ";");
+                    }
+
+                    add("fragColor = vec4(outgoingLight + emissive, opacity);");
+
+                } else { // No normals
+                    add("fragColor = vec4(baseColor * (vec3(1.0, 1.0, 1.0) + ambient.rgb) + emissive, opacity);");
+                }
+
+            } // if (pbrMaterial)
+
             if (depthTarget) {
                 add("if (xeo_uDepthMode) {");
                 add("  float depth = length(xeo_vViewPosition) / (xeo_uZFar - xeo_uZNear);");
@@ -905,6 +1361,9 @@
                 add("} else {");
                 add("  gl_FragColor = fragColor;");
                 add("};");
+
+            } else if (phongMaterial || pbrMaterial) {
+                add("gl_FragColor = fragColor;");
             }
 
             add("}");
@@ -913,7 +1372,169 @@
         }
 
 
+        // Appends GLSL functions which return the fraction of the fragment that's lit
+        // by each light source that casts shadows, using percentage-closer filtering
+        function composeShadowFunctions() {
+
+            add("uniform bool xeo_uModesReceiveShadow;");
+
+            // Unpacks depth values that were packed into shadow maps by the picking fragment shader
+
+            add("float unpackDepth(const in vec4 rgba) {");
+            add("  const vec4 bitShift = vec4(1.0 / (256.0 * 256.0 * 256.0), 1.0 / (256.0 * 256.0), 1.0 / 256.0, 1.0);");
+            add("  return dot(rgba, bitShift);");
+            add("}");
+
+            var light;
+
+            for (var i = 0, len = states.lights.lights.length; i < len; i++) {
+
+                light = states.lights.lights[i];
+
+                if (!light.shadow) {
+                    continue;
+                }
+
+                add("float getShadow" + i + "() {");
+
+                if (light.type === "dir") {
+
+                    // Sample a 3x3 texel neighbourhood, spread out by the softness
+
+                    add("  vec4 shadowCoord = xeo_uShadowMatrix" + i + " * xeo_vWorldPosition;");
+                    add("  shadowCoord.xyz /= shadowCoord.w;");
+                    add("  if (shadowCoord.x < 0.0 || shadowCoord.x > 1.0 || shadowCoord.y < 0.0 || shadowCoord.y > 1.0 || shadowCoord.z > 1.0) {");
+                    add("    return 1.0;"); // Outside the shadow map
+                    add("  }");
+                    add("  vec2 offset = vec2(xeo_uShadowParams" + i + ".y * xeo_uShadowParams" + i + ".z);");
+                    add("  float lit = 0.0;");
+                    add("  for (int x = -1; x <= 1; x++) {");
+                    add("    for (int y = -1; y <= 1; y++) {");
+                    add("      float depth = unpackDepth(texture2D(xeo_uShadowMap" + i + ", shadowCoord.xy + vec2(float(x), float(y)) * offset));");
+                    add("      lit += (shadowCoord.z - xeo_uShadowParams" + i + ".x > depth) ? 0.0 : 1.0;");
+                    add("    }");
+                    add("  }");
+                    add("  return lit / 9.0;");
+                }
+
+                if (light.type === "point") {
+
+                    // Sample the corners of a small cube around the lookup vector,
+                    // sized in texels at the fragment's distance, times the softness
+
+                    add("  vec3 lightToFrag = xeo_vWorldPosition.xyz - xeo_uShadowLightPos" + i + ".xyz;");
+                    add("  float dist = length(lightToFrag);");
+                    add("  float fragDepth = dist / xeo_uShadowLightPos" + i + ".w;");
+                    add("  if (fragDepth > 1.0) {");
+                    add("    return 1.0;"); // Beyond the range of the shadow
+                    add("  }");
+                    add("  float offset = xeo_uShadowParams" + i + ".y * xeo_uShadowParams" + i + ".z * 2.0 * dist;");
+                    add("  float lit = 0.0;");
+                    add("  for (int x = 0; x < 2; x++) {");
+                    add("    for (int y = 0; y < 2; y++) {");
+                    add("      for (int z = 0; z < 2; z++) {");
+                    add("        vec3 lookup = lightToFrag + (vec3(float(x), float(y), float(z)) * 2.0 - 1.0) * offset;");
+                    add("        float depth = unpackDepth(textureCube(xeo_uShadowMap" + i + ", lookup));");
+                    add("        lit += (fragDepth - xeo_uShadowParams" + i + ".x > depth) ? 0.0 : 1.0;");
+                    add("      }");
+                    add("    }");
+                    add("  }");
+                    add("  return lit / 8.0;");
+                }
+
+                add("}");
+            }
+        }
+
         // Start fresh program source
+        // Composes a function that finds the fraction of a spot light's illumination
+        // that falls on a fragment, fading from the inner cone to the outer cone
+
+        function composeSpotFunctions() {
+
+            add("float spotFactor(vec2 cone, vec3 viewLightVec, vec3 viewLightDir) {");
+            add("  float spotCos = dot(normalize(-viewLightVec), normalize(viewLightDir));");
+            add("  return smoothstep(cone.y, cone.x, spotCos);");
+            add("}");
+        }
+
+        // Composes a function that finds the light reflected from a fragment by a light source,
+        // using a Cook-Torrance BRDF, with GGX normal distribution, Schlick-GGX geometry
+        // and Schlick Fresnel terms
+
+        function composePBRFunctions() {
+
+            add("const float PI = 3.14159265359;");
+
+            add("vec3 pbrLight(vec3 N, vec3 V, vec3 L, vec3 diffuseColor, vec3 specularColor, float roughness) {");
+
+            add("  vec3 H = normalize(L + V);");
+
+            add("  float dotNL = max(dot(N, L), 0.0);");
+            add("  float dotNV = max(dot(N, V), 0.0001);");
+            add("  float dotNH = max(dot(N, H), 0.0);");
+            add("  float dotVH = max(dot(V, H), 0.0);");
+
+            // Normal distribution
+
+            add("  float alpha = roughness * roughness;");
+            add("  float alpha2 = alpha * alpha;");
+            add("  float denom = dotNH * dotNH * (alpha2 - 1.0) + 1.0;");
+            add("  float D = alpha2 / (PI * denom * denom);");
+
+            // Geometric shadowing and masking
+
+            add("  float k = (roughness + 1.0) * (roughness + 1.0) / 8.0;");
+            add("  float G = (dotNL / (dotNL * (1.0 - k) + k)) * (dotNV / (dotNV * (1.0 - k) + k));");
+
+            // Fresnel
+
+            add("  vec3 F = specularColor + (1.0 - specularColor) * pow(1.0 - dotVH, 5.0);");
+
+            add("  vec3 specularTerm = (D * G * F) / max(4.0 * dotNL * dotNV, 0.0001);");
+
+            // Scaled by PI so that a white Lambertian surface facing
+            // a light reflects the light's color, as with PhongMaterial
+
+            add("  return ((vec3(1.0) - F) * diffuseColor + PI * specularTerm) * dotNL;");
+            add("}");
+        }
+
+        // Returns the GLSL expression for the UV coordinate
+        // at which to sample the given PBRMaterial map
+        function pbrTextureCoord(map, matrixName) {
+            return map.matrix ? "(" + matrixName + " * vec4(xeo_vUV, 1.0, 1.0)).xy" : "xeo_vUV";
+        }
+
+        // Perturbs a View-space normal by a tangent-space normal map sample, finding the
+        // tangent frame from the derivatives of the View-space position and UV coordinate
+        function composeNormalMapFunctions() {
+
+            add("vec3 perturbNormal(vec3 viewPosition, vec3 normal, vec3 mapNormal) {");
+            add("  vec3 q0 = dFdx(viewPosition);");
+            add("  vec3 q1 = dFdy(viewPosition);");
+            add("  vec2 st0 = dFdx(xeo_vUV);");
+            add("  vec2 st1 = dFdy(xeo_vUV);");
+            add("  vec3 S = normalize(q0 * st1.t - q1 * st0.t);");
+            add("  vec3 T = normalize(-q0 * st1.s + q1 * st0.s);");
+            add("  return normalize(mat3(S, T, normal) * mapNormal);");
+            add("}");
+        }
+
+        // Declares the four column vectors of a per-instance matrix attribute,
+        // since WebGL 1 can't step a mat4 attribute as one instanced array
+        function addModelMatrixAttributes(name) {
+            for (var i = 0; i < 4; i++) {
+                add("attribute vec4 " + name + i + ";");
+            }
+        }
+
+        // Returns GLSL that assembles a mat4 from the column
+        // vectors declared by #addModelMatrixAttributes
+        function composeModelMatrix(name) {
+            return "mat4(" + name + "0, " + name + "1, " + name + "2, " + name + "3)";
+        }
+
         function begin() {
             src = [""];
         }
@@ -4,6 +4,12 @@
 
     XEO.renderer = XEO.renderer || {};
 
+    // Size of the occlusion depth buffer, relative to the drawing buffer
+    var OCCLUSION_BUFFER_SCALE = 0.25;
+
+    // Allowance for depth precision when testing boundaries against the occlusion depth buffer
+    var OCCLUSION_DEPTH_EPSILON = 0.00001;
+
     /**
      * @class Renderer compiled from a {@link SceneJS.Scene}, providing methods to render and pick.
      *
@@ -67,6 +73,28 @@
      * for colour-indexed GPU picking, along with a "draw" list for normal image rendering. The chunks in these lists
      * are held in the state-sorted order of their objects in #_objectList, with runs of duplicate states removed.</p>
      *
+     * <h2>Instancing</h2>
+     * <p>Where the WebGL context supports ANGLE_instanced_arrays, each run of objects in the state-sorted object list that
+     * differ only by their modelling transforms is put in the draw list as a single batch, which draws those objects as
+     * instances with one draw call. The batch feeds the objects' modelling matrices and pick colors to its program as
+     * per-instance vertex attributes, so that picking and per-object visibility still work. The count of draw calls
+     * saved this way is tracked on #instancedDrawsSaved.</p>
+     *
+     * <h2>Frustum Culling</h2>
+     * <p>Objects whose {@link XEO.renderer.Cull} state is flagged as culled are left out of the draw and pick lists,
+     * while still being put in the shadow draw list when they cast shadows. The Renderer does not test objects against
+     * the view frustum itself; that's done by {@link XEO.FrustumCulling}, which flags the states. The counts of culled
+     * and drawn objects are tracked on #objectsCulled and #objectsDrawn.</p>
+     *
+     * <h2>Occlusion Culling</h2>
+     * <p>While #occlusionCulling is true, each time the image is drawn, the opaque objects that were not occluded
+     * last time are first drawn as packed depth values into a low-resolution depth buffer, which is read back. Then the
+     * World-space boundary of each object that's drawn without a render target, given on its {@link XEO.renderer.Cull}
+     * state, is projected into the depth buffer and the object is flagged as occluded if the depth buffer is nearer than
+     * the boundary wherever the boundary covers it. The draw chunks of occluded objects are then skipped within #_doDrawList,
+     * and an instancing batch is skipped when all of its instances are occluded. Since WebGL 1 provides no occlusion queries,
+     * this is done entirely with the depth buffer. The count of occluded objects is tracked on #objectsOccluded.</p>
+     *
      * <p>After a scene update, we set a flag on the display to indicate the stage we will need to redo from. The pipeline is
      * then lazy-redone on the next call to #render or #pick.</p>
      */
@@ -113,12 +141,68 @@
         this._pickDrawList = [];  // State chunk list to render scene to pick buffer
         this._pickDrawListLen = 0;
 
+        this._shadowDrawList = [];  // State chunk list to render shadow-casting objects to shadow maps
+        this._shadowDrawListLen = 0;
+
+        this._occlusionDrawList = [];  // State chunk list to render opaque objects to the occlusion depth buffer
+        this._occlusionDrawListLen = 0;
+
+        // Objects to test for occlusion, and the batches that draw them
+        this._occlusionTestList = [];
+        this._occlusionTestListLen = 0;
+        this._occlusionBatches = [];
+
+        // Passes that render objects to render targets before the draw list, in dependency order
+        this._targetPasses = [];
+
+        // Pseudo-objects which each draw a run of objects in the object list as instances,
+        // with a single instanced draw call, mapped to their XEO.renderer.Object#instanceKey
+        this._batches = {};
+
+        /**
+         * Number of draw calls saved by drawing objects as instances,
+         * as of the last time the draw list was built.
+         * @type Number
+         */
+        this.instancedDrawsSaved = 0;
+
+        /**
+         * Number of visible objects that were culled for being outside the view
+         * frustum, as of the last time the draw list was built.
+         * @type Number
+         */
+        this.objectsCulled = 0;
+
+        /**
+         * Number of objects that were drawn, as of the last time the draw list was built.
+         * @type Number
+         */
+        this.objectsDrawn = 0;
+
+        /**
+         * Flags whether objects that are hidden behind other objects are culled. See the
+         * "Occlusion Culling" section of the class comment.
+         * @type Boolean
+         */
+        this.occlusionCulling = false;
+
+        /**
+         * Number of objects culled for being hidden behind other objects,
+         * as of the last time the image was drawn.
+         * @type Number
+         */
+        this.objectsOccluded = 0;
+
+        // Shadow states of the light sources that cast shadows onto the visible objects
+        this._shadows = [];
+
 
         // The frame context holds state shared across a single render of the
         // draw list, along with any results of the render, such as pick hits
         this._frameCtx = {
             pickObjects: [], // Pick names of objects hit during pick render
-            canvas: this._canvas
+            canvas: this._canvas,
+            frame: 0 // Counts the frames rendered, so that chunks can do work just once per frame
         };
 
         //----------------- Render states --------------------------------------
@@ -130,6 +214,13 @@
          */
         this.visibility = null;
 
+        /**
+         Culling render state.
+         @property cull
+         @type {renderer.Cull}
+         */
+        this.cull = null;
+
         /**
          Modes render state.
          @property modes
@@ -344,6 +435,31 @@
             this.rayPickBuf.webglRestored(gl);
         }
 
+        if (this._snapshotBuf) {
+            this._snapshotBuf.webglRestored(gl);
+        }
+
+        if (this._occlusionBuf) {
+            this._occlusionBuf.webglRestored(gl);
+        }
+
+        // Instance buffers were lost with the context,
+        // so have them lazy-reallocated when next drawn
+
+        var instances;
+
+        for (var batchId in this._batches) {
+            if (this._batches.hasOwnProperty(batchId)) {
+
+                instances = this._batches[batchId].instances;
+
+                instances.matrixBuf = null;
+                instances.pickColorBuf = null;
+                instances.matrices = null;
+                instances.frame = null;
+            }
+        }
+
         // Need redraw
 
         this.imageDirty = true;
@@ -382,7 +498,15 @@
         object.reflect = this.reflect;
         object.geometry = this.geometry;
         object.visibility = this.visibility;
+        object.cull = this.cull;
         object.modes = this.modes;
+        object.lights = this.lights;
+        object.clips = this.clips;
+        object.morphTargets = this.morphTargets;
+        object.shader = this.shader;
+        object.modelTransform = this.modelTransform;
+        object.viewTransform = this.viewTransform;
+        object.projTransform = this.projTransform;
 
         // Build hash of the object's state configuration. This is used
         // to hash the object's shader so that it may be reused by other
@@ -396,10 +520,11 @@
             this.geometry.hash,
             this.shader.hash,
             this.clips.hash,
-            //this.morphTargets.hash,
+            this.morphTargets.hash,
             this.material.hash,
-            //this.reflect.hash,
-            this.lights.hash
+            this.reflect.hash,
+            this.lights.hash,
+            this.depthTarget.hash
 
         ]).join(";");
 
@@ -432,9 +557,13 @@
         this._setChunk(object, 8, "colorBuf", this.colorBuf);
         this._setChunk(object, 9, "lights", this.lights);
         this._setChunk(object, 10, this.material.type, this.material); // Supports different material systems
-        this._setChunk(object, 11, "clips", this.clips);
-        this._setChunk(object, 12, "geometry", this.geometry);
-        this._setChunk(object, 13, "draw", this.geometry); // Must be last
+        this._setChunk(object, 11, "cubemap", this.reflect); // Must be after material
+        this._setChunk(object, 12, "clips", this.clips);
+        this._setChunk(object, 13, "geometry", this.geometry);
+        this._setChunk(object, 14, "morphTargets", this.morphTargets); // Must be after geometry
+        this._setChunk(object, 15, "draw", this.geometry); // Must be last
+
+        object.instanceKey = this._makeInstanceKey(object);
 
         // At the very least, the object sort order
         // will need be recomputed
@@ -442,6 +571,47 @@
         this.stateOrderDirty = true;
     };
 
+    /**
+     * Makes a key for an object, which is shared by all objects that have the same
+     * states apart from their modelling transforms, and so can be drawn as instances
+     * with a single instanced draw call. Returns null when the object can't be instanced.
+     * @private
+     */
+    XEO.renderer.Renderer.prototype._makeInstanceKey = function (object) {
+
+        if (!object.geometry.indices) {
+            return null;
+        }
+
+        if (object.shader.vertex) {
+
+            // Custom vertex shaders don't read the per-instance modelling matrices
+
+            return null;
+        }
+
+        var key = [object.program.id, object.stage.id];
+        var chunks = object.chunks;
+        var chunk;
+
+        for (var i = 0, len = chunks.length; i < len; i++) {
+
+            if (i === 1 || i === 15) {
+
+                // Skip the "modelTransform" and "draw" chunks,
+                // which are replaced by an "instances" chunk
+
+                continue;
+            }
+
+            chunk = chunks[i];
+
+            key.push(chunk && chunk.state ? chunk.state.id : "");
+        }
+
+        return key.join(";");
+    };
+
     /** Adds a render state chunk to a render graph object.
     */
     XEO.renderer.Renderer.prototype._setChunk = function (object, order, chunkType, state) {
@@ -547,7 +717,20 @@
 
         if (this.imageDirty || params.force) {
 
-            // Render the draw list
+            this._frameCtx.frame++;
+
+            // Render the shadow maps and render targets,
+            // then the draw list, which looks them up
+
+            this._renderShadowMaps();
+
+            this._renderTargets();
+
+            // Find the objects hidden behind others
+
+            if (this.occlusionCulling) {
+                this._cullOccluded();
+            }
 
             this._doDrawList({
                 clear: (params.clear !== false) // Clear buffers by default
@@ -558,6 +741,76 @@
         }
     };
 
+    /**
+     * Renders a frame of the given size into an offscreen buffer and reads it back.
+     *
+     * @param {*} params
+     * @param {Number} params.width Width of the frame.
+     * @param {Number} params.height Height of the frame.
+     * @returns {Uint8Array} The frame's RGBA pixels, in rows from top to bottom.
+     */
+    XEO.renderer.Renderer.prototype.snapshot = function (params) {
+
+        // Bring the draw list and shadow maps up to date
+
+        this.render();
+
+        var gl = this._canvas.gl;
+        var width = params.width;
+        var height = params.height;
+
+        if (!this._snapshotBuf) {
+
+            // The buffer sizes itself to this object
+
+            this._snapshotSize = {
+                width: width,
+                height: height
+            };
+
+            this._snapshotBuf = new XEO.renderer.webgl.RenderBuffer({
+                gl: gl,
+                canvas: this._snapshotSize
+            });
+        }
+
+        this._snapshotSize.width = width;
+        this._snapshotSize.height = height;
+
+        this._snapshotBuf.bind();
+
+        this._doDrawList({
+            clear: true,
+            width: width,
+            height: height
+        });
+
+        var pixels = new Uint8Array(width * height * 4);
+
+        gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+
+        this._snapshotBuf.unbind();
+
+        // WebGL reads rows from the bottom up, so flip them
+
+        var rowSize = width * 4;
+        var row = new Uint8Array(rowSize);
+        var top;
+        var bottom;
+
+        for (var y = 0, halfHeight = Math.floor(height / 2); y < halfHeight; y++) {
+
+            top = y * rowSize;
+            bottom = (height - y - 1) * rowSize;
+
+            row.set(pixels.subarray(top, top + rowSize));
+            pixels.copyWithin(top, bottom, bottom + rowSize);
+            pixels.set(row, bottom);
+        }
+
+        return pixels;
+    };
+
     /**
      * (Re)builds the object list from the object soup.
      */
@@ -613,10 +866,27 @@
         this._objectList.length = this._objectListLen;
 
         this._objectList.sort(function (a, b) {
-            return a.sortKey - b.sortKey;
+
+            // Among objects with equal sort keys, group together
+            // those which can be drawn as instances of each other
+
+            return (a.sortKey - b.sortKey) || compareInstanceKeys(a.instanceKey, b.instanceKey);
         });
     };
 
+    function compareInstanceKeys(a, b) {
+
+        if (a === b) {
+            return 0;
+        }
+
+        if (!a || !b) {
+            return a ? 1 : -1;
+        }
+
+        return a < b ? -1 : 1;
+    }
+
     /**
      * Logs the object to the console for debugging
      */
@@ -639,33 +909,45 @@
 
         this._lastChunkId = this._lastChunkId || [];
         this._lastPickChunkId = this._lastPickChunkId || [];
+        this._lastShadowChunkId = this._lastShadowChunkId || [];
+        this._lastOcclusionChunkId = this._lastOcclusionChunkId || [];
 
         for (var i = 0; i < 20; i++) {
             this._lastChunkId[i] = null;
             this._lastPickChunkId[i] = null;
+            this._lastShadowChunkId[i] = null;
+            this._lastOcclusionChunkId[i] = null;
         }
 
         this._drawListLen = 0;
         this._pickDrawListLen = 0;
+        this._shadowDrawListLen = 0;
+        this._occlusionDrawListLen = 0;
+
+        this._occlusionTestListLen = 0;
+        this._occlusionBatches.length = 0;
 
-        // For each render target, a list of objects to render to that target
-        var targetObjectLists = {};
+        this._shadows = [];
 
-        // A list of all the render target object lists
-        var targetListList = [];
+        // A pass for each active render target, to render the
+        // objects attached to that target, mapped to the target ID
 
-        // List of all targets
-        var targetList = [];
+        var targetPasses = {};
+        var targetPassList = [];
 
         var object;
-        var targets;
-        var target;
-        var list;
 
 
         this._objectDrawList = this._objectDrawList || [];
         this._objectDrawListLen = 0;
 
+        // Objects outside the view frustum, which may still
+        // cast shadows onto objects inside the view frustum
+        var culledShadowCasters = [];
+
+        this.objectsCulled = 0;
+        this.objectsDrawn = 0;
+
         for (var i = 0, len = this._objectListLen; i < len; i++) {
 
             object = this._objectList[i];
@@ -676,105 +958,699 @@
                 continue;
             }
 
-            // Put objects with render targets into a bin for each target
+            // Cull objects outside the view frustum
+
+            if (object.cull && object.cull.culled) {
 
-            if (object.colorTarget || object.depthTarget) {
+                this.objectsCulled++;
 
-                if (object.colorTarget) {
+                if (!hasActiveTarget(object) && object.modes.castShadow !== false) {
+                    culledShadowCasters.push(object);
+                }
 
-                    target = object.colorTarget;
+                continue;
+            }
 
-                    list = targetObjectLists[target.id];
+            this.objectsDrawn++;
 
-                    if (!list) {
+            // Find the shadows cast onto the object
 
-                        list = [];
+            this._collectShadows(object);
 
-                        targetObjectLists[target.id] = list;
+            // Put objects with active render targets into the pass for each target
 
-                        targetListList.push(list);
+            if (hasActiveTarget(object)) {
 
-                        targetList.push(this._chunkFactory.getChunk("renderTarget", object, object.program, target));
-                    }
+                if (object.colorTarget && object.colorTarget.active) {
+                    this._appendObjectToTargetPass(this._getTargetPass(object.colorTarget, targetPasses, targetPassList), object);
+                }
 
-                    list.push(object);
+                if (object.depthTarget && object.depthTarget.active) {
+                    this._appendObjectToTargetPass(this._getTargetPass(object.depthTarget, targetPasses, targetPassList), object);
                 }
 
-                if (object.depthTarget) {
+            } else {
 
-                    target = object.colorTarget;
+                // Put objects without render targets into their own list
 
-                    list = targetObjectLists[target.id];
+                this._objectDrawList[this._objectDrawListLen++] = object;
+            }
+        }
 
-                    if (!list) {
+        // Order the passes so that each target is rendered
+        // before the passes whose textures sample it
 
-                        list = [];
+        this._targetPasses = sortTargetPasses(targetPassList, targetPasses);
 
-                        targetObjectLists[target.id] = list;
+        // Append chunks for objects not in render targets, replacing each run
+        // of objects that differ only by their modelling transforms with
+        // a batch that draws them all as instances
 
-                        targetListList.push(list);
+        var instancing = !!this._canvas.gl.getExtension("ANGLE_instanced_arrays");
+        var batchCounts = {};
+        var batchesUsed = {};
+        var batch;
+        var pickable;
+        var j;
 
-                        targetList.push(this._chunkFactory.getChunk("renderTarget", object, object.program, target));
-                    }
+        this.instancedDrawsSaved = 0;
+
+        for (var i = 0, len = this._objectDrawListLen; i < len; i = j) {
+
+            object = this._objectDrawList[i];
 
-                    list.push(object);
+            j = i + 1;
+
+            if (instancing && object.instanceKey) {
+                while (j < len && this._objectDrawList[j].instanceKey === object.instanceKey) {
+                    j++;
                 }
+            }
 
-            } else {
+            // Objects that have boundaries can be tested for occlusion
 
-                // Put objects without render targets into their own list
+            for (var k = i; k < j; k++) {
+                if (this._objectDrawList[k].cull && this._objectDrawList[k].cull.aabb) {
+                    this._occlusionTestList[this._occlusionTestListLen++] = this._objectDrawList[k];
+                }
+            }
 
-                this._objectDrawList[this._objectDrawListLen++] = object;
+            if (j - i > 1) {
+
+                // Runs with the same key may occur more than once
+                // in the object list, eg. within different layers
+
+                batchCounts[object.instanceKey] = (batchCounts[object.instanceKey] || 0) + 1;
+
+                batch = this._getBatch(object.instanceKey + "#" + batchCounts[object.instanceKey], object);
+
+                this._setBatchInstances(batch, i, j);
+
+                batchesUsed[batch.id] = true;
+
+                this.instancedDrawsSaved += j - i - 1;
+
+                this._occlusionBatches.push(batch);
+
+                object = batch;
             }
+
+            pickable = !object.stage || (object.stage && object.stage.pickable); // We'll only pick objects in pickable stages
+
+            this._appendObjectToDrawLists(object, pickable);
+
+            if (object.modes.castShadow !== false) {
+                this._appendObjectToShadowDrawList(object);
+            }
+
+            // Transparent objects don't hide anything
+
+            if (!object.modes.transparent) {
+                this._appendObjectToOcclusionDrawList(object);
+            }
+        }
+
+        for (var i = 0, len = culledShadowCasters.length; i < len; i++) {
+            this._appendObjectToShadowDrawList(culledShadowCasters[i]);
         }
 
-        // Append chunks for objects within render targets first
+        // Release batches for runs that no longer exist
 
-        var pickable;
+        for (var batchId in this._batches) {
+            if (this._batches.hasOwnProperty(batchId) && !batchesUsed[batchId]) {
+                this._putBatch(this._batches[batchId]);
+            }
+        }
+
+        // Draw list is now up to date.
+
+        this.drawListDirty = false;
+    };
+
+
+    /**
+     * Gets a batch that draws objects as instances of the given object, creating it if needed.
+     *
+     * A batch is a pseudo-object with a copy of the object's chunks, compiled against an
+     * instancing variant of its program, in which the object's "modelTransform" and
+     * "draw" chunks are replaced by a single "instances" chunk.
+     *
+     * @param {String} batchId ID of the batch
+     * @param {XEO.renderer.Object} object Object to get the batch's states from
+     * @returns {XEO.renderer.Object} The batch
+     * @private
+     */
+    XEO.renderer.Renderer.prototype._getBatch = function (batchId, object) {
+
+        var batch = this._batches[batchId];
+
+        if (batch) {
+            return batch;
+        }
 
-        for (var i = 0, len = targetListList.length; i < len; i++) {
+        batch = new XEO.renderer.Object(batchId);
+
+        batch.stage = object.stage;
+        batch.layer = object.layer;
+        batch.modes = object.modes;
+        batch.material = object.material;
+        batch.geometry = object.geometry;
+        batch.lights = object.lights;
+
+        batch.hash = object.hash + ";instanced";
+
+        batch.program = this._programFactory.get(batch.hash, {
+            _canvas: this._canvas,
+            geometry: object.geometry,
+            shader: object.shader,
+            clips: object.clips,
+            morphTargets: object.morphTargets,
+            material: object.material,
+            reflect: object.reflect,
+            lights: object.lights,
+            depthTarget: object.depthTarget,
+            instancing: true
+        });
+
+        batch.instances = new XEO.renderer.Instances({
+            geometry: object.geometry,
+            objects: [],
+            numObjects: 0
+        });
 
-            list = targetListList[i];
-            target = targetList[i];
+        var chunks = object.chunks;
+        var chunk;
 
-            this._appendRenderTargetChunk(target);
+        for (var i = 0, len = chunks.length; i < len; i++) {
 
-            for (var j = 0, lenj = list.length; j < lenj; j++) {
+            chunk = chunks[i];
 
-                object = list[j];
+            if (!chunk || i === 1) {
 
-                pickable = object.stage && object.stage.pickable; // We'll only pick objects in pickable stages
+                // Modelling transforms are per-instance
+                // attributes, bound by the "instances" chunk
 
-                this._appendObjectToDrawLists(object, pickable);
+                continue;
             }
+
+            batch.chunks[i] = (i === 15)
+                ? this._chunkFactory.getChunk("instances", batch, batch.program, batch.instances)
+                : this._chunkFactory.getChunk(chunk.type, batch, batch.program, chunk.state);
         }
 
-        if (object) {
+        this._batches[batchId] = batch;
+
+        return batch;
+    };
+
+    /**
+     * Sets the objects that a batch draws as instances
+     * to a range of objects within the object draw list.
+     * @private
+     */
+    XEO.renderer.Renderer.prototype._setBatchInstances = function (batch, start, end) {
+
+        var instances = batch.instances;
 
-            // Unbinds any render target bound previously
+        instances.numObjects = 0;
 
-            this._appendRenderTargetChunk(this._chunkFactory.getChunk("renderTarget", object, object.program, {}));
+        for (var i = start; i < end; i++) {
+            instances.objects[instances.numObjects++] = this._objectDrawList[i];
         }
 
-        // Append chunks for objects not in render targets
+        instances.objects.length = instances.numObjects;
 
-        for (var i = 0, len = this._objectDrawListLen; i < len; i++) {
+        // Force instance matrices to upload on next draw
 
-            object = this._objectDrawList[i];
+        instances.frame = null;
+    };
 
-            pickable = !object.stage || (object.stage && object.stage.pickable); // We'll only pick objects in pickable stages
+    /**
+     * Releases a batch along with its chunks, program and instance buffers.
+     * @private
+     */
+    XEO.renderer.Renderer.prototype._putBatch = function (batch) {
 
-            this._appendObjectToDrawLists(object, pickable);
+        var chunks = batch.chunks;
+
+        for (var i = 0, len = chunks.length; i < len; i++) {
+            if (chunks[i]) {
+                this._chunkFactory.putChunk(chunks[i]);
+            }
         }
 
-        // Draw list is now up to date.
+        this._programFactory.put(batch.program);
 
-        this.drawListDirty = false;
+        var instances = batch.instances;
+
+        if (instances.matrixBuf) {
+            instances.matrixBuf.destroy();
+            instances.pickColorBuf.destroy();
+        }
+
+        instances.destroy();
+
+        delete this._batches[batch.id];
     };
 
+    /**
+     * Gets the pass that renders objects to the given render target, creating it if needed.
+     * @private
+     */
+    XEO.renderer.Renderer.prototype._getTargetPass = function (target, targetPasses, targetPassList) {
+
+        var pass = targetPasses[target.id];
+
+        if (!pass) {
 
-    XEO.renderer.Renderer.prototype._appendRenderTargetChunk = function (chunk) {
-        this._drawList[this._drawListLen++] = chunk;
+            pass = {
+                target: target,
+                drawList: [],
+                drawListLen: 0,
+                lastChunkId: [],
+                dependencies: {} // IDs of the targets sampled by the pass's objects
+            };
+
+            targetPasses[target.id] = pass;
+            targetPassList.push(pass);
+        }
+
+        return pass;
+    };
+
+    /**
+     * Appends an object to the draw list of a render target pass,
+     * noting any render targets that the object's textures sample.
+     * @private
+     */
+    XEO.renderer.Renderer.prototype._appendObjectToTargetPass = function (pass, object) {
+
+        var chunks = object.chunks;
+        var chunk;
+
+        for (var i = 0, len = chunks.length; i < len; i++) {
+
+            chunk = chunks[i];
+
+            if (chunk && chunk.draw) {
+
+                if (chunk.unique || pass.lastChunkId[i] !== chunk.id) {
+
+                    // Don't reapply repeated chunks
+
+                    pass.drawList[pass.drawListLen++] = chunk;
+                    pass.lastChunkId[i] = chunk.id;
+                }
+            }
+        }
+
+        var material = object.material;
+        var value;
+
+        for (var key in material) {
+            if (material.hasOwnProperty(key)) {
+
+                value = material[key];
+
+                if (value instanceof XEO.renderer.Texture && value.target) {
+                    pass.dependencies[value.target.id] = true;
+                }
+            }
+        }
+    };
+
+    /**
+     * Renders the objects attached to active render targets, into those
+     * targets, so that their textures are ready for the draw list.
+     * @private
+     */
+    XEO.renderer.Renderer.prototype._renderTargets = function () {
+
+        var pass;
+        var renderBuf;
+
+        for (var i = 0, len = this._targetPasses.length; i < len; i++) {
+
+            pass = this._targetPasses[i];
+            renderBuf = pass.target.renderBuf;
+
+            renderBuf.bind();
+
+            this._doDrawList({
+                target: pass,
+                clear: true,
+                width: renderBuf.buffer.width,
+                height: renderBuf.buffer.height
+            });
+
+            renderBuf.unbind();
+        }
+    };
+
+    // Returns true if an object renders to an active render target instead of the canvas
+    function hasActiveTarget(object) {
+        return !!((object.colorTarget && object.colorTarget.active) || (object.depthTarget && object.depthTarget.active));
+    }
+
+    // Orders render target passes so that each pass follows the passes of the targets
+    // that its objects sample. Where passes sample each other in a cycle, the last
+    // pass reached in the cycle goes first, sampling the others' previous images.
+    function sortTargetPasses(passList, passes) {
+
+        var sorted = [];
+        var visited = {};
+
+        function visit(pass) {
+
+            if (visited[pass.target.id]) {
+                return;
+            }
+
+            visited[pass.target.id] = true;
+
+            for (var id in pass.dependencies) {
+                if (pass.dependencies.hasOwnProperty(id) && passes[id]) {
+                    visit(passes[id]);
+                }
+            }
+
+            sorted.push(pass);
+        }
+
+        for (var i = 0, len = passList.length; i < len; i++) {
+            visit(passList[i]);
+        }
+
+        return sorted;
+    }
+
+    /**
+     * Adds the shadows of any shadow-casting light sources on the given
+     * object to the list of shadows to render, if not already in the list.
+     * @param object
+     * @private
+     */
+    XEO.renderer.Renderer.prototype._collectShadows = function (object) {
+
+        if (!object.lights) {
+            return;
+        }
+
+        var lights = object.lights.lights;
+        var shadow;
+
+        for (var i = 0, len = lights.length; i < len; i++) {
+
+            shadow = lights[i].shadow;
+
+            if (shadow && this._shadows.indexOf(shadow) === -1) {
+                this._shadows.push(shadow);
+            }
+        }
+    };
+
+    /**
+     * Appends an object to the shadow draw list.
+     *
+     * Shadow maps are rendered with the objects' pick programs, since
+     * those only need positions, and also output packed depth values.
+     *
+     * @param object
+     * @private
+     */
+    XEO.renderer.Renderer.prototype._appendObjectToShadowDrawList = function (object) {
+
+        var chunks = object.chunks;
+        var chunk;
+
+        for (var i = 0, len = chunks.length; i < len; i++) {
+
+            chunk = chunks[i];
+
+            if (chunk && chunk.pick) {
+
+                if (chunk.unique || this._lastShadowChunkId[i] !== chunk.id) {
+
+                    // Don't reapply repeated chunks
+
+                    this._shadowDrawList[this._shadowDrawListLen++] = chunk;
+                    this._lastShadowChunkId[i] = chunk.id;
+                }
+            }
+        }
+    };
+
+    /**
+     * Appends an object to the occlusion draw list, which renders
+     * depth values with the objects' pick programs.
+     *
+     * @param object
+     * @private
+     */
+    XEO.renderer.Renderer.prototype._appendObjectToOcclusionDrawList = function (object) {
+
+        var chunks = object.chunks;
+        var chunk;
+
+        for (var i = 0, len = chunks.length; i < len; i++) {
+
+            chunk = chunks[i];
+
+            if (chunk && chunk.pick) {
+
+                if (chunk.unique || this._lastOcclusionChunkId[i] !== chunk.id) {
+
+                    // Don't reapply repeated chunks
+
+                    this._occlusionDrawList[this._occlusionDrawListLen++] = chunk;
+                    this._lastOcclusionChunkId[i] = chunk.id;
+                }
+            }
+        }
+    };
+
+    /**
+     * Flags the objects in the occlusion test list that are hidden behind other objects,
+     * by rendering the occluders into a low-resolution depth buffer, then testing
+     * the objects' World-space boundaries against the depth values.
+     * @private
+     */
+    XEO.renderer.Renderer.prototype._cullOccluded = function () {
+
+        var gl = this._canvas.gl;
+
+        if (!this._occlusionBuf) {
+
+            // The buffer sizes itself to this object
+
+            this._occlusionSize = {
+                width: 1,
+                height: 1
+            };
+
+            this._occlusionBuf = new XEO.renderer.webgl.RenderBuffer({
+                gl: gl,
+                canvas: this._occlusionSize
+            });
+        }
+
+        var width = Math.max(1, Math.ceil(gl.drawingBufferWidth * OCCLUSION_BUFFER_SCALE));
+        var height = Math.max(1, Math.ceil(gl.drawingBufferHeight * OCCLUSION_BUFFER_SCALE));
+
+        this._occlusionSize.width = width;
+        this._occlusionSize.height = height;
+
+        // Render depths of the objects that weren't occluded last time,
+        // which are at least those that can occlude anything this time
+
+        this._occlusionBuf.bind();
+
+        this._doDrawList({
+            occlusion: true,
+            clear: true,
+            width: width,
+            height: height
+        });
+
+        if (!this._occlusionPixels || this._occlusionPixels.length !== width * height * 4) {
+            this._occlusionPixels = new Uint8Array(width * height * 4);
+        }
+
+        gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, this._occlusionPixels);
+
+        this._occlusionBuf.unbind();
+
+        // Test each object's boundary against the depths
+
+        var pvMatrices = {};
+        var object;
+        var pvMatrix;
+        var key;
+
+        this.objectsOccluded = 0;
+
+        for (var i = 0, len = this._occlusionTestListLen; i < len; i++) {
+
+            object = this._occlusionTestList[i];
+
+            // Objects often share their view and projection transforms
+
+            key = object.viewTransform.id + "." + object.projTransform.id;
+
+            pvMatrix = pvMatrices[key];
+
+            if (!pvMatrix) {
+                pvMatrix = pvMatrices[key] = XEO.math.mulMat4(object.projTransform.matrix, object.viewTransform.matrix, XEO.math.mat4());
+            }
+
+            object.occluded = isOccluded(object.cull.aabb, pvMatrix, this._occlusionPixels, width, height);
+
+            if (object.occluded) {
+                this.objectsOccluded++;
+            }
+        }
+
+        // A batch can be skipped when all its instances are occluded
+
+        var batch;
+        var instances;
+        var j;
+        var lenj;
+
+        for (var i = 0, len = this._occlusionBatches.length; i < len; i++) {
+
+            batch = this._occlusionBatches[i];
+            instances = batch.instances;
+
+            batch.occluded = true;
+
+            for (j = 0, lenj = instances.numObjects; j < lenj; j++) {
+                if (!instances.objects[j].occluded) {
+                    batch.occluded = false;
+                    break;
+                }
+            }
+        }
+    };
+
+    // Returns true if the depth buffer is nearer than a World-space boundary
+    // throughout the region of the buffer that the boundary projects onto
+
+    function isOccluded(aabb, pvMatrix, pixels, width, height) {
+
+        var m = pvMatrix;
+        var xmin = Infinity;
+        var ymin = Infinity;
+        var xmax = -Infinity;
+        var ymax = -Infinity;
+        var zmin = Infinity;
+        var x, y, z;
+        var cx, cy, cz, cw;
+
+        for (var i = 0; i < 8; i++) {
+
+            x = (i & 1) ? aabb.xmax : aabb.xmin;
+            y = (i & 2) ? aabb.ymax : aabb.ymin;
+            z = (i & 4) ? aabb.zmax : aabb.zmin;
+
+            cx = m[0] * x + m[4] * y + m[8] * z + m[12];
+            cy = m[1] * x + m[5] * y + m[9] * z + m[13];
+            cz = m[2] * x + m[6] * y + m[10] * z + m[14];
+            cw = m[3] * x + m[7] * y + m[11] * z + m[15];
+
+            if (cw <= 0 || cz < -cw) {
+
+                // Boundary reaches through the near clipping plane
+
+                return false;
+            }
+
+            x = cx / cw;
+            y = cy / cw;
+            z = cz / cw;
+
+            if (x < xmin) xmin = x;
+            if (y < ymin) ymin = y;
+            if (x > xmax) xmax = x;
+            if (y > ymax) ymax = y;
+            if (z < zmin) zmin = z;
+        }
+
+        // Window depth of the nearest corner
+
+        var depth = zmin * 0.5 + 0.5 - OCCLUSION_DEPTH_EPSILON;
+
+        // Region of the buffer covered by the boundary
+
+        var left = Math.max(0, Math.floor((xmin * 0.5 + 0.5) * width));
+        var right = Math.min(width - 1, Math.floor((xmax * 0.5 + 0.5) * width));
+        var bottom = Math.max(0, Math.floor((ymin * 0.5 + 0.5) * height));
+        var top = Math.min(height - 1, Math.floor((ymax * 0.5 + 0.5) * height));
+
+        if (left > right || bottom > top) {
+
+            // Off screen, so nothing to occlude it
+
+            return false;
+        }
+
+        var p;
+
+        for (var row = bottom; row <= top; row++) {
+            for (var col = left; col <= right; col++) {
+
+                p = (row * width + col) * 4;
+
+                // Unpack depth, which is most significant in alpha
+
+                if (pixels[p + 3] / 255 +
+                    pixels[p + 2] / (255 * 256) +
+                    pixels[p + 1] / (255 * 65536) +
+                    pixels[p] / (255 * 16777216) >= depth) {
+
+                    return false;
+                }
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Renders the shadow map of each light source that casts shadows onto the
+     * visible objects, rendering each face for a cube shadow map.
+     * @private
+     */
+    XEO.renderer.Renderer.prototype._renderShadowMaps = function () {
+
+        var shadow;
+        var map;
+
+        for (var i = 0, len = this._shadows.length; i < len; i++) {
+
+            shadow = this._shadows[i];
+            map = shadow.map;
+
+            if (!map || shadow.viewMatrices.length === 0) {
+
+                // Shadow not yet fitted to anything
+
+                continue;
+            }
+
+            for (var face = 0, numFaces = shadow.viewMatrices.length; face < numFaces; face++) {
+
+                map.bindFramebuf(face);
+
+                this._doDrawList({
+                    shadow: shadow,
+                    shadowFace: face,
+                    clear: true
+                });
+            }
+
+            map.unbindFramebuf();
+        }
     };
 
     /**
@@ -860,10 +1736,6 @@
                 case "draw":
                     console.log("\n");
                     break;
-
-                case "renderTarget":
-                    console.log(" type = renderTarget");
-                    break;
             }
         }
 
@@ -890,9 +1762,6 @@
                 case "draw":
                     console.log("\n");
                     break;
-                case "renderTarget":
-                    console.log(" type = renderTarget");
-                    break;
             }
         }
 
@@ -1080,6 +1949,12 @@
      * @param {Boolean} params.clear Set true to clear the color, depth and stencil buffers first
      * @param {Boolean} params.pick Set true to render for picking
      * @param {Boolean} params.rayPick Set true to render for ray-picking
+     * @param {Boolean} params.occlusion Set true to render the occlusion draw list as depth values
+     * @param {*} params.target Set to render the draw list of the given render target pass, into its bound render buffer
+     * @param {renderer.Shadow} params.shadow Set to render the shadow draw list into the given shadow map
+     * @param {Number} params.shadowFace Index of the shadow map face to render, when rendering a shadow map
+     * @param {Number} params.width Viewport width, defaults to the drawing buffer width
+     * @param {Number} params.height Viewport height, defaults to the drawing buffer height
      * @private
      */
     XEO.renderer.Renderer.prototype._doDrawList = function (params) {
@@ -1093,10 +1968,14 @@
 
         var frameCtx = this._frameCtx;
 
-        frameCtx.pick = !!params.pick;
-        frameCtx.rayPick = !!params.rayPick;
-        frameCtx.renderTarget = null;
-        frameCtx.renderBuf = null;
+        frameCtx.pick = !!(params.pick || params.shadow || params.occlusion); // Shadow maps and occlusion depths are rendered with pick programs
+        frameCtx.rayPick = !!(params.rayPick || params.occlusion);
+        frameCtx.shadow = !!params.shadow;
+        frameCtx.shadowViewMatrix = params.shadow ? params.shadow.viewMatrices[params.shadowFace || 0] : null;
+        frameCtx.shadowProjMatrix = params.shadow ? params.shadow.projMatrix : null;
+        frameCtx.shadowLightPos = params.shadow ? (params.shadow.type === "point" ? params.shadow.pos : [0, 0, 0, 0]) : null;
+        frameCtx.renderTarget = params.target ? params.target.target : null;
+        frameCtx.depthMode = !!(params.target && params.target.target.type === XEO.renderer.RenderTarget.DEPTH); // Pack depths into colors
         frameCtx.viewMatrix = null;
         frameCtx.projMatrix = null;
         frameCtx.depthbufEnabled = null;
@@ -1111,13 +1990,29 @@
         frameCtx.transparent = false; // True while rendering transparency bin
         frameCtx.ambientColor = this._ambientColor;
 
-        // Set the viewport to the extents of the drawing buffer
+        if (params.shadow) {
 
-        gl.viewport(0, 0, gl.drawingBufferWidth, gl.drawingBufferHeight);
+            // Set the viewport to the extents of the shadow map
+
+            gl.viewport(0, 0, params.shadow.map.size, params.shadow.map.size);
+
+        } else {
+
+            // Set the viewport to the given extents, which default
+            // to the extents of the drawing buffer
+
+            gl.viewport(0, 0, params.width || gl.drawingBufferWidth, params.height || gl.drawingBufferHeight);
+        }
 
         gl.enable(gl.DEPTH_TEST);
 
-        if (this.transparent) {
+        if (params.shadow || params.occlusion || frameCtx.depthMode) {
+
+            // Shadow map, occlusion depth buffer and depth targets are cleared to the furthest depth
+
+            gl.clearColor(1, 1, 1, 1);
+
+        } else if (this.transparent) {
 
             // Canvas is transparent - set clear color with zero alpha
             // to allow background to show through
@@ -1149,7 +2044,45 @@
         // transparent == true will enable blend
         gl.disable(gl.BLEND);
 
-        if (params.pick) {
+        // Skip the draw chunks of occluded objects, while still
+        // applying their state chunks for the objects that follow
+
+        var occlusion = this.occlusionCulling;
+        var chunk;
+        var drawList;
+
+        if (params.shadow) {
+
+            // Render the shadow-casting objects' pick chunks into the shadow map
+
+            for (var i = 0, len = this._shadowDrawListLen; i < len; i++) {
+                this._shadowDrawList[i].pick(frameCtx);
+            }
+
+        } else if (params.target) {
+
+            // Render a render target pass, whose objects aren't tested for occlusion
+
+            drawList = params.target.drawList;
+
+            for (var i = 0, len = params.target.drawListLen; i < len; i++) {
+                drawList[i].draw(frameCtx);
+            }
+
+        } else if (params.occlusion) {
+
+            // Render the opaque objects' pick chunks into the occlusion depth buffer
+
+            for (var i = 0, len = this._occlusionDrawListLen; i < len; i++) {
+
+                chunk = this._occlusionDrawList[i];
+
+                if (!chunk.unique || !chunk.object.occluded) {
+                    chunk.pick(frameCtx);
+                }
+            }
+
+        } else if (params.pick) {
 
             // Pick render
 
@@ -1163,7 +2096,12 @@
                 // Render all pick chunks in the draw list
 
                 for (var i = 0, len = this._pickDrawListLen; i < len; i++) {
-                    this._pickDrawList[i].pick(frameCtx);
+
+                    chunk = this._pickDrawList[i];
+
+                    if (!occlusion || !chunk.unique || !chunk.object.occluded) {
+                        chunk.pick(frameCtx);
+                    }
                 }
             }
 
@@ -1172,16 +2110,17 @@
             // Render the draw chunk list
 
             for (var i = 0, len = this._drawListLen; i < len; i++) {
-                this._drawList[i].draw(frameCtx);
+
+                chunk = this._drawList[i];
+
+                if (!occlusion || !chunk.unique || !chunk.object.occluded) {
+                    chunk.draw(frameCtx);
+                }
             }
         }
 
         gl.flush();
 
-        if (frameCtx.renderBuf) {
-    //        frameCtx.renderBuf.unbind();
-        }
-
 //
 //    var numTextureUnits = gl.getParameter(gl.MAX_TEXTURE_IMAGE_UNITS);
 //    for (var ii = 0; ii < numTextureUnits; ++ii) {
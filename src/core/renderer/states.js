@@ -57,6 +57,22 @@
      */
     XEO.renderer.Visibility = XEO.renderer.State.extend({});
 
+    /**
+
+     Culling state.
+
+     @class renderer.Cull
+     @module XEO
+     @submodule renderer
+     @constructor
+     @param cfg {*} Configs
+     @param cfg.culled {Boolean} Flag which indicates that the associated render objects are outside the view frustum.
+     @param [cfg.aabb] {*} World-space axis-aligned boundary of the associated render objects, which they're tested
+     against for occlusion when present.
+     @extends renderer.State
+     */
+    XEO.renderer.Cull = XEO.renderer.State.extend({});
+
     /**
 
      Modes state.
@@ -146,6 +162,24 @@
      */
     XEO.renderer.Lights = XEO.renderer.State.extend({});
 
+    /**
+
+     Renderer shadow state.
+
+     @class renderer.Shadow
+     @module XEO
+     @submodule renderer
+     @constructor
+     @param cfg {*} Configs
+     @param cfg.type {String} Type of the light source casting the shadow - "dir" or "point".
+     @param cfg.map {renderer.webgl.ShadowMap} The shadow map.
+     @param cfg.params {Array of Number} Depth bias, softness and shadow map texel size.
+     @param cfg.viewMatrices {Array of Array of Number} View matrix for each face of the shadow map.
+     @param cfg.projMatrix {Array of Number} Projection matrix for the faces of the shadow map.
+     @extends renderer.State
+     */
+    XEO.renderer.Shadow = XEO.renderer.State.extend({});
+
     /**
 
      PhongMaterial state.
@@ -159,6 +193,19 @@
      */
     XEO.renderer.PhongMaterial = XEO.renderer.State.extend({});
 
+    /**
+
+     PBRMaterial state.
+
+     @class renderer.PBRMaterial
+     @module XEO
+     @submodule renderer
+     @constructor
+     @param cfg {*} Configs
+     @extends renderer.State
+     */
+    XEO.renderer.PBRMaterial = XEO.renderer.State.extend({});
+
     /**
 
      Environmental reflection state.
@@ -220,6 +267,9 @@
      @submodule renderer
      @constructor
      @param cfg {*} Configs
+     @param cfg.type {Number} Either RenderTarget.COLOR or RenderTarget.DEPTH.
+     @param cfg.active {Boolean} Flag which indicates whether the associated render objects are rendered to this target instead of the canvas.
+     @param cfg.renderBuf {renderer.webgl.RenderBuffer} Buffer that the associated render objects are rendered into.
      @extends renderer.State
      */
     XEO.renderer.RenderTarget = XEO.renderer.State.extend({});
@@ -306,6 +356,22 @@
      */
     XEO.renderer.Geometry = XEO.renderer.State.extend({});
 
+    /**
+
+     Instances state, which the renderer creates for each run of objects
+     that it draws with a single instanced draw call.
+
+     @class renderer.Instances
+     @module XEO
+     @submodule renderer
+     @constructor
+     @param cfg {*} Configs
+     @param cfg.objects {Array of renderer.Object} The objects drawn as instances.
+     @param cfg.numObjects {Number} Number of objects in cfg.objects.
+     @extends renderer.State
+     */
+    XEO.renderer.Instances = XEO.renderer.State.extend({});
+
 })();
 
 
@@ -14,6 +14,11 @@
          */
         this.canvas = cfg.canvas;
 
+        /**
+         * Optional fixed [width, height], which overrides the canvas size when set
+         */
+        this.size = cfg.size || null;
+
         /**
          * WebGL context
          */
@@ -58,8 +63,8 @@
 
     XEO.renderer.webgl.RenderBuffer.prototype._touch = function () {
 
-        var width = this.canvas.width;
-        var height = this.canvas.height;
+        var width = this.size ? this.size[0] : this.canvas.width;
+        var height = this.size ? this.size[1] : this.canvas.height;
 
         if (this.buffer) {
 
@@ -73,7 +78,7 @@
 
             } else {
 
-                // Buffer needs reallocation for new canvas size
+                // Buffer needs reallocation for new size
 
                 this.gl.deleteTexture(this.buffer.texture);
                 this.gl.deleteFramebuffer(this.buffer.framebuf);
@@ -89,6 +94,8 @@
             height: height
         };
 
+        this.allocated = true;
+
         this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, this.buffer.framebuf);
         this.gl.bindTexture(this.gl.TEXTURE_2D, this.buffer.texture);
         this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_MAG_FILTER, this.gl.NEAREST);
@@ -0,0 +1,193 @@
+(function () {
+
+    "use strict";
+
+    /**
+     * Render target for a light source's shadow map.
+     *
+     * This is a square color texture into which the renderer packs depth values as RGBA, along
+     * with a depth renderbuffer for the depth test. When this is a cube shadow map, as used
+     * for point lights, the texture is a cube texture that is rendered one face at a time,
+     * with each face in its own framebuffer.
+     *
+     * Also implements #bind and #unbind for {@link XEO.renderer.webgl.Sampler}, so that the
+     * shadow map may be bound to shaders like any other texture.
+     */
+    XEO.renderer.webgl.ShadowMap = function (gl, cfg) {
+
+        cfg = cfg || {};
+
+        /**
+         * WebGL context
+         */
+        this.gl = gl;
+
+        /**
+         * True when this is a cube shadow map
+         */
+        this.cube = !!cfg.cube;
+
+        /**
+         * Width and height of this shadow map, or of each face when this is a cube shadow map
+         */
+        this.size = cfg.size || 1024;
+
+        /**
+         * True as soon as this shadow map is allocated and ready to go
+         */
+        this.allocated = false;
+
+        /**
+         * Buffer resources, set up in #_touch
+         */
+        this.texture = null;
+        this.framebufs = [];
+        this.renderbuf = null;
+    };
+
+    /**
+     * Called after WebGL context is restored.
+     */
+    XEO.renderer.webgl.ShadowMap.prototype.webglRestored = function (gl) {
+        this.gl = gl;
+        this.texture = null;
+        this.framebufs = [];
+        this.renderbuf = null;
+        this.allocated = false;
+    };
+
+    XEO.renderer.webgl.ShadowMap.prototype._touch = function () {
+
+        if (this.allocated) {
+            return;
+        }
+
+        var gl = this.gl;
+        var size = this.size;
+        var target = this.cube ? gl.TEXTURE_CUBE_MAP : gl.TEXTURE_2D;
+        var numFaces = this.cube ? 6 : 1;
+        var framebuf;
+
+        this.texture = gl.createTexture();
+
+        gl.bindTexture(target, this.texture);
+
+        // Packed depth values can't be interpolated, so no linear filtering
+
+        gl.texParameteri(target, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        gl.texParameteri(target, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(target, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(target, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+        for (var i = 0; i < numFaces; i++) {
+            gl.texImage2D(this.cube ? gl.TEXTURE_CUBE_MAP_POSITIVE_X + i : gl.TEXTURE_2D,
+                0, gl.RGBA, size, size, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+        }
+
+        // Faces are rendered one at a time, so can share a depth buffer
+
+        this.renderbuf = gl.createRenderbuffer();
+
+        gl.bindRenderbuffer(gl.RENDERBUFFER, this.renderbuf);
+        gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT16, size, size);
+
+        for (var i = 0; i < numFaces; i++) {
+
+            framebuf = gl.createFramebuffer();
+
+            gl.bindFramebuffer(gl.FRAMEBUFFER, framebuf);
+            gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0,
+                this.cube ? gl.TEXTURE_CUBE_MAP_POSITIVE_X + i : gl.TEXTURE_2D, this.texture, 0);
+            gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, this.renderbuf);
+
+            var status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+
+            if (status !== gl.FRAMEBUFFER_COMPLETE) {
+                gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+                throw "Incomplete shadow map framebuffer: " + status;
+            }
+
+            this.framebufs.push(framebuf);
+        }
+
+        gl.bindTexture(target, null);
+        gl.bindRenderbuffer(gl.RENDERBUFFER, null);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+        this.allocated = true;
+    };
+
+    /**
+     * Binds the framebuffer for the given face of this shadow map,
+     * which is always face zero when this is not a cube shadow map.
+     */
+    XEO.renderer.webgl.ShadowMap.prototype.bindFramebuf = function (face) {
+
+        this._touch();
+
+        this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, this.framebufs[face || 0]);
+    };
+
+    /**
+     * Unbinds this shadow map's framebuffers
+     */
+    XEO.renderer.webgl.ShadowMap.prototype.unbindFramebuf = function () {
+        this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, null);
+    };
+
+    /**
+     * Binds this shadow map's texture to the given texture unit
+     */
+    XEO.renderer.webgl.ShadowMap.prototype.bind = function (unit) {
+
+        if (!this.allocated) {
+            return false;
+        }
+
+        var gl = this.gl;
+
+        gl.activeTexture(gl["TEXTURE" + unit]);
+        gl.bindTexture(this.cube ? gl.TEXTURE_CUBE_MAP : gl.TEXTURE_2D, this.texture);
+
+        return true;
+    };
+
+    /**
+     * Unbinds this shadow map's texture from the given texture unit
+     */
+    XEO.renderer.webgl.ShadowMap.prototype.unbind = function (unit) {
+
+        if (!this.allocated) {
+            return;
+        }
+
+        var gl = this.gl;
+
+        gl.activeTexture(gl["TEXTURE" + unit]);
+        gl.bindTexture(this.cube ? gl.TEXTURE_CUBE_MAP : gl.TEXTURE_2D, null);
+    };
+
+    /**
+     * Destroys this shadow map
+     */
+    XEO.renderer.webgl.ShadowMap.prototype.destroy = function () {
+
+        if (this.allocated) {
+
+            var gl = this.gl;
+
+            gl.deleteTexture(this.texture);
+            gl.deleteRenderbuffer(this.renderbuf);
+
+            for (var i = 0, len = this.framebufs.length; i < len; i++) {
+                gl.deleteFramebuffer(this.framebufs[i]);
+            }
+
+            this.texture = null;
+            this.framebufs = [];
+            this.renderbuf = null;
+            this.allocated = false;
+        }
+    };
+
+})();
@@ -15,14 +15,37 @@
         this.allocated = true;
     };
 
+    /**
+     * Sets the image for this texture.
+     *
+     * When this is a cube texture, the image is an array of six images for
+     * the +X, -X, +Y, -Y, +Z and -Z faces, in that order.
+     */
     XEO.renderer.webgl.Texture2D.prototype.setImage = function (image) {
 
         var gl = this.gl;
 
         gl.bindTexture(this.target, this.texture);
 
-        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE,
-            XEO.renderer.webgl.ensureImageSizePowerOfTwo(cfg.image));
+        if (this.target === gl.TEXTURE_CUBE_MAP) {
+
+            gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+
+            for (var i = 0; i < 6; i++) {
+                gl.texImage2D(gl.TEXTURE_CUBE_MAP_POSITIVE_X + i, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE,
+                    XEO.renderer.webgl.ensureImageSizePowerOfTwo(image[i]));
+            }
+
+            gl.texParameteri(gl.TEXTURE_CUBE_MAP, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+            gl.texParameteri(gl.TEXTURE_CUBE_MAP, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+            gl.texParameteri(gl.TEXTURE_CUBE_MAP, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+            gl.texParameteri(gl.TEXTURE_CUBE_MAP, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+        } else {
+
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE,
+                XEO.renderer.webgl.ensureImageSizePowerOfTwo(image));
+        }
 
         gl.bindTexture(this.target, null);
     };
@@ -11,8 +11,14 @@
  an existing <a href="http://www.w3.org/TR/html5/scripting-1.html#the-canvas-element">HTMLCanvasElement</a>, then
  the Canvas will bind to that, otherwise the Canvas will automatically create its own.</li>
 
+ <li>A Canvas keeps the size of its drawing buffer matched to the size of
+ the <a href="http://www.w3.org/TR/html5/scripting-1.html#the-canvas-element">HTMLCanvasElement</a> on the page, multiplied
+ by its {{#crossLink "Canvas/pixelRatio:property"}}{{/crossLink}} and {{#crossLink "Canvas/resolutionScale:property"}}{{/crossLink}},
+ checking on each {{#crossLink "Scene/tick:event"}}Scene tick{{/crossLink}}.</li>
+
  <li>A Canvas will fire a {{#crossLink "Canvas/resized:event"}}{{/crossLink}} event whenever
- the <a href="http://www.w3.org/TR/html5/scripting-1.html#the-canvas-element">HTMLCanvasElement</a> resizes.</li>
+ the drawing buffer resizes, upon which each {{#crossLink "Perspective"}}{{/crossLink}} updates its
+ {{#crossLink "Perspective/aspect:property"}}{{/crossLink}} to match.</li>
 
  <li>A Canvas is responsible for obtaining a WebGL context from
  the <a href="http://www.w3.org/TR/html5/scripting-1.html#the-canvas-element">HTMLCanvasElement</a>.</li>
@@ -21,7 +27,11 @@
  lost, and a {{#crossLink "Canvas/webglContextRestored:event"}}{{/crossLink}} when it is restored again.</li>
 
  <li>The various components within the parent {{#crossLink "Scene"}}Scene{{/crossLink}} will transparently recover on
- the {{#crossLink "Canvas/webglContextRestored:event"}}{{/crossLink}} event.</li>
+ the {{#crossLink "Canvas/webglContextRestored:event"}}{{/crossLink}} event, re-creating their geometry buffers, textures,
+ render targets, shadow maps and shader programs.</li>
+
+ <li>To test that recovery, simulate context loss with {{#crossLink "Canvas/loseWebGLContext:method"}}{{/crossLink}}
+ and {{#crossLink "Canvas/restoreWebGLContext:method"}}{{/crossLink}}.</li>
 
  </ul>
 
@@ -76,6 +86,40 @@
 
  // ..and the rest of this example can be the same as the previous example.
 
+ ````
+
+ ## Resolution
+
+ To render at a lower resolution while the frame rate is low, reduce the Canvas's
+ {{#crossLink "Canvas/resolutionScale:property"}}{{/crossLink}}, then raise it again once the frame rate has recovered:
+
+ ```` javascript
+ scene.canvas.resolutionScale = 0.5;
+ ````
+
+ ## Headless rendering
+
+ To render without an HTML canvas in the DOM, such as within a Web Worker or in Node.js, configure the
+ {{#crossLink "Scene"}}{{/crossLink}} with either an
+ <a href="https://developer.mozilla.org/en-US/docs/Web/API/OffscreenCanvas">OffscreenCanvas</a>, or with a WebGL context
+ that you've created yourself, for example with <a href="https://github.com/stackgl/headless-gl">headless-gl</a>.
+
+ The Canvas is then {{#crossLink "Canvas/headless:property"}}{{/crossLink}}, which means that it does not capture input
+ events, and you'll typically grab frames off it with {{#crossLink "Scene/snapshot:method"}}Scene#snapshot{{/crossLink}}.
+
+ ```` javascript
+ // Render to an OffscreenCanvas
+ var scene = new XEO.Scene({
+          canvas: new OffscreenCanvas(800, 600)
+     });
+
+ // Render with a headless-gl context, which has no canvas,
+ // so the Canvas takes its size from the context's drawing buffer
+ var scene2 = new XEO.Scene({
+          gl: require("gl")(800, 600, { preserveDrawingBuffer: true })
+     });
+
+ var pixels = scene2.snapshot({ format: "rgba" });
  ````
  @class Canvas
  @module XEO
@@ -112,8 +156,12 @@
              * then this property will be that element, otherwise it will be a full-page canvas that this Canvas has
              * created by default.
              *
+             * When the {{#crossLink "Scene"}}{{/crossLink}} was configured with an OffscreenCanvas, this is that OffscreenCanvas, and
+             * when configured with a WebGL context that has no canvas, this is a plain object with the context's drawing
+             * buffer ````width```` and ````height````.
+             *
              * @property canvas
-             * @type {HTMLCanvasElement}
+             * @type {HTMLCanvasElement|OffscreenCanvas|*}
              * @final
              */
             this.canvas = null;
@@ -134,7 +182,51 @@
              */
             this.contextAttr = cfg.contextAttr || {};
 
-            if (!cfg.canvas) {
+            /**
+             * True when this Canvas is not bound to an HTML canvas element in the DOM, ie. when it's bound to an
+             * <a href="https://developer.mozilla.org/en-US/docs/Web/API/OffscreenCanvas">OffscreenCanvas</a> or to
+             * an externally supplied WebGL context.
+             *
+             * A headless Canvas does not capture input events.
+             *
+             * @property headless
+             * @type {Boolean}
+             * @final
+             */
+            this.headless = false;
+
+            /**
+             * True while the WebGL context is lost. The {{#crossLink "Scene"}}Scene{{/crossLink}} does not render
+             * or pick until the context is restored again.
+             *
+             * @property contextLost
+             * @type {Boolean}
+             * @final
+             */
+            this.contextLost = false;
+
+            this._loseContextExt = null;
+
+            if (cfg.gl) {
+
+                // WebGL context supplied, eg. from headless-gl,
+                // along with the canvas it draws to, if any
+
+                this.gl = cfg.gl;
+
+                this.canvas = (cfg.canvas && !XEO._isString(cfg.canvas)) ? cfg.canvas : this.gl.canvas;
+
+                if (!this.canvas || XEO._isString(this.canvas)) {
+
+                    // No canvas, so make a stand-in that provides the drawing buffer size
+
+                    this.canvas = {
+                        width: this.gl.drawingBufferWidth,
+                        height: this.gl.drawingBufferHeight
+                    };
+                }
+
+            } else if (!cfg.canvas) {
 
                 // Canvas not supplied, create one automatically
 
@@ -160,9 +252,15 @@
                         this._createCanvas();
                     }
 
+                } else if (cfg.canvas.getContext) {
+
+                    // Canvas element or OffscreenCanvas supplied
+
+                    this.canvas = cfg.canvas;
+
                 } else {
 
-                    this.error("Config 'canvasId' should be a string - "
+                    this.error("Config 'canvas' should be a string ID, an HTMLCanvasElement or an OffscreenCanvas - "
                         + "creating default canvas instead.");
 
                     this._createCanvas();
@@ -176,47 +274,49 @@
                 return;
             }
 
+            // Only DOM elements can be laid out and receive input events
+
+            this.headless = !this.canvas.getBoundingClientRect;
+
             // If the canvas uses css styles to specify the sizes make sure the basic
             // width and height attributes match or the WebGL context will use 300 x 150
 
-            this.canvas.width = this.canvas.clientWidth;
-            this.canvas.height = this.canvas.clientHeight;
+            this.resolutionScale = cfg.resolutionScale;
+            this.pixelRatio = cfg.pixelRatio;
 
             // Get WebGL context
 
-            this._initWebGL();
-
-            // Bind context loss and recovery handlers
+            if (!this.gl) {
+                this._initWebGL();
+            }
 
             var self = this;
 
-            this.canvas.addEventListener("webglcontextlost",
-                function () {
+            // Bind context loss and recovery handlers, which we
+            // can't do for a context that has no canvas to fire them
 
-                    /**
-                     * Fired wheneber the WebGL context has been lost
-                     * @event webglContextLost
-                     */
-                    self.fire("webglContextLost");
-                },
-                false);
+            if (this.canvas.addEventListener) {
 
-            this.canvas.addEventListener("webglcontextrestored",
-                function () {
-                    self._initWebGL();
-                    if (self.gl) {
+                this.canvas.addEventListener("webglcontextlost",
+                    function (e) {
 
-                        /**
-                         * Fired whenever the WebGL context has been restored again after having previously being lost
-                         * @event webglContextRestored
-                         * @param value The WebGL context object
-                         */
-                        self.fire("webglContextRestored", self.gl);
-                    }
-                },
-                false);
+                        // Tell the browser that we'll handle recovery,
+                        // otherwise it won't restore the context
+
+                        e.preventDefault();
 
-            // Publish canvas size changes on each scene tick
+                        self._webglContextLost();
+                    },
+                    false);
+
+                this.canvas.addEventListener("webglcontextrestored",
+                    function () {
+                        self._webglContextRestored();
+                    },
+                    false);
+            }
+
+            // Track the element size and publish canvas size changes on each scene tick
 
             var lastWidth = this.canvas.width;
             var lastHeight = this.canvas.height;
@@ -226,11 +326,17 @@
 
                     var canvas = self.canvas;
 
+                    self._updateSize();
+
                     if (canvas.width !== lastWidth || canvas.height !== lastHeight) {
 
                         lastWidth = canvas.width;
                         lastHeight = canvas.height;
 
+                        // Resizing clears the drawing buffer
+
+                        self.scene._renderer.imageDirty = true;
+
                         /**
                          * Fired whenever the canvas has resized
                          * @event resized
@@ -246,9 +352,220 @@
                     }
                 });
 
-            this.canvas.oncontextmenu = function (e) {
-                e.preventDefault();
-            };
+            if (!this.headless) {
+                this.canvas.oncontextmenu = function (e) {
+                    e.preventDefault();
+                };
+            }
+        },
+
+        // Sizes the drawing buffer to the element size, scaled by the
+        // pixel ratio and resolution scale, unless this Canvas is headless
+
+        _updateSize: function () {
+
+            if (this.headless) {
+                return;
+            }
+
+            var canvas = this.canvas;
+            var clientWidth = canvas.clientWidth;
+            var clientHeight = canvas.clientHeight;
+
+            if (!clientWidth || !clientHeight) {
+
+                // Element is hidden or not laid out yet
+
+                return;
+            }
+
+            var scale = this.pixelRatio * this._resolutionScale;
+            var width = Math.max(1, Math.round(clientWidth * scale));
+            var height = Math.max(1, Math.round(clientHeight * scale));
+
+            if (canvas.width !== width || canvas.height !== height) {
+                canvas.width = width;
+                canvas.height = height;
+            }
+        },
+
+        // Returns the size of the element in CSS pixels, which is the space of the
+        // Canvas coordinates given by Input, or the drawing buffer size when headless
+
+        _getClientSize: function () {
+
+            var canvas = this.canvas;
+
+            if (this.headless || !canvas.clientWidth || !canvas.clientHeight) {
+                return [canvas.width, canvas.height];
+            }
+
+            return [canvas.clientWidth, canvas.clientHeight];
+        },
+
+        _props: {
+
+            /**
+             * Ratio of drawing buffer pixels to CSS pixels.
+             *
+             * When you don't set this, it follows the browser's ````window.devicePixelRatio````, so that the canvas stays
+             * sharp on high-DPI displays and as the user zooms the page.
+             *
+             * Canvas-space coordinates, such as those given by {{#crossLink "Input"}}{{/crossLink}} and taken by
+             * {{#crossLink "Scene/pick:method"}}Scene#pick{{/crossLink}}, are in CSS pixels, whatever the pixel ratio.
+             *
+             * Has no effect when this Canvas is {{#crossLink "Canvas/headless:property"}}{{/crossLink}}, since its drawing
+             * buffer size is then up to you.
+             *
+             * Fires a {{#crossLink "Canvas/pixelRatio:event"}}{{/crossLink}} event on change.
+             *
+             * @property pixelRatio
+             * @default window.devicePixelRatio
+             * @type Number
+             */
+            pixelRatio: {
+
+                set: function (value) {
+
+                    this._pixelRatio = value || null;
+
+                    this._updateSize();
+
+                    /**
+                     * Fired whenever this Canvas's {{#crossLink "Canvas/pixelRatio:property"}}{{/crossLink}} property changes.
+                     * @event pixelRatio
+                     * @param value The property's new value
+                     */
+                    this.fire("pixelRatio", this.pixelRatio);
+                },
+
+                get: function () {
+                    return this._pixelRatio || (typeof window !== "undefined" && window.devicePixelRatio) || 1;
+                }
+            },
+
+            /**
+             * Factor by which this Canvas scales its drawing buffer resolution, on top of
+             * its {{#crossLink "Canvas/pixelRatio:property"}}{{/crossLink}}.
+             *
+             * Reduce this to trade image quality for speed, for example while the frame rate is low, and raise it
+             * again when the frame rate recovers.
+             *
+             * Has no effect when this Canvas is {{#crossLink "Canvas/headless:property"}}{{/crossLink}}.
+             *
+             * Fires a {{#crossLink "Canvas/resolutionScale:event"}}{{/crossLink}} event on change.
+             *
+             * @property resolutionScale
+             * @default 1.0
+             * @type Number
+             */
+            resolutionScale: {
+
+                set: function (value) {
+
+                    value = value || 1.0;
+
+                    if (value < 0) {
+                        this.error("Unsupported value for 'resolutionScale': " + value + " - should be greater than zero. Defaulting to 1.0.");
+                        value = 1.0;
+                    }
+
+                    this._resolutionScale = value;
+
+                    this._updateSize();
+
+                    /**
+                     * Fired whenever this Canvas's {{#crossLink "Canvas/resolutionScale:property"}}{{/crossLink}} property changes.
+                     * @event resolutionScale
+                     * @param value The property's new value
+                     */
+                    this.fire("resolutionScale", this._resolutionScale);
+                },
+
+                get: function () {
+                    return this._resolutionScale;
+                }
+            }
+        },
+
+        _webglContextLost: function () {
+
+            this.contextLost = true;
+
+            /**
+             * Fired whenever the WebGL context has been lost
+             * @event webglContextLost
+             */
+            this.fire("webglContextLost", true, true);
+        },
+
+        _webglContextRestored: function () {
+
+            this.contextLost = false;
+
+            this._initWebGL();
+
+            if (this.gl) {
+
+                /**
+                 * Fired whenever the WebGL context has been restored again after having previously being lost
+                 * @event webglContextRestored
+                 * @param value The WebGL context object
+                 */
+                this.fire("webglContextRestored", this.gl, true);
+            }
+        },
+
+        /**
+         * Simulates loss of the WebGL context, for testing how your application recovers.
+         *
+         * Uses the WebGL ````WEBGL_lose_context```` extension where available, which really loses the context and fires
+         * {{#crossLink "Canvas/webglContextLost:event"}}{{/crossLink}} asynchronously, like the browser would. Otherwise, such
+         * as for a context without a canvas, fires {{#crossLink "Canvas/webglContextLost:event"}}{{/crossLink}} immediately
+         * while the context remains usable, which still exercises the recovery of the {{#crossLink "Scene"}}Scene{{/crossLink}}'s
+         * components.
+         *
+         * Call {{#crossLink "Canvas/restoreWebGLContext:method"}}{{/crossLink}} afterwards to restore the context.
+         *
+         * @method loseWebGLContext
+         */
+        loseWebGLContext: function () {
+
+            if (this.contextLost) {
+                return;
+            }
+
+            var ext = this.canvas.addEventListener ? this.gl.getExtension("WEBGL_lose_context") : null;
+
+            if (ext) {
+                this._loseContextExt = ext;
+                ext.loseContext();
+
+            } else {
+                this._loseContextExt = null;
+                this._webglContextLost();
+            }
+        },
+
+        /**
+         * Restores the WebGL context after a call to {{#crossLink "Canvas/loseWebGLContext:method"}}{{/crossLink}}, upon
+         * which this Canvas fires {{#crossLink "Canvas/webglContextRestored:event"}}{{/crossLink}} and the
+         * {{#crossLink "Scene"}}Scene{{/crossLink}}'s components re-create their WebGL resources.
+         *
+         * @method restoreWebGLContext
+         */
+        restoreWebGLContext: function () {
+
+            if (!this.contextLost) {
+                return;
+            }
+
+            if (this._loseContextExt) {
+                this._loseContextExt.restoreContext();
+
+            } else {
+                this._webglContextRestored();
+            }
         },
 
         /**
@@ -7,8 +7,18 @@
  <ul>
  <li>A ColorTarget provides the pixel colors as a dynamic color image that may be consumed by {{#crossLink "Texture"}}Textures{{/crossLink}}.</li>
  <li>ColorTarget is not to be confused with {{#crossLink "ColorBuf"}}ColorBuf{{/crossLink}}, which configures ***how*** the pixel colors are written with respect to the WebGL color buffer.</li>
- <li>Use {{#crossLink "Stage"}}Stages{{/crossLink}} when you need to ensure that a ColorTarget is rendered before
- the {{#crossLink "Texture"}}Textures{{/crossLink}} that consume it.</li>
+ <li>The {{#crossLink "GameObject"}}GameObjects{{/crossLink}} attached to each ColorTarget are rendered in a separate pass, before
+ the {{#crossLink "GameObject"}}GameObjects{{/crossLink}} that are rendered to the canvas.</li>
+ <li>The passes are ordered automatically, so that when the {{#crossLink "GameObject"}}GameObjects{{/crossLink}} of one ColorTarget
+ have {{#crossLink "Texture"}}Textures{{/crossLink}} that consume another ColorTarget, the other ColorTarget is rendered first.
+ When ColorTargets consume each other in a cycle, some of them will show the image from the previous frame.</li>
+ <li>A {{#crossLink "GameObject"}}{{/crossLink}} must not have a {{#crossLink "Texture"}}{{/crossLink}} that consumes the
+ ColorTarget it is attached to.</li>
+ <li>Each {{#crossLink "GameObject"}}{{/crossLink}} is rendered from the viewpoint of its own {{#crossLink "Camera"}}{{/crossLink}}, so to show
+ a scene from another viewpoint, create {{#crossLink "GameObject"}}GameObjects{{/crossLink}} that share the
+ {{#crossLink "Geometry"}}Geometries{{/crossLink}} and {{#crossLink "Material"}}Materials{{/crossLink}} of the originals,
+ with another {{#crossLink "Camera"}}{{/crossLink}} and the ColorTarget attached.</li>
+ <li>A ColorTarget has the same resolution as the canvas, unless you set its {{#crossLink "ColorTarget/size:property"}}{{/crossLink}}.</li>
  <li>For special effects, we often use ColorTargets and {{#crossLink "Texture"}}Textures{{/crossLink}} in combination
  with {{#crossLink "DepthTarget"}}DepthTargets{{/crossLink}} and {{#crossLink "Shader"}}Shaders{{/crossLink}}.</li>
  </ul>
@@ -18,43 +28,55 @@
  ## Example
 
  In this example we essentially have one {{#crossLink "GameObject"}}{{/crossLink}}
- that's rendered to a {{#crossLink "Texture"}}{{/crossLink}}, which is then applied to a second {{#crossLink "GameObject"}}{{/crossLink}}.
+ that's rendered to a {{#crossLink "Texture"}}{{/crossLink}}, which is then applied to a second {{#crossLink "GameObject"}}{{/crossLink}},
+ like the picture on a security camera monitor.
 
  The scene contains:
 
  <ul>
  <li>a ColorTarget,</li>
  <li>a {{#crossLink "Geometry"}}{{/crossLink}} that is the default box shape,
+ <li>a {{#crossLink "Camera"}}{{/crossLink}} that views the first {{#crossLink "GameObject"}}{{/crossLink}},</li>
  <li>a {{#crossLink "GameObject"}}{{/crossLink}} that renders the {{#crossLink "Geometry"}}{{/crossLink}} pixel color values to the ColorTarget,</li>
  <li>a {{#crossLink "Texture"}}{{/crossLink}} that sources its pixels from the ColorTarget,</li>
- <li>a {{#crossLink "Material"}}{{/crossLink}} that includes the {{#crossLink "Texture"}}{{/crossLink}}, and</li>
- <li>a second {{#crossLink "GameObject"}}{{/crossLink}} that renders the {{#crossLink "Geometry"}}{{/crossLink}}, with the {{#crossLink "Material"}}{{/crossLink}} applied to it.</li>
+ <li>a {{#crossLink "PhongMaterial"}}{{/crossLink}} that has the {{#crossLink "Texture"}}{{/crossLink}} as its diffuse map, and</li>
+ <li>a second {{#crossLink "GameObject"}}{{/crossLink}} that renders the {{#crossLink "Geometry"}}{{/crossLink}}, with the {{#crossLink "PhongMaterial"}}{{/crossLink}} applied to it.</li>
  </ul>
 
 
  ````javascript
  var scene = new XEO.Scene();
 
- var colorTarget = new XEO.ColorTarget(scene);
+ // 256x256 pixels, regardless of the canvas size
+
+ var colorTarget = new XEO.ColorTarget(scene, {
+    size: [256, 256]
+ });
 
  var geometry = new XEO.Geometry(scene); // Defaults to a 2x2x2 box
 
- // First Object renders to the ColorTarget
+ var securityCamera = new XEO.Camera(scene, {
+    view: new XEO.Lookat(scene, {
+        eye: [5, 5, 5],
+        look: [0, 0, 0]
+    })
+ });
+
+ // First Object renders to the ColorTarget, as seen by the security camera
 
  var object1 = new XEO.GameObject(scene, {
+    camera: securityCamera,
     geometry: geometry,
     colorTarget: colorTarget
-});
+ });
 
  var texture = new XEO.Texture(scene, {
     target: colorTarget
-});
+ });
 
  var material = new XEO.PhongMaterial(scene, {
-    textures: [
-        texture
-    ]
-});
+    diffuseMap: texture
+ });
 
  // Second Object is textured with the
  // image of the first Object
@@ -62,7 +84,7 @@
  var object2 = new XEO.GameObject(scene, {
     geometry: geometry,  // Reuse our simple box geometry
     material: material
-});
+ });
  ````
 
  @class ColorTarget
@@ -74,6 +96,10 @@
  @param [cfg] {*} ColorTarget configuration
  @param [cfg.id] {String} Optional ID, unique among all components in the parent {{#crossLink "Scene"}}Scene{{/crossLink}}, generated automatically when omitted.
  @param [cfg.meta] {String:Object} Optional map of user-defined metadata to attach to this ColorTarget.
+ @param [cfg.size=null] {Array of Number} Resolution of this ColorTarget, as [width, height] in pixels. Follows the
+ size of the canvas when null.
+ @param [cfg.active=true] {Boolean} Whether or not this ColorTarget is active. When inactive, the attached
+ {{#crossLink "GameObject"}}GameObjects{{/crossLink}} are rendered to the canvas instead.
  @extends Component
  */
 (function () {
@@ -84,26 +110,114 @@
 
         type: "XEO.ColorTarget",
 
-        _init: function () {
+        _init: function (cfg) {
+
+            var canvas = this.scene.canvas;
 
-          var canvas = this.scene.canvas;
+            this._state = new XEO.renderer.RenderTarget({
 
-          this._state = new XEO.renderer.RenderTarget({
+                type: XEO.renderer.RenderTarget.COLOR,
 
-              type: XEO.renderer.RenderTarget.COLOR,
+                active: null,
 
-              renderBuf: new XEO.renderer.webgl.RenderBuffer({
-                  canvas: canvas.canvas,
-                  gl: canvas.gl
-              })
-          });
+                renderBuf: new XEO.renderer.webgl.RenderBuffer({
+                    canvas: canvas.canvas,
+                    gl: canvas.gl
+                })
+            });
 
-          var self = this;
+            var self = this;
 
-          this._webglContextRestored = canvas.on("webglContextRestored",
-              function () {
-                  self._state.renderBuf.webglRestored(canvas.gl);
-              });
+            this._webglContextRestored = canvas.on("webglContextRestored",
+                function () {
+                    self._state.renderBuf.webglRestored(canvas.gl);
+                });
+
+            this.size = cfg.size;
+            this.active = cfg.active;
+        },
+
+        _props: {
+
+            /**
+             * Resolution of this ColorTarget, as [width, height] in pixels.
+             *
+             * Follows the size of the canvas when null.
+             *
+             * Fires a {{#crossLink "ColorTarget/size:event"}}{{/crossLink}} event on change.
+             *
+             * @property size
+             * @default null
+             * @type {Array of Number}
+             */
+            size: {
+
+                set: function (value) {
+
+                    value = value || null;
+
+                    if (value && (value[0] < 1 || value[1] < 1)) {
+                        this.error("Unsupported value for 'size': " + value + " - width and height should be at least 1");
+                        value = null;
+                    }
+
+                    this._state.renderBuf.size = value;
+
+                    this._renderer.imageDirty = true;
+
+                    /**
+                     * Fired whenever this ColorTarget's {{#crossLink "ColorTarget/size:property"}}{{/crossLink}} property changes.
+                     *
+                     * @event size
+                     * @param value The property's new value
+                     */
+                    this.fire("size", value);
+                },
+
+                get: function () {
+                    return this._state.renderBuf.size;
+                }
+            },
+
+            /**
+             * Flag which indicates whether this ColorTarget is active or not.
+             *
+             * When inactive, the attached {{#crossLink "GameObject"}}GameObjects{{/crossLink}} are rendered to the canvas instead.
+             *
+             * Fires an {{#crossLink "ColorTarget/active:event"}}{{/crossLink}} event on change.
+             *
+             * @property active
+             * @default true
+             * @type Boolean
+             */
+            active: {
+
+                set: function (value) {
+
+                    value = value !== false;
+
+                    if (this._state.active === value) {
+                        return;
+                    }
+
+                    this._state.active = value;
+
+                    // Attached GameObjects move between the canvas and this target
+
+                    this.fire("dirty", true);
+
+                    /**
+                     * Fired whenever this ColorTarget's {{#crossLink "ColorTarget/active:property"}}{{/crossLink}} property changes.
+                     * @event active
+                     * @param value The property's new value
+                     */
+                    this.fire('active', this._state.active);
+                },
+
+                get: function () {
+                    return this._state.active;
+                }
+            }
         },
 
         _compile: function () {
@@ -111,7 +225,16 @@
         },
 
         _getJSON: function () {
-            return {};
+
+            var json = {
+                active: this._state.active
+            };
+
+            if (this._state.renderBuf.size) {
+                json.size = this._state.renderBuf.size;
+            }
+
+            return json;
         },
 
         _destroy: function () {
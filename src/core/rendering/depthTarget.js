@@ -9,8 +9,10 @@
  <ul>
  <li>A DepthTarget provides the pixel depths as a dynamic color-encoded image that may be fed into {{#crossLink "Texture"}}Textures{{/crossLink}}.</li>
  <li>DepthTarget is not to be confused with {{#crossLink "DepthBuf"}}DepthBuf{{/crossLink}}, which configures ***how*** the pixel depths are written with respect to the WebGL depth buffer.</li>
- <li>Use {{#crossLink "Stage"}}Stages{{/crossLink}} when you need to ensure that a DepthTarget is rendered before
- the {{#crossLink "Texture"}}Textures{{/crossLink}} that consume it.</li>
+ <li>Like {{#crossLink "ColorTarget"}}ColorTargets{{/crossLink}}, the {{#crossLink "GameObject"}}GameObjects{{/crossLink}} attached to
+ each DepthTarget are rendered in a separate pass, and the passes are ordered automatically so that each DepthTarget is
+ rendered before the passes whose {{#crossLink "Texture"}}Textures{{/crossLink}} consume it.</li>
+ <li>A DepthTarget has the same resolution as the canvas, unless you set its {{#crossLink "DepthTarget/size:property"}}{{/crossLink}}.</li>
  <li>For special effects, we often use DepthTargets and {{#crossLink "Texture"}}Textures{{/crossLink}} in combination
  with {{#crossLink "ColorTarget"}}ColorTargets{{/crossLink}} and {{#crossLink "Shader"}}Shaders{{/crossLink}}.</li>
  </ul>
@@ -57,9 +59,7 @@
 
  // Material contains our Texture
  var material = new XEO.PhongMaterial(scene, {
-    textures: [
-        texture
-    ]
+    diffuseMap: texture
 });
 
  // Second Object is effectively textured with the color-encoded
@@ -78,6 +78,10 @@
  @param [cfg] {*} DepthTarget configuration
  @param [cfg.id] {String} Optional ID, unique among all components in the parent {{#crossLink "Scene"}}Scene{{/crossLink}}, generated automatically when omitted.
  @param [cfg.meta] {String:Object} Optional map of user-defined metadata to attach to this DepthTarget.
+ @param [cfg.size=null] {Array of Number} Resolution of this DepthTarget, as [width, height] in pixels. Follows the
+ size of the canvas when null.
+ @param [cfg.active=true] {Boolean} Whether or not this DepthTarget is active. When inactive, the attached
+ {{#crossLink "GameObject"}}GameObjects{{/crossLink}} are rendered to the canvas instead.
 
  @extends Component
  */
@@ -89,7 +93,7 @@
 
         type: "XEO.DepthTarget",
 
-        _init: function () {
+        _init: function (cfg) {
 
             var canvas = this.scene.canvas;
 
@@ -97,6 +101,8 @@
 
                 type: XEO.renderer.RenderTarget.DEPTH,
 
+                active: null,
+
                 renderBuf: new XEO.renderer.webgl.RenderBuffer({
                     canvas: canvas.canvas,
                     gl: canvas.gl
@@ -109,6 +115,95 @@
                 function () {
                     self._state.renderBuf.webglRestored(canvas.gl);
                 });
+
+            this.size = cfg.size;
+            this.active = cfg.active;
+        },
+
+        _props: {
+
+            /**
+             * Resolution of this DepthTarget, as [width, height] in pixels.
+             *
+             * Follows the size of the canvas when null.
+             *
+             * Fires a {{#crossLink "DepthTarget/size:event"}}{{/crossLink}} event on change.
+             *
+             * @property size
+             * @default null
+             * @type {Array of Number}
+             */
+            size: {
+
+                set: function (value) {
+
+                    value = value || null;
+
+                    if (value && (value[0] < 1 || value[1] < 1)) {
+                        this.error("Unsupported value for 'size': " + value + " - width and height should be at least 1");
+                        value = null;
+                    }
+
+                    this._state.renderBuf.size = value;
+
+                    this._renderer.imageDirty = true;
+
+                    /**
+                     * Fired whenever this DepthTarget's {{#crossLink "DepthTarget/size:property"}}{{/crossLink}} property changes.
+                     *
+                     * @event size
+                     * @param value The property's new value
+                     */
+                    this.fire("size", value);
+                },
+
+                get: function () {
+                    return this._state.renderBuf.size;
+                }
+            },
+
+            /**
+             * Flag which indicates whether this DepthTarget is active or not.
+             *
+             * When inactive, the attached {{#crossLink "GameObject"}}GameObjects{{/crossLink}} are rendered to the canvas instead.
+             *
+             * Fires an {{#crossLink "DepthTarget/active:event"}}{{/crossLink}} event on change.
+             *
+             * @property active
+             * @default true
+             * @type Boolean
+             */
+            active: {
+
+                set: function (value) {
+
+                    value = value !== false;
+
+                    if (this._state.active === value) {
+                        return;
+                    }
+
+                    this._state.active = value;
+
+                    // Attached GameObjects need shaders that
+                    // write depths only while we're active
+
+                    this._state.hash = value ? "depth" : "";
+
+                    this.fire("dirty", true);
+
+                    /**
+                     * Fired whenever this DepthTarget's {{#crossLink "DepthTarget/active:property"}}{{/crossLink}} property changes.
+                     * @event active
+                     * @param value The property's new value
+                     */
+                    this.fire('active', this._state.active);
+                },
+
+                get: function () {
+                    return this._state.active;
+                }
+            }
         },
 
         _compile: function () {
@@ -116,7 +211,16 @@
         },
 
         _getJSON: function () {
-            return {};
+
+            var json = {
+                active: this._state.active
+            };
+
+            if (this._state.renderBuf.size) {
+                json.size = this._state.renderBuf.size;
+            }
+
+            return json;
         },
 
         _destroy: function () {
@@ -32,7 +32,9 @@
     clipping true,              // Enable effect of XEO.Clip components
     transparent : false,        // Disable transparency
     backfaces : true,           // Render backfaces
-    frontface : "ccw"
+    frontface : "ccw",
+    castShadow: true,           // Cast shadows
+    receiveShadow: true         // Receive shadows
  });
 
  // Create two GameObjects whose rendering modes will be controlled by our Modes
@@ -80,6 +82,8 @@
  (ie. where opacity of 0.0 indicates maximum translucency and opacity of 1.0 indicates minimum translucency).
  @param [cfg.backfaces=true] {Boolean} Whether to render {{#crossLink "Geometry"}}Geometry{{/crossLink}} backfaces.
  @param [cfg.frontface="ccw"] {Boolean} The winding order for {{#crossLink "Geometry"}}Geometry{{/crossLink}} front faces - "cw" for clockwise, or "ccw" for counter-clockwise.
+ @param [cfg.castShadow=true] {Boolean} Whether to cast shadows from light sources that have a {{#crossLink "Shadow"}}{{/crossLink}}.
+ @param [cfg.receiveShadow=true] {Boolean} Whether to receive shadows from light sources that have a {{#crossLink "Shadow"}}{{/crossLink}}.
  @extends Component
  */
 (function () {
@@ -97,7 +101,9 @@
                 clipping: true,
                 transparent: false,
                 backfaces: false,
-                frontface: true // Boolean for speed; true == "ccw", false == "cw"
+                frontface: true, // Boolean for speed; true == "ccw", false == "cw"
+                castShadow: true,
+                receiveShadow: true
             });
 
             this.picking = cfg.picking;
@@ -105,6 +111,8 @@
             this.transparent = cfg.transparent;
             this.backfaces = cfg.backfaces;
             this.frontface = cfg.frontface;
+            this.castShadow = cfg.castShadow;
+            this.receiveShadow = cfg.receiveShadow;
         },
 
         _props: {
@@ -278,6 +286,72 @@
                 get: function () {
                     return this._state.frontface ? "ccw" : "cw";
                 }
+            },
+
+            /**
+             Whether attached {{#crossLink "GameObject"}}GameObjects{{/crossLink}} cast shadows.
+
+             Shadows are cast from light sources that have a {{#crossLink "Shadow"}}{{/crossLink}}.
+
+             Fires a {{#crossLink "Modes/castShadow:event"}}{{/crossLink}} event on change.
+
+             @property castShadow
+             @default true
+             @type Boolean
+             */
+            castShadow: {
+
+                set: function (value) {
+
+                    this._state.castShadow = value !== false;
+
+                    this._renderer.drawListDirty = true;
+
+                    /**
+                     Fired whenever this Modes' {{#crossLink "Modes/castShadow:property"}}{{/crossLink}} property changes.
+
+                     @event castShadow
+                     @param value The property's new value
+                     */
+                    this.fire("castShadow", this._state.castShadow);
+                },
+
+                get: function () {
+                    return this._state.castShadow;
+                }
+            },
+
+            /**
+             Whether attached {{#crossLink "GameObject"}}GameObjects{{/crossLink}} receive shadows.
+
+             Shadows are cast from light sources that have a {{#crossLink "Shadow"}}{{/crossLink}}.
+
+             Fires a {{#crossLink "Modes/receiveShadow:event"}}{{/crossLink}} event on change.
+
+             @property receiveShadow
+             @default true
+             @type Boolean
+             */
+            receiveShadow: {
+
+                set: function (value) {
+
+                    this._state.receiveShadow = value !== false;
+
+                    this._renderer.imageDirty = true;
+
+                    /**
+                     Fired whenever this Modes' {{#crossLink "Modes/receiveShadow:property"}}{{/crossLink}} property changes.
+
+                     @event receiveShadow
+                     @param value The property's new value
+                     */
+                    this.fire("receiveShadow", this._state.receiveShadow);
+                },
+
+                get: function () {
+                    return this._state.receiveShadow;
+                }
             }
         },
 
@@ -291,7 +365,9 @@
                 clipping: this._state.clipping,
                 transparent: this._state.transparent,
                 backfaces: this._state.backfaces,
-                frontface: this._state.frontface
+                frontface: this._state.frontface,
+                castShadow: this._state.castShadow,
+                receiveShadow: this._state.receiveShadow
             };
         },
 
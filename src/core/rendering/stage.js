@@ -8,7 +8,8 @@
  <li>When the parent {{#crossLink "Scene"}}Scene{{/crossLink}} renders, each Stage renders its bin
  of {{#crossLink "GameObject"}}GameObjects{{/crossLink}} in turn, from the lowest priority Stage to the highest.</li>
 
- <li>Stages are typically used for ordering the render-to-texture steps in posteffects pipelines.</li>
+ <li>You don't need Stages to render {{#crossLink "ColorTarget"}}ColorTargets{{/crossLink}} and {{#crossLink "DepthTarget"}}DepthTargets{{/crossLink}}
+ before the {{#crossLink "Texture"}}Textures{{/crossLink}} that consume them, since they are always rendered first, in passes of their own.</li>
 
  <li>You can control the render order of the individual {{#crossLink "GameObject"}}GameObjects{{/crossLink}} ***within*** a Stage
  by associating them with {{#crossLink "Layer"}}Layers{{/crossLink}}.</li>
@@ -27,54 +28,34 @@
 
  ## Example
 
- In this example we're performing render-to-texture using {{#crossLink "ColorTarget"}}ColorTarget{{/crossLink}} and
- {{#crossLink "Texture"}}Texture{{/crossLink}} components.
-
- Note how we use two prioritized Stages, to ensure that the {{#crossLink "ColorTarget"}}ColorTarget{{/crossLink}} is
- rendered ***before*** the {{#crossLink "Texture"}}Texture{{/crossLink}} that consumes it.
+ In this example we have two prioritized Stages, to ensure that the first {{#crossLink "GameObject"}}GameObject{{/crossLink}}
+ is rendered ***before*** the second.
 
  ````javascript
  var scene = new XEO.Scene();
 
- // First stage: an Object that renders to a ColorTarget
+ var geometry = new XEO.Geometry(scene); // Geometry with no parameters defaults to a 2x2x2 box
+
+ // First stage: an Object that's rendered first
 
  var stage1 = new XEO.Stage(scene, {
        priority: 0
   });
 
- var geometry = new XEO.Geometry(scene); // Geometry with no parameters defaults to a 2x2x2 box
-
- var colorTarget = new XEO.ColorTarget(scene);
-
  var object1 = new XEO.GameObject(scene, {
        stage: stage1,
-       geometry: geometry,
-       colorTarget: colorTarget
+       geometry: geometry
   });
 
-
- // Second stage: an Object with a Texture that sources from the ColorTarget
+ // Second stage: an Object that's rendered after the first
 
  var stage2 = new XEO.Stage(scene, {
        priority: 1
   });
 
- var texture = new XEO.Texture(scene, {
-       target: colorTarget
-  });
-
- var material = new XEO.PhongMaterial(scene, {
-       textures: [
-           texture
-       ]
-  });
-
- var geometry2 = new XEO.Geometry(scene);
-
  var object2 = new XEO.GameObject(scene, {
        stage: stage2,
-       material: material,
-       geometry: geometry2
+       geometry: geometry
   });
  ````
 
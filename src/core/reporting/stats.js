@@ -72,6 +72,10 @@
  | "numGeometries" | Number of {{#crossLink "Geometry"}}Geometrys{{/crossLink}} in the {{#crossLink "Scene"}}Scene{{/crossLink}} |
  | "numTextures"  | Number of {{#crossLink "Texture"}}Textures{{/crossLink}} in the {{#crossLink "Scene"}}Scene{{/crossLink}}  |
  | "numGameObjects"  | Number of {{#crossLink "GameObject"}}GameObjects{{/crossLink}} in the {{#crossLink "Scene"}}Scene{{/crossLink}}  |
+ | "instancedDrawsSaved"  | Number of draw calls saved by drawing {{#crossLink "GameObject"}}GameObjects{{/crossLink}} that share the same {{#crossLink "Geometry"}}Geometry{{/crossLink}}, {{#crossLink "Material"}}Material{{/crossLink}} and other components, differing only by modelling transform, as instances with a single draw call |
+ | "objectsCulled"  | Number of visible {{#crossLink "GameObject"}}GameObjects{{/crossLink}} that are not drawn because they are outside the view frustum (see {{#crossLink "FrustumCulling"}}{{/crossLink}}) |
+ | "objectsDrawn"  | Number of {{#crossLink "GameObject"}}GameObjects{{/crossLink}} that are drawn |
+ | "objectsOccluded"  | Number of drawn {{#crossLink "GameObject"}}GameObjects{{/crossLink}} that are skipped because they are hidden behind others (see the "occlusionCulling" property in {{#crossLink "Configs"}}{{/crossLink}}) |
 
  @class Stats
  @module XEO
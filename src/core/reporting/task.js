@@ -29,6 +29,34 @@
             this.failed = false;
 
             this.completed = false;
+
+            /**
+             * Progress of this Task, in the range [0..1].
+             *
+             * @property progress
+             * @type Number
+             */
+            this.progress = 0;
+        },
+
+        /**
+         * Sets the progress of this Task.
+         *
+         * Fires a  {{#crossLink "Task/progress:event"}}{{/crossLink}} event on this task, as well as
+         * a {{#crossLink "Tasks/progress:event"}}{{/crossLink}} event on the parent  {{#crossLink "Tasks"}}Tasks{{/crossLink}}.
+         *
+         * @method setProgress
+         * @param {Number} progress Progress in the range [0..1].
+         */
+        setProgress: function (progress) {
+
+            /**
+             * Fired when this Task reports progress.
+             *
+             * @event progress
+             * @param value {Number} The progress, in the range [0..1]
+             */
+            this.fire("progress", this.progress = progress, true);
         },
 
         /**
@@ -89,8 +89,6 @@ myTask2.setFailed();
 
         _init: function (cfg) {
 
-            this._idMap = new XEO.utils.Map();
-
             this.tasks = {};
         },
 
@@ -120,13 +118,13 @@ myTask2.setFailed();
                     this.error("Task " + XEO._inQuotes(params.id) + "already exists");
                     return null;
                 }
-            } else {
-                params.id = this._idMap.addItem({});
             }
 
-            var task = new XEO.Tasks.Task(this, params);
+            // Task ID is generated by the Scene when not supplied
+
+            var task = new XEO.Task(this.scene, params);
 
-            this.tasks[params.id] = task;
+            this.tasks[task.id] = task;
 
             var self = this;
 
@@ -139,7 +137,6 @@ myTask2.setFailed();
             task.on("completed",
                 function () {
                     delete self.tasks[task.id];
-                    self._idMap.removeItem(task.id);
                     self.fire("completed", task, true);
                 });
 
@@ -152,10 +149,20 @@ myTask2.setFailed();
             task.on("failed",
                 function () {
                     delete self.tasks[task.id];
-                    self._idMap.removeItem(task.id);
                     self.fire("failed", task, true);
                 });
 
+            /**
+             * Fired whenever a Task within this Tasks reports progress.
+             *
+             * @event progress
+             * @param {Task} value The task that has progressed
+             */
+            task.on("progress",
+                function () {
+                    self.fire("progress", task, true);
+                });
+
             self.fire("started", task, true);
 
             return task;
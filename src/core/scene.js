@@ -169,11 +169,26 @@
 
  // Create another scene from that JSON, in a fresh canvas:
  var myOtherScene = new XEO.Scene({
-      json: json
+      components: json.components
   });
 
+ // Or replace the contents of an existing scene with it:
+ myThirdScene.load(json);
  ````
 
+ Components are linked to each other by their IDs within the JSON, so their order in the JSON matters, with each
+ component coming after any components it links to. Serialized Scenes list their components in the order they were created,
+ which satisfies that. The Scene's default components are created from the JSON when it contains them, and are
+ created as usual when it does not.
+
+ Loading is validated up front, and will log errors and create nothing if any component has an unknown
+ {{#crossLink "Component/type:property"}}{{/crossLink}}, or if any IDs are duplicated.
+
+ Components that are created by other components are not saved, since those components will create them again when
+ loaded. For example, a {{#crossLink "Group.GLTF"}}{{/crossLink}} saves only its {{#crossLink "Group.GLTF/src:property"}}{{/crossLink}},
+ then imports its components from that file again when loaded. Other components that link to such components won't be
+ able to find them when loaded, and will need to be linked to them again once they have been created.
+
  ***Note:*** this will save your {{#crossLink "Geometry"}}Geometry{{/crossLink}}s' array properties
  ({{#crossLink "Geometry/positions:property"}}positions{{/crossLink}}, {{#crossLink "Geometry/normals:property"}}normals{{/crossLink}},
  {{#crossLink "Geometry/indices:property"}}indices{{/crossLink}} etc) as JSON arrays, which may stress your browser
@@ -185,7 +200,13 @@
  @param [cfg] Scene parameters
  @param [cfg.id] {String} Optional ID, unique among all Scenes in xeoEngine, generated automatically when omitted.
  @param [cfg.meta] {String:Object} Optional map of user-defined metadata to attach to this Scene.
- @param [cfg.canvasId] {String} ID of existing HTML5 canvas in the DOM - creates a full-page canvas automatically if this is omitted
+ @param [cfg.canvas] {String|HTMLCanvasElement|OffscreenCanvas} ID of an existing HTML5 canvas in the DOM, or an HTML5 canvas
+ or OffscreenCanvas - creates a full-page canvas automatically if this is omitted
+ @param [cfg.gl] {WebGLRenderingContext} An externally supplied WebGL context to render with, such as one from headless-gl, for
+ running without a DOM - see {{#crossLink "Canvas"}}{{/crossLink}}
+ @param [cfg.pixelRatio] {Number} Ratio of drawing buffer pixels to CSS pixels for the {{#crossLink "Canvas"}}{{/crossLink}},
+ follows ````window.devicePixelRatio```` when omitted
+ @param [cfg.resolutionScale=1.0] {Number} Factor by which the {{#crossLink "Canvas"}}{{/crossLink}} scales its drawing buffer resolution
  @param [cfg.components] {Array(Object)} JSON array containing parameters for {{#crossLink "Component"}}Component{{/crossLink}} subtypes to immediately create within the Scene.
  @extends Component
  */
@@ -231,6 +252,10 @@
 
             this._componentIDMap = new XEO.utils.Map();
 
+            // Counts component creations, so that components
+            // can be serialized in the order they were created
+            this._nextComponentOrder = 0;
+
             /**
              * The epoch time (in milliseconds since 1970) when this Scene was instantiated.
              *
@@ -276,6 +301,58 @@
             // this._renderer
             this._dirtyObjects = {};
 
+            // Contains XEO.GameObjects whose World-space matrices need
+            // updating because they or their ancestors have moved
+            this._dirtyWorldMatrices = {};
+
+            /**
+             * The root of the hierarchy of {{#crossLink "GameObject"}}GameObjects{{/crossLink}} within this Scene.
+             *
+             * The root's ````children```` are the {{#crossLink "GameObject"}}GameObjects{{/crossLink}} that have no
+             * {{#crossLink "GameObject/parent:property"}}{{/crossLink}}. Use the root's ````addChild```` method to detach
+             * a {{#crossLink "GameObject"}}{{/crossLink}} from its parent, and its ````traverse```` method to visit every
+             * {{#crossLink "GameObject"}}{{/crossLink}} in the hierarchy, depth-first:
+             *
+             * ````javascript
+             * scene.root.traverse(function (object) {
+             *     //...
+             * });
+             * ````
+             *
+             * @property root
+             * @type {*}
+             * @final
+             */
+            this.root = {
+
+                children: [],
+
+                addChild: function (object) {
+
+                    if (XEO._isNumeric(object) || XEO._isString(object)) {
+                        object = self.components[object];
+                    }
+
+                    if (!object || object.type !== "XEO.GameObject") {
+                        self.error("Child is not a XEO.GameObject");
+                        return;
+                    }
+
+                    object.parent = null;
+
+                    return object;
+                },
+
+                traverse: function (callback) {
+
+                    var children = this.children.slice();
+
+                    for (var i = 0, len = children.length; i < len; i++) {
+                        children[i].traverse(callback);
+                    }
+                }
+            };
+
             /**
              * Configurations for this Scene. Set whatever properties on here
              * that will be useful to the components within the Scene.
@@ -292,13 +369,20 @@
              * @type {Canvas}
              */
             this.canvas = new XEO.Canvas(this, {
-                canvas: cfg.canvas, // Can be canvas ID, canvas element, or null
-                contextAttr: cfg.contextAttr || {}
+                canvas: cfg.canvas, // Can be canvas ID, canvas element, OffscreenCanvas, or null
+                gl: cfg.gl, // Can be an externally supplied WebGL context, or null
+                contextAttr: cfg.contextAttr || {},
+                pixelRatio: cfg.pixelRatio,
+                resolutionScale: cfg.resolutionScale
             });
 
+            var headless = this.canvas.headless;
+
             this.canvas.on("webglContextFailed",
                 function () {
-                    alert("xeoEngine failed to find WebGL!");
+                    if (!headless) {
+                        alert("xeoEngine failed to find WebGL!");
+                    }
                 });
 
             // The core WebGL renderer
@@ -307,6 +391,22 @@
                 transparent: cfg.transparent
             });
 
+            // Rebuild the renderer's shader programs and pick buffers after
+            // context loss; components restore their own WebGL resources
+
+            this.canvas.on("webglContextRestored",
+                function () {
+                    self._renderer.webglRestored();
+                });
+
+            // Switch the renderer's occlusion culling on and off
+
+            this.configs.on("occlusionCulling",
+                function (value) {
+                    self._renderer.occlusionCulling = !!value;
+                    self._renderer.imageDirty = true;
+                });
+
             /**
              * Publishes input events that occur on this Scene's canvas.
              * @final
@@ -315,7 +415,8 @@
              * @final
              */
             this.input = new XEO.Input(this, {
-                canvas: this.canvas.canvas
+                canvas: this.canvas.canvas,
+                headless: headless
             });
 
             /**
@@ -338,9 +439,23 @@
             this.stats = new XEO.Stats(this, {
                 objects: 0,
                 geometries: 0,
-                textures: 0
+                textures: 0,
+                instancedDrawsSaved: 0,
+                objectsCulled: 0,
+                objectsDrawn: 0,
+                objectsOccluded: 0
             });
 
+            /**
+             * Culls the {{#crossLink "GameObject"}}GameObjects{{/crossLink}} in this Scene
+             * that are outside the view frustum.
+             * @final
+             * @property frustumCulling
+             * @type {FrustumCulling}
+             * @final
+             */
+            this.frustumCulling = new XEO.FrustumCulling(this);
+
             // Register Scene on engine
             // Do this BEFORE we add components below
             XEO._addScene(this);
@@ -353,23 +468,10 @@
 
             if (componentJSONs) {
 
-                var componentJSON;
-                var type;
-                var constructor;
+                var classes = this._getComponentClasses(componentJSONs);
 
-                for (var i = 0, len = componentJSONs.length; i < len; i++) {
-
-                    componentJSON = componentJSONs[i];
-                    type = componentJSON.type;
-
-                    if (type) {
-
-                        constructor = window[type];
-
-                        if (constructor) {
-                            new constructor(this, componentJSON);
-                        }
-                    }
+                if (classes) {
+                    this._createComponents(componentJSONs, classes);
                 }
             }
 
@@ -415,6 +517,11 @@
                     this.error("Component " + XEO._inQuotes(c.id) + " already exists");
                     return;
                 }
+
+                // Reserve the ID so that it's not auto-generated for another component
+
+                this._componentIDMap.addItem(c.id, c);
+
             } else {
 
                 // Auto-generated ID
@@ -424,6 +531,8 @@
 
             this.components[c.id] = c;
 
+            c._componentOrder = this._nextComponentOrder++;
+
             // Register for class type
 
             //var type = c.type.indexOf("XEO.") > -1 ? c.type.substring(4) : c.type;
@@ -470,6 +579,7 @@
                         delete self.objects[c.id];
 
                         delete self._dirtyObjects[c.id];
+                        delete self._dirtyWorldMatrices[c.id];
 
                         self.fire("dirty", true);
                     }
@@ -664,7 +774,7 @@
              * The default {{#crossLink "ColorTarget"}}ColorTarget{{/crossLink}} provided by this Scene.
              *
              * This {{#crossLink "ColorTarget"}}ColorTarget{{/crossLink}} has an {{#crossLink "Component/id:property"}}id{{/crossLink}} equal to "default.colorTarget",
-             * with all other properties initialised to their default values.
+             * and is inactive, so that the {{#crossLink "GameObject"}}GameObjects{{/crossLink}} attached to it are rendered to the canvas.
              *
              * {{#crossLink "GameObject"}}GameObjects{{/crossLink}} within this Scene are attached to this
              * {{#crossLink "ColorTarget"}}ColorTarget{{/crossLink}} by default.
@@ -676,8 +786,9 @@
                 get: function () {
                     return this.components["default.colorTarget"] ||
                         new XEO.ColorTarget(this, {
-                            id: "default.colorTarget"
-                        })
+                            id: "default.colorTarget",
+                            active: false // Null Object pattern
+                        });
                 }
             },
 
@@ -708,7 +819,7 @@
              * The default {{#crossLink "DepthTarget"}}DepthTarget{{/crossLink}} provided by this Scene.
              *
              * This {{#crossLink "DepthTarget"}}DepthTarget{{/crossLink}} has an {{#crossLink "Component/id:property"}}id{{/crossLink}} equal to "default.depthTarget",
-             * with all other properties initialised to their default values.
+             * and is inactive, so that the {{#crossLink "GameObject"}}GameObjects{{/crossLink}} attached to it are rendered to the canvas.
              *
              * {{#crossLink "GameObject"}}GameObjects{{/crossLink}} within this Scene are attached to this
              * {{#crossLink "DepthTarget"}}DepthTarget{{/crossLink}} by default.
@@ -1008,169 +1119,1727 @@
          * On success, will fire a {{#crossLink "Scene/picked:event"}}{{/crossLink}} event on this Scene, along with
          * a separate {{#crossLink "Object/picked:event"}}{{/crossLink}} event on the target {{#crossLink "GameObject"}}GameObject{{/crossLink}}.
          *
+         * When the picked {{#crossLink "GameObject"}}{{/crossLink}} renders a {{#crossLink "BatchedGeometry"}}{{/crossLink}},
+         * the hit record's **object** is the original {{#crossLink "GameObject"}}{{/crossLink}} that was merged into
+         * the {{#crossLink "BatchedGeometry"}}{{/crossLink}} at that position, found with a ray-cast, while its **batch**
+         * is the {{#crossLink "GameObject"}}{{/crossLink}} that renders the {{#crossLink "BatchedGeometry"}}{{/crossLink}}.
+         *
          * @method pick
-         * @param {Array of Number} canvasPos Canvas-space coordinates.
+         * @param {Array of Number} canvasPos Canvas-space coordinates, in CSS pixels.
          * @param {*} [options] Pick options.
          * @param {Boolean} [options.rayPick=false] Whether to perform a 3D ray-intersect pick.
          * @returns {*} Hit record when a {{#crossLink "GameObject"}}{{/crossLink}} is picked.
          */
         pick: function (canvasPos, options) {
 
-            return this._renderer.pick({
-                canvasPos: canvasPos,
+            if (this.canvas.contextLost) {
+                return null;
+            }
+
+            options = options || {};
+
+            // Canvas coordinates are in CSS pixels, which the
+            // pick buffer has more of when the pixel ratio is above one
+
+            var canvas = this.canvas.canvas;
+            var size = this.canvas._getClientSize();
+
+            var hit = this._renderer.pick({
+                canvasPos: [
+                    Math.floor(canvasPos[0] * canvas.width / size[0]),
+                    Math.floor(canvasPos[1] * canvas.height / size[1])
+                ],
                 rayPick: options.rayPick
             });
-        },
 
+            if (hit) {
+
+                hit.canvasPos = [canvasPos[0], canvasPos[1]];
+
+                var object = this.objects[hit.object.id];
+
+                if (object && object.geometry instanceof XEO.BatchedGeometry) {
+
+                    // Find the merged GameObject under the canvas position
+
+                    var hits = this.pickRay(canvasPos, {
+                        objects: [object]
+                    });
+
+                    if (hits.length > 0) {
+                        hit.object = hits[0].object;
+                        hit.batch = object;
+                    }
+                }
+            }
+
+            return hit;
+        },
 
         /**
-         * Resets this Scene to its default state.
+         * Finds where a World-space ray intersects the {{#crossLink "GameObject"}}GameObjects{{/crossLink}} in this Scene.
          *
-         * References to any components in this Scene will become invalid.
+         * Unlike {{#crossLink "Scene/pick:method"}}{{/crossLink}}, this does not render anything. Instead, it tests the
+         * ray against the triangles of each {{#crossLink "GameObject"}}GameObject's{{/crossLink}} {{#crossLink "Geometry"}}{{/crossLink}}
+         * in World space, so works without a pick buffer and finds every intersection, not just the nearest.
+         *
+         * <ul>
+         * <li>{{#crossLink "GameObject"}}GameObjects{{/crossLink}} whose {{#crossLink "GameObject/worldBoundary:property"}}{{/crossLink}}
+         * the ray misses are skipped without testing their triangles.</li>
+         * <li>Ignores {{#crossLink "GameObject"}}GameObjects{{/crossLink}} that are invisible, or attached
+         * to either a {{#crossLink "Stage"}}Stage{{/crossLink}} with {{#crossLink "Stage/pickable:property"}}pickable{{/crossLink}}
+         * set *false* or a {{#crossLink "Modes"}}Modes{{/crossLink}} with {{#crossLink "Modes/picking:property"}}picking{{/crossLink}} set *false*.</li>
+         * <li>Only tests {{#crossLink "Geometry"}}Geometries{{/crossLink}} whose {{#crossLink "Geometry/primitive:property"}}{{/crossLink}}
+         * is "triangles", "triangle-strip" or "triangle-fan". Triangles are hit from either side, and deformation
+         * by {{#crossLink "MorphTargets"}}{{/crossLink}} is not taken into account.</li>
+         * <li>A ray through an edge or vertex that is shared by several triangles of a {{#crossLink "GameObject"}}{{/crossLink}}
+         * gives only one hit there.</li>
+         * </ul>
+         *
+         * Each hit record has these properties:
+         *
+         * <ul>
+         * <li>**object** - the {{#crossLink "GameObject"}}{{/crossLink}} that was hit, which is the original
+         * {{#crossLink "GameObject"}}{{/crossLink}} when the hit is on a {{#crossLink "BatchedGeometry"}}{{/crossLink}},</li>
+         * <li>**primIndex** - index of the triangle that was hit within the {{#crossLink "Geometry"}}{{/crossLink}} of that
+         * {{#crossLink "GameObject"}}{{/crossLink}},</li>
+         * <li>**batch** - the {{#crossLink "GameObject"}}{{/crossLink}} that renders the {{#crossLink "BatchedGeometry"}}{{/crossLink}},
+         * when the hit is on a {{#crossLink "BatchedGeometry"}}{{/crossLink}},</li>
+         * <li>**distance** - World-space distance from the ray origin to the hit,</li>
+         * <li>**worldPos** - World-space position of the hit,</li>
+         * <li>**bary** - barycentric coordinates of the hit, with respect to the triangle's three vertices,</li>
+         * <li>**normal** - World-space normal at the hit, interpolated from the {{#crossLink "Geometry"}}Geometry's{{/crossLink}}
+         * {{#crossLink "Geometry/normals:property"}}{{/crossLink}} when it has them, otherwise the triangle's face normal, and</li>
+         * <li>**uv** - UV coordinates at the hit, interpolated from the {{#crossLink "Geometry"}}Geometry's{{/crossLink}}
+         * {{#crossLink "Geometry/uv:property"}}{{/crossLink}}, when it has them.</li>
+         * </ul>
+         *
+         * @method rayCast
+         * @param {Array of Number} origin World-space ray origin.
+         * @param {Array of Number} dir World-space ray direction, which need not be normalized.
+         * @param {*} [options] Ray-cast options.
+         * @param {Array of String|GameObject} [options.objects] IDs or instances of the {{#crossLink "GameObject"}}GameObjects{{/crossLink}}
+         * to test. Tests all of them when omitted.
+         * @param {Number} [options.maxDistance=Infinity] Ignores hits further than this distance from the ray origin.
+         * @returns {Array of Object} Hit records, nearest first, which is empty when nothing is hit.
          */
-        clear: function () {
+        rayCast: function (origin, dir, options) {
 
-            for (var id in this.components) {
-                if (this.components.hasOwnProperty(id)) {
+            options = options || {};
 
-                    // Each component fires "destroyed" as it is destroyed,
-                    // which this Scene handles by removing the component
+            var hits = [];
 
-                    this.components[id].destroy();
-                }
-            }
+            var len = XEO.math.lenVec3(dir);
 
-            // Reinitialise defaults
+            if (len === 0) {
+                this.error("rayCast - ray direction has zero length");
+                return hits;
+            }
 
-            this._initDefaults();
+            dir = XEO.math.mulVec3Scalar(dir, 1.0 / len, []);
 
-            this._dirtyObjects = {};
-        },
+            var maxDistance = options.maxDistance !== undefined ? options.maxDistance : Infinity;
 
-        testPattern: function () {
+            var objects = options.objects;
+            var object;
+            var i;
 
-            // Clear the scene
+            if (objects) {
 
-            this.clear();
+                for (i = 0; i < objects.length; i++) {
 
-            // Create spinning test object
+                    object = objects[i];
 
-            var rotate = new XEO.Rotate(this, {
-                xyz: [0, .5, .5],
-                angle: 0
-            });
+                    if (XEO._isNumeric(object) || XEO._isString(object)) {
 
-            var object = new XEO.GameObject(this, {
-                transform: rotate
-            });
+                        object = this.objects[objects[i]];
 
-            var angle = 0;
+                        if (!object) {
+                            this.warn("rayCast - GameObject not found: " + XEO._inQuotes(objects[i]));
+                            continue;
+                        }
+                    }
 
-            var spin = this.on("tick",
-                function () {
-                    object.transform.angle = angle;
-                    angle += 0.01;
-                });
+                    this._rayCastObject(object, origin, dir, maxDistance, hits);
+                }
 
-            var self = this;
+            } else {
 
-            object.on("destroyed",
-                function () {
-                    self.off(spin);
-                });
+                for (var id in this.objects) {
+                    if (this.objects.hasOwnProperty(id)) {
+                        this._rayCastObject(this.objects[id], origin, dir, maxDistance, hits);
+                    }
+                }
+            }
 
-            // Destroy spinning test object as soon as something
-            // is created subsequently in the scene
+            hits.sort(function (a, b) {
+                return a.distance - b.distance;
+            });
 
-            this.on("componentCreated",
-                function () {
-                    object.destroy();
-                    rotate.destroy();
-                });
+            return hits;
         },
 
-        /**
-         * Compiles and renders this Scene
-         * @private
-         */
-        _compile: function () {
+        // Adds a hit record to the given list for each triangle of
+        // the given GameObject that is intersected by the given ray
+        _rayCastObject: function (object, origin, dir, maxDistance, hits) {
 
-            // Compile dirty objects into this._renderer
+            if (!object.worldVisible || !object.worldStage.pickable || !object.worldModes.picking) {
+                return;
+            }
 
-            var countCompiledObjects = 0;
+            var geometry = object.geometry;
+            var primitive = geometry.primitive;
 
-            for (var id in this._dirtyObjects) {
-                if (this._dirtyObjects.hasOwnProperty(id)) {
+            if (primitive !== "triangles" && primitive !== "triangle-strip" && primitive !== "triangle-fan") {
+                return;
+            }
 
-                    this._dirtyObjects[id]._compile();
+            var positions = geometry.positions;
 
-                    delete this._dirtyObjects[id];
+            if (!positions || positions.length === 0) {
+                return;
+            }
 
-                    countCompiledObjects++;
-                }
+            var math = XEO.math;
+
+            // Broad phase
+
+            var t = math.rayAABB3Intersect(origin, dir, object.worldBoundary.aabb);
+
+            if (t < 0 || t > maxDistance) {
+                return;
             }
 
-            if (countCompiledObjects > 0) {
-            //    this.log("Compiled " + countCompiledObjects + " XEO.GameObject" + (countCompiledObjects > 1 ? "s" : ""));
+            // Narrow phase, in Model space, where each distance along the
+            // transformed ray is the same as the distance along the World-space ray
+
+            var worldMatrix = object.worldMatrix;
+            var inverseMatrix = math.inverseMat4(worldMatrix, math.mat4());
+            var normalMatrix = math.transposeMat4(inverseMatrix, math.mat4());
+
+            var localOrigin = math.transformPoint3(inverseMatrix, origin);
+            var localDir = math.transformVec3(inverseMatrix, dir);
+
+            var indices = geometry.indices;
+            var normals = geometry.normals;
+            var uv = geometry.uv;
+
+            var numVertices = indices ? indices.length : positions.length / 3;
+            var numTriangles;
+
+            if (primitive === "triangles") {
+                numTriangles = Math.floor(numVertices / 3);
+
+            } else {
+                numTriangles = Math.max(0, numVertices - 2);
             }
 
-            // Render a frame
+            var a = [0, 0, 0];
+            var b = [0, 0, 0];
+            var c = [0, 0, 0];
+            var result = [0, 0, 0, 0];
 
-            this._renderer.render({
+            // Hits on this object start here
+            var firstHit = hits.length;
 
-                // Clear buffers
-                clear: true
-            });
-        },
+            var ia;
+            var ib;
+            var ic;
+            var k;
+            var bary;
+            var normal;
+            var hit;
+            var source;
 
-        _getJSON: function () {
+            for (var i = 0; i < numTriangles; i++) {
 
-            // Get list of component JSONs, in ascending order of component
-            // creation. We need them in that order so that any dependencies
-            // that exist between them are resolved correctly as the
-            // components are instantiawhen when we load the JSON again.
+                if (primitive === "triangles") {
+                    ia = i * 3;
+                    ib = ia + 1;
+                    ic = ia + 2;
 
-            var components = [];
-            var component;
-            var priorities = [];
+                } else if (primitive === "triangle-strip") {
 
-            for (var id in this.components) {
-                if (this.components.hasOwnProperty(id)) {
+                    // Every second triangle in a strip has reversed winding
 
-                    component = this.components[id];
+                    ia = i;
+                    ib = (i % 2 === 0) ? i + 1 : i + 2;
+                    ic = (i % 2 === 0) ? i + 2 : i + 1;
 
-                    // Don't serialize service components that
-                    // will always be created on this Scene
+                } else {
+                    ia = 0;
+                    ib = i + 1;
+                    ic = i + 2;
+                }
 
-                    if (!component._getJSON) {
-                        continue;
+                if (indices) {
+                    ia = indices[ia];
+                    ib = indices[ib];
+                    ic = indices[ic];
+                }
+
+                for (k = 0; k < 3; k++) {
+                    a[k] = positions[ia * 3 + k];
+                    b[k] = positions[ib * 3 + k];
+                    c[k] = positions[ic * 3 + k];
+                }
+
+                if (!math.rayTriangleIntersect(localOrigin, localDir, a, b, c, result)) {
+                    continue;
+                }
+
+                t = result[0];
+
+                if (t > maxDistance) {
+                    continue;
+                }
+
+                // A ray through an edge or vertex shared by several triangles
+                // hits each of them, but crosses the surface only once
+
+                if (isDuplicateHit(hits, firstHit, t)) {
+                    continue;
+                }
+
+                bary = [result[1], result[2], result[3]];
+
+                if (normals) {
+
+                    normal = [0, 0, 0];
+
+                    for (k = 0; k < 3; k++) {
+                        normal[k] = normals[ia * 3 + k] * bary[0] + normals[ib * 3 + k] * bary[1] + normals[ic * 3 + k] * bary[2];
                     }
 
-                    // Serialize in same order as creation
-                    // in order to resolve inter-component dependencies
+                } else {
+                    normal = math.cross3Vec3(math.subVec3(b, a, []), math.subVec3(c, a, []), []);
+                }
 
-                    components.unshift(component);
+                normal = math.transformVec3(normalMatrix, normal);
+
+                hit = {
+                    object: object,
+                    primIndex: i,
+                    distance: t,
+                    worldPos: [
+                        origin[0] + dir[0] * t,
+                        origin[1] + dir[1] * t,
+                        origin[2] + dir[2] * t
+                    ],
+                    bary: bary,
+                    normal: math.lenVec3(normal) > 0 ? math.normalizeVec3(normal) : normal
+                };
+
+                if (uv) {
+                    hit.uv = [
+                        uv[ia * 2] * bary[0] + uv[ib * 2] * bary[1] + uv[ic * 2] * bary[2],
+                        uv[ia * 2 + 1] * bary[0] + uv[ib * 2 + 1] * bary[1] + uv[ic * 2 + 1] * bary[2]
+                    ];
+                }
+
+                if (geometry instanceof XEO.BatchedGeometry) {
+
+                    // Report the GameObject that the triangle was merged from
+
+                    source = geometry.getSource(i);
+
+                    if (source) {
+                        hit.object = source.object;
+                        hit.primIndex = source.primIndex;
+                        hit.batch = object;
+                    }
                 }
+
+                hits.push(hit);
             }
+        },
 
-            components.sort(function (a, b) {
-                return a._componentOrder - b._componentOrder
-            });
+        /**
+         * Finds where a ray, through the given Canvas-space coordinates, intersects the
+         * {{#crossLink "GameObject"}}GameObjects{{/crossLink}} in this Scene.
+         *
+         * The ray starts on the near clipping plane of a {{#crossLink "Camera"}}{{/crossLink}}, which is this Scene's
+         * default {{#crossLink "Scene/camera:property"}}{{/crossLink}} unless specified.
+         *
+         * See {{#crossLink "Scene/rayCast:method"}}{{/crossLink}}, which this uses, for more info. Each hit record also
+         * has a **canvasPos** property, containing the given Canvas-space coordinates.
+         *
+         * @method pickRay
+         * @param {Array of Number} canvasPos Canvas-space coordinates, in CSS pixels.
+         * @param {*} [options] Ray-cast options, as for {{#crossLink "Scene/rayCast:method"}}{{/crossLink}}.
+         * @param {Camera} [options.camera] The {{#crossLink "Camera"}}{{/crossLink}} to cast the ray from.
+         * @returns {Array of Object} Hit records, nearest first, which is empty when nothing is hit.
+         */
+        pickRay: function (canvasPos, options) {
 
-            var componentJSONs = [];
+            options = options || {};
 
-            for (var i = 0, len = components.length; i < len; i++) {
-                componentJSONs.push(components[i].json);
+            var math = XEO.math;
+
+            var camera = options.camera || this.camera;
+            var size = this.canvas._getClientSize();
+
+            var w = size[0];
+            var h = size[1];
+
+            // Clip space coordinates, in range of [-1..1], with y=(+1) at top
+
+            var x = (canvasPos[0] - w / 2) / (w / 2);
+            var y = -(canvasPos[1] - h / 2) / (h / 2);
+
+            var pvMat = math.mulMat4(camera.project.matrix, camera.view.matrix, math.mat4());
+            var pvMatInverse = math.inverseMat4(pvMat, math.mat4());
+
+            var near = math.transformVec4(pvMatInverse, [x, y, -1, 1]);
+            near = math.mulVec4Scalar(near, 1 / near[3]);
+
+            var far = math.transformVec4(pvMatInverse, [x, y, 1, 1]);
+            far = math.mulVec4Scalar(far, 1 / far[3]);
+
+            var hits = this.rayCast(near, math.subVec3(far, near, []), options);
+
+            for (var i = 0, len = hits.length; i < len; i++) {
+                hits[i].canvasPos = [canvasPos[0], canvasPos[1]];
             }
 
-            return {
-                components: componentJSONs
-            };
+            return hits;
         },
 
-        _destroy: function () {
-            this.clear();
-        }
-    });
+
+        /**
+         * Finds the {{#crossLink "GameObject"}}GameObjects{{/crossLink}} that are within a Canvas-space rectangle or lasso, as
+         * viewed through a {{#crossLink "Camera"}}{{/crossLink}}.
+         *
+         * Like {{#crossLink "Scene/rayCast:method"}}{{/crossLink}}, this does not render anything, and instead projects
+         * each {{#crossLink "GameObject"}}GameObject's{{/crossLink}} {{#crossLink "Geometry"}}{{/crossLink}} into Canvas space,
+         * so it also finds {{#crossLink "GameObject"}}GameObjects{{/crossLink}} that are hidden behind others.
+         *
+         * <ul>
+         * <li>The region is either a rectangle, given as two opposite corners, or a lasso, given as the vertices of a polygon
+         * that is closed from its last vertex back to its first. The polygon may be concave, and its inside is found by the
+         * even-odd rule, as when filling it on a 2D canvas.</li>
+         * <li>In "touching" mode, finds {{#crossLink "GameObject"}}GameObjects{{/crossLink}} with any of their
+         * primitives overlapping the region.</li>
+         * <li>In "enclosed" mode, finds {{#crossLink "GameObject"}}GameObjects{{/crossLink}} with all of their
+         * vertices inside the region.</li>
+         * <li>{{#crossLink "GameObject"}}GameObjects{{/crossLink}} whose projected {{#crossLink "GameObject/worldBoundary:property"}}{{/crossLink}}
+         * is outside the region's bounds are rejected without testing their primitives, and, for a rectangle, those whose
+         * projected boundary is inside it are accepted without testing their primitives.</li>
+         * <li>Primitives that are partly behind the {{#crossLink "Camera"}}{{/crossLink}} are never touching the region,
+         * and a {{#crossLink "GameObject"}}{{/crossLink}} with vertices behind the {{#crossLink "Camera"}}{{/crossLink}} is never enclosed by it.</li>
+         * <li>Invisible {{#crossLink "GameObject"}}GameObjects{{/crossLink}} are always ignored.</li>
+         * <li>In place of a {{#crossLink "GameObject"}}{{/crossLink}} that renders a {{#crossLink "BatchedGeometry"}}{{/crossLink}},
+         * finds the original {{#crossLink "GameObject"}}GameObjects{{/crossLink}} that were merged into the
+         * {{#crossLink "BatchedGeometry"}}{{/crossLink}}.</li>
+         * </ul>
+         *
+         * @method pickRegion
+         * @param {Array of Number|Array of Array of Number} rect Canvas-space region, in CSS pixels. This is either a rectangle,
+         * given as the coordinates of two opposite corners, [x1, y1, x2, y2], or a lasso, given as an array of at least three
+         * vertices, [[x1, y1], [x2, y2], [x3, y3], ...].
+         * @param {*} [options] Pick options.
+         * @param {String} [options.mode="touching"] Either "touching" or "enclosed".
+         * @param {Boolean} [options.pickableOnly=true] When true, ignores {{#crossLink "GameObject"}}GameObjects{{/crossLink}} that are attached
+         * to either a {{#crossLink "Stage"}}Stage{{/crossLink}} with {{#crossLink "Stage/pickable:property"}}pickable{{/crossLink}}
+         * set *false* or a {{#crossLink "Modes"}}Modes{{/crossLink}} with {{#crossLink "Modes/picking:property"}}picking{{/crossLink}} set *false*.
+         * @param {Camera} [options.camera] The {{#crossLink "Camera"}}{{/crossLink}} to view through. Uses this Scene's default
+         * {{#crossLink "Scene/camera:property"}}{{/crossLink}} when omitted.
+         * @returns {Array of GameObject} The {{#crossLink "GameObject"}}GameObjects{{/crossLink}} found, which is empty when none are found.
+         */
+        pickRegion: function (rect, options) {
+
+            options = options || {};
+
+            var mode = options.mode || "touching";
+
+            if (mode !== "touching" && mode !== "enclosed") {
+                this.error("pickRegion - unsupported mode: " + XEO._inQuotes(mode) + " - should be 'touching' or 'enclosed'");
+                return [];
+            }
+
+            var pickableOnly = options.pickableOnly !== false;
+
+            var math = XEO.math;
+
+            var camera = options.camera || this.camera;
+            var size = this.canvas._getClientSize();
+
+            var region = {
+                xmin: Infinity,
+                ymin: Infinity,
+                xmax: -Infinity,
+                ymax: -Infinity,
+                polygon: null,
+                enclosed: mode === "enclosed",
+                width: size[0],
+                height: size[1],
+                pvMatrix: math.mulMat4(camera.project.matrix, camera.view.matrix, math.mat4())
+            };
+
+            var vertices;
+            var i;
+            var len;
+
+            if (XEO._isArray(rect[0])) {
+
+                // Lasso
+
+                if (rect.length < 3) {
+                    this.error("pickRegion - a lasso needs at least three vertices");
+                    return [];
+                }
+
+                vertices = rect;
+
+                region.polygon = [];
+
+                for (i = 0, len = vertices.length; i < len; i++) {
+                    region.polygon.push(vertices[i][0], vertices[i][1]);
+                }
+
+            } else {
+
+                // Rectangle
+
+                vertices = [[rect[0], rect[1]], [rect[2], rect[3]]];
+            }
+
+            // Bounds of the region
+
+            for (i = 0, len = vertices.length; i < len; i++) {
+                region.xmin = Math.min(region.xmin, vertices[i][0]);
+                region.ymin = Math.min(region.ymin, vertices[i][1]);
+                region.xmax = Math.max(region.xmax, vertices[i][0]);
+                region.ymax = Math.max(region.ymax, vertices[i][1]);
+            }
+
+            var objects = [];
+            var object;
+            var sources;
+
+            for (var id in this.objects) {
+                if (this.objects.hasOwnProperty(id)) {
+
+                    object = this.objects[id];
+
+                    if (!object.worldVisible) {
+                        continue;
+                    }
+
+                    if (pickableOnly && (!object.worldStage.pickable || !object.worldModes.picking)) {
+                        continue;
+                    }
+
+                    if (object.geometry instanceof XEO.BatchedGeometry) {
+
+                        // Test the merged GameObjects, which are hidden, in place of the batch
+
+                        sources = object.geometry.objects;
+
+                        for (i = 0, len = sources.length; i < len; i++) {
+                            if (this._pickRegionObject(sources[i], region)) {
+                                objects.push(sources[i]);
+                            }
+                        }
+
+                        continue;
+                    }
+
+                    if (this._pickRegionObject(object, region)) {
+                        objects.push(object);
+                    }
+                }
+            }
+
+            return objects;
+        },
+
+        // Returns true if the given GameObject is touching or enclosed by the given region
+        _pickRegionObject: function (object, region) {
+
+            var geometry = object.geometry;
+            var positions = geometry.positions;
+
+            if (!positions || positions.length === 0) {
+                return false;
+            }
+
+            var math = XEO.math;
+
+            // Broad phase
+
+            var canvasPos = [0, 0];
+            var obb = object.worldBoundary.obb;
+            var xmin = Infinity;
+            var ymin = Infinity;
+            var xmax = -Infinity;
+            var ymax = -Infinity;
+            var inFront = true;
+            var i;
+            var len;
+
+            for (i = 0, len = obb.length; i < len; i++) {
+
+                if (!projectToCanvas(region.pvMatrix, obb[i], region, canvasPos)) {
+                    inFront = false;
+                    break;
+                }
+
+                xmin = Math.min(xmin, canvasPos[0]);
+                ymin = Math.min(ymin, canvasPos[1]);
+                xmax = Math.max(xmax, canvasPos[0]);
+                ymax = Math.max(ymax, canvasPos[1]);
+            }
+
+            if (inFront) {
+
+                if (xmax < region.xmin || xmin > region.xmax || ymax < region.ymin || ymin > region.ymax) {
+                    return false; // Boundary outside region
+                }
+
+                if (!region.polygon && xmin >= region.xmin && xmax <= region.xmax && ymin >= region.ymin && ymax <= region.ymax) {
+                    return true; // Boundary inside rectangle
+                }
+            }
+
+            // Narrow phase
+
+            var pvmMatrix = math.mulMat4(region.pvMatrix, object.worldMatrix, math.mat4());
+
+            var numVertices = positions.length / 3;
+            var projected = new Float32Array(numVertices * 2);
+            var visible = new Uint8Array(numVertices);
+            var position = [0, 0, 0];
+
+            for (i = 0; i < numVertices; i++) {
+
+                position[0] = positions[i * 3];
+                position[1] = positions[i * 3 + 1];
+                position[2] = positions[i * 3 + 2];
+
+                if (projectToCanvas(pvmMatrix, position, region, canvasPos)) {
+
+                    projected[i * 2] = canvasPos[0];
+                    projected[i * 2 + 1] = canvasPos[1];
+
+                    visible[i] = 1;
+
+                } else if (region.enclosed) {
+                    return false; // Vertex behind camera
+                }
+            }
+
+            var indices = geometry.indices;
+            var numElements = indices ? indices.length : numVertices;
+            var index;
+
+            if (region.enclosed) {
+
+                for (i = 0; i < numElements; i++) {
+
+                    index = indices ? indices[i] : i;
+
+                    if (!pointInRegion(projected[index * 2], projected[index * 2 + 1], region)) {
+                        return false;
+                    }
+                }
+
+                return numElements > 0;
+            }
+
+            // Touching - test each primitive against the region
+
+            var primitive = geometry.primitive;
+            var elements = [0, 0, 0];
+            var numPrimitives;
+            var size;
+            var j;
+
+            switch (primitive) {
+
+                case "points":
+                    size = 1;
+                    numPrimitives = numElements;
+                    break;
+
+                case "lines":
+                    size = 2;
+                    numPrimitives = Math.floor(numElements / 2);
+                    break;
+
+                case "line-strip":
+                    size = 2;
+                    numPrimitives = Math.max(0, numElements - 1);
+                    break;
+
+                case "line-loop":
+                    size = 2;
+                    numPrimitives = numElements > 1 ? numElements : 0;
+                    break;
+
+                case "triangles":
+                    size = 3;
+                    numPrimitives = Math.floor(numElements / 3);
+                    break;
+
+                default: // "triangle-strip" and "triangle-fan"
+                    size = 3;
+                    numPrimitives = Math.max(0, numElements - 2);
+                    break;
+            }
+
+            for (i = 0; i < numPrimitives; i++) {
+
+                switch (primitive) {
+
+                    case "points":
+                        elements[0] = i;
+                        break;
+
+                    case "lines":
+                        elements[0] = i * 2;
+                        elements[1] = i * 2 + 1;
+                        break;
+
+                    case "line-strip":
+                    case "line-loop":
+                        elements[0] = i;
+                        elements[1] = (i + 1) % numElements;
+                        break;
+
+                    case "triangles":
+                        elements[0] = i * 3;
+                        elements[1] = i * 3 + 1;
+                        elements[2] = i * 3 + 2;
+                        break;
+
+                    case "triangle-strip":
+                        elements[0] = i;
+                        elements[1] = i + 1;
+                        elements[2] = i + 2;
+                        break;
+
+                    default: // "triangle-fan"
+                        elements[0] = 0;
+                        elements[1] = i + 1;
+                        elements[2] = i + 2;
+                        break;
+                }
+
+                for (j = 0; j < size; j++) {
+
+                    index = indices ? indices[elements[j]] : elements[j];
+
+                    if (!visible[index]) {
+                        break;
+                    }
+
+                    elements[j] = index;
+                }
+
+                if (j < size) {
+                    continue; // Primitive partly behind camera
+                }
+
+                if (primitiveTouchesRegion(projected, elements, size, region)) {
+                    return true;
+                }
+            }
+
+            return false;
+        },
+
+        /**
+         * Merges static {{#crossLink "GameObject"}}GameObjects{{/crossLink}} that have different
+         * {{#crossLink "Geometry"}}Geometries{{/crossLink}}, but are otherwise attached to the same components, into
+         * {{#crossLink "BatchedGeometry"}}BatchedGeometries{{/crossLink}}, so that they can be drawn with fewer draw calls.
+         *
+         * <ul>
+         * <li>Bins the {{#crossLink "GameObject"}}GameObjects{{/crossLink}} by the components they are attached to, other than their
+         * {{#crossLink "Geometry"}}Geometries{{/crossLink}}, {{#crossLink "Transform"}}Transforms{{/crossLink}} and
+         * {{#crossLink "Visibility"}}Visibilities{{/crossLink}}, then creates a {{#crossLink "BatchedGeometry"}}{{/crossLink}} for
+         * each bin, with a new {{#crossLink "GameObject"}}{{/crossLink}} to render it.</li>
+         * <li>Where the WebGL context doesn't support 32-bit indices, a bin is split into as many
+         * {{#crossLink "BatchedGeometry"}}BatchedGeometries{{/crossLink}} as needed to keep each within 65536 vertices.</li>
+         * <li>Hides the merged {{#crossLink "GameObject"}}GameObjects{{/crossLink}} by attaching them to a
+         * {{#crossLink "Visibility"}}{{/crossLink}} that's invisible, while keeping them for
+         * {{#crossLink "Scene/pick:method"}}{{/crossLink}}, {{#crossLink "Scene/rayCast:method"}}{{/crossLink}} and
+         * {{#crossLink "Scene/pickRegion:method"}}{{/crossLink}} to report.</li>
+         * <li>Destroying a returned {{#crossLink "GameObject"}}{{/crossLink}} unmerges it, which destroys its
+         * {{#crossLink "BatchedGeometry"}}{{/crossLink}} and reattaches the {{#crossLink "GameObject"}}GameObjects{{/crossLink}}
+         * it merged to the {{#crossLink "Visibility"}}Visibilities{{/crossLink}} they had before merging.</li>
+         * <li>Skips {{#crossLink "GameObject"}}GameObjects{{/crossLink}} that are invisible, have child
+         * {{#crossLink "GameObject"}}GameObjects{{/crossLink}}, have {{#crossLink "MorphTargets"}}{{/crossLink}} or
+         * a {{#crossLink "LOD"}}{{/crossLink}}, or whose
+         * {{#crossLink "Geometry"}}Geometries{{/crossLink}} are not "triangles", "lines" or "points".</li>
+         * <li>Merging is a one-off bake, so should only be done on {{#crossLink "GameObject"}}GameObjects{{/crossLink}}
+         * that will not move or change shape.</li>
+         * </ul>
+         *
+         * @method mergeStatic
+         * @param {Array of String|GameObject|Group} objects IDs or instances of the {{#crossLink "GameObject"}}GameObjects{{/crossLink}} to
+         * merge, or a {{#crossLink "Group"}}{{/crossLink}} containing them.
+         * @returns {Array of GameObject} The new {{#crossLink "GameObject"}}GameObjects{{/crossLink}} that render the
+         * {{#crossLink "BatchedGeometry"}}BatchedGeometries{{/crossLink}}.
+         */
+        mergeStatic: function (objects) {
+
+            var list = [];
+            var object;
+            var i;
+            var len;
+
+            if (objects instanceof XEO.Group) {
+
+                objects.iterate(
+                    function (component) {
+                        if (component.type === "XEO.GameObject") {
+                            list.push(component);
+                        }
+                    });
+
+            } else {
+
+                for (i = 0, len = objects.length; i < len; i++) {
+
+                    object = objects[i];
+
+                    if (XEO._isNumeric(object) || XEO._isString(object)) {
+
+                        object = this.objects[objects[i]];
+
+                        if (!object) {
+                            this.warn("mergeStatic - GameObject not found: " + XEO._inQuotes(objects[i]));
+                            continue;
+                        }
+                    }
+
+                    list.push(object);
+                }
+            }
+
+            // Bin the GameObjects by the components they must share
+
+            var bins = {};
+            var binList = [];
+            var bin;
+            var key;
+            var geometry;
+
+            for (i = 0, len = list.length; i < len; i++) {
+
+                object = list[i];
+                geometry = object.geometry;
+
+                if (!object.worldVisible || object.children.length > 0 || geometry instanceof XEO.BatchedGeometry) {
+                    continue;
+                }
+
+                if (object.lod) {
+                    this.warn("mergeStatic - GameObject has a LOD, not merged: " + XEO._inQuotes(object.id));
+                    continue;
+                }
+
+                if (object.morphTargets.id !== this.morphTargets.id) {
+                    this.warn("mergeStatic - GameObject has MorphTargets, not merged: " + XEO._inQuotes(object.id));
+                    continue;
+                }
+
+                if (geometry.primitive !== "triangles" && geometry.primitive !== "lines" && geometry.primitive !== "points") {
+                    this.warn("mergeStatic - GameObject has unsupported primitive type " + XEO._inQuotes(geometry.primitive) +
+                        ", not merged: " + XEO._inQuotes(object.id));
+                    continue;
+                }
+
+                key = [
+                    geometry.primitive,
+                    object.camera.id,
+                    object.clips.id,
+                    object.colorTarget.id,
+                    object.colorBuf.id,
+                    object.depthTarget.id,
+                    object.depthBuf.id,
+                    object.worldModes.id,
+                    object.layer.id,
+                    object.lights.id,
+                    object.material.id,
+                    object.reflect.id,
+                    object.shader.id,
+                    object.shaderParams.id,
+                    object.worldStage.id
+                ].join(";");
+
+                bin = bins[key];
+
+                if (!bin) {
+                    bin = bins[key] = [];
+                    binList.push(bin);
+                }
+
+                bin.push(object);
+            }
+
+            // Merge each bin, splitting it when it has too
+            // many vertices to address with 16-bit indices
+
+            var uintIndices = !!this.canvas.gl.getExtension("OES_element_index_uint");
+
+            var batches = [];
+            var run;
+            var numVertices;
+            var numObjectVertices;
+            var j;
+            var lenj;
+
+            for (i = 0, len = binList.length; i < len; i++) {
+
+                bin = binList[i];
+                run = [];
+                numVertices = 0;
+
+                for (j = 0, lenj = bin.length; j < lenj; j++) {
+
+                    object = bin[j];
+                    numObjectVertices = object.geometry.positions ? object.geometry.positions.length / 3 : 0;
+
+                    if (!uintIndices && run.length > 0 && numVertices + numObjectVertices > 65536) {
+                        batches.push(this._createBatch(run));
+                        run = [];
+                        numVertices = 0;
+                    }
+
+                    run.push(object);
+
+                    numVertices += numObjectVertices;
+                }
+
+                if (run.length > 0) {
+                    batches.push(this._createBatch(run));
+                }
+            }
+
+            return batches;
+        },
+
+        // Creates a GameObject that renders a BatchedGeometry merged from the given
+        // GameObjects, attached to the components they share, then hides the given
+        // GameObjects until the new GameObject is destroyed
+        _createBatch: function (objects) {
+
+            var object = objects[0];
+
+            var geometry = new XEO.BatchedGeometry(this, {
+                objects: objects
+            });
+
+            var batch = new XEO.GameObject(this, {
+                camera: object.camera,
+                clips: object.clips,
+                colorTarget: object.colorTarget,
+                colorBuf: object.colorBuf,
+                depthTarget: object.depthTarget,
+                depthBuf: object.depthBuf,
+                modes: object.worldModes,
+                layer: object.layer,
+                lights: object.lights,
+                material: object.material,
+                reflect: object.reflect,
+                shader: object.shader,
+                shaderParams: object.shaderParams,
+                stage: object.worldStage,
+                geometry: geometry
+            });
+
+            // Hide the merged GameObjects, remembering their Visibilities
+
+            var hidden = new XEO.Visibility(this, {
+                visible: false
+            });
+
+            var visibilities = [];
+            var i;
+            var len;
+
+            for (i = 0, len = objects.length; i < len; i++) {
+                visibilities.push(objects[i].visibility);
+                objects[i].visibility = hidden;
+            }
+
+            // Unmerge when the batch is destroyed
+
+            batch.on("destroyed",
+                function () {
+
+                    for (i = 0, len = objects.length; i < len; i++) {
+
+                        object = objects[i];
+
+                        // Leave GameObjects that have since been given other Visibilities
+
+                        if (!object.destroyed && object.visibility === hidden) {
+                            object.visibility = visibilities[i].destroyed ? null : visibilities[i];
+                        }
+                    }
+
+                    if (!hidden.destroyed) {
+                        hidden.destroy();
+                    }
+
+                    if (!geometry.destroyed) {
+                        geometry.destroy();
+                    }
+                });
+
+            return batch;
+        },
+
+        /**
+         * Captures an image of the current state of this Scene.
+         *
+         * Renders a fresh frame into an offscreen buffer and reads that back, so this works whether or not
+         * the WebGL context preserves its drawing buffer, and whether or not this Scene's {{#crossLink "Canvas"}}{{/crossLink}}
+         * is {{#crossLink "Canvas/headless:property"}}{{/crossLink}}.
+         *
+         * The frame is rendered with the current projection transforms, so an image whose aspect ratio differs
+         * from that of the {{#crossLink "Canvas"}}{{/crossLink}} will be stretched.
+         *
+         * Encoding an image as a data URL needs a DOM, so outside of one, such as in Node.js or a Web Worker, use the
+         * "rgba" format instead.
+         *
+         * @method snapshot
+         * @param {*} [params] Capture options.
+         * @param {String} [params.format="png"] Either "png" or "jpeg" for a data URL of an image in that format, or "rgba" for the raw pixels.
+         * @param {Number} [params.width] Width of the image, defaults to the width of the {{#crossLink "Canvas"}}{{/crossLink}}.
+         * @param {Number} [params.height] Height of the image, defaults to the height of the {{#crossLink "Canvas"}}{{/crossLink}}.
+         * @returns {String|Uint8Array} A data URL, or for the "rgba" format, an array of ````width * height * 4```` bytes
+         * of RGBA pixels in rows from top to bottom. Null when the image could not be captured.
+         */
+        snapshot: function (params) {
+
+            params = params || {};
+
+            var format = params.format || "png";
+
+            if (format !== "png" && format !== "jpeg" && format !== "rgba") {
+                this.error("snapshot - unsupported format: " + XEO._inQuotes(format) + " - should be 'png', 'jpeg' or 'rgba'");
+                return null;
+            }
+
+            if (this.canvas.contextLost) {
+                return null;
+            }
+
+            var canvas = this.canvas.canvas;
+
+            var width = params.width || canvas.width;
+            var height = params.height || canvas.height;
+
+            // Compile any pending updates first
+
+            this._compile();
+
+            var pixels = this._renderer.snapshot({
+                width: width,
+                height: height
+            });
+
+            if (format === "rgba") {
+                return pixels;
+            }
+
+            if (typeof document === "undefined") {
+                this.error("snapshot - can't encode format " + XEO._inQuotes(format) + " without a DOM - use 'rgba' instead");
+                return null;
+            }
+
+            var imageCanvas = document.createElement("canvas");
+
+            imageCanvas.width = width;
+            imageCanvas.height = height;
+
+            var context = imageCanvas.getContext("2d");
+            var imageData = context.createImageData(width, height);
+
+            imageData.data.set(pixels);
+
+            context.putImageData(imageData, 0, 0);
+
+            return imageCanvas.toDataURL("image/" + format);
+        },
+
+        /**
+         * Resets this Scene to its default state.
+         *
+         * References to any components in this Scene will become invalid.
+         *
+         * @method clear
+         */
+        clear: function () {
+
+            this._clear();
+
+            // Reinitialise defaults
+
+            this._initDefaults();
+        },
+
+        // Destroys the components in this Scene, except for the service
+        // components (eg. Canvas, Input) that it always has, unless all is true
+        _clear: function (all) {
+
+            var components = [];
+            var component;
+
+            for (var id in this.components) {
+                if (this.components.hasOwnProperty(id)) {
+
+                    component = this.components[id];
+
+                    if (all || component._getJSON) {
+                        components.push(component);
+                    }
+                }
+            }
+
+            // Destroy in reverse order of creation, so that each component
+            // is destroyed before the components it depends on, which
+            // prevents dependents from falling back on new defaults
+
+            components.sort(function (a, b) {
+                return b._componentOrder - a._componentOrder;
+            });
+
+            for (var i = 0, len = components.length; i < len; i++) {
+
+                component = components[i];
+
+                if (!component.destroyed) {
+
+                    // Each component fires "destroyed" as it is destroyed,
+                    // which this Scene handles by removing the component
+
+                    component.destroy();
+                }
+            }
+
+            this._dirtyObjects = {};
+            this._dirtyWorldMatrices = {};
+        },
+
+        /**
+         * Replaces the contents of this Scene with components loaded from JSON.
+         *
+         * The JSON is in the form given by this Scene's {{#crossLink "Component/json:property"}}{{/crossLink}}
+         * property, with a list of component JSONs that are instantiated in the order given. Components are linked
+         * to each other by their IDs, so each component must come after any components it links to, while the
+         * default components (ie. those with IDs like "default.camera") are always created first.
+         * Any defaults that are not in the JSON are then created as usual.
+         *
+         * The JSON is validated before this Scene is cleared, and nothing is loaded when validation fails,
+         * such as when a component has an unknown type.
+         *
+         * See <a href="#savingAndLoading">Saving and Loading Scenes</a>.
+         *
+         * @method load
+         * @param {*} json The JSON.
+         * @param {Array of Object} json.components JSON for each component.
+         * @returns {Boolean} True if the JSON was loaded, else false if it was invalid.
+         */
+        load: function (json) {
+
+            var componentJSONs = (json && json.components) || [];
+
+            var classes = this._getComponentClasses(componentJSONs);
+
+            if (!classes) {
+                return false;
+            }
+
+            this._clear();
+
+            this._createComponents(componentJSONs, classes);
+
+            this._initDefaults();
+
+            return true;
+        },
+
+        // Finds the component class for each of the given component JSONs.
+        // Logs errors and returns null if any are invalid.
+        _getComponentClasses: function (componentJSONs) {
+
+            if (!XEO._isArray(componentJSONs)) {
+                this.error("Value for 'components' should be an array");
+                return null;
+            }
+
+            var classes = [];
+            var ids = {};
+            var valid = true;
+            var componentJSON;
+            var type;
+            var clazz;
+            var id;
+            var existing;
+
+            for (var i = 0, len = componentJSONs.length; i < len; i++) {
+
+                componentJSON = componentJSONs[i];
+                type = componentJSON ? componentJSON.type : undefined;
+
+                if (!type) {
+                    this.error("Component JSON at index " + i + " has no type");
+                    valid = false;
+                    continue;
+                }
+
+                clazz = getClass(type);
+
+                if (!clazz) {
+                    this.error("Component JSON at index " + i + " has unknown type: " + XEO._inQuotes(type));
+                    valid = false;
+                    continue;
+                }
+
+                if (!(clazz === XEO.Component || clazz.prototype instanceof XEO.Component) || clazz === XEO.Scene) {
+                    this.error("Component JSON at index " + i + " has a type that is not a component type: " + XEO._inQuotes(type));
+                    valid = false;
+                    continue;
+                }
+
+                id = componentJSON.id;
+
+                if (id !== undefined && id !== null) {
+
+                    if (ids[id]) {
+                        this.error("Component JSON at index " + i + " has a duplicate ID: " + XEO._inQuotes(id));
+                        valid = false;
+                        continue;
+                    }
+
+                    ids[id] = true;
+
+                    // Service components are not destroyed when loading, so their IDs can't be reused
+
+                    existing = this.components[id];
+
+                    if (existing && !existing._getJSON) {
+                        this.error("Component JSON at index " + i + " has an ID that is already in use by this Scene's " +
+                            existing.type + ": " + XEO._inQuotes(id));
+                        valid = false;
+                        continue;
+                    }
+                }
+
+                classes.push(clazz);
+            }
+
+            return valid ? classes : null;
+        },
+
+        // Instantiates the given component JSONs, default components first
+        _createComponents: function (componentJSONs, classes) {
+
+            var i;
+            var len;
+            var id;
+
+            for (i = 0, len = componentJSONs.length; i < len; i++) {
+
+                id = componentJSONs[i].id;
+
+                if (XEO._isString(id) && id.indexOf("default.") === 0) {
+                    new classes[i](this, componentJSONs[i]);
+                }
+            }
+
+            for (i = 0, len = componentJSONs.length; i < len; i++) {
+
+                id = componentJSONs[i].id;
+
+                if (!(XEO._isString(id) && id.indexOf("default.") === 0)) {
+                    new classes[i](this, componentJSONs[i]);
+                }
+            }
+        },
+
+        testPattern: function () {
+
+            // Clear the scene
+
+            this.clear();
+
+            // Create spinning test object
+
+            var rotate = new XEO.Rotate(this, {
+                xyz: [0, .5, .5],
+                angle: 0
+            });
+
+            var object = new XEO.GameObject(this, {
+                transform: rotate
+            });
+
+            var angle = 0;
+
+            var spin = this.on("tick",
+                function () {
+                    object.transform.angle = angle;
+                    angle += 0.01;
+                });
+
+            var self = this;
+
+            object.on("destroyed",
+                function () {
+                    self.off(spin);
+                });
+
+            // Destroy spinning test object as soon as something
+            // is created subsequently in the scene
+
+            this.on("componentCreated",
+                function () {
+                    object.destroy();
+                    rotate.destroy();
+                });
+        },
+
+        /**
+         * Compiles and renders this Scene
+         * @private
+         */
+        _compile: function () {
+
+            // Nothing to render into until the
+            // WebGL context is restored
+
+            if (this.canvas.contextLost) {
+                return;
+            }
+
+            // Compile dirty objects into this._renderer
+
+            var countCompiledObjects = 0;
+
+            for (var id in this._dirtyObjects) {
+                if (this._dirtyObjects.hasOwnProperty(id)) {
+
+                    this._dirtyObjects[id]._compile();
+
+                    delete this._dirtyObjects[id];
+
+                    countCompiledObjects++;
+                }
+            }
+
+            if (countCompiledObjects > 0) {
+            //    this.log("Compiled " + countCompiledObjects + " XEO.GameObject" + (countCompiledObjects > 1 ? "s" : ""));
+            }
+
+            // Update World-space matrices of GameObjects
+            // that moved along with their ancestors
+
+            for (var id in this._dirtyWorldMatrices) {
+                if (this._dirtyWorldMatrices.hasOwnProperty(id)) {
+
+                    this._dirtyWorldMatrices[id]._updateWorldMatrix();
+
+                    delete this._dirtyWorldMatrices[id];
+                }
+            }
+
+            // Flag GameObjects outside the view frustum
+
+            this.frustumCulling._update();
+
+            // Render a frame
+
+            this._renderer.render({
+
+                // Clear buffers
+                clear: true
+            });
+
+            // Report how many draw calls the renderer saved by
+            // drawing GameObjects as instances of each other
+
+            var drawsSaved = this._renderer.instancedDrawsSaved - this.stats.stats.instancedDrawsSaved;
+
+            if (drawsSaved !== 0) {
+                this.stats.inc("instancedDrawsSaved", drawsSaved);
+            }
+
+            // Report how many GameObjects were culled
+            // for being outside the view frustum
+
+            var culled = this._renderer.objectsCulled - this.stats.stats.objectsCulled;
+
+            if (culled !== 0) {
+                this.stats.inc("objectsCulled", culled);
+            }
+
+            var drawn = this._renderer.objectsDrawn - this.stats.stats.objectsDrawn;
+
+            if (drawn !== 0) {
+                this.stats.inc("objectsDrawn", drawn);
+            }
+
+            // Report how many GameObjects were culled
+            // for being hidden behind others
+
+            var occluded = (this._renderer.occlusionCulling ? this._renderer.objectsOccluded : 0) - this.stats.stats.objectsOccluded;
+
+            if (occluded !== 0) {
+                this.stats.inc("objectsOccluded", occluded);
+            }
+        },
+
+        _getJSON: function () {
+
+            // Get list of component JSONs, in ascending order of component
+            // creation. We need them in that order so that any dependencies
+            // that exist between them are resolved correctly as the
+            // components are instantiated when we load the JSON again.
+
+            var components = [];
+            var component;
+            var priorities = [];
+
+            for (var id in this.components) {
+                if (this.components.hasOwnProperty(id)) {
+
+                    component = this.components[id];
+
+                    // Don't serialize service components that
+                    // will always be created on this Scene
+
+                    if (!component._getJSON) {
+                        continue;
+                    }
+
+                    // Don't serialize components that are created by other
+                    // components, which will create them again when loaded
+
+                    if (component._owner) {
+                        continue;
+                    }
+
+                    // Serialize in same order as creation
+                    // in order to resolve inter-component dependencies
+
+                    components.unshift(component);
+                }
+            }
+
+            components.sort(function (a, b) {
+                return a._componentOrder - b._componentOrder
+            });
+
+            var componentJSONs = [];
+
+            for (var i = 0, len = components.length; i < len; i++) {
+                componentJSONs.push(components[i].json);
+            }
+
+            return {
+                components: componentJSONs
+            };
+        },
+
+        _destroy: function () {
+            this._clear(true);
+        }
+    });
+
+    // Returns true if there's already a hit at the given distance
+    // among the hits from the given index onwards
+    function isDuplicateHit(hits, first, distance) {
+
+        var epsilon = 1e-6 * Math.max(1, distance);
+
+        for (var i = first, len = hits.length; i < len; i++) {
+            if (Math.abs(hits[i].distance - distance) <= epsilon) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    // Projects a World or Model-space position into Canvas space,
+    // returning false when the position is behind the camera
+    function projectToCanvas(matrix, p, region, dest) {
+
+        var x = matrix[0] * p[0] + matrix[4] * p[1] + matrix[8] * p[2] + matrix[12];
+        var y = matrix[1] * p[0] + matrix[5] * p[1] + matrix[9] * p[2] + matrix[13];
+        var w = matrix[3] * p[0] + matrix[7] * p[1] + matrix[11] * p[2] + matrix[15];
+
+        if (w <= 0) {
+            return false;
+        }
+
+        dest[0] = (x / w + 1) * 0.5 * region.width;
+        dest[1] = (1 - y / w) * 0.5 * region.height;
+
+        return true;
+    }
+
+    function pointInRegion(x, y, region) {
+
+        if (x < region.xmin || x > region.xmax || y < region.ymin || y > region.ymax) {
+            return false;
+        }
+
+        return !region.polygon || pointInPolygon(x, y, region.polygon);
+    }
+
+    // Tests if a point is inside a polygon, given as a flat array of vertex
+    // coordinates, by counting the polygon's edges that a ray from the
+    // point crosses, so that an odd count means inside
+    function pointInPolygon(x, y, polygon) {
+
+        var inside = false;
+        var len = polygon.length;
+        var x1;
+        var y1;
+        var x2;
+        var y2;
+
+        for (var i = 0, j = len - 2; i < len; j = i, i += 2) {
+
+            x1 = polygon[i];
+            y1 = polygon[i + 1];
+            x2 = polygon[j];
+            y2 = polygon[j + 1];
+
+            if ((y1 > y) !== (y2 > y) && x < x1 + (y - y1) * (x2 - x1) / (y2 - y1)) {
+                inside = !inside;
+            }
+        }
+
+        return inside;
+    }
+
+    // Tests if line segments ab and cd cross or touch
+    function segmentsIntersect(ax, ay, bx, by, cx, cy, dx, dy) {
+
+        var d1 = (dx - cx) * (ay - cy) - (dy - cy) * (ax - cx);
+        var d2 = (dx - cx) * (by - cy) - (dy - cy) * (bx - cx);
+        var d3 = (bx - ax) * (cy - ay) - (by - ay) * (cx - ax);
+        var d4 = (bx - ax) * (dy - ay) - (by - ay) * (dx - ax);
+
+        if (((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))) {
+            return true;
+        }
+
+        // Collinear cases, where an end of one segment lies on the other
+
+        return (d1 === 0 && onSegment(cx, cy, dx, dy, ax, ay)) ||
+            (d2 === 0 && onSegment(cx, cy, dx, dy, bx, by)) ||
+            (d3 === 0 && onSegment(ax, ay, bx, by, cx, cy)) ||
+            (d4 === 0 && onSegment(ax, ay, bx, by, dx, dy));
+    }
+
+    // Tests if point p, which is collinear with segment ab, is within it
+    function onSegment(ax, ay, bx, by, px, py) {
+        return px >= Math.min(ax, bx) && px <= Math.max(ax, bx) && py >= Math.min(ay, by) && py <= Math.max(ay, by);
+    }
+
+    // Tests if a Canvas-space point, line segment or triangle overlaps the given
+    // region. The primitive's vertices are given as indices into an array of
+    // projected Canvas-space positions.
+    function primitiveTouchesRegion(projected, elements, size, region) {
+
+        if (region.polygon) {
+            return primitiveTouchesPolygon(projected, elements, size, region);
+        }
+
+        return primitiveTouchesRectangle(projected, elements, size, region);
+    }
+
+    // Tests if a primitive overlaps a lasso region, which it does when one has a vertex
+    // inside the other, or when any of their edges cross
+    function primitiveTouchesPolygon(projected, elements, size, region) {
+
+        var polygon = region.polygon;
+        var len = polygon.length;
+        var i;
+        var j;
+        var k;
+        var xmin = Infinity;
+        var ymin = Infinity;
+        var xmax = -Infinity;
+        var ymax = -Infinity;
+        var x;
+        var y;
+
+        for (i = 0; i < size; i++) {
+
+            x = projected[elements[i] * 2];
+            y = projected[elements[i] * 2 + 1];
+
+            if (pointInRegion(x, y, region)) {
+                return true;
+            }
+
+            xmin = Math.min(xmin, x);
+            ymin = Math.min(ymin, y);
+            xmax = Math.max(xmax, x);
+            ymax = Math.max(ymax, y);
+        }
+
+        if (size === 1 || xmax < region.xmin || xmin > region.xmax || ymax < region.ymin || ymin > region.ymax) {
+            return false;
+        }
+
+        // Lasso inside a triangle
+
+        if (size === 3 && pointInPolygon(polygon[0], polygon[1], [
+                projected[elements[0] * 2], projected[elements[0] * 2 + 1],
+                projected[elements[1] * 2], projected[elements[1] * 2 + 1],
+                projected[elements[2] * 2], projected[elements[2] * 2 + 1]
+            ])) {
+            return true;
+        }
+
+        // Crossing edges
+
+        var numEdges = (size === 2) ? 1 : 3;
+        var ax;
+        var ay;
+        var bx;
+        var by;
+
+        for (i = 0; i < numEdges; i++) {
+
+            j = (i + 1) % size;
+
+            ax = projected[elements[i] * 2];
+            ay = projected[elements[i] * 2 + 1];
+            bx = projected[elements[j] * 2];
+            by = projected[elements[j] * 2 + 1];
+
+            for (k = 0; k < len; k += 2) {
+                if (segmentsIntersect(ax, ay, bx, by, polygon[k], polygon[k + 1], polygon[(k + 2) % len], polygon[(k + 3) % len])) {
+                    return true;
+                }
+            }
+        }
+
+        return false;
+    }
+
+    // Tests if a primitive overlaps a rectangular region, using the separating axis theorem
+    function primitiveTouchesRectangle(projected, elements, size, region) {
+
+        var i;
+        var x;
+        var y;
+        var xmin = Infinity;
+        var ymin = Infinity;
+        var xmax = -Infinity;
+        var ymax = -Infinity;
+
+        // Region's axes
+
+        for (i = 0; i < size; i++) {
+
+            x = projected[elements[i] * 2];
+            y = projected[elements[i] * 2 + 1];
+
+            if (pointInRegion(x, y, region)) {
+                return true;
+            }
+
+            xmin = Math.min(xmin, x);
+            ymin = Math.min(ymin, y);
+            xmax = Math.max(xmax, x);
+            ymax = Math.max(ymax, y);
+        }
+
+        if (size === 1 || xmax < region.xmin || xmin > region.xmax || ymax < region.ymin || ymin > region.ymax) {
+            return false;
+        }
+
+        // Primitive's edge normals
+
+        var corners = [
+            region.xmin, region.ymin,
+            region.xmax, region.ymin,
+            region.xmax, region.ymax,
+            region.xmin, region.ymax
+        ];
+
+        var numEdges = (size === 2) ? 1 : 3;
+        var ax;
+        var ay;
+        var nx;
+        var ny;
+        var d;
+        var dmin;
+        var dmax;
+        var pmin;
+        var pmax;
+        var j;
+        var k;
+
+        for (i = 0; i < numEdges; i++) {
+
+            ax = projected[elements[i] * 2];
+            ay = projected[elements[i] * 2 + 1];
+
+            j = (i + 1) % size;
+
+            nx = -(projected[elements[j] * 2 + 1] - ay);
+            ny = projected[elements[j] * 2] - ax;
+
+            // Project primitive onto axis
+
+            pmin = Infinity;
+            pmax = -Infinity;
+
+            for (k = 0; k < size; k++) {
+                d = projected[elements[k] * 2] * nx + projected[elements[k] * 2 + 1] * ny;
+                pmin = Math.min(pmin, d);
+                pmax = Math.max(pmax, d);
+            }
+
+            // Project region onto axis
+
+            dmin = Infinity;
+            dmax = -Infinity;
+
+            for (k = 0; k < 8; k += 2) {
+                d = corners[k] * nx + corners[k + 1] * ny;
+                dmin = Math.min(dmin, d);
+                dmax = Math.max(dmax, d);
+            }
+
+            if (dmax < pmin || dmin > pmax) {
+                return false; // Separating axis found
+            }
+        }
+
+        return true;
+    }
+
+    // Finds a component class from its type name, eg. "XEO.Geometry.OBJ"
+    function getClass(type) {
+
+        var parts = type.split(".");
+        var clazz = window;
+
+        for (var i = 0, len = parts.length; i < len; i++) {
+
+            clazz = clazz[parts[i]];
+
+            if (!clazz) {
+                return null;
+            }
+        }
+
+        return (typeof clazz === "function") ? clazz : null;
+    }
 
 })();
@@ -116,6 +116,8 @@
             // resources on lazy-rebuild
 
             this._getDirty = cfg.getDirty;
+            this._getAABB = cfg.getAABB;
+            this._getPositions = cfg.getPositions;
             this._getOBB = cfg.getOBB;
             this._getMatrix = cfg.getMatrix;
 
@@ -251,7 +253,7 @@
 
                     XEO.math.positions3ToAABB3(positions, this._aabb);
                     XEO.math.AABB3ToOBB3(this._aabb, this._obb);
-                    XEO.math.transformPoints3(matrix, this._obb);
+                    XEO.math.transformPoints3(matrix, this._obb, this._obb);
                     XEO.math.points3ToAABB3(this._obb, this._aabb);
                     XEO.math.getAABBCenter(this._aabb, this._center);
 
@@ -292,7 +294,7 @@
 
                     // Copy OOBB, derive AABB and center
 
-                    for (var i = 0, len = obb.length; i < lenl; i++) {
+                    for (var i = 0, len = obb.length; i < len; i++) {
                         this._obb[i] = obb[i];
                     }
 
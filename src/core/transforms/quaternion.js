@@ -11,6 +11,10 @@
  in the hierarchy, and will be transformed by each {{#crossLink "Transform"}}Transforms{{/crossLink}} on the path up to the
  root, in that order.</li>
  <li>See <a href="Shader.html#inputs">Shader Inputs</a> for the variables that Transforms create within xeoEngine's shaders.</li>
+ <li>Rotations accumulated with {{#crossLink "Quaternion/rotate:method"}}{{/crossLink}} don't suffer from gimbal lock,
+ so a Quaternion suits orientations that are continually updated, such as those read from motion sensors.</li>
+ <li>See {{#crossLink "math"}}{{/crossLink}} for functions to convert quaternions to and from angle-axis rotations,
+ Euler angles and matrices.</li>
  </ul>
 
  <img src="../../../assets/images/Quaternion.png"></img>
@@ -86,65 +90,115 @@ scene.on("tick", function(e) {
  @param [cfg] {*} Configs
  @param [cfg.id] {String} Optional ID, unique among all components in the parent scene, generated automatically when omitted.
  @param [cfg.meta] {String:Object} Optional map of user-defined metadata to attach to this Quaternion.
+ @param [cfg.parent] {String|XEO.Transform} ID or instance of a parent {{#crossLink "Transform"}}{{/crossLink}} within the same {{#crossLink "Scene"}}Scene{{/crossLink}}.
  @param [cfg.xyzw=[0,0,0,1]] {Array(Number)} The initial Quaternion elements.
  @extends Transform
  */
 (function () {
 
     "use strict";
+
     XEO.Quaternion = XEO.Transform.extend({
 
         type: "XEO.Quaternion",
 
         _init: function (cfg) {
+
             this._super(cfg);
+
+            this._xyzw = XEO.math.identityQuaternion();
+
+            // Scratch rotation for #rotate
+
+            this._rotation = XEO.math.vec4();
+
             this.xyzw = cfg.xyzw;
         },
 
         _props: {
 
             /**
-             The quaternion elements
-             Fires an {{#crossLink "Quaternion/xyzw:event"}}{{/crossLink}} event on change.
-             @property xyzw
-             @default [0,0,0,1]
-             @type {Array of Number}
+             * The quaternion elements, in [x, y, z, w] form. These are normalized when set.
+             *
+             * Fires an {{#crossLink "Quaternion/xyzw:event"}}{{/crossLink}} event on change.
+             *
+             * @property xyzw
+             * @default [0,0,0,1]
+             * @type {Array of Number}
              */
             xyzw: {
 
                 set: function (value) {
-                    this._xyzw = value || [0, 0, 0, 1];
-//                this.matrix = XEO.math.scalingMat4v(this._xyzw);
 
-                    /**
-                     Fired whenever this Quaternion's {{#crossLink "Quaternion/xyzw:property"}}{{/crossLink}} property changes.
+                    XEO.math.normalizeQuaternion(value || [0, 0, 0, 1], this._xyzw);
 
-                     @event xyzw
-                     @param value {Array of Number} The property's new value
-                     */
-                    this.fire("xyzw", this._xyzw);
+                    this._update();
                 },
 
                 get: function () {
-                    return this._xyz;
+                    return this._xyzw;
                 }
             }
         },
 
         /**
-         Rotates this Quaternion.
-         Fires an {{#crossLink "Quaternion/xyzw:event"}}{{/crossLink}} event to notify of update to the Quaternion elements.
-         @method rotate
-         @param {Array of Number} angleAxis Rotation in angle-axis form.
+         * Rotates this Quaternion, relative to its current orientation.
+         *
+         * The rotation axis is in the Quaternion's own rotated frame, so that the rotation is applied before the current
+         * orientation. This is how rotation rates measured by a body-mounted sensor, such as a gyroscope, are accumulated.
+         *
+         * Fires an {{#crossLink "Quaternion/xyzw:event"}}{{/crossLink}} event to notify of update to the Quaternion elements.
+         *
+         * @method rotate
+         * @param {Array of Number} angleAxis Rotation in angle-axis form, ie. the axis followed by the angle
+         * in degrees, as [x, y, z, angle].
          */
         rotate: function (angleAxis) {
-            // TODO
+
+            var math = XEO.math;
+
+            var rotation = this._rotation;
+
+            rotation[0] = angleAxis[0];
+            rotation[1] = angleAxis[1];
+            rotation[2] = angleAxis[2];
+            rotation[3] = angleAxis[3] * (Math.PI / 180.0);
+
+            math.angleAxisToQuaternion(rotation, rotation);
+
+            math.mulQuaternions(this._xyzw, rotation, this._xyzw);
+
+            // Prevent drift away from unit length as rotations accumulate
+
+            math.normalizeQuaternion(this._xyzw, this._xyzw);
+
+            this._update();
+        },
+
+        _update: function () {
+
+            this.matrix = XEO.math.quaternionToMat4(this._xyzw);
+
+            /**
+             Fired whenever this Quaternion's {{#crossLink "Quaternion/xyzw:property"}}{{/crossLink}} property changes.
+
+             @event xyzw
+             @param value {Array of Number} The property's new value
+             */
+            this.fire("xyzw", this._xyzw);
         },
 
         _getJSON: function () {
-            return {
-                xyzw: this.xyzw
+
+            var json = {
+                xyzw: Array.prototype.slice.call(this._xyzw)
             };
+
+            if (this._parent) {
+                json.parent = this._parent.id;
+            }
+
+            return json;
         }
     });
-})();
\ No newline at end of file
+})();
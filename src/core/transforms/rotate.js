@@ -195,10 +195,17 @@
         },
 
         _getJSON: function () {
-            return {
+
+            var json = {
                 xyz: this._xyz,
                 angle: this._angle
             };
+
+            if (this._parent) {
+                json.parent = this._parent.id;
+            }
+
+            return json;
         }
     });
 
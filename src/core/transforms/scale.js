@@ -132,9 +132,16 @@ scene.on("tick", function(e) {
         },
 
         _getJSON: function () {
-            return {
+
+            var json = {
                 xyz: this.xyz
             };
+
+            if (this._parent) {
+                json.parent = this._parent.id;
+            }
+
+            return json;
         }
     });
 
@@ -48,6 +48,9 @@
                 normalMatrix: null
             });
 
+            this._parent = null;
+            this._matrix = null;
+
             this.parent = cfg.parent;
             this.matrix = cfg.matrix;
         },
@@ -57,6 +60,9 @@
             /**
              * The parent Transform.
              *
+             * This Transform's {{#crossLink "Transform/worldMatrix:property"}}{{/crossLink}} is the product of the parent's
+             * {{#crossLink "Transform/worldMatrix:property"}}{{/crossLink}} and this Transform's {{#crossLink "Transform/matrix:property"}}{{/crossLink}}.
+             *
              * Fires a {{#crossLink "Transform/parent:event"}}{{/crossLink}} event on change.
              *
              * @property parent
@@ -66,8 +72,69 @@
 
                 set: function (value) {
 
+                    if (XEO._isNumeric(value) || XEO._isString(value)) {
+
+                        // Parent ID given
+
+                        var id = value;
+
+                        value = this.scene.components[id];
+
+                        if (!value) {
+                            this.error("Component not found: " + XEO._inQuotes(id));
+                            return;
+                        }
+                    }
+
+                    value = value || null;
+
+                    if (value) {
+
+                        if (!(value instanceof XEO.Transform)) {
+                            this.error("Parent is not a XEO.Transform: " + XEO._inQuotes(value.id));
+                            return;
+                        }
+
+                        // Reject cycles in the hierarchy
+
+                        for (var ancestor = value; ancestor; ancestor = ancestor._parent) {
+                            if (ancestor.id === this.id) {
+                                this.error("Parent would create a cycle in the Transform hierarchy: " + XEO._inQuotes(value.id));
+                                return;
+                            }
+                        }
+                    }
+
+                    var oldParent = this._parent;
+
+                    if (oldParent) {
+                        oldParent.off(this._onParentMatrix);
+                        oldParent.off(this._onParentDestroyed);
+                    }
+
                     this._parent = value;
 
+                    if (value) {
+
+                        var self = this;
+
+                        // World matrix is updated whenever the parent's world matrix is updated
+
+                        this._onParentMatrix = value.on("matrix",
+                            function () {
+                                self._parentUpdated();
+                            });
+
+                        this._onParentDestroyed = value.on("destroyed",
+                            function () {
+                                self.parent = null;
+                            });
+                    }
+
+                    if (this._matrix) {
+                        this._parentUpdated();
+                    }
+
                     /**
                      * Fired whenever this Transform's {{#crossLink "Transform/parent:property"}}{{/crossLink}} property changes.
                      * @event parent
@@ -84,6 +151,8 @@
             /**
              * The elements of this Transform's matrix.
              *
+             * This is the matrix relative to the {{#crossLink "Transform/parent:property"}}{{/crossLink}}, if any.
+             *
              * Fires an {{#crossLink "Transform/matrix:event"}}{{/crossLink}} event on change.
              *
              * @property matrix
@@ -101,38 +170,93 @@
                             0, 0, 0, 1
                         ];
 
-                    this._state.matrix = new Float32Array(value);
-
-                    this._state.normalMatrix = new Float32Array(
-                        XEO.math.transposeMat4(
-                            new Float32Array(
-                                XEO.math.inverseMat4(
-                                    this._state.matrix, this._state.normalMatrix), this._state.normalMatrix)));
+                    this._matrix = new Float32Array(value);
 
-                    this._renderer.imageDirty = true;
+                    this._updateWorldMatrix();
 
                     /**
-                     * Fired whenever this Transform's {{#crossLink "Transform/matrix:property"}}{{/crossLink}} property changes.
+                     * Fired whenever this Transform's {{#crossLink "Transform/matrix:property"}}{{/crossLink}} property changes,
+                     * which includes whenever the matrix of an ancestor Transform changes.
                      * @event matrix
                      * @param value The property's new value
                      */
-                    this.fire("matrix", this._state.matrix);
+                    this.fire("matrix", this._matrix);
                 },
 
+                get: function () {
+                    return this._matrix;
+                }
+            },
+
+            /**
+             * The elements of this Transform's World-space matrix, which is the concatenation of the
+             * {{#crossLink "Transform/matrix:property"}}{{/crossLink}} of this Transform with those of
+             * its ancestor Transforms.
+             *
+             * @property worldMatrix
+             * @type {Float32Array}
+             * @final
+             */
+            worldMatrix: {
+
                 get: function () {
                     return this._state.matrix;
                 }
             }
         },
 
-        _compile: function () {                    
-          this._renderer.modelTransform = this._state;
+        // Called when the World matrix of the parent has changed
+        _parentUpdated: function () {
+
+            if (!this._matrix) {
+                return; // Not yet initialised
+            }
+
+            this._updateWorldMatrix();
+
+            // Notify child Transforms and attached GameObjects
+
+            this.fire("matrix", this._matrix);
+        },
+
+        _updateWorldMatrix: function () {
+
+            var state = this._state;
+
+            state.matrix = this._parent ?
+                XEO.math.mulMat4(this._parent.worldMatrix, this._matrix, new Float32Array(16)) :
+                new Float32Array(this._matrix);
+
+            state.normalMatrix = XEO.math.transposeMat4(XEO.math.inverseMat4(state.matrix, new Float32Array(16)));
+
+            this._renderer.imageDirty = true;
+        },
+
+        _compile: function () {
+            this._renderer.modelTransform = this._state;
         },
 
         _getJSON: function () {
-            return {
-                matrix: Array.prototype.slice.call(this._state.matrix)
+
+            var json = {
+                matrix: Array.prototype.slice.call(this._matrix)
             };
+
+            if (this._parent) {
+                json.parent = this._parent.id;
+            }
+
+            return json;
+        },
+
+        _destroy: function () {
+
+            if (this._parent) {
+                this._parent.off(this._onParentMatrix);
+                this._parent.off(this._onParentDestroyed);
+            }
+
+            this._state.destroy();
         }
     });
 
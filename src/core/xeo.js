@@ -78,10 +78,21 @@
 
             tickEvent.prevTime = time;
 
-            window.requestAnimationFrame(frame);
+            requestAnimationFrame(frame);
         };
 
-        window.requestAnimationFrame(frame);
+        // Without a DOM, such as in Node.js with a
+        // headless WebGL context, fall back on timeouts
+
+        var requestAnimationFrame = window.requestAnimationFrame ?
+            function (callback) {
+                window.requestAnimationFrame(callback);
+            } :
+            function (callback) {
+                setTimeout(callback, 16);
+            };
+
+        requestAnimationFrame(frame);
     };
 
     XEO.prototype = {
@@ -2,36 +2,948 @@
 
  A Geometry imported from a Wavefront .OBJ file.
 
+ ## Overview
+
+ <ul>
+ <li>Supports vertex positions, UV coordinates and normals ("v", "vt" and "vn" records), along with faces ("f" records)
+ that reference them by either positive or negative (relative) indices.</li>
+ <li>Polygonal faces are triangulated.</li>
+ <li>A .OBJ file may contain multiple groups ("g" and "o" records). By default, a Geometry.OBJ contains all the
+ groups in the file. Specify a {{#crossLink "Geometry.OBJ/group:property"}}{{/crossLink}} to import only one of them.</li>
+ <li>Materials in companion .MTL files ("mtllib" records) are imported as {{#crossLink "PhongMaterial"}}PhongMaterials{{/crossLink}},
+ available on the {{#crossLink "Geometry.OBJ/materials:property"}}{{/crossLink}} map, with the one used by the
+ imported faces also available on {{#crossLink "Geometry.OBJ/material:property"}}{{/crossLink}}.</li>
+ <li>When the {{#crossLink "Scene"}}{{/crossLink}} is saved as JSON, the imported {{#crossLink "PhongMaterial"}}PhongMaterials{{/crossLink}}
+ and their {{#crossLink "Texture"}}Textures{{/crossLink}} are left out, since they are imported from the .MTL files again
+ when the JSON is loaded.</li>
+ <li>Normals are generated when the file does not supply them.</li>
+ <li>Loading is tracked by a {{#crossLink "Task"}}{{/crossLink}} within the {{#crossLink "Scene"}}Scene's{{/crossLink}}
+ {{#crossLink "Scene/tasks:property"}}{{/crossLink}}, which reports progress, completion and failure.</li>
+ </ul>
+
+ ## Example
+
  ```` javascript
  var geometry = new XEO.Geometry.OBJ(scene, {
-    src: "file.obj"
+    src: "models/obj/raptor.obj"
  });
 
  var object = new XEO.GameObject(myScene, {
     geometry: geometry
  });
+
+ // Apply the material from the .MTL file once loaded
+
+ geometry.on("loaded", function () {
+    if (geometry.material) {
+        object.material = geometry.material;
+    }
+ });
+ ````
+
+ ## Importing groups
+
+ ```` javascript
+ // Import only the "wheels" group
+
+ var wheels = new XEO.Geometry.OBJ(scene, {
+    src: "models/obj/car.obj",
+    group: "wheels"
+ });
+
+ // Find out which groups the file contains
+
+ wheels.on("loaded", function () {
+    console.log(wheels.groups);
+ });
  ````
 
  @class Geometry.OBJ
  @module XEO
  @extends Geometry
+ @constructor
+ @param [scene] {Scene} Parent {{#crossLink "Scene"}}Scene{{/crossLink}}.
+ @param [cfg] {*} Configs
+ @param [cfg.id] {String} Optional ID, unique among all components in the parent {{#crossLink "Scene"}}Scene{{/crossLink}},
+ generated automatically when omitted.
+ @param [cfg.meta] {String:Object} Optional map of user-defined metadata to attach to this Geometry.OBJ.
+ @param [cfg.src] {String} Path to the .OBJ file.
+ @param [cfg.group] {String} Name of a group to import from the .OBJ file. All groups are imported when omitted.
  */
-XEO.Geometry.OBJ = XEO.Geometry.extend({
+(function () {
+
+    "use strict";
+
+    XEO.Geometry.OBJ = XEO.Geometry.extend({
+
+        type: "XEO.Geometry.OBJ",
+
+        // Constructor
+
+        _init: function (cfg) {
+
+            // Call XEO.Geometry's init method, with empty
+            // arrays so that we don't get the default box
+
+            this._super({
+                primitive: "triangles",
+                positions: [],
+                indices: []
+            });
+
+            this._src = null;
+            this._group = cfg.group || null;
+            this._groups = [];
+            this._materials = {};
+            this._material = null;
+
+            this.src = cfg.src;
+        },
+
+        _props: {
+
+            /**
+             Path to the .OBJ file.
+
+             Fires a {{#crossLink "Geometry.OBJ/src:event"}}{{/crossLink}} event on change.
+
+             @property src
+             @type String
+             */
+            src: {
+
+                set: function (value) {
+
+                    if (!value) {
+                        return;
+                    }
+
+                    if (!XEO._isString(value)) {
+                        this.error("Value for 'src' should be a string");
+                        return;
+                    }
+
+                    this._src = value;
+
+                    this._load(this._src);
+
+                    /**
+                     Fired whenever this Geometry.OBJ's  {{#crossLink "Geometry.OBJ/src:property"}}{{/crossLink}} property changes.
+                     @event src
+                     @param value The property's new value
+                     */
+                    this.fire("src", this._src);
+                },
+
+                get: function () {
+                    return this._src;
+                }
+            },
+
+            /**
+             Name of the group that this Geometry.OBJ imports from its .OBJ file, or null to import all groups.
+
+             @property group
+             @default null
+             @type String
+             @final
+             */
+            group: {
+
+                get: function () {
+                    return this._group;
+                }
+            },
+
+            /**
+             Names of the groups found in the .OBJ file.
+
+             This is empty until the file is loaded.
+
+             @property groups
+             @type {Array of String}
+             @final
+             */
+            groups: {
+
+                get: function () {
+                    return this._groups;
+                }
+            },
+
+            /**
+             Map of {{#crossLink "PhongMaterial"}}PhongMaterials{{/crossLink}} imported from the .OBJ file's
+             .MTL files, keyed to their names.
+
+             This is empty until the file is loaded.
+
+             @property materials
+             @type {String:PhongMaterial}
+             @final
+             */
+            materials: {
+
+                get: function () {
+                    return this._materials;
+                }
+            },
+
+            /**
+             The {{#crossLink "PhongMaterial"}}{{/crossLink}} used by the faces imported into this Geometry.OBJ.
+
+             When the faces use more than one material, this is the first of them. This is null until the
+             file is loaded, or when the faces use no material.
+
+             @property material
+             @type PhongMaterial
+             @final
+             */
+            material: {
+
+                get: function () {
+                    return this._material;
+                }
+            }
+        },
+
+        _load: function (src) {
+
+            var task = this.scene.tasks.create({
+                description: "Loading .OBJ: " + src
+            });
+
+            var self = this;
+
+            load(src,
+
+                function (text) {
+
+                    if (self._src !== src || self.destroyed) {
+
+                        // Data source was changed or
+                        // we were destroyed while loading
+
+                        task.setCompleted();
+                        return;
+                    }
+
+                    var obj;
+
+                    try {
+                        obj = parseOBJ(text);
+
+                    } catch (e) {
+                        self._failed(task, "Failed to parse .OBJ file " + XEO._inQuotes(src) + ": " + e);
+                        return;
+                    }
+
+                    var mtllibs = obj.mtllibs;
+
+                    if (mtllibs.length === 0) {
+                        self._loaded(task, obj, {});
+                        return;
+                    }
+
+                    // Load companion .MTL files
+
+                    var basePath = getBasePath(src);
+                    var mtls = {};
+                    var numLoaded = 0;
+
+                    function mtlLoaded() {
+
+                        task.setProgress(0.5 + 0.5 * (numLoaded / mtllibs.length));
+
+                        if (numLoaded === mtllibs.length) {
+
+                            if (self._src !== src || self.destroyed) {
+                                task.setCompleted();
+                                return;
+                            }
+
+                            self._loaded(task, obj, mtls);
+                        }
+                    }
+
+                    for (var i = 0, len = mtllibs.length; i < len; i++) {
+
+                        (function (mtlSrc) {
+
+                            load(mtlSrc,
+
+                                function (text) {
+
+                                    var parsed = parseMTL(text, getBasePath(mtlSrc));
+
+                                    for (var name in parsed) {
+                                        if (parsed.hasOwnProperty(name)) {
+                                            mtls[name] = parsed[name];
+                                        }
+                                    }
+
+                                    numLoaded++;
+
+                                    mtlLoaded();
+                                },
+
+                                function (msg) {
+
+                                    // Geometry is still usable without its materials
+
+                                    self.warn("Failed to load .MTL file: " + msg);
+
+                                    numLoaded++;
+
+                                    mtlLoaded();
+                                });
+
+                        })(basePath + mtllibs[i]);
+                    }
+                },
+
+                function (msg) {
+                    self._failed(task, "Failed to load .OBJ file: " + msg);
+                },
+
+                function (progress) {
+
+                    // Loading the .OBJ is the first half of the task
+
+                    task.setProgress(progress * 0.5);
+                });
+        },
+
+        _loaded: function (task, obj, mtls) {
+
+            this._groups = [];
+
+            for (var i = 0, len = obj.groups.length; i < len; i++) {
+                this._groups.push(obj.groups[i].name);
+            }
+
+            if (this._group && this._groups.indexOf(this._group) < 0) {
+                this._failed(task, "Group not found in .OBJ file: " + XEO._inQuotes(this._group));
+                return;
+            }
+
+            // Materials
+
+            this._destroyMaterials();
+
+            for (var name in mtls) {
+                if (mtls.hasOwnProperty(name)) {
+                    this._materials[name] = this._createMaterial(mtls[name]);
+                }
+            }
+
+            // Geometry arrays
+
+            var arrays = buildArrays(obj, this._group);
+
+            this.primitive = "triangles";
+            this.positions = arrays.positions;
+            this.normals = arrays.normals;
+            this.uv = arrays.uv;
+            this.indices = arrays.indices;
+
+            this._material = (arrays.material && this._materials[arrays.material]) || null;
+
+            task.setCompleted();
+
+            /**
+             Fired when this Geometry.OBJ has finished loading its .OBJ file,
+             along with any .MTL files.
+
+             @event loaded
+             @param value {Boolean} Always true
+             */
+            this.fire("loaded", true);
+        },
+
+        _failed: function (task, msg) {
+
+            this.error(msg);
+
+            task.setFailed();
+
+            /**
+             Fired when this Geometry.OBJ has failed to load or parse its .OBJ file.
+
+             @event failed
+             @param value {String} The error message
+             */
+            this.fire("failed", msg);
+        },
+
+        _createMaterial: function (mtl) {
+
+            var cfg = {
+                metadata: {
+                    name: mtl.name
+                }
+            };
+
+            if (mtl.ambient) {
+                cfg.ambient = mtl.ambient;
+            }
+
+            if (mtl.diffuse) {
+                cfg.diffuse = mtl.diffuse;
+            }
+
+            if (mtl.specular) {
+                cfg.specular = mtl.specular;
+            }
+
+            if (mtl.emissive) {
+                cfg.emissive = mtl.emissive;
+            }
+
+            if (mtl.shininess !== undefined) {
+                cfg.shininess = mtl.shininess;
+            }
+
+            if (mtl.opacity !== undefined) {
+                cfg.opacity = mtl.opacity;
+            }
+
+            var maps = {
+                diffuseMap: mtl.diffuseMap,
+                specularMap: mtl.specularMap,
+                emissiveMap: mtl.emissiveMap,
+                opacityMap: mtl.opacityMap,
+                normalMap: mtl.normalMap
+            };
+
+            for (var type in maps) {
+                if (maps.hasOwnProperty(type) && maps[type]) {
+                    cfg[type] = new XEO.Texture(this.scene, {
+                        src: maps[type]
+                    });
+
+                    // Owned by this Geometry.OBJ, so not saved with the Scene
+                    cfg[type]._owner = this;
+                }
+            }
+
+            var material = new XEO.PhongMaterial(this.scene, cfg);
+
+            material._owner = this;
+
+            return material;
+        },
+
+        _destroyMaterials: function () {
+
+            var material;
+            var types = ["diffuseMap", "specularMap", "emissiveMap", "opacityMap", "normalMap"];
+
+            for (var name in this._materials) {
+                if (this._materials.hasOwnProperty(name)) {
+
+                    material = this._materials[name];
+
+                    // The Scene may have destroyed them already, when clearing itself
+
+                    for (var i = 0; i < types.length; i++) {
+                        if (material[types[i]] && !material[types[i]].destroyed) {
+                            material[types[i]].destroy();
+                        }
+                    }
+
+                    if (!material.destroyed) {
+                        material.destroy();
+                    }
+                }
+            }
+
+            this._materials = {};
+            this._material = null;
+        },
 
-    className: "XEO.Geometry.OBJ",
+        _getJSON: function () {
 
-    // Constructor
+            var json = {
+                src: this._src
+            };
 
-    _init: function (cfg) {
+            if (this._group) {
+                json.group = this._group;
+            }
 
-        // Call XEO.Component's init method
-        this._super(cfg);
+            return json;
+        },
 
-        // Now load .OBJ and update arrays
+        _destroy: function () {
 
-    },
+            this._destroyMaterials();
 
-    _getJSON: function () {
-        return {};
+            this._super();
+        }
+    });
+
+    // Loads a text file, reporting progress in range [0..1]
+    function load(url, ok, error, progress) {
+
+        var xhr = new XMLHttpRequest();
+
+        xhr.addEventListener('progress',
+            function (event) {
+                if (progress && event.lengthComputable && event.total > 0) {
+                    progress(event.loaded / event.total);
+                }
+            }, false);
+
+        xhr.addEventListener('load',
+            function () {
+                if (xhr.status === 200 || (xhr.status === 0 && xhr.responseText)) {
+                    ok(xhr.responseText);
+                } else {
+                    error('Couldn\'t load URL [' + url + '] (HTTP ' + xhr.status + ')');
+                }
+            }, false);
+
+        xhr.addEventListener('error',
+            function () {
+                error('Couldn\'t load URL [' + url + ']');
+            }, false);
+
+        xhr.open('GET', url, true);
+        xhr.send(null);
+    }
+
+    function getBasePath(src) {
+        var i = src.lastIndexOf("/");
+        return (i === -1) ? "" : src.substring(0, i + 1);
+    }
+
+    // Parses .OBJ text into vertex data arrays and lists of faces for each group.
+    // Each face vertex is a triplet of zero-based [position, uv, normal] indices,
+    // in which the uv and normal indices are -1 when not given.
+    function parseOBJ(text) {
+
+        var positions = [];
+        var uv = [];
+        var normals = [];
+
+        var groups = [];
+        var groupMap = {};
+        var group = null;
+
+        var material = null;
+        var mtllibs = [];
+
+        function getGroup(name) {
+
+            var g = groupMap[name];
+
+            if (!g) {
+                g = groupMap[name] = {
+                    name: name,
+                    faces: []
+                };
+                groups.push(g);
+            }
+
+            return g;
+        }
+
+        function resolveIndex(value, len, lineNum) {
+
+            var index = parseInt(value, 10);
+
+            if (isNaN(index) || index === 0) {
+                throw "invalid index '" + value + "' on line " + lineNum;
+            }
+
+            // Negative indices are relative to the end of the list so far
+
+            index = (index < 0) ? len + index : index - 1;
+
+            if (index < 0 || index >= len) {
+                throw "index out of range '" + value + "' on line " + lineNum;
+            }
+
+            return index;
+        }
+
+        var lines = text.split(/\r?\n/);
+        var line;
+        var parts;
+        var keyword;
+
+        for (var i = 0, len = lines.length; i < len; i++) {
+
+            line = lines[i];
+
+            // Join continuation lines
+
+            while (line.charAt(line.length - 1) === "\\" && i < len - 1) {
+                line = line.substring(0, line.length - 1) + " " + lines[++i];
+            }
+
+            line = line.trim();
+
+            if (line.length === 0 || line.charAt(0) === "#") {
+                continue;
+            }
+
+            parts = line.split(/\s+/);
+            keyword = parts[0];
+
+            switch (keyword) {
+
+                case "v":
+                    positions.push(parseFloat(parts[1]), parseFloat(parts[2]), parseFloat(parts[3]));
+                    break;
+
+                case "vt":
+                    uv.push(parseFloat(parts[1]), parseFloat(parts[2] || 0));
+                    break;
+
+                case "vn":
+                    normals.push(parseFloat(parts[1]), parseFloat(parts[2]), parseFloat(parts[3]));
+                    break;
+
+                case "f":
+
+                    if (parts.length < 4) {
+                        throw "face with fewer than three vertices on line " + (i + 1);
+                    }
+
+                    if (!group) {
+                        group = getGroup("default");
+                    }
+
+                    var face = [];
+                    var vertex;
+
+                    for (var j = 1; j < parts.length; j++) {
+
+                        vertex = parts[j].split("/");
+
+                        face.push([
+                            resolveIndex(vertex[0], positions.length / 3, i + 1),
+                            vertex[1] ? resolveIndex(vertex[1], uv.length / 2, i + 1) : -1,
+                            vertex[2] ? resolveIndex(vertex[2], normals.length / 3, i + 1) : -1
+                        ]);
+                    }
+
+                    group.faces.push({
+                        vertices: face,
+                        material: material
+                    });
+
+                    break;
+
+                case "g":
+                case "o":
+                    group = getGroup(parts.slice(1).join(" ") || "default");
+                    break;
+
+                case "usemtl":
+                    material = parts.slice(1).join(" ");
+                    break;
+
+                case "mtllib":
+                    for (var k = 1; k < parts.length; k++) {
+                        mtllibs.push(parts[k]);
+                    }
+                    break;
+
+                default:
+                    // Ignore smoothing groups, lines, points and any other records
+                    break;
+            }
+        }
+
+        return {
+            positions: positions,
+            uv: uv,
+            normals: normals,
+            groups: groups,
+            mtllibs: mtllibs
+        };
+    }
+
+    // Builds indexed triangle arrays for the given group, or for all groups when no group given.
+    // Each distinct combination of position, UV and normal becomes a vertex.
+    function buildArrays(obj, groupName) {
+
+        var positions = [];
+        var uv = [];
+        var normals = [];
+        var indices = [];
+
+        var hasUV = true;
+        var hasNormals = true;
+
+        var vertexMap = {};
+        var numVertices = 0;
+
+        var material = null;
+
+        var groups = obj.groups;
+        var group;
+        var faces;
+        var face;
+        var vertices;
+        var vertex;
+        var key;
+        var index;
+        var faceIndices;
+
+        for (var i = 0, len = groups.length; i < len; i++) {
+
+            group = groups[i];
+
+            if (groupName && group.name !== groupName) {
+                continue;
+            }
+
+            faces = group.faces;
+
+            for (var j = 0, lenj = faces.length; j < lenj; j++) {
+
+                face = faces[j];
+                vertices = face.vertices;
+                faceIndices = [];
+
+                if (!material && face.material) {
+                    material = face.material;
+                }
+
+                for (var k = 0, lenk = vertices.length; k < lenk; k++) {
+
+                    vertex = vertices[k];
+
+                    key = vertex[0] + "/" + vertex[1] + "/" + vertex[2];
+
+                    index = vertexMap[key];
+
+                    if (index === undefined) {
+
+                        index = vertexMap[key] = numVertices++;
+
+                        positions.push(
+                            obj.positions[vertex[0] * 3],
+                            obj.positions[vertex[0] * 3 + 1],
+                            obj.positions[vertex[0] * 3 + 2]);
+
+                        if (vertex[1] >= 0) {
+                            uv.push(obj.uv[vertex[1] * 2], obj.uv[vertex[1] * 2 + 1]);
+                        } else {
+                            uv.push(0, 0);
+                            hasUV = false;
+                        }
+
+                        if (vertex[2] >= 0) {
+                            normals.push(
+                                obj.normals[vertex[2] * 3],
+                                obj.normals[vertex[2] * 3 + 1],
+                                obj.normals[vertex[2] * 3 + 2]);
+                        } else {
+                            normals.push(0, 0, 0);
+                            hasNormals = false;
+                        }
+                    }
+
+                    faceIndices.push(index);
+                }
+
+                // Triangulate as a fan around the first vertex
+
+                for (var t = 1, lent = faceIndices.length - 1; t < lent; t++) {
+                    indices.push(faceIndices[0], faceIndices[t], faceIndices[t + 1]);
+                }
+            }
+        }
+
+        if (!hasNormals) {
+            normals = buildNormals(positions, indices);
+        }
+
+        return {
+            positions: positions,
+            uv: (hasUV && numVertices > 0) ? uv : null,
+            normals: normals,
+            indices: indices,
+            material: material
+        };
     }
-});
\ No newline at end of file
+
+    // Generates smooth vertex normals by averaging the normals of the faces around each vertex
+    function buildNormals(positions, indices) {
+
+        var normals = new Array(positions.length);
+        var i;
+        var len;
+
+        for (i = 0, len = normals.length; i < len; i++) {
+            normals[i] = 0;
+        }
+
+        var a, b, c;
+        var ab = [0, 0, 0];
+        var ac = [0, 0, 0];
+        var n = [0, 0, 0];
+
+        for (i = 0, len = indices.length; i < len; i += 3) {
+
+            a = indices[i] * 3;
+            b = indices[i + 1] * 3;
+            c = indices[i + 2] * 3;
+
+            ab[0] = positions[b] - positions[a];
+            ab[1] = positions[b + 1] - positions[a + 1];
+            ab[2] = positions[b + 2] - positions[a + 2];
+
+            ac[0] = positions[c] - positions[a];
+            ac[1] = positions[c + 1] - positions[a + 1];
+            ac[2] = positions[c + 2] - positions[a + 2];
+
+            XEO.math.cross3Vec3(ab, ac, n);
+
+            normals[a] += n[0];
+            normals[a + 1] += n[1];
+            normals[a + 2] += n[2];
+
+            normals[b] += n[0];
+            normals[b + 1] += n[1];
+            normals[b + 2] += n[2];
+
+            normals[c] += n[0];
+            normals[c + 1] += n[1];
+            normals[c + 2] += n[2];
+        }
+
+        var x, y, z, l;
+
+        for (i = 0, len = normals.length; i < len; i += 3) {
+
+            x = normals[i];
+            y = normals[i + 1];
+            z = normals[i + 2];
+
+            l = Math.sqrt(x * x + y * y + z * z);
+
+            if (l > 0) {
+                normals[i] = x / l;
+                normals[i + 1] = y / l;
+                normals[i + 2] = z / l;
+            }
+        }
+
+        return normals;
+    }
+
+    // Parses .MTL text into a map of material descriptions, with texture
+    // paths resolved relative to the given base path
+    function parseMTL(text, basePath) {
+
+        var mtls = {};
+        var mtl = null;
+
+        var lines = text.split(/\r?\n/);
+        var line;
+        var parts;
+        var keyword;
+
+        function color(parts) {
+            return [parseFloat(parts[1]), parseFloat(parts[2]), parseFloat(parts[3])];
+        }
+
+        function map(parts) {
+
+            // Texture path is the last argument, after any options
+
+            return basePath + parts[parts.length - 1];
+        }
+
+        for (var i = 0, len = lines.length; i < len; i++) {
+
+            line = lines[i].trim();
+
+            if (line.length === 0 || line.charAt(0) === "#") {
+                continue;
+            }
+
+            parts = line.split(/\s+/);
+            keyword = parts[0];
+
+            if (keyword === "newmtl") {
+
+                mtl = {
+                    name: parts.slice(1).join(" ")
+                };
+
+                mtls[mtl.name] = mtl;
+
+                continue;
+            }
+
+            if (!mtl) {
+                continue;
+            }
+
+            switch (keyword) {
+
+                case "Ka":
+                    mtl.ambient = color(parts);
+                    break;
+
+                case "Kd":
+                    mtl.diffuse = color(parts);
+                    break;
+
+                case "Ks":
+                    mtl.specular = color(parts);
+                    break;
+
+                case "Ke":
+                    mtl.emissive = color(parts);
+                    break;
+
+                case "Ns":
+                    mtl.shininess = parseFloat(parts[1]);
+                    break;
+
+                case "d":
+                    mtl.opacity = parseFloat(parts[1]);
+                    break;
+
+                case "Tr":
+                    mtl.opacity = 1.0 - parseFloat(parts[1]);
+                    break;
+
+                case "map_Kd":
+                    mtl.diffuseMap = map(parts);
+                    break;
+
+                case "map_Ks":
+                    mtl.specularMap = map(parts);
+                    break;
+
+                case "map_Ke":
+                    mtl.emissiveMap = map(parts);
+                    break;
+
+                case "map_d":
+                    mtl.opacityMap = map(parts);
+                    break;
+
+                case "map_bump":
+                case "map_Bump":
+                case "bump":
+                    mtl.normalMap = map(parts);
+                    break;
+
+                default:
+                    break;
+            }
+        }
+
+        return mtls;
+    }
+
+})();
@@ -0,0 +1,1046 @@
+/**
+
+ A Group of components imported from a glTF 2.0 file.
+
+ ## Overview
+
+ <ul>
+ <li>Loads both .gltf files, with their buffers embedded as data URIs or in separate .bin files, and binary .glb files.</li>
+ <li>Each node in the glTF scene becomes a {{#crossLink "Transform"}}{{/crossLink}}, connected to the Transform of its
+ parent node through {{#crossLink "Transform/parent:property"}}{{/crossLink}}, so that the node hierarchy is preserved.</li>
+ <li>Each mesh primitive becomes a {{#crossLink "GameObject"}}{{/crossLink}}, with a {{#crossLink "Geometry"}}{{/crossLink}}
+ and a {{#crossLink "PBRMaterial"}}{{/crossLink}}, attached to the Transform of its node.</li>
+ <li>Metallic-roughness materials are mapped to {{#crossLink "PBRMaterial"}}PBRMaterials{{/crossLink}}, with their textures
+ loaded into {{#crossLink "Texture"}}Textures{{/crossLink}}. The metallic-roughness texture becomes both the
+ {{#crossLink "PBRMaterial/metallicMap:property"}}{{/crossLink}} and the {{#crossLink "PBRMaterial/roughnessMap:property"}}{{/crossLink}}.</li>
+ <li>Cameras become {{#crossLink "Camera"}}Cameras{{/crossLink}}, each with a {{#crossLink "Lookat"}}{{/crossLink}} that is
+ positioned by its node, and a {{#crossLink "Perspective"}}{{/crossLink}} or {{#crossLink "Ortho"}}{{/crossLink}}
+ projection. They are available on {{#crossLink "Group.GLTF/cameras:property"}}{{/crossLink}}.</li>
+ <li>All the imported components are added to this Group, and are destroyed with it.</li>
+ <li>When the {{#crossLink "Scene"}}{{/crossLink}} is saved as JSON, this Group saves only its {{#crossLink "Group.GLTF/src:property"}}{{/crossLink}},
+ leaving out the imported components, which are imported from the file again when the JSON is loaded.</li>
+ <li>Loading is tracked by a {{#crossLink "Task"}}{{/crossLink}} within the {{#crossLink "Scene"}}Scene's{{/crossLink}}
+ {{#crossLink "Scene/tasks:property"}}{{/crossLink}}, which reports progress, completion and failure.</li>
+ </ul>
+
+ ## Example
+
+ ```` javascript
+ var model = new XEO.Group.GLTF(scene, {
+    src: "models/gltf/duck/Duck.gltf"
+ });
+
+ model.on("loaded", function () {
+
+    // Iterate over the imported GameObjects
+
+    model.iterate(function (component) {
+        if (component.type === "XEO.GameObject") {
+            //...
+        }
+    });
+
+    // View through the first imported camera
+
+    if (model.cameras.length > 0) {
+        scene.camera.view.eye = model.cameras[0].view.eye;
+        scene.camera.view.look = model.cameras[0].view.look;
+        scene.camera.view.up = model.cameras[0].view.up;
+    }
+ });
+ ````
+
+ @class Group.GLTF
+ @module XEO
+ @extends Group
+ @constructor
+ @param [scene] {Scene} Parent {{#crossLink "Scene"}}Scene{{/crossLink}}.
+ @param [cfg] {*} Configs
+ @param [cfg.id] {String} Optional ID, unique among all components in the parent {{#crossLink "Scene"}}Scene{{/crossLink}},
+ generated automatically when omitted.
+ @param [cfg.meta] {String:Object} Optional map of user-defined metadata to attach to this Group.GLTF.
+ @param [cfg.src] {String} Path to the .gltf or .glb file.
+ */
+(function () {
+
+    "use strict";
+
+    var GLB_MAGIC = 0x46546C67; // "glTF"
+    var GLB_CHUNK_JSON = 0x4E4F534A; // "JSON"
+    var GLB_CHUNK_BIN = 0x004E4942; // "BIN"
+
+    var COMPONENT_TYPES = {
+        5120: Int8Array,
+        5121: Uint8Array,
+        5122: Int16Array,
+        5123: Uint16Array,
+        5125: Uint32Array,
+        5126: Float32Array
+    };
+
+    var TYPE_SIZES = {
+        SCALAR: 1,
+        VEC2: 2,
+        VEC3: 3,
+        VEC4: 4,
+        MAT2: 4,
+        MAT3: 9,
+        MAT4: 16
+    };
+
+    var PRIMITIVES = [
+        "points",
+        "lines",
+        "line-loop",
+        "line-strip",
+        "triangles",
+        "triangle-strip",
+        "triangle-fan"
+    ];
+
+    var FILTERS = {
+        9728: "nearest",
+        9729: "linear",
+        9984: "nearestMipmapNearest",
+        9985: "linearMipmapNearest",
+        9986: "nearestMipmapLinear",
+        9987: "linearMipmapLinear"
+    };
+
+    var WRAPS = {
+        33071: "clampToEdge",
+        33648: "mirroredRepeat",
+        10497: "repeat"
+    };
+
+    XEO.Group.GLTF = XEO.Group.extend({
+
+        type: "XEO.Group.GLTF",
+
+        // Constructor
+
+        _init: function (cfg) {
+
+            this._super(cfg);
+
+            this._src = null;
+            this._cameras = [];
+
+            this.src = cfg.src;
+        },
+
+        _props: {
+
+            /**
+             Path to the .gltf or .glb file.
+
+             Setting this destroys all the components in this Group, before importing from the new file.
+
+             Fires a {{#crossLink "Group.GLTF/src:event"}}{{/crossLink}} event on change.
+
+             @property src
+             @type String
+             */
+            src: {
+
+                set: function (value) {
+
+                    if (!value) {
+                        return;
+                    }
+
+                    if (!XEO._isString(value)) {
+                        this.error("Value for 'src' should be a string");
+                        return;
+                    }
+
+                    this._src = value;
+
+                    this._clear();
+
+                    this._load(this._src);
+
+                    /**
+                     Fired whenever this Group.GLTF's  {{#crossLink "Group.GLTF/src:property"}}{{/crossLink}} property changes.
+                     @event src
+                     @param value The property's new value
+                     */
+                    this.fire("src", this._src);
+                },
+
+                get: function () {
+                    return this._src;
+                }
+            },
+
+            /**
+             The {{#crossLink "Camera"}}Cameras{{/crossLink}} imported from the glTF file, in the order of the
+             glTF nodes they are attached to.
+
+             This is empty until the file is loaded.
+
+             @property cameras
+             @type {Array of Camera}
+             @final
+             */
+            cameras: {
+
+                get: function () {
+                    return this._cameras;
+                }
+            }
+        },
+
+        _load: function (src) {
+
+            var task = this.scene.tasks.create({
+                description: "Loading glTF: " + src
+            });
+
+            var self = this;
+
+            load(src,
+
+                function (data) {
+
+                    if (self._src !== src || self.destroyed) {
+
+                        // Data source was changed or
+                        // we were destroyed while loading
+
+                        task.setCompleted();
+                        return;
+                    }
+
+                    var gltf;
+                    var binChunk = null;
+
+                    try {
+
+                        if (data.byteLength >= 12 && new DataView(data).getUint32(0, true) === GLB_MAGIC) {
+
+                            var glb = parseGLB(data);
+
+                            gltf = glb.json;
+                            binChunk = glb.bin;
+
+                        } else {
+                            gltf = JSON.parse(decodeText(new Uint8Array(data)));
+                        }
+
+                    } catch (e) {
+                        self._failed(task, "Failed to parse glTF file " + XEO._inQuotes(src) + ": " + e);
+                        return;
+                    }
+
+                    if (!gltf.asset || !gltf.asset.version || gltf.asset.version.charAt(0) !== "2") {
+                        self._failed(task, "Unsupported glTF version in " + XEO._inQuotes(src) + " - only glTF 2.0 is supported");
+                        return;
+                    }
+
+                    // Load buffers
+
+                    var basePath = getBasePath(src);
+                    var bufferDefs = gltf.buffers || [];
+                    var buffers = [];
+                    var numLoaded = 0;
+                    var failed = false;
+
+                    function bufferLoaded() {
+
+                        task.setProgress(0.5 + 0.5 * (numLoaded / bufferDefs.length));
+
+                        if (numLoaded === bufferDefs.length) {
+
+                            if (self._src !== src || self.destroyed) {
+                                task.setCompleted();
+                                return;
+                            }
+
+                            try {
+                                self._build(gltf, buffers, basePath);
+
+                            } catch (e) {
+                                self._clear();
+                                self._failed(task, "Failed to import glTF file " + XEO._inQuotes(src) + ": " + e);
+                                return;
+                            }
+
+                            self._loaded(task);
+                        }
+                    }
+
+                    if (bufferDefs.length === 0) {
+                        bufferLoaded();
+                        return;
+                    }
+
+                    for (var i = 0, len = bufferDefs.length; i < len; i++) {
+
+                        (function (i, uri) {
+
+                            if (uri === undefined) {
+
+                                // GLB-stored buffer
+
+                                if (!binChunk) {
+                                    failed = true;
+                                    self._failed(task, "glTF buffer " + i + " has no URI and there is no GLB binary chunk");
+                                    return;
+                                }
+
+                                buffers[i] = binChunk;
+                                numLoaded++;
+                                bufferLoaded();
+                                return;
+                            }
+
+                            if (uri.indexOf("data:") === 0) {
+
+                                try {
+                                    buffers[i] = decodeDataURI(uri);
+
+                                } catch (e) {
+                                    failed = true;
+                                    self._failed(task, "Failed to decode glTF buffer " + i + ": " + e);
+                                    return;
+                                }
+
+                                numLoaded++;
+                                bufferLoaded();
+                                return;
+                            }
+
+                            load(basePath + uri,
+
+                                function (data) {
+
+                                    if (failed) {
+                                        return;
+                                    }
+
+                                    buffers[i] = data;
+                                    numLoaded++;
+                                    bufferLoaded();
+                                },
+
+                                function (msg) {
+
+                                    if (!failed) {
+                                        failed = true;
+                                        self._failed(task, "Failed to load glTF buffer: " + msg);
+                                    }
+                                });
+
+                        })(i, bufferDefs[i].uri);
+
+                        if (failed) {
+                            return;
+                        }
+                    }
+                },
+
+                function (msg) {
+                    self._failed(task, "Failed to load glTF file: " + msg);
+                },
+
+                function (progress) {
+
+                    // Loading the glTF file is the first half of the task
+
+                    task.setProgress(progress * 0.5);
+                });
+        },
+
+        // Creates components for the glTF's default scene, adding them to this Group
+        _build: function (gltf, buffers, basePath) {
+
+            var self = this;
+            var scene = this.scene;
+
+            var textures = [];
+            var materials = [];
+            var meshes = [];
+
+            function getTexture(info) {
+
+                if (!info || info.index === undefined) {
+                    return null;
+                }
+
+                if (textures[info.index] === undefined) {
+                    textures[info.index] = self._createTexture(gltf, buffers, basePath, info.index);
+                }
+
+                if (info.texCoord) {
+                    self.warn("Only the first set of texture coordinates is supported - texture " + info.index + " may not map correctly");
+                }
+
+                return textures[info.index];
+            }
+
+            function getMaterial(index) {
+
+                if (index === undefined) {
+                    return null;
+                }
+
+                if (materials[index] === undefined) {
+                    materials[index] = self._createMaterial(gltf.materials[index], getTexture);
+                }
+
+                return materials[index];
+            }
+
+            function getMesh(index) {
+
+                if (meshes[index] === undefined) {
+                    meshes[index] = self._createMesh(gltf, buffers, gltf.meshes[index]);
+                }
+
+                return meshes[index];
+            }
+
+            function buildNode(nodeIndex, parent) {
+
+                var node = gltf.nodes[nodeIndex];
+
+                var transform = new XEO.Transform(scene, {
+                    parent: parent,
+                    matrix: node.matrix || trsToMat4(node.translation, node.rotation, node.scale),
+                    metadata: {
+                        name: node.name
+                    }
+                });
+
+                self._adopt(transform);
+
+                var i;
+                var len;
+
+                if (node.mesh !== undefined) {
+
+                    var primitives = getMesh(node.mesh);
+                    var primitive;
+                    var material;
+
+                    for (i = 0, len = primitives.length; i < len; i++) {
+
+                        primitive = primitives[i];
+                        material = getMaterial(primitive.material);
+
+                        self._adopt(new XEO.GameObject(scene, {
+                            transform: transform,
+                            geometry: primitive.geometry,
+                            material: material ? material.material : undefined,
+                            modes: material ? material.modes : undefined,
+                            metadata: {
+                                name: node.name
+                            }
+                        }));
+                    }
+                }
+
+                if (node.camera !== undefined) {
+                    self._createCamera(gltf.cameras[node.camera], transform);
+                }
+
+                var children = node.children;
+
+                if (children) {
+                    for (i = 0, len = children.length; i < len; i++) {
+                        buildNode(children[i], transform);
+                    }
+                }
+            }
+
+            var gltfScene = gltf.scenes ? gltf.scenes[gltf.scene || 0] : null;
+            var rootNodes;
+            var i;
+            var len;
+
+            if (gltfScene) {
+                rootNodes = gltfScene.nodes || [];
+
+            } else {
+
+                // No scenes, so import all the nodes that are not children of other nodes
+
+                var nodes = gltf.nodes || [];
+                var isChild = {};
+                var j;
+
+                for (i = 0, len = nodes.length; i < len; i++) {
+                    if (nodes[i].children) {
+                        for (j = 0; j < nodes[i].children.length; j++) {
+                            isChild[nodes[i].children[j]] = true;
+                        }
+                    }
+                }
+
+                rootNodes = [];
+
+                for (i = 0, len = nodes.length; i < len; i++) {
+                    if (!isChild[i]) {
+                        rootNodes.push(i);
+                    }
+                }
+            }
+
+            for (i = 0, len = rootNodes.length; i < len; i++) {
+                buildNode(rootNodes[i], null);
+            }
+        },
+
+        _createTexture: function (gltf, buffers, basePath, index) {
+
+            var textureDef = gltf.textures[index];
+
+            if (textureDef.source === undefined) {
+                return null;
+            }
+
+            var imageDef = gltf.images[textureDef.source];
+            var src;
+
+            if (imageDef.uri !== undefined) {
+                src = imageDef.uri.indexOf("data:") === 0 ? imageDef.uri : basePath + imageDef.uri;
+
+            } else if (imageDef.bufferView !== undefined) {
+
+                // Image embedded in a buffer
+
+                var view = getBufferView(gltf, buffers, imageDef.bufferView);
+
+                src = URL.createObjectURL(new Blob([view], {
+                    type: imageDef.mimeType
+                }));
+
+            } else {
+                return null;
+            }
+
+            var cfg = {
+                src: src,
+                flipY: false // glTF UV origin is at the top left
+            };
+
+            var sampler = textureDef.sampler !== undefined ? gltf.samplers[textureDef.sampler] : null;
+
+            if (sampler) {
+                cfg.minFilter = FILTERS[sampler.minFilter];
+                cfg.magFilter = FILTERS[sampler.magFilter];
+                cfg.wrapS = WRAPS[sampler.wrapS];
+                cfg.wrapT = WRAPS[sampler.wrapT];
+            }
+
+            var texture = new XEO.Texture(this.scene, cfg);
+
+            this._adopt(texture);
+
+            return texture;
+        },
+
+        _createMaterial: function (materialDef, getTexture) {
+
+            var pbr = materialDef.pbrMetallicRoughness || {};
+            var baseColor = pbr.baseColorFactor || [1, 1, 1, 1];
+
+            var cfg = {
+                color: baseColor.slice(0, 3),
+                opacity: baseColor[3],
+                metallic: pbr.metallicFactor !== undefined ? pbr.metallicFactor : 1.0,
+                roughness: pbr.roughnessFactor !== undefined ? pbr.roughnessFactor : 1.0,
+                emissive: materialDef.emissiveFactor || [0, 0, 0],
+                metadata: {
+                    name: materialDef.name
+                }
+            };
+
+            var colorMap = getTexture(pbr.baseColorTexture);
+
+            if (colorMap) {
+                cfg.colorMap = colorMap;
+            }
+
+            // glTF packs roughness into the green channel of the metallic-roughness texture,
+            // and metallic into the blue channel, which is where PBRMaterial reads them from
+
+            var metallicRoughnessMap = getTexture(pbr.metallicRoughnessTexture);
+
+            if (metallicRoughnessMap) {
+                cfg.roughnessMap = metallicRoughnessMap;
+                cfg.metallicMap = metallicRoughnessMap;
+            }
+
+            var normalMap = getTexture(materialDef.normalTexture);
+
+            if (normalMap) {
+                cfg.normalMap = normalMap;
+            }
+
+            var emissiveMap = getTexture(materialDef.emissiveTexture);
+
+            if (emissiveMap) {
+                cfg.emissiveMap = emissiveMap;
+            }
+
+            var material = new XEO.PBRMaterial(this.scene, cfg);
+
+            this._adopt(material);
+
+            var modes = new XEO.Modes(this.scene, {
+                transparent: materialDef.alphaMode === "BLEND",
+                backfaces: !!materialDef.doubleSided
+            });
+
+            this._adopt(modes);
+
+            return {
+                material: material,
+                modes: modes
+            };
+        },
+
+        // Returns an array of {geometry, material} for the mesh's primitives
+        _createMesh: function (gltf, buffers, meshDef) {
+
+            var result = [];
+            var primitives = meshDef.primitives;
+            var primitiveDef;
+            var attributes;
+            var positions;
+            var indices;
+            var cfg;
+
+            for (var i = 0, len = primitives.length; i < len; i++) {
+
+                primitiveDef = primitives[i];
+                attributes = primitiveDef.attributes;
+
+                if (attributes.POSITION === undefined) {
+                    this.warn("Mesh " + XEO._inQuotes(meshDef.name || "") + " has a primitive without positions - ignoring");
+                    continue;
+                }
+
+                positions = getAccessorData(gltf, buffers, attributes.POSITION);
+
+                // More than 65536 vertices need 32-bit indices
+
+                if (positions.length / 3 > 65536 && !this.scene.canvas.gl.getExtension("OES_element_index_uint")) {
+                    this.warn("Mesh " + XEO._inQuotes(meshDef.name || "") + " has a primitive with more than 65536 vertices, " +
+                        "but 32-bit indices are not supported by this WebGL context (no OES_element_index_uint extension) - ignoring");
+                    continue;
+                }
+
+                if (primitiveDef.indices !== undefined) {
+                    indices = getAccessorData(gltf, buffers, primitiveDef.indices);
+
+                } else {
+
+                    // Non-indexed primitive
+
+                    indices = [];
+
+                    for (var j = 0, numVertices = positions.length / 3; j < numVertices; j++) {
+                        indices.push(j);
+                    }
+                }
+
+                cfg = {
+                    primitive: PRIMITIVES[primitiveDef.mode !== undefined ? primitiveDef.mode : 4],
+                    positions: positions,
+                    indices: indices,
+                    metadata: {
+                        name: meshDef.name
+                    }
+                };
+
+                if (attributes.NORMAL !== undefined) {
+                    cfg.normals = getAccessorData(gltf, buffers, attributes.NORMAL);
+                }
+
+                if (attributes.TEXCOORD_0 !== undefined) {
+                    cfg.uv = getAccessorData(gltf, buffers, attributes.TEXCOORD_0);
+                }
+
+                if (attributes.COLOR_0 !== undefined) {
+                    cfg.colors = toRGBA(gltf, getAccessorData(gltf, buffers, attributes.COLOR_0), attributes.COLOR_0);
+                }
+
+                var geometry = new XEO.Geometry(this.scene, cfg);
+
+                this._adopt(geometry);
+
+                result.push({
+                    geometry: geometry,
+                    material: primitiveDef.material
+                });
+            }
+
+            return result;
+        },
+
+        _createCamera: function (cameraDef, transform) {
+
+            var scene = this.scene;
+
+            // glTF cameras look down their node's -Z axis, with +Y up
+
+            var matrix = transform.worldMatrix;
+            var eye = XEO.math.transformPoint3(matrix, [0, 0, 0]).slice(0, 3);
+            var look = XEO.math.transformPoint3(matrix, [0, 0, -1]).slice(0, 3);
+            var up = XEO.math.normalizeVec3(XEO.math.transformVec3(matrix, [0, 1, 0]));
+
+            var view = new XEO.Lookat(scene, {
+                eye: eye,
+                look: look,
+                up: up
+            });
+
+            var project;
+
+            if (cameraDef.type === "orthographic") {
+
+                var ortho = cameraDef.orthographic;
+
+                project = new XEO.Ortho(scene, {
+                    left: -ortho.xmag,
+                    right: ortho.xmag,
+                    top: ortho.ymag,
+                    bottom: -ortho.ymag,
+                    near: ortho.znear,
+                    far: ortho.zfar
+                });
+
+            } else {
+
+                var perspective = cameraDef.perspective;
+
+                project = new XEO.Perspective(scene, {
+                    fovy: perspective.yfov * 180.0 / Math.PI,
+                    near: perspective.znear,
+                    far: perspective.zfar !== undefined ? perspective.zfar : 10000.0
+                });
+            }
+
+            var camera = new XEO.Camera(scene, {
+                view: view,
+                project: project,
+                metadata: {
+                    name: cameraDef.name
+                }
+            });
+
+            this._adopt([view, project, camera]);
+
+            this._cameras.push(camera);
+        },
+
+        _loaded: function (task) {
+
+            task.setCompleted();
+
+            /**
+             Fired when this Group.GLTF has finished loading its glTF file,
+             along with any buffers and textures.
+
+             @event loaded
+             @param value {Boolean} Always true
+             */
+            this.fire("loaded", true);
+        },
+
+        _failed: function (task, msg) {
+
+            this.error(msg);
+
+            task.setFailed();
+
+            /**
+             Fired when this Group.GLTF has failed to load or import its glTF file.
+
+             @event failed
+             @param value {String} The error message
+             */
+            this.fire("failed", msg);
+        },
+
+        // Adds imported components to this Group, as components that
+        // this Group owns, so that they are not saved with the Scene
+        _adopt: function (components) {
+
+            components = XEO._isArray(components) ? components : [components];
+
+            for (var i = 0, len = components.length; i < len; i++) {
+                components[i]._owner = this;
+            }
+
+            this.add(components);
+        },
+
+        // Destroys the components imported from the current file
+        _clear: function () {
+
+            this.destroyAll();
+
+            this._cameras = [];
+        },
+
+        _getJSON: function () {
+
+            // The imported components are not saved with the Scene,
+            // since they are imported from the file again when loaded
+
+            return {
+                src: this._src
+            };
+        },
+
+        _destroy: function () {
+
+            this._clear();
+
+            this._super();
+        }
+    });
+
+    // Loads a binary file, reporting progress in range [0..1]
+    function load(url, ok, error, progress) {
+
+        var xhr = new XMLHttpRequest();
+
+        xhr.responseType = "arraybuffer";
+
+        xhr.addEventListener('progress',
+            function (event) {
+                if (progress && event.lengthComputable && event.total > 0) {
+                    progress(event.loaded / event.total);
+                }
+            }, false);
+
+        xhr.addEventListener('load',
+            function () {
+                if (xhr.status === 200 || (xhr.status === 0 && xhr.response)) {
+                    ok(xhr.response);
+                } else {
+                    error('Couldn\'t load URL [' + url + '] (HTTP ' + xhr.status + ')');
+                }
+            }, false);
+
+        xhr.addEventListener('error',
+            function () {
+                error('Couldn\'t load URL [' + url + ']');
+            }, false);
+
+        xhr.open('GET', url, true);
+        xhr.send(null);
+    }
+
+    function getBasePath(src) {
+        var i = src.lastIndexOf("/");
+        return (i === -1) ? "" : src.substring(0, i + 1);
+    }
+
+    // Decodes UTF-8 bytes into a string
+    function decodeText(bytes) {
+
+        if (typeof TextDecoder !== "undefined") {
+            return new TextDecoder("utf-8").decode(bytes);
+        }
+
+        var s = "";
+
+        for (var i = 0, len = bytes.length; i < len; i++) {
+            s += String.fromCharCode(bytes[i]);
+        }
+
+        return decodeURIComponent(escape(s));
+    }
+
+    // Decodes a base64 data URI into an ArrayBuffer
+    function decodeDataURI(uri) {
+
+        var comma = uri.indexOf(",");
+
+        if (comma < 0 || uri.substring(0, comma).indexOf(";base64") < 0) {
+            throw "only base64 data URIs are supported";
+        }
+
+        var binary = atob(uri.substring(comma + 1));
+        var bytes = new Uint8Array(binary.length);
+
+        for (var i = 0, len = binary.length; i < len; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+
+        return bytes.buffer;
+    }
+
+    // Splits a .glb file into its JSON and binary chunks
+    function parseGLB(data) {
+
+        var dataView = new DataView(data);
+
+        var version = dataView.getUint32(4, true);
+
+        if (version !== 2) {
+            throw "unsupported GLB version " + version;
+        }
+
+        var length = Math.min(dataView.getUint32(8, true), data.byteLength);
+        var offset = 12;
+        var json = null;
+        var bin = null;
+        var chunkLength;
+        var chunkType;
+
+        while (offset + 8 <= length) {
+
+            chunkLength = dataView.getUint32(offset, true);
+            chunkType = dataView.getUint32(offset + 4, true);
+
+            offset += 8;
+
+            if (chunkType === GLB_CHUNK_JSON) {
+                json = JSON.parse(decodeText(new Uint8Array(data, offset, chunkLength)));
+
+            } else if (chunkType === GLB_CHUNK_BIN) {
+                bin = data.slice(offset, offset + chunkLength);
+            }
+
+            // Unknown chunk types are skipped
+
+            offset += chunkLength;
+        }
+
+        if (!json) {
+            throw "GLB file has no JSON chunk";
+        }
+
+        return {
+            json: json,
+            bin: bin
+        };
+    }
+
+    function getBufferView(gltf, buffers, index) {
+
+        var bufferView = gltf.bufferViews[index];
+
+        return new Uint8Array(buffers[bufferView.buffer], bufferView.byteOffset || 0, bufferView.byteLength);
+    }
+
+    // Returns the elements of an accessor as a tightly-packed typed array
+    function getAccessorData(gltf, buffers, index) {
+
+        var accessor = gltf.accessors[index];
+        var ArrayType = COMPONENT_TYPES[accessor.componentType];
+        var itemSize = TYPE_SIZES[accessor.type];
+
+        if (!ArrayType || !itemSize) {
+            throw "accessor " + index + " has an unsupported type";
+        }
+
+        var numElements = accessor.count * itemSize;
+        var result = new ArrayType(numElements);
+
+        if (accessor.sparse) {
+            throw "accessor " + index + " is sparse, which is not supported";
+        }
+
+        if (accessor.bufferView === undefined) {
+
+            // No buffer view means all zeros
+
+            return result;
+        }
+
+        var bufferView = gltf.bufferViews[accessor.bufferView];
+        var buffer = buffers[bufferView.buffer];
+        var byteOffset = (bufferView.byteOffset || 0) + (accessor.byteOffset || 0);
+        var elementSize = ArrayType.BYTES_PER_ELEMENT;
+        var byteStride = bufferView.byteStride || 0;
+
+        if (!byteStride || byteStride === itemSize * elementSize) {
+
+            // Tightly packed - copy in one go, which also
+            // handles offsets that are not aligned to the type
+
+            result.set(new ArrayType(buffer.slice(byteOffset, byteOffset + numElements * elementSize)));
+
+            return result;
+        }
+
+        // Interleaved
+
+        // The last element may not be padded out to the full stride
+
+        var bytes = new Uint8Array(byteStride * accessor.count);
+
+        bytes.set(new Uint8Array(buffer, byteOffset, byteStride * (accessor.count - 1) + itemSize * elementSize));
+
+        var source = new ArrayType(bytes.buffer);
+        var stride = byteStride / elementSize;
+        var i;
+        var j;
+
+        for (i = 0; i < accessor.count; i++) {
+            for (j = 0; j < itemSize; j++) {
+                result[i * itemSize + j] = source[i * stride + j];
+            }
+        }
+
+        return result;
+    }
+
+    // Converts a COLOR_0 accessor's data into floating point RGBA
+    function toRGBA(gltf, data, index) {
+
+        var accessor = gltf.accessors[index];
+        var itemSize = TYPE_SIZES[accessor.type];
+        var scale = 1;
+
+        if (accessor.componentType === 5121) {
+            scale = 1 / 255;
+
+        } else if (accessor.componentType === 5123) {
+            scale = 1 / 65535;
+        }
+
+        var count = accessor.count;
+        var colors = new Float32Array(count * 4);
+
+        for (var i = 0; i < count; i++) {
+            colors[i * 4] = data[i * itemSize] * scale;
+            colors[i * 4 + 1] = data[i * itemSize + 1] * scale;
+            colors[i * 4 + 2] = data[i * itemSize + 2] * scale;
+            colors[i * 4 + 3] = itemSize === 4 ? data[i * itemSize + 3] * scale : 1.0;
+        }
+
+        return colors;
+    }
+
+    // Composes a column-major matrix from glTF translation, rotation quaternion and scale
+    function trsToMat4(t, r, s) {
+
+        t = t || [0, 0, 0];
+        r = r || [0, 0, 0, 1];
+        s = s || [1, 1, 1];
+
+        var x = r[0], y = r[1], z = r[2], w = r[3];
+
+        var x2 = x + x, y2 = y + y, z2 = z + z;
+        var xx = x * x2, xy = x * y2, xz = x * z2;
+        var yy = y * y2, yz = y * z2, zz = z * z2;
+        var wx = w * x2, wy = w * y2, wz = w * z2;
+
+        return [
+            (1 - (yy + zz)) * s[0], (xy + wz) * s[0], (xz - wy) * s[0], 0,
+            (xy - wz) * s[1], (1 - (xx + zz)) * s[1], (yz + wx) * s[1], 0,
+            (xz + wy) * s[2], (yz - wx) * s[2], (1 - (xx + yy)) * s[2], 0,
+            t[0], t[1], t[2], 1
+        ];
+    }
+
+})();
@@ -1,21 +1,400 @@
-describe("Given my code", function () {
+describe("Given a Scene", function () {
+
+    var scene;
+
+    // Compiles the Scene, then returns the info logs of
+    // any of its shaders that failed to compile
+
+    function getShaderErrors() {
+
+        scene._compile();
+
+        var gl = scene.canvas.gl;
+        var programs = scene._renderer._programFactory._programs;
+        var errors = [];
+
+        function check(shader) {
+            if (!gl.getShaderParameter(shader.handle, gl.COMPILE_STATUS)) {
+                errors.push(gl.getShaderInfoLog(shader.handle));
+            }
+        }
+
+        for (var hash in programs) {
+            if (programs.hasOwnProperty(hash)) {
+                check(programs[hash].draw._vertexShader);
+                check(programs[hash].draw._fragmentShader);
+                check(programs[hash].pick._vertexShader);
+                check(programs[hash].pick._fragmentShader);
+            }
+        }
+
+        return errors;
+    }
 
     beforeEach(function () {
-        /* ... Set up your object ... */
+        scene = new XEO.Scene();
     });
 
     afterEach(function () {
-        /* ... Tear it down ... */
+        scene.destroy();
     });
 
-    describe("When ...", function () {
+    describe("When a PhongMaterial is textured by a ColorTarget", function () {
 
         beforeEach(function () {
 
+            var colorTarget = new XEO.ColorTarget(scene);
+
+            new XEO.GameObject(scene, {
+                colorTarget: colorTarget
+            });
+
+            new XEO.GameObject(scene, {
+                material: new XEO.PhongMaterial(scene, {
+                    diffuseMap: new XEO.Texture(scene, {
+                        target: colorTarget,
+                        scale: [2, 2]
+                    })
+                })
+            });
+        });
+
+        it("Then its shaders compile", function () {
+            expect(getShaderErrors()).toEqual([]);
         });
+    });
+
+    describe("When a PhongMaterial is textured by a DepthTarget", function () {
+
+        beforeEach(function () {
+
+            var depthTarget = new XEO.DepthTarget(scene);
+
+            new XEO.GameObject(scene, {
+                depthTarget: depthTarget
+            });
+
+            new XEO.GameObject(scene, {
+                material: new XEO.PhongMaterial(scene, {
+                    emissiveMap: new XEO.Texture(scene, {
+                        target: depthTarget
+                    })
+                })
+            });
+        });
+
+        it("Then its shaders compile", function () {
+            expect(getShaderErrors()).toEqual([]);
+        });
+    });
+
+    describe("When a PBRMaterial has all its maps", function () {
+
+        beforeEach(function () {
+
+            function texture() {
+                return new XEO.Texture(scene, {
+                    src: "../examples/models/obj/raptor.jpg"
+                });
+            }
+
+            var metallicRoughnessMap = texture();
+
+            new XEO.GameObject(scene, {
+                lights: new XEO.Lights(scene, {
+                    lights: [
+                        new XEO.AmbientLight(scene),
+                        new XEO.DirLight(scene),
+                        new XEO.PointLight(scene),
+                        new XEO.SpotLight(scene)
+                    ]
+                }),
+                material: new XEO.PBRMaterial(scene, {
+                    colorMap: texture(),
+                    emissiveMap: texture(),
+                    opacityMap: texture(),
+                    roughnessMap: metallicRoughnessMap,
+                    metallicMap: metallicRoughnessMap,
+                    normalMap: texture(),
+                    specularMap: texture()
+                })
+            });
+        });
+
+        it("Then its shaders compile", function () {
+            expect(getShaderErrors()).toEqual([]);
+        });
+    });
+
+    describe("When a Geometry.OBJ loads a textured .MTL", function () {
+
+        var geometry;
+        var loaded;
+
+        beforeEach(function () {
+
+            loaded = false;
+
+            geometry = new XEO.Geometry.OBJ(scene, {
+                src: "models/texturedQuad.obj"
+            });
+
+            geometry.on("loaded", function () {
+                loaded = true;
+            });
+        });
+
+        it("Then the shaders for its material compile", function () {
+
+            waitsFor(function () {
+                return loaded;
+            }, "the .OBJ to load", 5000);
+
+            runs(function () {
+
+                expect(geometry.material.diffuseMap).toBeDefined();
+
+                new XEO.GameObject(scene, {
+                    geometry: geometry,
+                    material: geometry.material
+                });
+
+                expect(getShaderErrors()).toEqual([]);
+            });
+        });
+    });
+
+    describe("When a Scene with a Group.GLTF is saved and loaded", function () {
+
+        var loaded;
+
+        function onLoaded(group) {
+            group.on("loaded", function () {
+                loaded = true;
+            });
+        }
+
+        function numComponents(type) {
+            return Object.keys(scene.types[type] || {}).length;
+        }
+
+        beforeEach(function () {
+
+            loaded = false;
+
+            onLoaded(new XEO.Group.GLTF(scene, {
+                id: "model",
+                src: "models/triangle.gltf"
+            }));
+        });
+
+        it("Then its components are imported once", function () {
+
+            waitsFor(function () {
+                return loaded;
+            }, "the glTF to load", 5000);
+
+            runs(function () {
+
+                expect(numComponents("XEO.GameObject")).toBe(1);
+
+                loaded = false;
+
+                scene.load(scene.json);
+
+                onLoaded(scene.components.model);
+            });
+
+            waitsFor(function () {
+                return loaded;
+            }, "the glTF to load again", 5000);
+
+            runs(function () {
+                expect(numComponents("XEO.GameObject")).toBe(1);
+                expect(numComponents("XEO.PBRMaterial")).toBe(1);
+                expect(scene.components.model.numComponents).toBe(5);
+            });
+        });
+    });
+
+    describe("When a Timeline plays from time 0", function () {
+
+        var translate;
+        var timeline;
+        var completed;
+
+        beforeEach(function () {
+
+            translate = new XEO.Translate(scene, {
+                xyz: [0, 0, 0]
+            });
+
+            timeline = new XEO.Timeline(scene, {
+                animations: [
+                    new XEO.Animation(scene, {
+                        target: translate,
+                        property: "xyz",
+                        keys: [
+                            {time: 0, value: [0, 0, 0]},
+                            {time: 1, value: [0, 1, 0]}
+                        ]
+                    })
+                ]
+            });
+
+            completed = false;
+
+            timeline.on("completed", function () {
+                completed = true;
+            });
+
+            timeline.play();
+        });
+
+        it("Then a tick that doesn't advance the time doesn't complete it", function () {
+
+            scene.fire("tick", {deltaTime: 0}, true);
+
+            expect(completed).toBe(false);
+            expect(timeline.playing).toBe(true);
+        });
+
+        it("Then it animates until it completes at the end", function () {
+
+            scene.fire("tick", {deltaTime: 0}, true);
+            scene.fire("tick", {deltaTime: 0.5}, true);
+
+            expect(completed).toBe(false);
+            expect(translate.xyz[1]).toBeCloseTo(0.5, 5);
+
+            scene.fire("tick", {deltaTime: 0.6}, true);
+
+            expect(completed).toBe(true);
+            expect(timeline.time).toBe(1);
+            expect(translate.xyz[1]).toBeCloseTo(1, 5);
+        });
+    });
+
+    describe("When a Scene with a Geometry.OBJ is saved and loaded", function () {
+
+        var loaded;
+
+        function onLoaded(geometry) {
+            geometry.on("loaded", function () {
+                loaded = true;
+            });
+        }
+
+        function numComponents(type) {
+            return Object.keys(scene.types[type] || {}).length;
+        }
+
+        beforeEach(function () {
+
+            loaded = false;
+
+            onLoaded(new XEO.Geometry.OBJ(scene, {
+                id: "model",
+                src: "models/texturedQuad.obj"
+            }));
+        });
+
+        it("Then the materials from its .MTL are imported once", function () {
+
+            var numMaterials;
+            var numTextures;
+
+            waitsFor(function () {
+                return loaded;
+            }, "the .OBJ to load", 5000);
+
+            runs(function () {
+
+                numMaterials = numComponents("XEO.PhongMaterial");
+                numTextures = numComponents("XEO.Texture");
+
+                loaded = false;
+
+                scene.load(scene.json);
+
+                onLoaded(scene.components.model);
+            });
+
+            waitsFor(function () {
+                return loaded;
+            }, "the .OBJ to load again", 5000);
+
+            runs(function () {
+                expect(numComponents("XEO.PhongMaterial")).toBe(numMaterials);
+                expect(numComponents("XEO.Texture")).toBe(numTextures);
+                expect(scene.components.model.material.diffuseMap).toBeDefined();
+            });
+        });
+    });
+
+    describe("When a Quaternion is rotated about Z, then about X", function () {
+
+        var quaternion;
+
+        beforeEach(function () {
+
+            quaternion = new XEO.Quaternion(scene, {
+                xyzw: [0, 0, 0, 1]
+            });
+
+            quaternion.rotate([0, 0, 1, 90]);
+            quaternion.rotate([1, 0, 0, 90]);
+        });
+
+        it("Then the second rotation is about its own rotated X-axis", function () {
+
+            // Rotating Y about X gives Z, which the
+            // rotation about Z then leaves in place
+
+            var v = XEO.math.transformVec3(quaternion.matrix, [0, 1, 0]);
+
+            expect(v[0]).toBeCloseTo(0, 5);
+            expect(v[1]).toBeCloseTo(0, 5);
+            expect(v[2]).toBeCloseTo(1, 5);
+        });
+    });
+
+    describe("When a batch of static GameObjects is merged, then destroyed", function () {
+
+        var visibility;
+        var object1;
+        var object2;
+        var batches;
+
+        beforeEach(function () {
+
+            visibility = new XEO.Visibility(scene, {
+                visible: true
+            });
+
+            object1 = new XEO.GameObject(scene, {
+                visibility: visibility
+            });
+
+            object2 = new XEO.GameObject(scene);
+
+            batches = scene.mergeStatic([object1, object2]);
+        });
+
+        it("Then the merged GameObjects are hidden while merged", function () {
+            expect(batches.length).toBe(1);
+            expect(object1.worldVisible).toBe(false);
+            expect(object2.worldVisible).toBe(false);
+        });
+
+        it("Then the merged GameObjects get their Visibilities back when unmerged", function () {
+
+            batches[0].destroy();
 
-        it("Then...", function () {
-            expect(true).toEqual(true);
+            expect(object1.visibility).toBe(visibility);
+            expect(object2.visibility).toBe(scene.visibility);
+            expect(object1.worldVisible).toBe(true);
+            expect(object2.worldVisible).toBe(true);
         });
     });
-});
\ No newline at end of file
+});